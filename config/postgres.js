@@ -323,35 +323,72 @@ function rowToUserData(row) {
   };
 }
 
-async function setDealMapping(dealId, qbCustomerId, customerName) {
+// Deal mappings belong to a tenant (the user's pipedrive_user_id): deal IDs are only unique within
+// a Pipedrive company, so every lookup is by tenant and deal
+async function setDealMapping(userId, dealId, qbCustomerId, customerName) {
   await resilientQuery(`
-    INSERT INTO deal_mappings (deal_id, qb_customer_id, customer_name, linked_at)
-    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
-    ON CONFLICT (deal_id) DO UPDATE SET
-      qb_customer_id = $2,
-      customer_name = $3,
+    INSERT INTO deal_mappings (user_id, deal_id, qb_customer_id, customer_name, linked_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    ON CONFLICT (user_id, deal_id) DO UPDATE SET
+      qb_customer_id = $3,
+      customer_name = $4,
       linked_at = CURRENT_TIMESTAMP
-  `, [dealId, qbCustomerId, customerName]);
+  `, [userId, String(dealId), qbCustomerId, customerName]);
   return true;
 }
 
-async function getDealMapping(dealId) {
-  const result = await resilientQuery(
-    'SELECT * FROM deal_mappings WHERE deal_id = $1',
-    [dealId]
-  );
-  if (result.rows.length === 0) return null;
-  const row = result.rows[0];
+function mapDealMappingRow(row) {
   return {
+    dealId: row.deal_id,
     qbCustomerId: row.qb_customer_id,
     customerName: row.customer_name,
     linkedAt: row.linked_at?.toISOString()
   };
 }
 
-async function deleteDealMapping(dealId) {
-  await resilientQuery('DELETE FROM deal_mappings WHERE deal_id = $1', [dealId]);
-  return true;
+async function getDealMapping(userId, dealId) {
+  const result = await resilientQuery(
+    'SELECT * FROM deal_mappings WHERE user_id = $1 AND deal_id = $2',
+    [userId, String(dealId)]
+  );
+  return result.rows.length > 0 ? mapDealMappingRow(result.rows[0]) : null;
+}
+
+async function listDealMappings(userId) {
+  const result = await resilientQuery(
+    'SELECT * FROM deal_mappings WHERE user_id = $1 ORDER BY deal_id',
+    [userId]
+  );
+  return result.rows.map(mapDealMappingRow);
+}
+
+// The tenant's deals linked to a QuickBooks customer
+async function listDealMappingsForCustomer(userId, qbCustomerId) {
+  const result = await resilientQuery(
+    'SELECT * FROM deal_mappings WHERE user_id = $1 AND qb_customer_id = $2 ORDER BY deal_id',
+    [userId, String(qbCustomerId)]
+  );
+  return result.rows.map(mapDealMappingRow);
+}
+
+// Returns whether the tenant had a mapping for the deal
+async function deleteDealMapping(userId, dealId) {
+  const result = await resilientQuery(
+    'DELETE FROM deal_mappings WHERE user_id = $1 AND deal_id = $2',
+    [userId, String(dealId)]
+  );
+  return result.rowCount > 0;
+}
+
+// Give deal mappings saved before they had a tenant to one. Deals the tenant has linked since
+// keep their newer mapping. Returns the number claimed
+async function claimUnownedDealMappings(userId) {
+  const result = await resilientQuery(`
+    UPDATE deal_mappings SET user_id = $1
+    WHERE user_id IS NULL
+      AND deal_id NOT IN (SELECT deal_id FROM deal_mappings WHERE user_id = $1)
+  `, [userId]);
+  return result.rowCount;
 }
 
 async function addPendingInvoice(invoiceId, invoiceNumber, userId, invoiceData) {
@@ -466,6 +503,983 @@ async function deleteInvoiceMapping(invoiceId) {
   return true;
 }
 
+async function setEstimateMapping(estimateId, estimateNumber, dealId, userId) {
+  await resilientQuery(`
+    INSERT INTO estimate_mappings (estimate_id, estimate_number, deal_id, user_id, created_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    ON CONFLICT (estimate_id) DO UPDATE SET
+      estimate_number = $2,
+      deal_id = COALESCE($3, estimate_mappings.deal_id),
+      user_id = $4
+  `, [estimateId, estimateNumber, dealId, userId]);
+  return true;
+}
+
+async function getEstimateMapping(estimateId) {
+  const result = await resilientQuery(
+    'SELECT * FROM estimate_mappings WHERE estimate_id = $1',
+    [estimateId]
+  );
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  return {
+    estimateId: row.estimate_id,
+    estimateNumber: row.estimate_number,
+    dealId: row.deal_id,
+    userId: row.user_id,
+    invoiceId: row.invoice_id,
+    convertedAt: row.converted_at?.toISOString(),
+    createdAt: row.created_at?.toISOString()
+  };
+}
+
+async function markEstimateConverted(estimateId, invoiceId) {
+  await resilientQuery(`
+    UPDATE estimate_mappings SET
+      invoice_id = $2,
+      converted_at = CURRENT_TIMESTAMP
+    WHERE estimate_id = $1
+  `, [estimateId, invoiceId]);
+  return true;
+}
+
+// DATE columns come back as local-midnight Date objects - format them back to YYYY-MM-DD
+function formatDateColumn(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.split('T')[0];
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+function mapRecurringInvoiceRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    dealId: row.deal_id,
+    customerId: row.qb_customer_id,
+    customerName: row.customer_name,
+    frequency: row.frequency,
+    intervalCount: row.interval_count,
+    startDate: formatDateColumn(row.start_date),
+    nextRunDate: formatDateColumn(row.next_run_date),
+    endDate: formatDateColumn(row.end_date),
+    runCount: row.run_count,
+    invoiceTemplate: row.invoice_template,
+    active: row.active,
+    lastRunAt: row.last_run_at?.toISOString(),
+    createdAt: row.created_at?.toISOString(),
+    updatedAt: row.updated_at?.toISOString()
+  };
+}
+
+async function createRecurringInvoice(schedule) {
+  const result = await resilientQuery(`
+    INSERT INTO recurring_invoices (
+      user_id, deal_id, qb_customer_id, customer_name, frequency, interval_count,
+      start_date, next_run_date, end_date, invoice_template, active
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $8, $9, TRUE)
+    RETURNING *
+  `, [
+    schedule.userId,
+    schedule.dealId || null,
+    schedule.customerId,
+    schedule.customerName || null,
+    schedule.frequency,
+    schedule.intervalCount || 1,
+    schedule.startDate,
+    schedule.endDate || null,
+    JSON.stringify(schedule.invoiceTemplate)
+  ]);
+  return mapRecurringInvoiceRow(result.rows[0]);
+}
+
+async function getRecurringInvoice(id) {
+  const result = await resilientQuery('SELECT * FROM recurring_invoices WHERE id = $1', [id]);
+  if (result.rows.length === 0) return null;
+  return mapRecurringInvoiceRow(result.rows[0]);
+}
+
+async function listRecurringInvoices({ userId, dealId } = {}) {
+  const conditions = [];
+  const params = [];
+  if (userId) {
+    params.push(userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+  if (dealId) {
+    params.push(String(dealId));
+    conditions.push(`deal_id = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await resilientQuery(`SELECT * FROM recurring_invoices ${where} ORDER BY created_at DESC`, params);
+  return result.rows.map(mapRecurringInvoiceRow);
+}
+
+// Update the editable fields of a schedule; fields not present are left unchanged
+async function updateRecurringInvoice(id, updates) {
+  const columns = {
+    dealId: 'deal_id',
+    customerId: 'qb_customer_id',
+    customerName: 'customer_name',
+    frequency: 'frequency',
+    intervalCount: 'interval_count',
+    nextRunDate: 'next_run_date',
+    endDate: 'end_date',
+    invoiceTemplate: 'invoice_template',
+    active: 'active'
+  };
+  
+  const sets = [];
+  const params = [id];
+  for (const [field, column] of Object.entries(columns)) {
+    if (updates[field] === undefined) continue;
+    const value = field === 'invoiceTemplate' ? JSON.stringify(updates[field]) : updates[field];
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  }
+  
+  if (sets.length === 0) return getRecurringInvoice(id);
+  
+  const result = await resilientQuery(
+    `UPDATE recurring_invoices SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+    params
+  );
+  if (result.rows.length === 0) return null;
+  return mapRecurringInvoiceRow(result.rows[0]);
+}
+
+async function deleteRecurringInvoice(id) {
+  await resilientQuery('DELETE FROM recurring_invoices WHERE id = $1', [id]);
+  return true;
+}
+
+async function listDueRecurringInvoices(asOfDate) {
+  const result = await resilientQuery(`
+    SELECT * FROM recurring_invoices
+    WHERE active = TRUE
+      AND next_run_date <= $1
+      AND (end_date IS NULL OR next_run_date <= end_date)
+    ORDER BY next_run_date ASC
+  `, [asOfDate]);
+  return result.rows.map(mapRecurringInvoiceRow);
+}
+
+// Move a schedule past runDate: bump the run count when the run created an invoice and move to the
+// next date (nextRunDate null or past the end date deactivates the schedule). Only applies while the
+// schedule is still on runDate, so settling the same run twice advances it once
+async function advanceRecurringInvoice(id, runDate, nextRunDate, active, invoiced = true) {
+  const result = await resilientQuery(`
+    UPDATE recurring_invoices SET
+      run_count = run_count + $5,
+      next_run_date = $3,
+      active = $4,
+      last_run_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND next_run_date = $2
+  `, [id, runDate, nextRunDate, active, invoiced ? 1 : 0]);
+  return result.rowCount > 0;
+}
+
+// Claim a schedule's run for a date. Returns { id, invoiceId, steps }, or null if another instance
+// already ran (or is running) it. Failed runs can be reclaimed until maxAttempts. A run left
+// 'running' for staleMinutes (its instance stopped) is failed first so it can be reclaimed too;
+// the invoice it created and the steps it finished are kept so the next attempt resumes from them
+async function startRecurringInvoiceRun(scheduleId, runDate, maxAttempts = 3, staleMinutes = 30) {
+  await resilientQuery(`
+    UPDATE recurring_invoice_runs SET status = 'failed', error = 'Interrupted', finished_at = CURRENT_TIMESTAMP
+    WHERE schedule_id = $1 AND run_date = $2 AND status = 'running'
+      AND started_at < CURRENT_TIMESTAMP - ($3 || ' minutes')::interval
+  `, [scheduleId, runDate, String(staleMinutes)]);
+  
+  const result = await resilientQuery(`
+    INSERT INTO recurring_invoice_runs (schedule_id, run_date, status, attempts, started_at)
+    VALUES ($1, $2, 'running', 1, CURRENT_TIMESTAMP)
+    ON CONFLICT (schedule_id, run_date) DO UPDATE SET
+      status = 'running',
+      attempts = recurring_invoice_runs.attempts + 1,
+      error = NULL,
+      started_at = CURRENT_TIMESTAMP,
+      finished_at = NULL
+    WHERE recurring_invoice_runs.status = 'failed'
+      AND recurring_invoice_runs.attempts < $3
+    RETURNING id, invoice_id, steps
+  `, [scheduleId, runDate, maxAttempts]);
+  
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+  return { id: row.id, invoiceId: row.invoice_id, steps: row.steps || {} };
+}
+
+// A schedule's run for a date, if there is one
+async function getRecurringInvoiceRun(scheduleId, runDate) {
+  const result = await resilientQuery(
+    'SELECT * FROM recurring_invoice_runs WHERE schedule_id = $1 AND run_date = $2',
+    [scheduleId, runDate]
+  );
+  return result.rows.length > 0 ? mapRecurringInvoiceRunRow(result.rows[0]) : null;
+}
+
+// Record the invoice as soon as it exists, so a retried run resumes instead of creating another
+async function setRecurringInvoiceRunInvoice(runId, invoiceId) {
+  await resilientQuery('UPDATE recurring_invoice_runs SET invoice_id = $2 WHERE id = $1', [runId, invoiceId]);
+  return true;
+}
+
+async function setRecurringInvoiceRunStep(runId, step, outcome) {
+  await resilientQuery(`
+    UPDATE recurring_invoice_runs SET
+      steps = COALESCE(steps, '{}'::jsonb) || jsonb_build_object($2::text, $3::jsonb)
+    WHERE id = $1
+  `, [runId, step, JSON.stringify(outcome)]);
+  return true;
+}
+
+async function finishRecurringInvoiceRun(runId, { status, invoiceId, invoiceNumber, error, result }) {
+  await resilientQuery(`
+    UPDATE recurring_invoice_runs SET
+      status = $2,
+      invoice_id = COALESCE($3, invoice_id),
+      invoice_number = $4,
+      error = $5,
+      result = $6,
+      finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [runId, status, invoiceId || null, invoiceNumber || null, error || null, result ? JSON.stringify(result) : null]);
+  return true;
+}
+
+function mapRecurringInvoiceRunRow(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    runDate: formatDateColumn(row.run_date),
+    status: row.status,
+    attempts: row.attempts,
+    invoiceId: row.invoice_id,
+    invoiceNumber: row.invoice_number,
+    error: row.error,
+    result: row.result,
+    startedAt: row.started_at?.toISOString(),
+    finishedAt: row.finished_at?.toISOString()
+  };
+}
+
+async function listRecurringInvoiceRuns(scheduleId, limit = 50) {
+  const result = await resilientQuery(
+    'SELECT * FROM recurring_invoice_runs WHERE schedule_id = $1 ORDER BY run_date DESC LIMIT $2',
+    [scheduleId, limit]
+  );
+  return result.rows.map(mapRecurringInvoiceRunRow);
+}
+
+function mapIdempotencyKeyRow(row) {
+  return {
+    idempotencyKey: row.idempotency_key,
+    userId: row.user_id,
+    requestHash: row.request_hash,
+    status: row.status,
+    invoiceId: row.invoice_id,
+    steps: row.steps || {},
+    response: row.response,
+    responseStatus: row.response_status,
+    lockedAt: row.locked_at?.toISOString(),
+    createdAt: row.created_at?.toISOString(),
+    updatedAt: row.updated_at?.toISOString()
+  };
+}
+
+// Claim an idempotency key for processing. Returns { record, created, locked }:
+// created - first time this key was seen; locked - this caller may (re)process the request.
+// A key being processed is locked for lockSeconds, renewed before each side-effect step by
+// extendIdempotencyLock, so a crashed attempt can be resumed later.
+async function claimIdempotencyKey(userId, idempotencyKey, requestHash, lockSeconds = 120) {
+  const inserted = await resilientQuery(`
+    INSERT INTO idempotency_keys (idempotency_key, user_id, request_hash, status, locked_at)
+    VALUES ($1, $2, $3, 'in_progress', CURRENT_TIMESTAMP)
+    ON CONFLICT (user_id, idempotency_key) DO NOTHING
+    RETURNING *
+  `, [idempotencyKey, userId, requestHash]);
+  
+  if (inserted.rows.length > 0) {
+    return { record: mapIdempotencyKeyRow(inserted.rows[0]), created: true, locked: true };
+  }
+  
+  // Existing key - take the lock if it isn't completed and nobody is working on it
+  const relocked = await resilientQuery(`
+    UPDATE idempotency_keys SET
+      status = 'in_progress',
+      locked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND idempotency_key = $2
+      AND request_hash = $3
+      AND status <> 'completed'
+      AND (locked_at IS NULL OR locked_at < CURRENT_TIMESTAMP - ($4 || ' seconds')::interval)
+    RETURNING *
+  `, [userId, idempotencyKey, requestHash, String(lockSeconds)]);
+  
+  if (relocked.rows.length > 0) {
+    return { record: mapIdempotencyKeyRow(relocked.rows[0]), created: false, locked: true };
+  }
+  
+  const existing = await resilientQuery(
+    'SELECT * FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, idempotencyKey]
+  );
+  return { record: mapIdempotencyKeyRow(existing.rows[0]), created: false, locked: false };
+}
+
+// Renew the lock on a key still being processed, so a long run of side effects isn't taken over
+// by a replay while one of its steps is in flight
+async function extendIdempotencyLock(userId, idempotencyKey) {
+  await resilientQuery(`
+    UPDATE idempotency_keys SET locked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND idempotency_key = $2 AND status = 'in_progress'
+  `, [userId, idempotencyKey]);
+  return true;
+}
+
+async function setIdempotencyInvoice(userId, idempotencyKey, invoiceId) {
+  await resilientQuery(
+    'UPDATE idempotency_keys SET invoice_id = $3 WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, idempotencyKey, invoiceId]
+  );
+  return true;
+}
+
+async function setIdempotencyStep(userId, idempotencyKey, step, outcome) {
+  await resilientQuery(`
+    UPDATE idempotency_keys SET
+      steps = COALESCE(steps, '{}'::jsonb) || jsonb_build_object($3::text, $4::jsonb)
+    WHERE user_id = $1 AND idempotency_key = $2
+  `, [userId, idempotencyKey, step, JSON.stringify(outcome)]);
+  return true;
+}
+
+// Store the final response and release the lock
+// status: 'completed' (replays return the stored response) or 'failed' (replays retry)
+async function finishIdempotencyKey(userId, idempotencyKey, status, responseStatus, response) {
+  await resilientQuery(`
+    UPDATE idempotency_keys SET
+      status = $3,
+      response_status = $4,
+      response = $5,
+      locked_at = NULL
+    WHERE user_id = $1 AND idempotency_key = $2
+  `, [userId, idempotencyKey, status, responseStatus, JSON.stringify(response)]);
+  return true;
+}
+
+function mapBulkInvoiceJobRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    status: row.status,
+    filterId: row.filter_id,
+    options: row.options || {},
+    totalCount: row.total_count,
+    error: row.error,
+    startedAt: row.started_at?.toISOString(),
+    finishedAt: row.finished_at?.toISOString(),
+    createdAt: row.created_at?.toISOString(),
+    updatedAt: row.updated_at?.toISOString()
+  };
+}
+
+function mapBulkInvoiceJobItemRow(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    dealId: row.deal_id,
+    dealTitle: row.deal_title,
+    status: row.status,
+    customerId: row.qb_customer_id,
+    invoicePayload: row.invoice_payload,
+    sideEffectOptions: row.side_effect_options,
+    batchRequestId: row.batch_request_id,
+    invoiceId: row.invoice_id,
+    invoiceNumber: row.invoice_number,
+    totalAmount: row.total_amount !== null ? parseFloat(row.total_amount) : null,
+    steps: row.steps || {},
+    unmatched: row.unmatched,
+    error: row.error,
+    updatedAt: row.updated_at?.toISOString()
+  };
+}
+
+// Create a queued job. Deal IDs given up front become items now; jobs started from a
+// Pipedrive filter get their items once the filter has been read (addBulkInvoiceJobItems)
+async function createBulkInvoiceJob({ userId, filterId, options, dealIds }) {
+  const result = await resilientQuery(`
+    INSERT INTO bulk_invoice_jobs (user_id, status, filter_id, options)
+    VALUES ($1, 'queued', $2, $3)
+    RETURNING *
+  `, [userId, filterId || null, JSON.stringify(options || {})]);
+  const job = mapBulkInvoiceJobRow(result.rows[0]);
+  
+  if (dealIds && dealIds.length > 0) {
+    job.totalCount = await addBulkInvoiceJobItems(job.id, dealIds.map(dealId => ({ dealId })));
+  }
+  return job;
+}
+
+// Add deals to a job (duplicates are ignored) and return the job's item count
+async function addBulkInvoiceJobItems(jobId, deals) {
+  await resilientQuery(`
+    INSERT INTO bulk_invoice_job_items (job_id, deal_id, deal_title)
+    SELECT $1, deal.deal_id, deal.deal_title
+    FROM unnest($2::text[], $3::text[]) AS deal(deal_id, deal_title)
+    ON CONFLICT (job_id, deal_id) DO NOTHING
+  `, [jobId, deals.map(deal => String(deal.dealId)), deals.map(deal => deal.title || null)]);
+  
+  const result = await resilientQuery(`
+    UPDATE bulk_invoice_jobs SET
+      total_count = (SELECT COUNT(*) FROM bulk_invoice_job_items WHERE job_id = $1)
+    WHERE id = $1
+    RETURNING total_count
+  `, [jobId]);
+  return result.rows[0]?.total_count || 0;
+}
+
+async function getBulkInvoiceJob(id) {
+  const result = await resilientQuery('SELECT * FROM bulk_invoice_jobs WHERE id = $1', [id]);
+  if (result.rows.length === 0) return null;
+  return mapBulkInvoiceJobRow(result.rows[0]);
+}
+
+async function listBulkInvoiceJobs(userId, limit = 20) {
+  const result = await resilientQuery(
+    'SELECT * FROM bulk_invoice_jobs WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+    [userId, limit]
+  );
+  return result.rows.map(mapBulkInvoiceJobRow);
+}
+
+async function listBulkInvoiceJobItems(jobId) {
+  const result = await resilientQuery(
+    'SELECT * FROM bulk_invoice_job_items WHERE job_id = $1 ORDER BY id ASC',
+    [jobId]
+  );
+  return result.rows.map(mapBulkInvoiceJobItemRow);
+}
+
+// Claim the oldest queued job for processing. A running job that has made no progress for
+// staleMinutes (its instance stopped) is claimed again so it can resume.
+async function claimBulkInvoiceJob(staleMinutes = 10) {
+  const result = await resilientQuery(`
+    UPDATE bulk_invoice_jobs SET
+      status = 'running',
+      started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+    WHERE id = (
+      SELECT id FROM bulk_invoice_jobs
+      WHERE status = 'queued'
+        OR (status = 'running' AND updated_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval)
+      ORDER BY created_at ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [String(staleMinutes)]);
+  if (result.rows.length === 0) return null;
+  return mapBulkInvoiceJobRow(result.rows[0]);
+}
+
+// Mark a running job as still alive so other instances don't reclaim it
+async function touchBulkInvoiceJob(id) {
+  await resilientQuery('UPDATE bulk_invoice_jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  return true;
+}
+
+async function finishBulkInvoiceJob(id, status, error = null) {
+  await resilientQuery(`
+    UPDATE bulk_invoice_jobs SET
+      status = $2,
+      error = $3,
+      finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [id, status, error]);
+  return true;
+}
+
+// Update a job item; fields not present are left unchanged
+async function updateBulkInvoiceJobItem(id, updates) {
+  const columns = {
+    status: 'status',
+    dealTitle: 'deal_title',
+    customerId: 'qb_customer_id',
+    invoicePayload: 'invoice_payload',
+    sideEffectOptions: 'side_effect_options',
+    batchRequestId: 'batch_request_id',
+    invoiceId: 'invoice_id',
+    invoiceNumber: 'invoice_number',
+    totalAmount: 'total_amount',
+    unmatched: 'unmatched',
+    error: 'error'
+  };
+  const jsonFields = ['invoicePayload', 'sideEffectOptions', 'unmatched'];
+  
+  const sets = [];
+  const params = [id];
+  for (const [field, column] of Object.entries(columns)) {
+    if (updates[field] === undefined) continue;
+    const value = jsonFields.includes(field) && updates[field] !== null ? JSON.stringify(updates[field]) : updates[field];
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  }
+  
+  if (sets.length === 0) return true;
+  
+  await resilientQuery(`UPDATE bulk_invoice_job_items SET ${sets.join(', ')} WHERE id = $1`, params);
+  return true;
+}
+
+async function setBulkInvoiceJobItemStep(id, step, outcome) {
+  await resilientQuery(`
+    UPDATE bulk_invoice_job_items SET
+      steps = COALESCE(steps, '{}'::jsonb) || jsonb_build_object($2::text, $3::jsonb)
+    WHERE id = $1
+  `, [id, step, JSON.stringify(outcome)]);
+  return true;
+}
+
+function mapDealTimelineInvoiceRow(row) {
+  return {
+    invoiceId: row.invoice_id,
+    invoiceNumber: row.invoice_number,
+    dealId: row.deal_id,
+    userId: row.user_id,
+    watching: row.watching,
+    lastCheckedAt: row.last_checked_at?.toISOString(),
+    createdAt: row.created_at?.toISOString()
+  };
+}
+
+// Link an invoice to the deal its timeline events are posted to, and start watching it
+async function addDealTimelineInvoice(invoiceId, invoiceNumber, dealId, userId) {
+  await resilientQuery(`
+    INSERT INTO deal_timeline_invoices (invoice_id, invoice_number, deal_id, user_id)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (invoice_id) DO UPDATE SET
+      invoice_number = EXCLUDED.invoice_number,
+      deal_id = EXCLUDED.deal_id,
+      user_id = EXCLUDED.user_id
+  `, [String(invoiceId), invoiceNumber || null, String(dealId), userId]);
+  return true;
+}
+
+async function getDealTimelineInvoice(invoiceId) {
+  const result = await resilientQuery('SELECT * FROM deal_timeline_invoices WHERE invoice_id = $1', [String(invoiceId)]);
+  return result.rows.length > 0 ? mapDealTimelineInvoiceRow(result.rows[0]) : null;
+}
+
+// Invoices still being watched, least recently checked first; invoices older than
+// maxAgeDays are no longer followed
+async function listWatchedDealTimelineInvoices(maxAgeDays = 90, limit = 100) {
+  const result = await resilientQuery(`
+    SELECT * FROM deal_timeline_invoices
+    WHERE watching = TRUE
+      AND created_at > NOW() - ($1 || ' days')::INTERVAL
+    ORDER BY last_checked_at ASC NULLS FIRST
+    LIMIT $2
+  `, [String(maxAgeDays), limit]);
+  return result.rows.map(mapDealTimelineInvoiceRow);
+}
+
+async function markDealTimelineInvoiceChecked(invoiceId, watching = true) {
+  await resilientQuery(
+    'UPDATE deal_timeline_invoices SET last_checked_at = CURRENT_TIMESTAMP, watching = $2 WHERE invoice_id = $1',
+    [String(invoiceId), watching]
+  );
+  return true;
+}
+
+// Claim an event before posting it. Returns the event ID, or null if it was already posted or
+// another run is posting it. A claim left 'pending' for staleMinutes (its run stopped before
+// recording the outcome) is taken over so the event isn't lost
+async function claimDealTimelineEvent(invoiceId, dealId, eventType, eventKey = '', staleMinutes = 30) {
+  const result = await resilientQuery(`
+    INSERT INTO deal_timeline_events (invoice_id, deal_id, event_type, event_key, status, claimed_at)
+    VALUES ($1, $2, $3, $4, 'pending', CURRENT_TIMESTAMP)
+    ON CONFLICT (invoice_id, event_type, event_key) DO UPDATE SET
+      deal_id = EXCLUDED.deal_id,
+      claimed_at = CURRENT_TIMESTAMP
+    WHERE deal_timeline_events.status = 'pending'
+      AND deal_timeline_events.claimed_at < CURRENT_TIMESTAMP - ($5 || ' minutes')::interval
+    RETURNING id
+  `, [String(invoiceId), String(dealId), eventType, String(eventKey || ''), String(staleMinutes)]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+async function finishDealTimelineEvent(id, pipedriveType, pipedriveId) {
+  await resilientQuery(
+    "UPDATE deal_timeline_events SET status = 'posted', pipedrive_type = $2, pipedrive_id = $3 WHERE id = $1",
+    [id, pipedriveType, pipedriveId ? String(pipedriveId) : null]
+  );
+  return true;
+}
+
+// Drop a claim whose post failed so the event is tried again (posted events are never dropped)
+async function releaseDealTimelineEvent(id) {
+  await resilientQuery("DELETE FROM deal_timeline_events WHERE id = $1 AND status = 'pending'", [id]);
+  return true;
+}
+
+function mapDealAutomationRunRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    dealId: row.deal_id,
+    invoiceId: row.invoice_id,
+    invoiceNumber: row.invoice_number,
+    trigger: row.trigger_event,
+    pipelineId: row.pipeline_id,
+    status: row.status,
+    previous: row.previous,
+    changes: row.changes,
+    error: row.error,
+    createdAt: row.created_at?.toISOString(),
+    finishedAt: row.finished_at?.toISOString()
+  };
+}
+
+// Claim an automation trigger for an invoice. Returns the run ID, or null if the trigger
+// already ran (or is running) for the invoice, or has failed maxAttempts times
+// A run left 'running' for staleMinutes (its instance stopped) is failed so the trigger can run again
+async function startDealAutomationRun({ userId, dealId, invoiceId, invoiceNumber, trigger, pipelineId }, maxAttempts = 3, staleMinutes = 30) {
+  await resilientQuery(`
+    UPDATE deal_automation_runs SET status = 'failed', error = 'Interrupted', finished_at = CURRENT_TIMESTAMP
+    WHERE invoice_id = $1 AND trigger_event = $2 AND status = 'running'
+      AND created_at < CURRENT_TIMESTAMP - ($3 || ' minutes')::interval
+  `, [String(invoiceId), trigger, String(staleMinutes)]);
+  
+  const result = await resilientQuery(`
+    INSERT INTO deal_automation_runs (user_id, deal_id, invoice_id, invoice_number, trigger_event, pipeline_id)
+    SELECT $1, $2, $3, $4, $5, $6
+    WHERE (
+      SELECT COUNT(*) FROM deal_automation_runs
+      WHERE invoice_id = $3 AND trigger_event = $5 AND status = 'failed'
+    ) < $7
+    ON CONFLICT (invoice_id, trigger_event) WHERE status <> 'failed' DO NOTHING
+    RETURNING id
+  `, [userId, String(dealId), String(invoiceId), invoiceNumber || null, trigger, pipelineId ? String(pipelineId) : null, maxAttempts]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+async function finishDealAutomationRun(id, { status, previous, changes, error }) {
+  await resilientQuery(`
+    UPDATE deal_automation_runs SET
+      status = $2,
+      previous = $3,
+      changes = $4,
+      error = $5,
+      finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [id, status, previous ? JSON.stringify(previous) : null, changes ? JSON.stringify(changes) : null, error || null]);
+  return true;
+}
+
+// The successful (or skipped) run of a trigger for an invoice, if there is one
+async function getDealAutomationRun(invoiceId, trigger) {
+  const result = await resilientQuery(
+    "SELECT * FROM deal_automation_runs WHERE invoice_id = $1 AND trigger_event = $2 AND status IN ('success', 'skipped')",
+    [String(invoiceId), trigger]
+  );
+  return result.rows.length > 0 ? mapDealAutomationRunRow(result.rows[0]) : null;
+}
+
+async function listDealAutomationRuns({ userId, dealId } = {}, limit = 50) {
+  const conditions = [];
+  const params = [];
+  
+  if (userId) {
+    params.push(userId);
+    conditions.push(`user_id = $${params.length}`);
+  }
+  if (dealId) {
+    params.push(String(dealId));
+    conditions.push(`deal_id = $${params.length}`);
+  }
+  params.push(limit);
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await resilientQuery(
+    `SELECT * FROM deal_automation_runs ${where} ORDER BY created_at DESC LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(mapDealAutomationRunRow);
+}
+
+function mapArSyncRunRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    trigger: row.trigger,
+    status: row.status,
+    summary: row.summary,
+    error: row.error,
+    startedAt: row.started_at?.toISOString(),
+    finishedAt: row.finished_at?.toISOString()
+  };
+}
+
+// Start an AR sync run for a user. Returns the run ID, or null if one is already running.
+// A run left 'running' for staleMinutes (its instance stopped) is failed so a new one can start
+async function startArSyncRun(userId, trigger, staleMinutes = 60) {
+  await resilientQuery(`
+    UPDATE ar_sync_runs SET status = 'failed', error = 'Interrupted', finished_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND status = 'running'
+      AND started_at < CURRENT_TIMESTAMP - ($2 || ' minutes')::interval
+  `, [userId, String(staleMinutes)]);
+  
+  const result = await resilientQuery(`
+    INSERT INTO ar_sync_runs (user_id, trigger)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id) WHERE status = 'running' DO NOTHING
+    RETURNING id
+  `, [userId, trigger]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+async function finishArSyncRun(id, status, summary = null, error = null) {
+  await resilientQuery(`
+    UPDATE ar_sync_runs SET
+      status = $2,
+      summary = $3,
+      error = $4,
+      finished_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [id, status, summary ? JSON.stringify(summary) : null, error]);
+  return true;
+}
+
+async function listArSyncRuns(userId, limit = 20) {
+  const result = await resilientQuery(
+    'SELECT * FROM ar_sync_runs WHERE user_id = $1 ORDER BY started_at DESC LIMIT $2',
+    [userId, limit]
+  );
+  return result.rows.map(mapArSyncRunRow);
+}
+
+function mapContactMappingRow(row) {
+  return {
+    userId: row.user_id,
+    entityType: row.pipedrive_entity_type,
+    entityId: row.pipedrive_entity_id,
+    qbCustomerId: row.qb_customer_id,
+    source: row.source,
+    createdAt: row.created_at?.toISOString(),
+    updatedAt: row.updated_at?.toISOString()
+  };
+}
+
+// Record which QuickBooks customer a Pipedrive person or organization was synced to
+async function setContactMapping(userId, entityType, entityId, qbCustomerId, source) {
+  const result = await resilientQuery(`
+    INSERT INTO contact_mappings (user_id, pipedrive_entity_type, pipedrive_entity_id, qb_customer_id, source)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, pipedrive_entity_type, pipedrive_entity_id) DO UPDATE SET
+      qb_customer_id = EXCLUDED.qb_customer_id,
+      source = EXCLUDED.source
+    RETURNING *
+  `, [userId, entityType, String(entityId), String(qbCustomerId), source]);
+  return mapContactMappingRow(result.rows[0]);
+}
+
+async function getContactMapping(userId, entityType, entityId) {
+  const result = await resilientQuery(
+    'SELECT * FROM contact_mappings WHERE user_id = $1 AND pipedrive_entity_type = $2 AND pipedrive_entity_id = $3',
+    [userId, entityType, String(entityId)]
+  );
+  return result.rows.length > 0 ? mapContactMappingRow(result.rows[0]) : null;
+}
+
+// An install's contact mappings, optionally for one entity type or QuickBooks customer
+async function listContactMappings(userId, { entityType, qbCustomerId } = {}) {
+  const params = [userId];
+  let where = 'user_id = $1';
+  if (entityType) {
+    params.push(entityType);
+    where += ` AND pipedrive_entity_type = $${params.length}`;
+  }
+  if (qbCustomerId) {
+    params.push(String(qbCustomerId));
+    where += ` AND qb_customer_id = $${params.length}`;
+  }
+  
+  const result = await resilientQuery(
+    `SELECT * FROM contact_mappings WHERE ${where} ORDER BY pipedrive_entity_type, pipedrive_entity_id`,
+    params
+  );
+  return result.rows.map(mapContactMappingRow);
+}
+
+async function deleteContactMapping(userId, entityType, entityId) {
+  const result = await resilientQuery(
+    'DELETE FROM contact_mappings WHERE user_id = $1 AND pipedrive_entity_type = $2 AND pipedrive_entity_id = $3',
+    [userId, entityType, String(entityId)]
+  );
+  return result.rowCount > 0;
+}
+
+// Contact mappings that point at a QuickBooks customer
+async function listContactMappingsForCustomer(userId, qbCustomerId) {
+  const result = await resilientQuery(
+    'SELECT * FROM contact_mappings WHERE user_id = $1 AND qb_customer_id = $2 ORDER BY pipedrive_entity_type, pipedrive_entity_id',
+    [userId, String(qbCustomerId)]
+  );
+  return result.rows.map(mapContactMappingRow);
+}
+
+// Claim the user's customer reverse sync run (a claim older than staleMinutes is taken over)
+// Returns { changedSince } with the watermark to read changes from, or null if a run is in progress
+async function claimCustomerSyncRun(userId, staleMinutes = 30) {
+  await resilientQuery(
+    'INSERT INTO customer_sync_watermarks (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+    [userId]
+  );
+  const result = await resilientQuery(`
+    UPDATE customer_sync_watermarks
+    SET running_since = CURRENT_TIMESTAMP
+    WHERE user_id = $1
+      AND (running_since IS NULL OR running_since < NOW() - ($2 || ' minutes')::INTERVAL)
+    RETURNING changed_since
+  `, [userId, String(staleMinutes)]);
+  if (result.rows.length === 0) return null;
+  return { changedSince: result.rows[0].changed_since ? result.rows[0].changed_since.toISOString() : null };
+}
+
+// Release the run; changedSince moves the watermark (left as it was when null, e.g. after a failure)
+async function finishCustomerSyncRun(userId, changedSince, summary = null, error = null) {
+  await resilientQuery(`
+    UPDATE customer_sync_watermarks
+    SET running_since = NULL,
+        changed_since = COALESCE($2, changed_since),
+        last_run_at = CURRENT_TIMESTAMP,
+        last_summary = $3,
+        last_error = $4
+    WHERE user_id = $1
+  `, [userId, changedSince, summary ? JSON.stringify(summary) : null, error]);
+  return true;
+}
+
+async function getCustomerSyncWatermark(userId) {
+  const result = await resilientQuery('SELECT * FROM customer_sync_watermarks WHERE user_id = $1', [userId]);
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  return {
+    changedSince: row.changed_since?.toISOString() || null,
+    running: !!row.running_since,
+    lastRunAt: row.last_run_at?.toISOString() || null,
+    lastSummary: row.last_summary,
+    lastError: row.last_error
+  };
+}
+
+// Last synced values of a Pipedrive record's fields, by Pipedrive field
+async function getCustomerSyncFields(userId, entityType, entityId) {
+  const result = await resilientQuery(
+    'SELECT * FROM customer_sync_fields WHERE user_id = $1 AND pipedrive_entity_type = $2 AND pipedrive_entity_id = $3',
+    [userId, entityType, String(entityId)]
+  );
+  const fields = new Map();
+  for (const row of result.rows) {
+    fields.set(row.pipedrive_field, { qbValue: row.qb_value, pipedriveValue: row.pipedrive_value });
+  }
+  return fields;
+}
+
+async function setCustomerSyncField(userId, qbCustomerId, entityType, entityId, field, qbValue, pipedriveValue) {
+  await resilientQuery(`
+    INSERT INTO customer_sync_fields (user_id, qb_customer_id, pipedrive_entity_type, pipedrive_entity_id, pipedrive_field, qb_value, pipedrive_value)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (user_id, pipedrive_entity_type, pipedrive_entity_id, pipedrive_field) DO UPDATE SET
+      qb_customer_id = EXCLUDED.qb_customer_id,
+      qb_value = EXCLUDED.qb_value,
+      pipedrive_value = EXCLUDED.pipedrive_value,
+      synced_at = CURRENT_TIMESTAMP
+  `, [userId, String(qbCustomerId), entityType, String(entityId), field, qbValue, pipedriveValue]);
+  return true;
+}
+
+async function addCustomerSyncLog(entry) {
+  await resilientQuery(`
+    INSERT INTO customer_sync_log
+      (user_id, qb_customer_id, pipedrive_entity_type, pipedrive_entity_id, qb_field, pipedrive_field, qb_value, pipedrive_value, decision, conflict_rule, reason)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    entry.userId,
+    String(entry.qbCustomerId),
+    entry.entityType,
+    String(entry.entityId),
+    entry.qbField,
+    entry.pipedriveField,
+    entry.qbValue,
+    entry.pipedriveValue,
+    entry.decision,
+    entry.conflictRule || null,
+    entry.reason || null
+  ]);
+  return true;
+}
+
+// Reverse sync decisions, newest first (optionally for one QuickBooks customer)
+async function listCustomerSyncLog({ userId, qbCustomerId }, limit = 100) {
+  const params = [userId];
+  let where = 'user_id = $1';
+  if (qbCustomerId) {
+    params.push(String(qbCustomerId));
+    where += ` AND qb_customer_id = $${params.length}`;
+  }
+  params.push(limit);
+  
+  const result = await resilientQuery(
+    `SELECT * FROM customer_sync_log WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    qbCustomerId: row.qb_customer_id,
+    entityType: row.pipedrive_entity_type,
+    entityId: row.pipedrive_entity_id,
+    qbField: row.qb_field,
+    pipedriveField: row.pipedrive_field,
+    qbValue: row.qb_value,
+    pipedriveValue: row.pipedrive_value,
+    decision: row.decision,
+    conflictRule: row.conflict_rule,
+    reason: row.reason,
+    createdAt: row.created_at?.toISOString()
+  }));
+}
+
+// Saved customer field mappings by entity type ('person', 'organization'), with when each was saved
+async function getCustomerFieldMappings(userId) {
+  const result = await resilientQuery('SELECT * FROM customer_field_mappings WHERE user_id = $1', [userId]);
+  const mappings = {};
+  for (const row of result.rows) {
+    mappings[row.entity_type] = { rules: row.rules, updatedAt: row.updated_at?.toISOString() };
+  }
+  return mappings;
+}
+
+async function setCustomerFieldMapping(userId, entityType, rules) {
+  await resilientQuery(`
+    INSERT INTO customer_field_mappings (user_id, entity_type, rules)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, entity_type) DO UPDATE SET rules = EXCLUDED.rules
+  `, [userId, entityType, JSON.stringify(rules)]);
+  return true;
+}
+
+async function deleteCustomerFieldMapping(userId, entityType) {
+  const result = await resilientQuery(
+    'DELETE FROM customer_field_mappings WHERE user_id = $1 AND entity_type = $2',
+    [userId, entityType]
+  );
+  return result.rowCount > 0;
+}
+
 async function cleanupStaleEntries(staleDays = 30) {
   const staleDate = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
   const result = await resilientQuery(
@@ -578,7 +1592,10 @@ module.exports = {
   getShipStationCredentials,
   setDealMapping,
   getDealMapping,
+  listDealMappings,
+  listDealMappingsForCustomer,
   deleteDealMapping,
+  claimUnownedDealMappings,
   addPendingInvoice,
   getPendingInvoice,
   listPendingInvoices,
@@ -588,6 +1605,66 @@ module.exports = {
   getInvoiceMapping,
   getInvoiceMappingByNumber,
   deleteInvoiceMapping,
+  setEstimateMapping,
+  getEstimateMapping,
+  markEstimateConverted,
+  createRecurringInvoice,
+  getRecurringInvoice,
+  listRecurringInvoices,
+  updateRecurringInvoice,
+  deleteRecurringInvoice,
+  listDueRecurringInvoices,
+  advanceRecurringInvoice,
+  startRecurringInvoiceRun,
+  getRecurringInvoiceRun,
+  setRecurringInvoiceRunInvoice,
+  setRecurringInvoiceRunStep,
+  finishRecurringInvoiceRun,
+  listRecurringInvoiceRuns,
+  claimIdempotencyKey,
+  extendIdempotencyLock,
+  setIdempotencyInvoice,
+  setIdempotencyStep,
+  finishIdempotencyKey,
+  createBulkInvoiceJob,
+  addBulkInvoiceJobItems,
+  getBulkInvoiceJob,
+  listBulkInvoiceJobs,
+  listBulkInvoiceJobItems,
+  claimBulkInvoiceJob,
+  touchBulkInvoiceJob,
+  finishBulkInvoiceJob,
+  updateBulkInvoiceJobItem,
+  setBulkInvoiceJobItemStep,
+  addDealTimelineInvoice,
+  getDealTimelineInvoice,
+  listWatchedDealTimelineInvoices,
+  markDealTimelineInvoiceChecked,
+  claimDealTimelineEvent,
+  finishDealTimelineEvent,
+  releaseDealTimelineEvent,
+  startDealAutomationRun,
+  finishDealAutomationRun,
+  getDealAutomationRun,
+  listDealAutomationRuns,
+  startArSyncRun,
+  finishArSyncRun,
+  listArSyncRuns,
+  setContactMapping,
+  getContactMapping,
+  listContactMappings,
+  listContactMappingsForCustomer,
+  deleteContactMapping,
+  claimCustomerSyncRun,
+  finishCustomerSyncRun,
+  getCustomerSyncWatermark,
+  getCustomerSyncFields,
+  setCustomerSyncField,
+  addCustomerSyncLog,
+  listCustomerSyncLog,
+  getCustomerFieldMappings,
+  setCustomerFieldMapping,
+  deleteCustomerFieldMapping,
   cleanupStaleEntries,
   cleanupMaxRetries,
   acquireTokenRefreshLock,
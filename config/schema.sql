@@ -48,7 +48,8 @@ CREATE TABLE IF NOT EXISTS users (
 -- Deal mappings: links Pipedrive deals to QuickBooks customers
 CREATE TABLE IF NOT EXISTS deal_mappings (
     id SERIAL PRIMARY KEY,
-    deal_id VARCHAR(100) UNIQUE NOT NULL,
+    deal_id VARCHAR(100) NOT NULL,
+    user_id VARCHAR(255),
     qb_customer_id VARCHAR(100) NOT NULL,
     customer_name VARCHAR(255),
     linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -79,6 +80,263 @@ CREATE TABLE IF NOT EXISTS invoice_mappings (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Estimate mappings: remembers the Pipedrive deal behind each QuickBooks estimate
+-- so converting the estimate to an invoice can still run deal product sync
+CREATE TABLE IF NOT EXISTS estimate_mappings (
+    id SERIAL PRIMARY KEY,
+    estimate_id VARCHAR(100) UNIQUE NOT NULL,
+    estimate_number VARCHAR(100),
+    deal_id VARCHAR(100),
+    user_id VARCHAR(255) NOT NULL,
+    invoice_id VARCHAR(100),
+    converted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring invoices: schedules that generate an invoice for a deal every period
+-- invoice_template holds the POST /api/invoices body (lineItems, discount, memo, paymentTerms, ...)
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    deal_id VARCHAR(100),
+    qb_customer_id VARCHAR(100) NOT NULL,
+    customer_name VARCHAR(255),
+    frequency VARCHAR(20) NOT NULL,
+    interval_count INTEGER DEFAULT 1,
+    start_date DATE NOT NULL,
+    next_run_date DATE,
+    end_date DATE,
+    run_count INTEGER DEFAULT 0,
+    invoice_template JSONB NOT NULL,
+    active BOOLEAN DEFAULT TRUE,
+    last_run_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring invoice runs: one row per schedule per run date (also stops two instances
+-- generating the same invoice)
+CREATE TABLE IF NOT EXISTS recurring_invoice_runs (
+    id SERIAL PRIMARY KEY,
+    schedule_id INTEGER NOT NULL REFERENCES recurring_invoices(id) ON DELETE CASCADE,
+    run_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    attempts INTEGER DEFAULT 1,
+    invoice_id VARCHAR(100),
+    invoice_number VARCHAR(100),
+    error TEXT,
+    result JSONB,
+    steps JSONB DEFAULT '{}'::jsonb,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    UNIQUE (schedule_id, run_date)
+);
+
+-- Idempotency keys: one row per Idempotency-Key sent to POST /api/invoices, with the
+-- created invoice and the outcome of each side effect so retries can resume safely
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    idempotency_key VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+    invoice_id VARCHAR(100),
+    steps JSONB DEFAULT '{}'::jsonb,
+    response JSONB,
+    response_status INTEGER,
+    locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, idempotency_key)
+);
+
+-- Bulk invoice jobs: one row per batch of deals invoiced together (a list of deal IDs
+-- or a Pipedrive filter), processed in the background
+CREATE TABLE IF NOT EXISTS bulk_invoice_jobs (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    filter_id VARCHAR(100),
+    options JSONB DEFAULT '{}'::jsonb,
+    total_count INTEGER DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bulk invoice job items: per-deal progress. The built invoice payload and the QuickBooks
+-- batch request ID are kept so an interrupted batch can be re-sent without duplicates
+CREATE TABLE IF NOT EXISTS bulk_invoice_job_items (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER NOT NULL REFERENCES bulk_invoice_jobs(id) ON DELETE CASCADE,
+    deal_id VARCHAR(100) NOT NULL,
+    deal_title TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    qb_customer_id VARCHAR(100),
+    invoice_payload JSONB,
+    side_effect_options JSONB,
+    batch_request_id VARCHAR(64),
+    invoice_id VARCHAR(100),
+    invoice_number VARCHAR(100),
+    total_amount DECIMAL(12, 2),
+    steps JSONB DEFAULT '{}'::jsonb,
+    unmatched JSONB,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (job_id, deal_id)
+);
+
+-- Deal timeline invoices: invoices created for a Pipedrive deal whose payments and
+-- shipments are still being watched so they can be posted to the deal
+CREATE TABLE IF NOT EXISTS deal_timeline_invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_id VARCHAR(100) UNIQUE NOT NULL,
+    invoice_number VARCHAR(100),
+    deal_id VARCHAR(100) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    watching BOOLEAN DEFAULT TRUE,
+    last_checked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Deal timeline events: one row per event posted to a deal (invoice created, PDF uploaded,
+-- email sent, each payment and shipment), so nothing is posted twice
+-- event_key holds the payment or shipment ID ('' for one-off events)
+-- status is 'pending' while the event is being posted, then 'posted'
+CREATE TABLE IF NOT EXISTS deal_timeline_events (
+    id SERIAL PRIMARY KEY,
+    invoice_id VARCHAR(100) NOT NULL,
+    deal_id VARCHAR(100) NOT NULL,
+    event_type VARCHAR(20) NOT NULL,
+    event_key VARCHAR(100) NOT NULL DEFAULT '',
+    pipedrive_type VARCHAR(20),
+    pipedrive_id VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'posted',
+    claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (invoice_id, event_type, event_key)
+);
+
+-- Deal automation runs: log of every pipeline automation run for an invoice (move the deal's
+-- stage when the invoice is created, mark it won when paid, move it back when voided)
+-- previous holds the deal's stage/status/value before the run, changes what was sent to Pipedrive
+CREATE TABLE IF NOT EXISTS deal_automation_runs (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    deal_id VARCHAR(100) NOT NULL,
+    invoice_id VARCHAR(100) NOT NULL,
+    invoice_number VARCHAR(100),
+    trigger_event VARCHAR(30) NOT NULL,
+    pipeline_id VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    previous JSONB,
+    changes JSONB,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- AR sync runs: each run of the job that writes QuickBooks receivables (open balance, overdue
+-- amount, last invoice and payment dates) into Pipedrive custom fields
+CREATE TABLE IF NOT EXISTS ar_sync_runs (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    trigger VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    summary JSONB,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- Contact mappings: the QuickBooks customer each synced Pipedrive person or organization became
+-- source is the Pipedrive record the customer was built from: 'organization' for an organization's
+-- customer (and for persons recorded as its contacts), 'person' for a person's own customer or sub-customer,
+-- 'deal' when a deal's contact was attached to an existing customer, 'manual' when repaired through the API
+CREATE TABLE IF NOT EXISTS contact_mappings (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    pipedrive_entity_type VARCHAR(20) NOT NULL,
+    pipedrive_entity_id VARCHAR(100) NOT NULL,
+    qb_customer_id VARCHAR(100) NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, pipedrive_entity_type, pipedrive_entity_id)
+);
+
+-- Customer field mappings: per-install rules for building a QuickBooks customer from a Pipedrive
+-- person or organization (see src/utils/customerMapping.js); without a row the default mapping is used
+CREATE TABLE IF NOT EXISTS customer_field_mappings (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    entity_type VARCHAR(20) NOT NULL,
+    rules JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, entity_type)
+);
+
+-- Customer reverse sync state per user: the QuickBooks Change Data Capture watermark (customers
+-- changed after changed_since are read on the next run) and the claim on the run in progress
+CREATE TABLE IF NOT EXISTS customer_sync_watermarks (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) UNIQUE NOT NULL,
+    changed_since TIMESTAMP,
+    running_since TIMESTAMP,
+    last_run_at TIMESTAMP,
+    last_summary JSONB,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer sync fields: each Pipedrive field's value on both sides after the last reverse sync
+-- decision, so the next run can tell which side changed it
+CREATE TABLE IF NOT EXISTS customer_sync_fields (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    qb_customer_id VARCHAR(100) NOT NULL,
+    pipedrive_entity_type VARCHAR(20) NOT NULL,
+    pipedrive_entity_id VARCHAR(100) NOT NULL,
+    pipedrive_field VARCHAR(100) NOT NULL,
+    qb_value TEXT,
+    pipedrive_value TEXT,
+    synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, pipedrive_entity_type, pipedrive_entity_id, pipedrive_field)
+);
+
+-- Customer sync log: every reverse sync decision on a field whose QuickBooks and Pipedrive values
+-- differ (updated Pipedrive, kept Pipedrive's value, failed), with the conflict rule that applied
+CREATE TABLE IF NOT EXISTS customer_sync_log (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    qb_customer_id VARCHAR(100) NOT NULL,
+    pipedrive_entity_type VARCHAR(20) NOT NULL,
+    pipedrive_entity_id VARCHAR(100) NOT NULL,
+    qb_field VARCHAR(50) NOT NULL,
+    pipedrive_field VARCHAR(100) NOT NULL,
+    qb_value TEXT,
+    pipedrive_value TEXT,
+    decision VARCHAR(30) NOT NULL,
+    conflict_rule VARCHAR(20),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Columns added after their table was first created
+ALTER TABLE deal_mappings ADD COLUMN IF NOT EXISTS user_id VARCHAR(255);
+-- Deal IDs are only unique within a Pipedrive company, so deals are unique per tenant instead
+ALTER TABLE deal_mappings DROP CONSTRAINT IF EXISTS deal_mappings_deal_id_key;
+-- Deals linked before mappings had a tenant belong to the only user of a single-user install;
+-- other installs claim them with scripts/claim-deal-mappings.js
+UPDATE deal_mappings SET user_id = (SELECT pipedrive_user_id FROM users LIMIT 1)
+WHERE user_id IS NULL AND (SELECT COUNT(*) FROM users) = 1;
+
 -- Indexes for common queries
 CREATE INDEX IF NOT EXISTS idx_users_pipedrive_id ON users(pipedrive_user_id);
 CREATE INDEX IF NOT EXISTS idx_users_pipedrive_numeric_id ON users(pipedrive_numeric_id);
@@ -86,6 +344,27 @@ CREATE INDEX IF NOT EXISTS idx_deal_mappings_deal_id ON deal_mappings(deal_id);
 CREATE INDEX IF NOT EXISTS idx_pending_invoices_user_id ON pending_invoices(user_id);
 CREATE INDEX IF NOT EXISTS idx_pending_invoices_retry_count ON pending_invoices(retry_count);
 CREATE INDEX IF NOT EXISTS idx_invoice_mappings_invoice_id ON invoice_mappings(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_estimate_mappings_deal_id ON estimate_mappings(deal_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_invoices_next_run ON recurring_invoices(active, next_run_date);
+CREATE INDEX IF NOT EXISTS idx_recurring_invoices_deal_id ON recurring_invoices(deal_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_invoice_runs_schedule_id ON recurring_invoice_runs(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_bulk_invoice_jobs_user_id ON bulk_invoice_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_bulk_invoice_jobs_status ON bulk_invoice_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_bulk_invoice_job_items_job_id ON bulk_invoice_job_items(job_id);
+CREATE INDEX IF NOT EXISTS idx_deal_timeline_invoices_watching ON deal_timeline_invoices(watching, created_at);
+CREATE INDEX IF NOT EXISTS idx_deal_timeline_events_deal_id ON deal_timeline_events(deal_id);
+CREATE INDEX IF NOT EXISTS idx_deal_automation_runs_deal_id ON deal_automation_runs(deal_id);
+CREATE INDEX IF NOT EXISTS idx_deal_automation_runs_user_id ON deal_automation_runs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ar_sync_runs_user_id ON ar_sync_runs(user_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_contact_mappings_qb_customer_id ON contact_mappings(user_id, qb_customer_id);
+CREATE INDEX IF NOT EXISTS idx_deal_mappings_qb_customer_id ON deal_mappings(qb_customer_id);
+CREATE INDEX IF NOT EXISTS idx_deal_mappings_user_id ON deal_mappings(user_id, qb_customer_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deal_mappings_user_deal ON deal_mappings(user_id, deal_id);
+CREATE INDEX IF NOT EXISTS idx_customer_sync_log_user_id ON customer_sync_log(user_id, created_at);
+-- One AR sync at a time per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ar_sync_runs_running ON ar_sync_runs(user_id) WHERE status = 'running';
+-- Each trigger runs once per invoice; only failed runs may be repeated
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deal_automation_runs_once ON deal_automation_runs(invoice_id, trigger_event) WHERE status <> 'failed';
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -108,3 +387,51 @@ CREATE TRIGGER update_pending_invoices_updated_at
     BEFORE UPDATE ON pending_invoices
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_idempotency_keys_updated_at ON idempotency_keys;
+CREATE TRIGGER update_idempotency_keys_updated_at
+    BEFORE UPDATE ON idempotency_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_recurring_invoices_updated_at ON recurring_invoices;
+CREATE TRIGGER update_recurring_invoices_updated_at
+    BEFORE UPDATE ON recurring_invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_bulk_invoice_jobs_updated_at ON bulk_invoice_jobs;
+CREATE TRIGGER update_bulk_invoice_jobs_updated_at
+    BEFORE UPDATE ON bulk_invoice_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_bulk_invoice_job_items_updated_at ON bulk_invoice_job_items;
+CREATE TRIGGER update_bulk_invoice_job_items_updated_at
+    BEFORE UPDATE ON bulk_invoice_job_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_deal_timeline_invoices_updated_at ON deal_timeline_invoices;
+CREATE TRIGGER update_deal_timeline_invoices_updated_at
+    BEFORE UPDATE ON deal_timeline_invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_contact_mappings_updated_at ON contact_mappings;
+CREATE TRIGGER update_contact_mappings_updated_at
+    BEFORE UPDATE ON contact_mappings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_customer_field_mappings_updated_at ON customer_field_mappings;
+CREATE TRIGGER update_customer_field_mappings_updated_at
+    BEFORE UPDATE ON customer_field_mappings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_customer_sync_watermarks_updated_at ON customer_sync_watermarks;
+CREATE TRIGGER update_customer_sync_watermarks_updated_at
+    BEFORE UPDATE ON customer_sync_watermarks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const { getUser, claimUnownedDealMappings } = require('../config/postgres');
+
+// Deal mappings saved before they were kept per tenant have no owner, so AR sync, the aging report
+// and customer reverse sync skip them. Single-user installs are claimed when the schema is applied;
+// on other installs run this once with the Pipedrive user that owns them:
+//   node scripts/claim-deal-mappings.js <pipedriveUserId>
+async function claimDealMappings(providedUserId) {
+  if (!providedUserId) {
+    console.error('Usage: node scripts/claim-deal-mappings.js <pipedriveUserId>');
+    process.exit(1);
+  }
+
+  try {
+    const userData = await getUser(providedUserId);
+    if (!userData) {
+      console.error(`User ${providedUserId} not found`);
+      process.exit(1);
+    }
+
+    const claimed = await claimUnownedDealMappings(userData.pipedrive_user_id);
+    console.log(`Claimed ${claimed} deal mapping(s) for ${userData.pipedrive_user_id}`);
+  } catch (error) {
+    console.error('Claiming deal mappings failed:', error);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+claimDealMappings(process.argv[2]);
@@ -2,6 +2,7 @@ require('dotenv').config();
 const Database = require("@replit/database");
 const { 
   initializeDatabase,
+  getUser,
   setUser, 
   setDealMapping, 
   addPendingInvoice, 
@@ -29,6 +30,11 @@ async function migrateData() {
     let invoiceMappingCount = 0;
     let errorCount = 0;
     
+    // KV deal mappings have no tenant, so they are written once the users are in: under the
+    // Pipedrive user given on the command line, else the only user migrated
+    const dealMappings = [];
+    const migratedUsers = [];
+    
     for (const key of keys) {
       try {
         const result = await kvDb.get(key);
@@ -40,10 +46,7 @@ async function migrateData() {
         }
         
         if (key.startsWith('deal_mapping:')) {
-          const dealId = key.replace('deal_mapping:', '');
-          await setDealMapping(dealId, data.qbCustomerId, data.customerName);
-          dealMappingCount++;
-          console.log(`  Migrated deal mapping: ${dealId}`);
+          dealMappings.push({ dealId: key.replace('deal_mapping:', ''), data });
           
         } else if (key.startsWith('ss_pending:')) {
           await addPendingInvoice(
@@ -88,6 +91,7 @@ async function migrateData() {
             setup_completed_at: data.setup_completed_at
           });
           userCount++;
+          migratedUsers.push(key);
           console.log(`  Migrated user: ${key}`);
         }
         
@@ -97,6 +101,23 @@ async function migrateData() {
       }
     }
     
+    const ownerId = process.argv[2] || (migratedUsers.length === 1 ? migratedUsers[0] : null);
+    const owner = ownerId ? await getUser(ownerId) : null;
+    if (dealMappings.length > 0 && !owner) {
+      console.log(`\n  ${dealMappings.length} deal mapping(s) not migrated - rerun with their owner: node scripts/migrate-to-postgres.js <pipedriveUserId>`);
+    }
+    
+    for (const { dealId, data } of owner ? dealMappings : []) {
+      try {
+        await setDealMapping(owner.pipedrive_user_id, dealId, data.qbCustomerId, data.customerName);
+        dealMappingCount++;
+        console.log(`  Migrated deal mapping: ${dealId}`);
+      } catch (error) {
+        console.error(`  Error migrating deal mapping ${dealId}:`, error.message);
+        errorCount++;
+      }
+    }
+    
     console.log('\n=== Migration Summary ===');
     console.log(`Users migrated: ${userCount}`);
     console.log(`Deal mappings migrated: ${dealMappingCount}`);
@@ -3,6 +3,11 @@ const express = require('express');
 const path = require('path');
 const routes = require('./src/routes/index');
 const { startPolling } = require('./src/jobs/paymentPoller');
+const { startRecurringInvoices } = require('./src/jobs/recurringInvoices');
+const { startBulkInvoices } = require('./src/jobs/bulkInvoices');
+const { startDealTimeline } = require('./src/jobs/dealTimeline');
+const { startArSyncSchedule } = require('./src/jobs/arSync');
+const { startCustomerReverseSyncSchedule } = require('./src/jobs/customerReverseSync');
 const { initializeDatabase } = require('./config/postgres');
 
 const app = express();
@@ -29,6 +34,11 @@ async function startServer() {
       console.log(`Server is running on port ${PORT}`);
       
       startPolling();
+      startRecurringInvoices();
+      startBulkInvoices();
+      startDealTimeline();
+      startArSyncSchedule();
+      startCustomerReverseSyncSchedule();
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -1,16 +1,65 @@
-const { getUser } = require('../../config/postgres');
-const pipedrive = require('pipedrive');
-const OAuthClient = require('intuit-oauth');
+const {
+  getUser,
+  getCustomerFieldMappings,
+  setContactMapping,
+  getContactMapping,
+  listContactMappingsForCustomer,
+  listDealMappingsForCustomer,
+  getCustomerSyncFields,
+  setCustomerSyncField,
+  addCustomerSyncLog
+} = require('../../config/postgres');
+const {
+  CUSTOMER_FIELD_TARGETS,
+  getDefaultCustomerMapping,
+  listMappingFieldKeys,
+  applyCustomerMapping,
+  getReversibleRules,
+  readQBCustomerValue,
+  pickReverseSource,
+  readPipedriveValue,
+  setPipedriveValue,
+  normalizeSyncValue
+} = require('../utils/customerMapping');
+const { getQBBaseUrl, makeQBApiCall, getQBResponseData, runQBQuery } = require('../services/quickbooks');
+const { makePipedriveApiCall } = require('../services/pipedrive');
+const { findDuplicateCustomers, rememberCreatedCustomer } = require('../services/customers');
 
-// Helper function to get the correct QuickBooks API base URL based on environment
-function getQBBaseUrl() {
-  const env = process.env.QB_ENVIRONMENT || 'sandbox';
-  return env === 'production' 
-    ? 'https://quickbooks.api.intuit.com'
-    : 'https://sandbox-quickbooks.api.intuit.com';
+// Pipedrive field definition endpoints, for turning custom option IDs into labels
+const PIPEDRIVE_FIELDS_PATHS = {
+  person: 'personFields',
+  organization: 'organizationFields'
+};
+
+// The Pipedrive field definitions a mapping needs - only loaded when it reads custom fields
+async function loadMappingFields(pipedriveUserId, userData, entityType, rules) {
+  const usesCustomFields = listMappingFieldKeys(rules).some(key => /^[0-9a-f]{40}$/.test(key));
+  if (!usesCustomFields) {
+    return [];
+  }
+  
+  // Organization mappings may read the contact person's custom fields too
+  const fieldTypes = entityType === 'organization' ? ['organization', 'person'] : ['person'];
+  const fields = [];
+  for (const fieldType of fieldTypes) {
+    const result = await makePipedriveApiCall(userData, 'GET', `/api/v1/${PIPEDRIVE_FIELDS_PATHS[fieldType]}?limit=500`, null, pipedriveUserId);
+    fields.push(...(result?.data || []));
+  }
+  return fields;
+}
+
+// The install's saved customer field mapping for an entity type (else the default one),
+// with the field definitions it needs. Mappings are saved under the user's own pipedrive_user_id,
+// whichever ID format the caller was given
+async function loadCustomerMapping(pipedriveUserId, userData, entityType) {
+  const saved = (await getCustomerFieldMappings(userData.pipedrive_user_id))[entityType];
+  const rules = saved ? saved.rules : getDefaultCustomerMapping(entityType, userData.invoice_preferences || {});
+  const fields = await loadMappingFields(pipedriveUserId, userData, entityType, rules);
+  return { rules, fields, isDefault: !saved };
 }
 
-async function syncContact(pipedriveUserId, personId) {
+// options: { qbCustomerId (update this customer), allowDuplicate (create even if it looks like a duplicate) }
+async function syncContact(pipedriveUserId, personId, options = {}) {
   try {
     // 1. Get user tokens from Replit DB
     console.log(`Starting sync for user: ${pipedriveUserId}, person: ${personId}`);
@@ -23,23 +72,15 @@ async function syncContact(pipedriveUserId, personId) {
     if (!userData.access_token || !userData.qb_access_token) {
       throw new Error('Missing required tokens');
     }
-
-    // 2. Initialize Pipedrive client with OAuth access token
-    const apiClient = pipedrive.ApiClient.instance;
-    const oauth2 = apiClient.authentications.oauth2;
-    oauth2.accessToken = userData.access_token;
     
-    // If api_domain is available, set the base path
-    if (userData.api_domain) {
-      apiClient.basePath = `https://${userData.api_domain}.pipedrive.com/api/v1`;
-    }
+    // Contact mappings are kept under the user's own key, whichever ID the request used
+    const tenantId = userData.pipedrive_user_id;
 
-    // 3. Fetch person from Pipedrive
-    const personsApi = new pipedrive.PersonsApi();
+    // 2. Fetch person from Pipedrive (raw API data, so custom field keys are kept)
     console.log(`Fetching person ${personId} from Pipedrive...`);
     
-    const personResponse = await personsApi.getPerson(personId);
-    const person = personResponse.data;
+    const personResponse = await makePipedriveApiCall(userData, 'GET', `/api/v1/persons/${personId}`, null, pipedriveUserId);
+    const person = personResponse?.data;
     
     if (!person) {
       throw new Error('Person not found in Pipedrive');
@@ -47,115 +88,41 @@ async function syncContact(pipedriveUserId, personId) {
 
     console.log(`Found person: ${person.name}`);
 
-    // 4. Map Pipedrive fields to QuickBooks fields
-    const qbCustomerData = {
-      DisplayName: person.name || 'Unknown',
-      PrimaryEmailAddr: person.email && person.email.length > 0 ? {
-        Address: person.email[0].value
-      } : undefined,
-      PrimaryPhone: person.phone && person.phone.length > 0 ? {
-        FreeFormNumber: person.phone[0].value
-      } : undefined
-    };
-
-    // 5. Initialize QuickBooks OAuth client
-    const qbClient = new OAuthClient({
-      clientId: process.env.QB_CLIENT_ID,
-      clientSecret: process.env.QB_CLIENT_SECRET,
-      environment: process.env.QB_ENVIRONMENT || 'sandbox',
-      redirectUri: process.env.APP_URL + '/auth/qb/callback',
-      logging: false
-    });
-
-    // Set the access token
-    qbClient.setToken({
-      access_token: userData.qb_access_token,
-      refresh_token: userData.qb_refresh_token,
-      token_type: 'Bearer',
-      expires_in: userData.qb_expires_in,
-      x_refresh_token_expires_in: 8726400,
-      realmId: userData.qb_realm_id
-    });
-
-    const companyId = userData.qb_realm_id;
-    const baseUrl = getQBBaseUrl();
+    // 3-4. Map Pipedrive fields to QuickBooks fields with the install's customer field mapping
+    const mapping = await loadCustomerMapping(pipedriveUserId, userData, 'person');
+    const { customerData: qbCustomerData, missingRequired } = applyCustomerMapping(mapping.rules, { record: person, fields: mapping.fields });
     
-    // 6. Check if customer exists in QuickBooks
-    const query = `SELECT * FROM Customer WHERE DisplayName = '${person.name.replace(/'/g, "\\'")}'`;
-    const encodedQuery = encodeURIComponent(query);
-    
-    console.log(`Querying QuickBooks for existing customer...`);
-    
-    let existingCustomer = null;
-    try {
-      const queryResponse = await qbClient.makeApiCall({
-        url: `${baseUrl}/v3/company/${companyId}/query?query=${encodedQuery}`,
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      const queryResult = JSON.parse(queryResponse.text());
-      if (queryResult.QueryResponse && queryResult.QueryResponse.Customer && queryResult.QueryResponse.Customer.length > 0) {
-        existingCustomer = queryResult.QueryResponse.Customer[0];
-        console.log(`Found existing customer with ID: ${existingCustomer.Id}`);
-      }
-    } catch (queryError) {
-      console.log('Customer not found, will create new one');
+    if (missingRequired.length > 0) {
+      const error = new Error(`Person ${person.name || personId} has no value for required QuickBooks field(s): ${missingRequired.join(', ')}`);
+      error.validationError = true;
+      throw error;
     }
 
-    let qbCustomerId;
-    
+    // 5-7. Update the customer this person was synced or attached to before (by contact mapping,
+    // so a renamed person keeps its customer), else one with the same DisplayName, else create one
+    // unless it looks like a duplicate of an existing customer
+    const existing = await findCustomerToUpdate(tenantId, userData, 'person', personId, qbCustomerData, options);
+    const existingCustomer = existing ? existing.customer : null;
     if (existingCustomer) {
-      // 7a. Update existing customer (sparse update)
-      console.log(`Updating customer ${existingCustomer.Id}...`);
-      
-      const updateData = {
-        ...qbCustomerData,
-        Id: existingCustomer.Id,
-        SyncToken: existingCustomer.SyncToken,
-        sparse: true
-      };
-
-      const updateResponse = await qbClient.makeApiCall({
-        url: `${baseUrl}/v3/company/${companyId}/customer?minorversion=65`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(updateData)
-      });
-
-      const updatedCustomer = JSON.parse(updateResponse.text()).Customer;
-      qbCustomerId = updatedCustomer.Id;
-      console.log(`Successfully updated customer ${qbCustomerId}`);
-      
-    } else {
-      // 7b. Create new customer
-      console.log('Creating new customer...');
-      
-      const createResponse = await qbClient.makeApiCall({
-        url: `${baseUrl}/v3/company/${companyId}/customer?minorversion=65`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(qbCustomerData)
-      });
-
-      const newCustomer = JSON.parse(createResponse.text()).Customer;
-      qbCustomerId = newCustomer.Id;
-      console.log(`Successfully created customer ${qbCustomerId}`);
-    }
-
-    // 8. Log success and return result
+      console.log(`Found existing customer ${existingCustomer.Id} by ${existing.matchedBy}`);
+    }
+    
+    const { customer } = await saveCustomer(pipedriveUserId, userData, qbCustomerData, existingCustomer);
+    const qbCustomerId = customer.Id;
+    console.log(`Successfully ${existingCustomer ? 'updated' : 'created'} customer ${qbCustomerId}`);
+
+    // 8. Record the customer as built from this person
+    await setContactMapping(tenantId, 'person', personId, qbCustomerId, 'person');
+
+    // 9. Log success and return result
     console.log(`Sync completed successfully! QB Customer ID: ${qbCustomerId}`);
     
     return {
       success: true,
       qbCustomerId: qbCustomerId,
       action: existingCustomer ? 'updated' : 'created',
+      matchedBy: existing ? existing.matchedBy : null,
+      source: 'person',
       pipedrivePersonId: personId,
       pipedrivePersonName: person.name
     };
@@ -166,6 +133,529 @@ async function syncContact(pipedriveUserId, personId) {
   }
 }
 
+// How an organization's persons are carried over to QuickBooks:
+// none - only the billing contact's details, on the organization's customer
+// contacts - each person is recorded as a contact of the organization's customer
+// subcustomers - each person also becomes a sub-customer billed with the organization
+const ORGANIZATION_PERSON_MODES = ['none', 'contacts', 'subcustomers'];
+
+// The billing contact: the requested person, else the first with a billing email, else the first person
+function pickBillingPerson(persons, billingPersonId) {
+  if (billingPersonId) {
+    return persons.find(person => String(person.id) === String(billingPersonId)) || null;
+  }
+  return persons.find(person => (person.email || []).some(e => (e.label || '').toLowerCase() === 'billing')) || persons[0] || null;
+}
+
+// The customer a Pipedrive record was synced or attached to before (by contact mapping), else one
+// with the same DisplayName. Returns { customer, matchedBy: 'mapping' | 'name' } or null
+// A person linked as a contact of its organization's customer doesn't own that customer, so the
+// link isn't followed for it
+async function findExistingCustomer(userId, userData, entityType, entityId, displayName) {
+  const mapping = await getContactMapping(userId, entityType, entityId);
+  if (mapping && !(entityType === 'person' && mapping.source === 'organization')) {
+    const result = await runQBQuery(userId, userData, `SELECT * FROM Customer WHERE Id = '${mapping.qbCustomerId}'`);
+    const customer = (result.Customer || [])[0];
+    if (customer) return { customer, matchedBy: 'mapping' };
+    console.log(`[ContactMapping] Mapped customer ${mapping.qbCustomerId} for ${entityType} ${entityId} no longer exists or is inactive`);
+  }
+  
+  const result = await runQBQuery(userId, userData, `SELECT * FROM Customer WHERE DisplayName = '${displayName.replace(/'/g, "\\'")}'`);
+  const customer = (result.Customer || [])[0];
+  return customer ? { customer, matchedBy: 'name' } : null;
+}
+
+// The customer a sync should update: the one the caller picked (qbCustomerId), else the mapped or
+// same-name one. Before a new customer is created, existing customers are checked for likely
+// duplicates - unless allowDuplicate is set, one stops the sync with the matches to choose from
+// Returns { customer, matchedBy: 'selected' | 'mapping' | 'name' }, or null to create a customer
+async function findCustomerToUpdate(userId, userData, entityType, entityId, customerData, options = {}) {
+  if (options.qbCustomerId) {
+    const result = await runQBQuery(userId, userData, `SELECT * FROM Customer WHERE Id = '${String(options.qbCustomerId).replace(/'/g, '')}'`);
+    const customer = (result.Customer || [])[0];
+    if (!customer) {
+      const error = new Error(`QuickBooks customer ${options.qbCustomerId} not found`);
+      error.validationError = true;
+      throw error;
+    }
+    return { customer, matchedBy: 'selected' };
+  }
+  
+  const existing = await findExistingCustomer(userId, userData, entityType, entityId, customerData.DisplayName);
+  if (existing || options.allowDuplicate) {
+    return existing;
+  }
+  
+  const matches = await findDuplicateCustomers(userId, userData, customerData);
+  if (matches.some(match => match.likelyDuplicate)) {
+    const error = new Error(`A similar QuickBooks customer already exists for "${customerData.DisplayName}". Pick one of the matches as qbCustomerId, or set allowDuplicate to create it anyway`);
+    error.duplicateCustomer = true;
+    error.matches = matches;
+    throw error;
+  }
+  return null;
+}
+
+// Create the customer, or sparse-update the existing one. Returns { customer, action }
+async function saveCustomer(userId, userData, customerData, existingCustomer) {
+  const body = existingCustomer
+    ? { ...customerData, Id: existingCustomer.Id, SyncToken: existingCustomer.SyncToken, sparse: true }
+    : customerData;
+  
+  const response = await makeQBApiCall(userId, userData, async (qbClient, currentUserData) => {
+    return await qbClient.makeApiCall({
+      url: `${getQBBaseUrl()}/v3/company/${userData.qb_realm_id}/customer?minorversion=65`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+  });
+  
+  const customer = getQBResponseData(response).Customer;
+  if (!customer) {
+    throw new Error(`QuickBooks did not return the ${existingCustomer ? 'updated' : 'new'} customer "${customerData.DisplayName}"`);
+  }
+  if (!existingCustomer) {
+    rememberCreatedCustomer(userData, customer);
+  }
+  return { customer, action: existingCustomer ? 'updated' : 'created' };
+}
+
+// Sync a Pipedrive organization to a QuickBooks customer through the install's organization field
+// mapping - by default its name, address and tax ID plus the billing contact's name, email and phone
+// options: { billingPersonId, persons: 'none' | 'contacts' | 'subcustomers', qbCustomerId, allowDuplicate }
+async function syncOrganization(pipedriveUserId, organizationId, options = {}) {
+  const personMode = options.persons || 'none';
+  
+  if (!ORGANIZATION_PERSON_MODES.includes(personMode)) {
+    const error = new Error(`persons must be one of: ${ORGANIZATION_PERSON_MODES.join(', ')}`);
+    error.validationError = true;
+    throw error;
+  }
+  
+  console.log(`[OrgSync] Starting sync for user: ${pipedriveUserId}, organization: ${organizationId}`);
+  const userData = await getUser(pipedriveUserId);
+  
+  if (!userData) {
+    throw new Error('User not found in database');
+  }
+  
+  if (!(userData.access_token || userData.pipedrive_access_token) || !userData.qb_access_token) {
+    throw new Error('Missing required tokens');
+  }
+  
+  // Contact mappings are kept under the user's own key, whichever ID the request used
+  const tenantId = userData.pipedrive_user_id;
+  
+  const [organizationResult, personsResult] = await Promise.all([
+    makePipedriveApiCall(userData, 'GET', `/api/v1/organizations/${organizationId}`, null, pipedriveUserId),
+    // The first 500 persons; larger organizations are not expected here
+    makePipedriveApiCall(userData, 'GET', `/api/v1/organizations/${organizationId}/persons?limit=500`, null, pipedriveUserId)
+  ]);
+  
+  const organization = organizationResult?.data;
+  if (!organization) {
+    throw new Error('Organization not found in Pipedrive');
+  }
+  
+  const persons = personsResult?.data || [];
+  const billingPerson = pickBillingPerson(persons, options.billingPersonId);
+  if (options.billingPersonId && !billingPerson) {
+    const error = new Error(`Person ${options.billingPersonId} does not belong to organization ${organization.name}`);
+    error.validationError = true;
+    throw error;
+  }
+  
+  const mapping = await loadCustomerMapping(pipedriveUserId, userData, 'organization');
+  const { customerData, missingRequired } = applyCustomerMapping(mapping.rules, { record: organization, contact: billingPerson, fields: mapping.fields });
+  if (missingRequired.length > 0) {
+    const error = new Error(`Organization ${organization.name} has no value for required QuickBooks field(s): ${missingRequired.join(', ')}`);
+    error.validationError = true;
+    throw error;
+  }
+  
+  const existing = await findCustomerToUpdate(tenantId, userData, 'organization', organization.id, customerData, options);
+  const { customer, action } = await saveCustomer(pipedriveUserId, userData, customerData, existing ? existing.customer : null);
+  await setContactMapping(tenantId, 'organization', organization.id, customer.Id, 'organization');
+  console.log(`[OrgSync] Organization ${organization.id} ${action} as customer ${customer.Id}`);
+  
+  const personResults = [];
+  const personMapping = personMode === 'subcustomers' ? await loadCustomerMapping(pipedriveUserId, userData, 'person') : null;
+  if (personMode !== 'none') {
+    for (const person of persons) {
+      try {
+        if (personMode === 'contacts') {
+          // A person synced or attached to its own customer keeps that mapping
+          const ownMapping = await getContactMapping(tenantId, 'person', person.id);
+          if (ownMapping && ownMapping.source !== 'organization') {
+            personResults.push({ personId: person.id, name: person.name, qbCustomerId: ownMapping.qbCustomerId, action: 'kept' });
+            continue;
+          }
+          await setContactMapping(tenantId, 'person', person.id, customer.Id, 'organization');
+          personResults.push({ personId: person.id, name: person.name, qbCustomerId: customer.Id, action: 'linked' });
+          continue;
+        }
+        
+        // Sub-customers use the person mapping; their names must be unique across all customers,
+        // so they carry the organization's name
+        const personFields = applyCustomerMapping(personMapping.rules, { record: person, fields: personMapping.fields }).customerData;
+        const displayName = `${personFields.DisplayName || person.name} (${organization.name})`;
+        const existingSubCustomer = await findExistingCustomer(tenantId, userData, 'person', person.id, displayName);
+        // A person synced to a customer of its own keeps it - only the organization's sub-customers
+        // are updated, so a standalone customer is never renamed or moved under the organization
+        if (existingSubCustomer && existingSubCustomer.matchedBy === 'mapping' && existingSubCustomer.customer.ParentRef?.value !== customer.Id) {
+          personResults.push({ personId: person.id, name: person.name, qbCustomerId: existingSubCustomer.customer.Id, action: 'kept' });
+          continue;
+        }
+        const saved = await saveCustomer(pipedriveUserId, userData, {
+          ...personFields,
+          DisplayName: displayName,
+          Job: true,
+          ParentRef: { value: customer.Id },
+          BillWithParent: true
+        }, existingSubCustomer ? existingSubCustomer.customer : null);
+        await setContactMapping(tenantId, 'person', person.id, saved.customer.Id, 'person');
+        personResults.push({ personId: person.id, name: person.name, qbCustomerId: saved.customer.Id, action: saved.action });
+      } catch (personError) {
+        console.error(`[OrgSync] Could not sync person ${person.id} (${person.name}):`, personError.message);
+        personResults.push({ personId: person.id, name: person.name, error: personError.message });
+      }
+    }
+  }
+  
+  return {
+    success: true,
+    qbCustomerId: customer.Id,
+    action,
+    source: 'organization',
+    pipedriveOrganizationId: organization.id,
+    pipedriveOrganizationName: organization.name,
+    billingPersonId: billingPerson ? billingPerson.id : null,
+    persons: personResults
+  };
+}
+
+// Conflict rules for QuickBooks -> Pipedrive customer sync, when a field changed on both sides
+// (or was never synced): QuickBooks' value, Pipedrive's value, or whichever record was edited last
+const CUSTOMER_CONFLICT_RULES = ['qbo_wins', 'pipedrive_wins', 'newest_wins'];
+
+// Deals only carry contact details back to their person and organization - a deal's contacts
+// aren't necessarily named after the customer it was invoiced to
+const DEAL_SYNC_FIELD_TYPES = ['email', 'phone', 'url', 'address'];
+
+// QuickBooks Change Data Capture only looks back 30 days and returns at most 1000 objects
+const CDC_MAX_DAYS = 30;
+const CDC_MAX_RESULTS = 1000;
+
+function getReverseSyncSettings(userData) {
+  const settings = (userData.invoice_preferences || {}).reverseSync || {};
+  return {
+    enabled: !!settings.enabled,
+    conflictRule: CUSTOMER_CONFLICT_RULES.includes(settings.conflictRule) ? settings.conflictRule : 'qbo_wins'
+  };
+}
+
+// Pipedrive times are UTC without a zone ('2024-05-01 10:00:00')
+function parsePipedriveTime(value) {
+  if (!value) return null;
+  const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Customers created or edited in QuickBooks since changedSince (deleted ones are left out)
+async function listChangedQBCustomers(userId, userData, changedSince) {
+  const params = new URLSearchParams({ entities: 'Customer', changedSince });
+  
+  const response = await makeQBApiCall(userId, userData, async (qbClient) => {
+    return await qbClient.makeApiCall({
+      url: `${getQBBaseUrl()}/v3/company/${userData.qb_realm_id}/cdc?${params.toString()}&minorversion=65`,
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  });
+  
+  const queryResponses = (getQBResponseData(response).CDCResponse || [])[0]?.QueryResponse || [];
+  return queryResponses
+    .flatMap(queryResponse => queryResponse.Customer || [])
+    .filter(customer => customer.status !== 'Deleted');
+}
+
+// The Pipedrive records a QuickBooks customer is linked to: persons and organizations synced to it
+// (contact mappings), then the person and organization of deals invoiced to it (deal mappings)
+// Persons linked to an organization's customer as its contacts are left out - the customer is the organization
+async function listCustomerSyncTargets(userId, userData, qbCustomerId) {
+  const tenantId = userData.pipedrive_user_id || userId;
+  const targets = [];
+  const seen = new Set();
+  const addTarget = (entityType, entityId, scope) => {
+    const key = `${entityType}:${entityId}`;
+    if (!entityId || seen.has(key)) return;
+    seen.add(key);
+    targets.push({ entityType, entityId: String(entityId), scope });
+  };
+  
+  for (const mapping of await listContactMappingsForCustomer(tenantId, qbCustomerId)) {
+    if (mapping.entityType === 'person' && mapping.source === 'organization') continue;
+    // Contacts attached through a deal weren't built from the customer, so they're treated like deal contacts
+    addTarget(mapping.entityType, mapping.entityId, mapping.source === 'deal' ? 'deal' : 'customer');
+  }
+  
+  // Deals that can't be read (deleted since they were linked) are skipped
+  for (const dealMapping of await listDealMappingsForCustomer(tenantId, qbCustomerId)) {
+    try {
+      const deal = (await makePipedriveApiCall(userData, 'GET', `/api/v1/deals/${dealMapping.dealId}`, null, userId))?.data;
+      if (!deal) continue;
+      const personId = deal.person_id && typeof deal.person_id === 'object' ? deal.person_id.value : deal.person_id;
+      const organizationId = deal.org_id && typeof deal.org_id === 'object' ? deal.org_id.value : deal.org_id;
+      addTarget('person', personId, 'deal');
+      addTarget('organization', organizationId, 'deal');
+    } catch (dealError) {
+      console.log(`[CustomerSync] Skipping deal ${dealMapping.dealId} for customer ${qbCustomerId}: ${dealError.message}`);
+    }
+  }
+  
+  return targets;
+}
+
+// Decide whether QuickBooks' value should replace Pipedrive's, from the values at the last sync
+// Returns { update, reason }
+function decideCustomerField(target, qbValue, pipedriveValue, snapshot, conflictRule, qbUpdatedAt, pipedriveUpdatedAt) {
+  const qbNormalized = normalizeSyncValue(target, qbValue);
+  const pipedriveNormalized = normalizeSyncValue(target, pipedriveValue);
+  
+  if (!qbNormalized) {
+    return { update: false, reason: 'Empty in QuickBooks - Pipedrive values are never cleared' };
+  }
+  
+  if (snapshot) {
+    const qbChanged = normalizeSyncValue(target, snapshot.qbValue) !== qbNormalized;
+    const pipedriveChanged = normalizeSyncValue(target, snapshot.pipedriveValue) !== pipedriveNormalized;
+    if (qbChanged && !pipedriveChanged) return { update: true, reason: 'Changed in QuickBooks since the last sync' };
+    if (!qbChanged && pipedriveChanged) return { update: false, reason: 'Changed in Pipedrive since the last sync' };
+    if (!qbChanged) return { update: false, reason: 'Unchanged on both sides since the last sync' };
+  }
+  
+  const conflict = snapshot ? 'Changed on both sides' : 'Not synced before';
+  if (conflictRule === 'pipedrive_wins') {
+    return { update: false, reason: `${conflict} - Pipedrive wins` };
+  }
+  if (conflictRule === 'newest_wins') {
+    if (pipedriveUpdatedAt && qbUpdatedAt && pipedriveUpdatedAt > qbUpdatedAt) {
+      return { update: false, reason: `${conflict} - Pipedrive was edited last` };
+    }
+    return { update: true, reason: `${conflict} - QuickBooks was edited last` };
+  }
+  return { update: true, reason: `${conflict} - QuickBooks wins` };
+}
+
+// Apply a QuickBooks customer's values to one Pipedrive record through reversible mapping rules,
+// with a single update call. Every field whose values differ is logged with the decision taken
+async function syncCustomerToRecord(userId, userData, customer, entityType, record, rules, conflictRule) {
+  const counts = { updated: 0, kept: 0, failed: 0, inSync: 0 };
+  const snapshots = await getCustomerSyncFields(userId, entityType, record.id);
+  const qbUpdatedAt = customer.MetaData?.LastUpdatedTime ? new Date(customer.MetaData.LastUpdatedTime) : null;
+  const pipedriveUpdatedAt = parsePipedriveTime(record.update_time);
+  const update = {};
+  const decisions = [];
+  const seenSources = new Set();
+  
+  for (const rule of rules) {
+    // Several QuickBooks fields can come from one Pipedrive field (DisplayName and CompanyName
+    // from an organization's name) - the first rule decides it
+    const source = pickReverseSource(rule, record);
+    if (seenSources.has(source)) continue;
+    seenSources.add(source);
+    
+    const qbValue = readQBCustomerValue(customer, rule.target);
+    const pipedriveValue = readPipedriveValue(record, source);
+    
+    if (normalizeSyncValue(rule.target, qbValue) === normalizeSyncValue(rule.target, pipedriveValue)) {
+      await setCustomerSyncField(userId, customer.Id, entityType, record.id, source, qbValue, pipedriveValue);
+      counts.inSync++;
+      continue;
+    }
+    
+    const decision = decideCustomerField(rule.target, qbValue, pipedriveValue, snapshots.get(source), conflictRule, qbUpdatedAt, pipedriveUpdatedAt);
+    if (decision.update) {
+      setPipedriveValue(update, record, source, qbValue);
+    }
+    decisions.push({ rule, source, qbValue, pipedriveValue, ...decision });
+  }
+  
+  let updateError = null;
+  if (Object.keys(update).length > 0) {
+    const path = entityType === 'organization' ? 'organizations' : 'persons';
+    try {
+      await makePipedriveApiCall(userData, 'PUT', `/api/v1/${path}/${record.id}`, update, userId);
+    } catch (error) {
+      updateError = error.message;
+      console.error(`[CustomerSync] Could not update ${entityType} ${record.id} from customer ${customer.Id}:`, error.message);
+    }
+  }
+  
+  for (const decision of decisions) {
+    let outcome = decision.update ? 'updated_pipedrive' : 'kept_pipedrive';
+    if (decision.update && updateError) {
+      outcome = 'failed';
+    }
+    
+    await addCustomerSyncLog({
+      userId,
+      qbCustomerId: customer.Id,
+      entityType,
+      entityId: record.id,
+      qbField: decision.rule.target,
+      pipedriveField: decision.source,
+      qbValue: decision.qbValue,
+      pipedriveValue: decision.pipedriveValue,
+      decision: outcome,
+      conflictRule,
+      reason: outcome === 'failed' ? `${decision.reason} - update failed: ${updateError}` : decision.reason
+    });
+    
+    if (outcome === 'failed') {
+      counts.failed++;
+      continue;
+    }
+    
+    const syncedPipedriveValue = outcome === 'updated_pipedrive' ? decision.qbValue : decision.pipedriveValue;
+    await setCustomerSyncField(userId, customer.Id, entityType, record.id, decision.source, decision.qbValue, syncedPipedriveValue);
+    if (outcome === 'updated_pipedrive') {
+      counts.updated++;
+    } else {
+      counts.kept++;
+    }
+  }
+  
+  console.log(`[CustomerSync] Customer ${customer.Id} -> ${entityType} ${record.id}: ${counts.updated} updated, ${counts.kept} kept, ${counts.failed} failed`);
+  return counts;
+}
+
+// Bring one QuickBooks customer's changes to every Pipedrive record linked to it
+async function syncCustomerChanges(userId, userData, customer, conflictRule, mappingCache) {
+  const counts = { records: 0, updated: 0, kept: 0, failed: 0, inSync: 0 };
+  const addCounts = result => {
+    counts.records++;
+    for (const key of ['updated', 'kept', 'failed', 'inSync']) {
+      counts[key] += result[key];
+    }
+  };
+  
+  for (const target of await listCustomerSyncTargets(userId, userData, customer.Id)) {
+    if (!mappingCache[target.entityType]) {
+      const mapping = await loadCustomerMapping(userId, userData, target.entityType);
+      mappingCache[target.entityType] = getReversibleRules(mapping.rules, mapping.fields);
+    }
+    
+    let rules = mappingCache[target.entityType];
+    if (target.scope === 'deal') {
+      rules = rules.filter(rule => !rule.contact && DEAL_SYNC_FIELD_TYPES.includes(CUSTOMER_FIELD_TARGETS[rule.target].type));
+    }
+    // A sub-customer's DisplayName carries its organization's name, which isn't the person's name
+    if (customer.ParentRef) {
+      rules = rules.filter(rule => rule.target !== 'DisplayName');
+    }
+    if (rules.length === 0) continue;
+    
+    const path = target.entityType === 'organization' ? 'organizations' : 'persons';
+    const record = (await makePipedriveApiCall(userData, 'GET', `/api/v1/${path}/${target.entityId}`, null, userId))?.data;
+    if (!record) {
+      console.log(`[CustomerSync] ${target.entityType} ${target.entityId} no longer exists in Pipedrive, skipping`);
+      continue;
+    }
+    
+    addCounts(await syncCustomerToRecord(userId, userData, customer, target.entityType, record, rules.filter(rule => !rule.contact), conflictRule));
+    
+    // An organization's contact rules write to its billing person
+    const contactRules = rules.filter(rule => rule.contact);
+    if (target.entityType === 'organization' && contactRules.length > 0) {
+      const persons = (await makePipedriveApiCall(userData, 'GET', `/api/v1/organizations/${record.id}/persons?limit=500`, null, userId))?.data || [];
+      const billingPerson = pickBillingPerson(persons);
+      if (billingPerson) {
+        addCounts(await syncCustomerToRecord(userId, userData, customer, 'person', billingPerson, contactRules, conflictRule));
+      }
+    }
+  }
+  
+  return counts;
+}
+
+// Sync QuickBooks customer edits made since the watermark back to Pipedrive
+// Returns { summary, changedSince } with the watermark for the next run. The first run only sets it
+async function syncQuickBooksCustomerChanges(userId, userData, changedSince) {
+  const { conflictRule } = getReverseSyncSettings(userData);
+  const runStartedAt = new Date();
+  const summary = { customers: 0, records: 0, updated: 0, kept: 0, failed: 0, inSync: 0, errors: [] };
+  
+  if (!changedSince) {
+    console.log(`[CustomerSync] First run for user ${userId} - watching for changes from now on`);
+    return { summary, changedSince: runStartedAt.toISOString() };
+  }
+  
+  let since = new Date(changedSince);
+  const oldest = new Date(runStartedAt.getTime() - CDC_MAX_DAYS * 24 * 60 * 60 * 1000);
+  if (since < oldest) {
+    console.log(`[CustomerSync] Watermark ${changedSince} is older than ${CDC_MAX_DAYS} days, reading from ${oldest.toISOString()}`);
+    since = oldest;
+  }
+  
+  const customers = await listChangedQBCustomers(userId, userData, since.toISOString());
+  summary.customers = customers.length;
+  console.log(`[CustomerSync] ${customers.length} customer(s) changed in QuickBooks since ${since.toISOString()} for user ${userId}`);
+  
+  const mappingCache = {};
+  const failedTimes = [];
+  for (const customer of customers) {
+    try {
+      const counts = await syncCustomerChanges(userId, userData, customer, conflictRule, mappingCache);
+      for (const key of ['records', 'updated', 'kept', 'failed', 'inSync']) {
+        summary[key] += counts[key];
+      }
+    } catch (error) {
+      console.error(`[CustomerSync] Could not sync customer ${customer.Id}:`, error.message);
+      summary.errors.push({ qbCustomerId: customer.Id, error: error.message });
+      // Without a timestamp the customer is only read again from the current watermark
+      const lastUpdatedTime = customer.MetaData?.LastUpdatedTime;
+      failedTimes.push(lastUpdatedTime ? new Date(lastUpdatedTime) : since);
+    }
+  }
+  
+  // A full page may have left changes out - continue after the last one seen instead of from now
+  let nextChangedSince = runStartedAt;
+  if (customers.length >= CDC_MAX_RESULTS) {
+    const lastUpdated = customers
+      .map(customer => customer.MetaData?.LastUpdatedTime)
+      .filter(Boolean)
+      .map(time => new Date(time))
+      .sort((a, b) => b - a)[0];
+    if (lastUpdated) {
+      nextChangedSince = lastUpdated;
+    }
+  }
+  
+  // Hold the watermark at the earliest customer that failed, so the next run retries it
+  for (const failedTime of failedTimes) {
+    if (failedTime < nextChangedSince) {
+      nextChangedSince = failedTime;
+    }
+  }
+  
+  return { summary, changedSince: nextChangedSince.toISOString() };
+}
+
 module.exports = {
-  syncContact
+  CUSTOMER_CONFLICT_RULES,
+  ORGANIZATION_PERSON_MODES,
+  getReverseSyncSettings,
+  decideCustomerField,
+  loadCustomerMapping,
+  loadMappingFields,
+  pickBillingPerson,
+  syncContact,
+  syncOrganization,
+  syncQuickBooksCustomerChanges
 };
\ No newline at end of file
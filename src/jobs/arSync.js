@@ -0,0 +1,91 @@
+const cron = require('node-cron');
+const {
+  getUser,
+  listUsers,
+  startArSyncRun,
+  finishArSyncRun
+} = require('../../config/postgres');
+const { syncArFieldsForUser } = require('../services/deals');
+
+let arSyncJob = null;
+
+// Sync one user's AR figures into an already-started run
+async function processArSync(runId, userId) {
+  try {
+    const userData = await getUser(userId);
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      throw new Error('QuickBooks not connected for this user');
+    }
+    
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      throw new Error('Pipedrive not connected for this user');
+    }
+    
+    const summary = await syncArFieldsForUser(userId, userData);
+    
+    await finishArSyncRun(runId, 'completed', summary);
+  } catch (error) {
+    console.error(`[ARSync] Run ${runId} for user ${userId} failed:`, error.message);
+    await finishArSyncRun(runId, 'failed', null, error.message);
+  }
+}
+
+// Start a run and sync in the background. Returns the run ID, or null if one is already running
+async function startArSync(userId, trigger) {
+  const runId = await startArSyncRun(userId, trigger);
+  if (!runId) return null;
+  
+  console.log(`[ARSync] Run ${runId} started for user ${userId} (${trigger})`);
+  processArSync(runId, userId);
+  return runId;
+}
+
+// Sync every user that has AR fields configured, one at a time
+async function runScheduledArSync() {
+  console.log('[ARSync] Starting scheduled AR sync...');
+  
+  try {
+    for (const userId of await listUsers()) {
+      const userData = await getUser(userId);
+      const arFields = userData && userData.invoice_preferences && userData.invoice_preferences.arFields;
+      
+      if (!arFields || !userData.qb_access_token || !userData.qb_realm_id) continue;
+      
+      const runId = await startArSyncRun(userId, 'schedule');
+      if (!runId) {
+        console.log(`[ARSync] A sync is already running for user ${userId}, skipping...`);
+        continue;
+      }
+      
+      await processArSync(runId, userId);
+    }
+    
+    console.log('[ARSync] Scheduled AR sync complete');
+  } catch (error) {
+    console.error('[ARSync] Error in scheduled AR sync:', error.message);
+  }
+}
+
+// Not run at startup - every customer is re-read from QuickBooks, so restarts shouldn't trigger it
+function startArSyncSchedule() {
+  console.log('[ARSync] Starting AR sync service (every 6 hours)');
+  
+  arSyncJob = cron.schedule('0 */6 * * *', () => {
+    runScheduledArSync();
+  });
+}
+
+function stopArSyncSchedule() {
+  if (arSyncJob) {
+    arSyncJob.stop();
+    console.log('[ARSync] AR sync service stopped');
+  }
+}
+
+module.exports = {
+  startArSync,
+  runScheduledArSync,
+  startArSyncSchedule,
+  stopArSyncSchedule
+};
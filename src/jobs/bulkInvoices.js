@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const {
+  getUser,
+  addBulkInvoiceJobItems,
+  listBulkInvoiceJobItems,
+  claimBulkInvoiceJob,
+  touchBulkInvoiceJob,
+  finishBulkInvoiceJob,
+  updateBulkInvoiceJobItem,
+  setBulkInvoiceJobItemStep
+} = require('../../config/postgres');
+const { getQBInvoice, getQBFaultError } = require('../services/quickbooks');
+const { listPipedriveFilterDeals } = require('../services/pipedrive');
+const {
+  buildDealInvoiceDraft,
+  buildInvoicePayload,
+  createInvoicesInBatch,
+  runInvoiceSideEffects
+} = require('../services/invoicing');
+
+// QuickBooks accepts at most 30 operations per batch request
+const QB_BATCH_SIZE = 30;
+
+// Largest number of deals one job will invoice
+const MAX_BULK_INVOICE_DEALS = 500;
+
+let bulkJob = null;
+let processing = false;
+
+// Read the deal's products into an invoice payload and store it on the item ('ready'),
+// or fail the item with the reason it can't be invoiced
+async function prepareBulkInvoiceItem(job, item, userData) {
+  const options = job.options || {};
+  
+  const draft = await buildDealInvoiceDraft(job.userId, userData, item.dealId);
+  
+  if (!draft.customerId) {
+    await updateBulkInvoiceJobItem(item.id, { status: 'failed', error: 'Deal is not linked to a QuickBooks customer' });
+    return;
+  }
+  
+  if (draft.lineItems.length === 0) {
+    await updateBulkInvoiceJobItem(item.id, {
+      status: 'failed',
+      customerId: draft.customerId,
+      unmatched: draft.unmatched,
+      error: 'None of the deal\'s products match a QuickBooks item'
+    });
+    return;
+  }
+  
+  if (draft.unmatched.length > 0 && !options.allowUnmatched) {
+    await updateBulkInvoiceJobItem(item.id, {
+      status: 'failed',
+      customerId: draft.customerId,
+      unmatched: draft.unmatched,
+      error: `${draft.unmatched.length} product(s) could not be matched to QuickBooks items`
+    });
+    return;
+  }
+  
+  const payload = await buildInvoicePayload(job.userId, userData, {
+    customerId: draft.customerId,
+    lineItems: draft.lineItems,
+    discount: draft.discount,
+    dealId: item.dealId,
+    dueDate: options.dueDate,
+    memo: options.memo,
+    paymentTerms: options.paymentTerms,
+    txnTaxCodeId: options.txnTaxCodeId
+  });
+  
+  if (payload.error) {
+    await updateBulkInvoiceJobItem(item.id, { status: 'failed', customerId: draft.customerId, error: payload.error });
+    return;
+  }
+  
+  await updateBulkInvoiceJobItem(item.id, {
+    status: 'ready',
+    customerId: draft.customerId,
+    invoicePayload: payload.invoiceData,
+    sideEffectOptions: { sendEmail: !!options.sendEmail, billEmail: payload.billEmail || null },
+    unmatched: draft.unmatched.length > 0 ? draft.unmatched : null
+  });
+}
+
+// Send one batch of invoices to QuickBooks and record each deal's outcome
+// Returns the created invoices by item ID so side effects don't need to re-read them
+async function sendBulkInvoiceBatch(job, items, userData, batchRequestId) {
+  const created = new Map();
+  
+  let outcomes;
+  try {
+    outcomes = await createInvoicesInBatch(job.userId, userData, items.map(item => ({
+      bId: String(item.id),
+      invoiceData: item.invoicePayload
+    })), batchRequestId);
+  } catch (error) {
+    const fault = getQBFaultError(error);
+    if (!fault) {
+      // No answer from QuickBooks - the items stay 'creating' and the same batch is re-sent later
+      const retryError = new Error(`QuickBooks batch request failed: ${error.message}`);
+      retryError.retryable = true;
+      throw retryError;
+    }
+    for (const item of items) {
+      await updateBulkInvoiceJobItem(item.id, { status: 'failed', error: fault.Detail || fault.Message });
+    }
+    return created;
+  }
+  
+  for (const item of items) {
+    const outcome = outcomes.get(String(item.id)) || { error: 'No response from QuickBooks for this invoice' };
+    
+    if (outcome.invoice) {
+      created.set(item.id, outcome.invoice);
+      await updateBulkInvoiceJobItem(item.id, {
+        status: 'created',
+        invoiceId: outcome.invoice.Id,
+        invoiceNumber: outcome.invoice.DocNumber,
+        totalAmount: outcome.invoice.TotalAmt
+      });
+    } else {
+      await updateBulkInvoiceJobItem(item.id, { status: 'failed', error: outcome.error });
+    }
+  }
+  
+  console.log(`[BulkInvoices] Job ${job.id} batch ${batchRequestId}: ${created.size}/${items.length} invoice(s) created`);
+  return created;
+}
+
+// Email, ShipStation and the rest for one created invoice; the line items came from the
+// deal's products, so they are not synced back to the deal
+async function finishBulkInvoiceItem(job, item, userData, invoice) {
+  if (!invoice) {
+    invoice = await getQBInvoice(job.userId, userData, item.invoiceId);
+    if (!invoice) {
+      await updateBulkInvoiceJobItem(item.id, { status: 'failed', error: `Invoice ${item.invoiceId} was not found in QuickBooks` });
+      return;
+    }
+  }
+  
+  const sideEffectOptions = item.sideEffectOptions || {};
+  await runInvoiceSideEffects(job.userId, userData, invoice, {
+    sendEmail: sideEffectOptions.sendEmail,
+    billEmail: sideEffectOptions.billEmail,
+    paymentTerm: null,
+    dealId: item.dealId,
+    lineItems: [],
+    completedSteps: {
+      pipedriveProducts: { status: 'skipped', pipedriveProductsSync: { synced: 0, skipped: 0, errors: 0 } },
+      ...item.steps
+    },
+    onStepComplete: (step, outcome) => setBulkInvoiceJobItemStep(item.id, step, outcome)
+  });
+  
+  await updateBulkInvoiceJobItem(item.id, { status: 'success' });
+}
+
+// Work a job through its stages: read the Pipedrive filter, build each deal's invoice,
+// create the invoices in QuickBooks batches, then run each invoice's side effects.
+// Every stage picks up from the items' saved status, so a reclaimed job resumes where it stopped.
+async function processBulkInvoiceJob(job) {
+  console.log(`[BulkInvoices] Processing job ${job.id} for user ${job.userId}`);
+  
+  try {
+    const userData = await getUser(job.userId);
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      throw new Error('QuickBooks not connected for this user');
+    }
+    
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      throw new Error('Pipedrive not connected for this user');
+    }
+    
+    if (job.filterId && job.totalCount === 0) {
+      const deals = await listPipedriveFilterDeals(userData, job.filterId, job.userId);
+      
+      if (deals.length > MAX_BULK_INVOICE_DEALS) {
+        throw new Error(`Filter ${job.filterId} matches ${deals.length} deals; at most ${MAX_BULK_INVOICE_DEALS} can be invoiced at once`);
+      }
+      
+      const count = await addBulkInvoiceJobItems(job.id, deals.map(deal => ({ dealId: deal.id, title: deal.title })));
+      console.log(`[BulkInvoices] Job ${job.id}: filter ${job.filterId} matched ${count} deal(s)`);
+    }
+    
+    // Build payloads one deal at a time
+    for (const item of await listBulkInvoiceJobItems(job.id)) {
+      if (item.status !== 'pending') continue;
+      
+      try {
+        await prepareBulkInvoiceItem(job, item, userData);
+      } catch (itemError) {
+        console.error(`[BulkInvoices] Job ${job.id}: error preparing deal ${item.dealId}:`, itemError.message);
+        await updateBulkInvoiceJobItem(item.id, { status: 'failed', error: itemError.message });
+      }
+      await touchBulkInvoiceJob(job.id);
+    }
+    
+    const createdInvoices = new Map();
+    const items = await listBulkInvoiceJobItems(job.id);
+    
+    // Re-send batches that were in flight when the job was interrupted - QuickBooks returns
+    // the original result for a repeated requestid instead of creating the invoices again
+    const inFlight = new Map();
+    for (const item of items.filter(entry => entry.status === 'creating')) {
+      if (!inFlight.has(item.batchRequestId)) inFlight.set(item.batchRequestId, []);
+      inFlight.get(item.batchRequestId).push(item);
+    }
+    for (const [batchRequestId, batchItems] of inFlight) {
+      const created = await sendBulkInvoiceBatch(job, batchItems, userData, batchRequestId);
+      created.forEach((invoice, itemId) => createdInvoices.set(itemId, invoice));
+      await touchBulkInvoiceJob(job.id);
+    }
+    
+    const readyItems = items.filter(item => item.status === 'ready');
+    for (let i = 0; i < readyItems.length; i += QB_BATCH_SIZE) {
+      const batchItems = readyItems.slice(i, i + QB_BATCH_SIZE);
+      const batchRequestId = crypto.createHash('sha256')
+        .update(`bulk:${job.id}:${batchItems.map(item => item.id).join(',')}`)
+        .digest('hex')
+        .slice(0, 36);
+      
+      for (const item of batchItems) {
+        await updateBulkInvoiceJobItem(item.id, { status: 'creating', batchRequestId });
+      }
+      
+      const created = await sendBulkInvoiceBatch(job, batchItems, userData, batchRequestId);
+      created.forEach((invoice, itemId) => createdInvoices.set(itemId, invoice));
+      await touchBulkInvoiceJob(job.id);
+    }
+    
+    for (const item of await listBulkInvoiceJobItems(job.id)) {
+      if (item.status !== 'created') continue;
+      
+      try {
+        await finishBulkInvoiceItem(job, item, userData, createdInvoices.get(item.id));
+      } catch (itemError) {
+        // The invoice exists - report the problem but keep the deal counted as invoiced
+        console.error(`[BulkInvoices] Job ${job.id}: error after creating invoice ${item.invoiceNumber}:`, itemError.message);
+        await updateBulkInvoiceJobItem(item.id, { status: 'success', error: itemError.message });
+      }
+      await touchBulkInvoiceJob(job.id);
+    }
+    
+    await finishBulkInvoiceJob(job.id, 'completed');
+    console.log(`[BulkInvoices] Job ${job.id} completed`);
+  } catch (error) {
+    if (error.retryable) {
+      // Leave the job running; it is reclaimed once it stops reporting progress
+      console.error(`[BulkInvoices] Job ${job.id} interrupted, will resume:`, error.message);
+      return;
+    }
+    console.error(`[BulkInvoices] Job ${job.id} failed:`, error.message);
+    await finishBulkInvoiceJob(job.id, 'failed', error.message);
+  }
+}
+
+// Process queued jobs one at a time until none are left (one runner per instance)
+async function runQueuedBulkInvoiceJobs() {
+  if (processing) return;
+  processing = true;
+  
+  try {
+    let job;
+    while ((job = await claimBulkInvoiceJob())) {
+      await processBulkInvoiceJob(job);
+    }
+  } catch (error) {
+    console.error('[BulkInvoices] Error claiming bulk invoice jobs:', error.message);
+  } finally {
+    processing = false;
+  }
+}
+
+function startBulkInvoices() {
+  console.log('[BulkInvoices] Starting bulk invoice service (every minute)');
+  
+  runQueuedBulkInvoiceJobs();
+  
+  bulkJob = cron.schedule('* * * * *', () => {
+    runQueuedBulkInvoiceJobs();
+  });
+}
+
+function stopBulkInvoices() {
+  if (bulkJob) {
+    bulkJob.stop();
+    console.log('[BulkInvoices] Bulk invoice service stopped');
+  }
+}
+
+module.exports = {
+  MAX_BULK_INVOICE_DEALS,
+  runQueuedBulkInvoiceJobs,
+  startBulkInvoices,
+  stopBulkInvoices
+};
@@ -0,0 +1,93 @@
+const cron = require('node-cron');
+const {
+  getUser,
+  listUsers,
+  claimCustomerSyncRun,
+  finishCustomerSyncRun
+} = require('../../config/postgres');
+const { syncQuickBooksCustomerChanges } = require('../controllers/sync');
+
+let customerReverseSyncJob = null;
+
+// Sync one user's QuickBooks customer changes into an already-claimed run
+// The watermark only moves when QuickBooks could be read, so a failed run is retried from the same point
+async function processCustomerReverseSync(userId, changedSince) {
+  try {
+    const userData = await getUser(userId);
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      throw new Error('QuickBooks not connected for this user');
+    }
+    
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      throw new Error('Pipedrive not connected for this user');
+    }
+    
+    const result = await syncQuickBooksCustomerChanges(userId, userData, changedSince);
+    
+    await finishCustomerSyncRun(userId, result.changedSince, result.summary);
+    return result.summary;
+  } catch (error) {
+    console.error(`[CustomerSync] Run for user ${userId} failed:`, error.message);
+    await finishCustomerSyncRun(userId, null, null, error.message);
+    return null;
+  }
+}
+
+// Claim a run and sync in the background. Returns false if one is already running
+async function startCustomerReverseSync(userId) {
+  const claim = await claimCustomerSyncRun(userId);
+  if (!claim) return false;
+  
+  console.log(`[CustomerSync] Run started for user ${userId}`);
+  processCustomerReverseSync(userId, claim.changedSince);
+  return true;
+}
+
+// Sync every user that has turned on customer reverse sync, one at a time
+async function runScheduledCustomerReverseSync() {
+  console.log('[CustomerSync] Checking QuickBooks for customer changes...');
+  
+  try {
+    for (const userId of await listUsers()) {
+      const userData = await getUser(userId);
+      const reverseSync = userData && userData.invoice_preferences && userData.invoice_preferences.reverseSync;
+      
+      if (!reverseSync || !reverseSync.enabled || !userData.qb_access_token || !userData.qb_realm_id) continue;
+      
+      const claim = await claimCustomerSyncRun(userId);
+      if (!claim) {
+        console.log(`[CustomerSync] A sync is already running for user ${userId}, skipping...`);
+        continue;
+      }
+      
+      await processCustomerReverseSync(userId, claim.changedSince);
+    }
+    
+    console.log('[CustomerSync] Customer reverse sync complete');
+  } catch (error) {
+    console.error('[CustomerSync] Error in scheduled customer reverse sync:', error.message);
+  }
+}
+
+function startCustomerReverseSyncSchedule() {
+  console.log('[CustomerSync] Starting customer reverse sync service (every 15 minutes)');
+  
+  customerReverseSyncJob = cron.schedule('*/15 * * * *', () => {
+    runScheduledCustomerReverseSync();
+  });
+}
+
+function stopCustomerReverseSyncSchedule() {
+  if (customerReverseSyncJob) {
+    customerReverseSyncJob.stop();
+    console.log('[CustomerSync] Customer reverse sync service stopped');
+  }
+}
+
+module.exports = {
+  startCustomerReverseSync,
+  runScheduledCustomerReverseSync,
+  startCustomerReverseSyncSchedule,
+  stopCustomerReverseSyncSchedule
+};
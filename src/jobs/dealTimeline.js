@@ -0,0 +1,81 @@
+const cron = require('node-cron');
+const {
+  getUser,
+  listWatchedDealTimelineInvoices,
+  markDealTimelineInvoiceChecked
+} = require('../../config/postgres');
+const { syncDealTimelineInvoice } = require('../services/deals');
+
+// Invoices are followed for payments and shipments for this many days after creation
+const DEAL_TIMELINE_WATCH_DAYS = 90;
+
+let timelineJob = null;
+let processing = false;
+
+// Post new payments and shipments for watched invoices to their Pipedrive deals
+async function checkDealTimelineInvoices() {
+  if (processing) return;
+  processing = true;
+  
+  console.log('[DealTimeline] Checking watched invoices for payments and shipments...');
+  
+  try {
+    const links = await listWatchedDealTimelineInvoices(DEAL_TIMELINE_WATCH_DAYS);
+    
+    if (links.length === 0) {
+      console.log('[DealTimeline] No invoices to check');
+      return;
+    }
+    
+    for (const link of links) {
+      try {
+        const userData = await getUser(link.userId);
+        
+        if (!userData || !userData.qb_access_token || !userData.qb_realm_id ||
+            !(userData.access_token || userData.pipedrive_access_token)) {
+          console.log(`[DealTimeline] User ${link.userId} is missing a QuickBooks or Pipedrive connection, no longer watching invoice ${link.invoiceNumber}`);
+          await markDealTimelineInvoiceChecked(link.invoiceId, false);
+          continue;
+        }
+        
+        const { watching } = await syncDealTimelineInvoice(link.userId, userData, link);
+        if (!watching) {
+          console.log(`[DealTimeline] Invoice ${link.invoiceNumber} is paid and shipped, no longer watching`);
+        }
+      } catch (linkError) {
+        console.error(`[DealTimeline] Error checking invoice ${link.invoiceNumber}:`, linkError.message);
+        // Move it to the back of the queue so one bad invoice doesn't hold up the rest
+        await markDealTimelineInvoiceChecked(link.invoiceId, true);
+      }
+    }
+    
+    console.log('[DealTimeline] Deal timeline check complete');
+  } catch (error) {
+    console.error('[DealTimeline] Error in deal timeline check:', error.message);
+  } finally {
+    processing = false;
+  }
+}
+
+function startDealTimeline() {
+  console.log('[DealTimeline] Starting deal timeline service (every 15 minutes)');
+  
+  checkDealTimelineInvoices();
+  
+  timelineJob = cron.schedule('*/15 * * * *', () => {
+    checkDealTimelineInvoices();
+  });
+}
+
+function stopDealTimeline() {
+  if (timelineJob) {
+    timelineJob.stop();
+    console.log('[DealTimeline] Deal timeline service stopped');
+  }
+}
+
+module.exports = {
+  checkDealTimelineInvoices,
+  startDealTimeline,
+  stopDealTimeline
+};
@@ -10,6 +10,8 @@ const {
   cleanupStaleEntries,
   cleanupMaxRetries
 } = require('../../config/postgres');
+const { runInvoicePaidAutomation } = require('../services/deals');
+const { buildShipStationOrder } = require('../services/invoicing');
 const axios = require('axios');
 const OAuthClient = require('intuit-oauth');
 const { encrypt, decrypt } = require('../utils/encryption');
@@ -22,79 +24,6 @@ function getQBBaseUrl() {
     : 'https://sandbox-quickbooks.api.intuit.com';
 }
 
-// Convert country names to 2-letter ISO codes for ShipStation
-function convertToCountryCode(country) {
-  if (!country) return 'US';
-  
-  const countryMap = {
-    'united states': 'US',
-    'united states of america': 'US',
-    'usa': 'US',
-    'u.s.a.': 'US',
-    'u.s.': 'US',
-    'us': 'US',
-    'canada': 'CA',
-    'mexico': 'MX',
-    'united kingdom': 'GB',
-    'uk': 'GB',
-    'great britain': 'GB',
-    'australia': 'AU',
-    'germany': 'DE',
-    'france': 'FR',
-    'italy': 'IT',
-    'spain': 'ES',
-    'netherlands': 'NL',
-    'belgium': 'BE',
-    'switzerland': 'CH',
-    'austria': 'AT',
-    'sweden': 'SE',
-    'norway': 'NO',
-    'denmark': 'DK',
-    'finland': 'FI',
-    'ireland': 'IE',
-    'new zealand': 'NZ',
-    'japan': 'JP',
-    'china': 'CN',
-    'india': 'IN',
-    'brazil': 'BR',
-    'argentina': 'AR',
-    'chile': 'CL',
-    'colombia': 'CO',
-    'peru': 'PE',
-    'south africa': 'ZA',
-    'singapore': 'SG',
-    'hong kong': 'HK',
-    'taiwan': 'TW',
-    'south korea': 'KR',
-    'korea': 'KR',
-    'philippines': 'PH',
-    'thailand': 'TH',
-    'vietnam': 'VN',
-    'malaysia': 'MY',
-    'indonesia': 'ID',
-    'poland': 'PL',
-    'czech republic': 'CZ',
-    'portugal': 'PT',
-    'greece': 'GR',
-    'israel': 'IL',
-    'uae': 'AE',
-    'united arab emirates': 'AE',
-    'saudi arabia': 'SA',
-    'russia': 'RU',
-    'ukraine': 'UA',
-    'turkey': 'TR'
-  };
-  
-  const normalized = country.toLowerCase().trim();
-  
-  // If already a 2-letter code, return uppercase
-  if (normalized.length === 2) {
-    return normalized.toUpperCase();
-  }
-  
-  return countryMap[normalized] || 'US';
-}
-
 let pollingInterval = null;
 
 async function refreshQBToken(userId, userData) {
@@ -237,58 +166,16 @@ async function createShipStationOrder(userData, invoice, userId) {
     console.warn(`[PaymentPoller] Could not check for existing order ${orderNumber}:`, dupeCheckError.message);
   }
   
-  // Step 4: Build ship-to address
-  const shipTo = {
-    name: invoice.CustomerRef?.name || invoice.ShipAddr?.Line1 || 'Customer',
-    street1: invoice.ShipAddr?.Line1 || invoice.BillAddr?.Line1 || '',
-    street2: invoice.ShipAddr?.Line2 || invoice.BillAddr?.Line2 || '',
-    city: invoice.ShipAddr?.City || invoice.BillAddr?.City || '',
-    state: invoice.ShipAddr?.CountrySubDivisionCode || invoice.BillAddr?.CountrySubDivisionCode || '',
-    postalCode: invoice.ShipAddr?.PostalCode || invoice.BillAddr?.PostalCode || '',
-    country: convertToCountryCode(invoice.ShipAddr?.Country || invoice.BillAddr?.Country),
-    phone: invoice.ShipAddr?.Phone || '',
-    email: invoice.BillEmail?.Address || ''
-  };
-  
-  // Step 5: Map line items
-  const items = [];
-  if (invoice.Line) {
-    invoice.Line.forEach(line => {
-      if (line.DetailType === 'SalesItemLineDetail' && line.SalesItemLineDetail) {
-        items.push({
-          name: line.SalesItemLineDetail.ItemRef?.name || line.Description || 'Item',
-          quantity: line.SalesItemLineDetail.Qty || 1,
-          unitPrice: line.SalesItemLineDetail.UnitPrice || line.Amount || 0,
-          sku: line.SalesItemLineDetail.ItemRef?.value || ''
-        });
-      }
-    });
-  }
-  
-  // Step 6: Create the order
-  const shipstationOrder = {
-    orderNumber: orderNumber,
-    orderDate: invoice.TxnDate || new Date().toISOString().split('T')[0],
-    orderStatus: 'awaiting_shipment',
-    billTo: shipTo,
-    shipTo: shipTo,
-    items: items,
-    amountPaid: parseFloat(invoice.TotalAmt),
-    customerEmail: invoice.BillEmail?.Address || '',
-    internalNotes: `QuickBooks Invoice #${invoiceNumber}`,
-    advancedOptions: {
-      customField1: `QB_Invoice_${invoiceId}`,
-      customField2: invoice.CustomerRef?.value || ''
-    }
-  };
+  // Step 4: Map the invoice to a ShipStation order, the same way invoice creation does
+  const shipstationOrder = await buildShipStationOrder(userId, userData, invoice, orderNumber);
   
-  console.log(`[PaymentPoller] Creating ShipStation order - Number: ${shipstationOrder.orderNumber}, Customer: ${shipTo.name}, Items: ${items.length}, Amount: $${shipstationOrder.amountPaid.toFixed(2)}`);
+  console.log(`[PaymentPoller] Creating ShipStation order - Number: ${shipstationOrder.orderNumber}, Customer: ${shipstationOrder.shipTo.name}, Items: ${shipstationOrder.items.length}, Amount: $${shipstationOrder.amountPaid.toFixed(2)}`);
   
   const createdOrder = await makeShipStationApiCall(userData, 'POST', '/orders/createorder', shipstationOrder);
   
   console.log(`[PaymentPoller] ShipStation order created - ID: ${createdOrder.orderId}, Number: ${createdOrder.orderNumber}`);
   
-  // Step 7: Save the mapping
+  // Step 5: Save the mapping
   try {
     await setInvoiceMapping(invoiceId, invoiceNumber, createdOrder.orderId, createdOrder.orderNumber, 'poller');
     console.log(`[PaymentPoller] Saved invoice mapping: ${invoiceNumber} -> ${createdOrder.orderNumber}`);
@@ -396,6 +283,13 @@ async function checkPendingInvoices() {
           if (currentBalance <= 0) {
             console.log(`[PaymentPoller] Invoice ${invoiceNumber} is PAID! Creating ShipStation order...`);
             
+            // Mark the invoice's deal won (or whatever its pipeline automation says) - runs once per invoice
+            try {
+              await runInvoicePaidAutomation(userId, userData, currentInvoice);
+            } catch (automationError) {
+              console.error(`[PaymentPoller] Pipeline automation failed for invoice ${invoiceNumber}:`, automationError.message);
+            }
+            
             const existingMapping = await getInvoiceMapping(invoiceId);
             if (existingMapping) {
               console.log(`[PaymentPoller] Invoice ${invoiceNumber} already has ShipStation order ${existingMapping.shipstationOrderId}, skipping...`);
@@ -0,0 +1,203 @@
+const cron = require('node-cron');
+const {
+  getUser,
+  listDueRecurringInvoices,
+  advanceRecurringInvoice,
+  startRecurringInvoiceRun,
+  getRecurringInvoiceRun,
+  setRecurringInvoiceRunInvoice,
+  setRecurringInvoiceRunStep,
+  finishRecurringInvoiceRun
+} = require('../../config/postgres');
+const { createInvoice } = require('../services/invoicing');
+
+// Supported schedule frequencies and the period each one adds (times interval_count)
+const RECURRING_FREQUENCIES = {
+  weekly: { days: 7 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  yearly: { months: 12 }
+};
+
+let recurringJob = null;
+
+// Today's date as YYYY-MM-DD (UTC, matching how invoice dates are formatted)
+function todayDate() {
+  return new Date().toISOString().split('T')[0];
+}
+
+// Work out the run date after runDate. Monthly periods keep the start date's day of month,
+// clamped to short months (a schedule starting Jan 31 runs Feb 28, then Mar 31)
+function computeNextRunDate(runDate, frequency, intervalCount = 1, anchorDay = null) {
+  const period = RECURRING_FREQUENCIES[frequency];
+  if (!period) {
+    throw new Error(`Unsupported frequency "${frequency}"`);
+  }
+  
+  const [year, month, day] = runDate.split('-').map(Number);
+  const count = Math.max(1, parseInt(intervalCount, 10) || 1);
+  
+  let next;
+  if (period.days) {
+    next = new Date(Date.UTC(year, month - 1, day + period.days * count));
+  } else {
+    const targetMonth = month - 1 + period.months * count;
+    const lastDay = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+    next = new Date(Date.UTC(year, targetMonth, Math.min(anchorDay || day, lastDay)));
+  }
+  
+  return next.toISOString().split('T')[0];
+}
+
+// The schedule's run date after runDate, and whether the schedule is still active then
+function getNextRun(schedule, runDate) {
+  const anchorDay = parseInt(schedule.startDate.split('-')[2], 10);
+  const nextRunDate = computeNextRunDate(runDate, schedule.frequency, schedule.intervalCount, anchorDay);
+  const active = !schedule.endDate || nextRunDate <= schedule.endDate;
+  return { nextRunDate, active };
+}
+
+// A run date this instance couldn't claim. A run that finished before its schedule was advanced
+// (the instance stopped in between) or that failed maxAttempts times moves the schedule on, so a
+// stuck date doesn't hold the schedule forever. A run still going elsewhere is left alone
+async function settleUnclaimedRun(schedule, runDate) {
+  const run = await getRecurringInvoiceRun(schedule.id, runDate);
+  
+  if (!run || run.status === 'running') {
+    console.log(`[RecurringInvoices] Schedule ${schedule.id} run for ${runDate} already in progress, skipping...`);
+    return { success: false, skipped: true, runDate };
+  }
+  
+  const { nextRunDate, active } = getNextRun(schedule, runDate);
+  await advanceRecurringInvoice(schedule.id, runDate, nextRunDate, active, Boolean(run.invoiceId));
+  
+  if (run.status === 'failed') {
+    console.error(`[RecurringInvoices] Schedule ${schedule.id} run for ${runDate} failed ${run.attempts} times, giving up on it (next run ${active ? nextRunDate : 'none'})`);
+  } else {
+    console.log(`[RecurringInvoices] Schedule ${schedule.id} run for ${runDate} already complete, moved to ${active ? nextRunDate : 'none (schedule ended)'}`);
+  }
+  
+  return { success: false, skipped: true, runDate, nextRunDate: active ? nextRunDate : null };
+}
+
+// Generate the invoice for a schedule's current run date. Safe to call from several
+// instances - the run row for (schedule, date) is claimed before anything is created.
+// A retried run resumes from the invoice and side effects its earlier attempt finished
+async function runRecurringInvoice(schedule) {
+  const runDate = schedule.nextRunDate;
+  
+  const run = await startRecurringInvoiceRun(schedule.id, runDate);
+  if (!run) {
+    return settleUnclaimedRun(schedule, runDate);
+  }
+  const runId = run.id;
+  
+  console.log(`[RecurringInvoices] Generating invoice for schedule ${schedule.id} (deal ${schedule.dealId || 'none'}), run date ${runDate}${run.invoiceId ? `, resuming invoice ${run.invoiceId}` : ''}`);
+  
+  try {
+    const userData = await getUser(schedule.userId);
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      throw new Error('QuickBooks not connected for this user');
+    }
+    
+    // The due date follows the template's payment terms (or setup preferences) for each run
+    // QuickBooks returns the original invoice for a repeated requestid, so an attempt cut off
+    // before the invoice was recorded doesn't create a second one
+    const result = await createInvoice(schedule.userId, userData, {
+      ...schedule.invoiceTemplate,
+      dueDate: undefined,
+      customerId: schedule.customerId,
+      dealId: schedule.dealId
+    }, {
+      requestId: `recurring-${schedule.id}-${runDate}`,
+      existingInvoiceId: run.invoiceId,
+      completedSteps: run.steps,
+      onInvoiceCreated: (invoice) => setRecurringInvoiceRunInvoice(runId, invoice.Id),
+      onStepComplete: (step, outcome) => setRecurringInvoiceRunStep(runId, step, outcome)
+    });
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to create invoice');
+    }
+    
+    await finishRecurringInvoiceRun(runId, {
+      status: 'success',
+      invoiceId: result.invoice.id,
+      invoiceNumber: result.invoice.docNumber,
+      result: {
+        totalAmount: result.invoice.totalAmount,
+        dueDate: result.invoice.dueDate,
+        emailSent: result.emailSent,
+        shipstationOrderCreated: result.shipstationOrderCreated,
+        shipstationOrderPending: result.shipstationOrderPending,
+        pipedriveProductsSync: result.pipedriveProductsSync
+      }
+    });
+    
+    const { nextRunDate, active } = getNextRun(schedule, runDate);
+    await advanceRecurringInvoice(schedule.id, runDate, nextRunDate, active);
+    
+    console.log(`[RecurringInvoices] Schedule ${schedule.id} created invoice ${result.invoice.docNumber}, next run ${active ? nextRunDate : 'none (schedule ended)'}`);
+    
+    return { success: true, runDate, nextRunDate: active ? nextRunDate : null, ...result };
+  } catch (error) {
+    console.error(`[RecurringInvoices] Schedule ${schedule.id} run for ${runDate} failed:`, error.message);
+    await finishRecurringInvoiceRun(runId, { status: 'failed', error: error.message });
+    return { success: false, runDate, error: error.message };
+  }
+}
+
+async function runDueRecurringInvoices() {
+  console.log('[RecurringInvoices] Checking for due recurring invoices...');
+  
+  try {
+    const dueSchedules = await listDueRecurringInvoices(todayDate());
+    
+    if (dueSchedules.length === 0) {
+      console.log('[RecurringInvoices] No recurring invoices due');
+      return;
+    }
+    
+    console.log(`[RecurringInvoices] Found ${dueSchedules.length} due schedule(s)`);
+    
+    // One run per schedule per cycle - a schedule that fell behind catches up one period each cycle
+    for (const schedule of dueSchedules) {
+      try {
+        await runRecurringInvoice(schedule);
+      } catch (scheduleError) {
+        console.error(`[RecurringInvoices] Error processing schedule ${schedule.id}:`, scheduleError.message);
+      }
+    }
+    
+    console.log('[RecurringInvoices] Recurring invoice cycle complete');
+  } catch (error) {
+    console.error('[RecurringInvoices] Error in recurring invoice cycle:', error.message);
+  }
+}
+
+function startRecurringInvoices() {
+  console.log('[RecurringInvoices] Starting recurring invoice service (hourly)');
+  
+  runDueRecurringInvoices();
+  
+  recurringJob = cron.schedule('0 * * * *', () => {
+    runDueRecurringInvoices();
+  });
+}
+
+function stopRecurringInvoices() {
+  if (recurringJob) {
+    recurringJob.stop();
+    console.log('[RecurringInvoices] Recurring invoice service stopped');
+  }
+}
+
+module.exports = {
+  RECURRING_FREQUENCIES,
+  computeNextRunDate,
+  runRecurringInvoice,
+  runDueRecurringInvoices,
+  startRecurringInvoices,
+  stopRecurringInvoices
+};
@@ -8,606 +8,138 @@ const {
   setDealMapping, 
   getDealMapping, 
   deleteDealMapping,
-  addPendingInvoice,
-  setInvoiceMapping,
+  getPendingInvoice,
+  deletePendingInvoice,
   getInvoiceMapping,
-  acquireTokenRefreshLock,
-  releaseTokenRefreshLock
+  setEstimateMapping,
+  getEstimateMapping,
+  markEstimateConverted,
+  claimIdempotencyKey,
+  extendIdempotencyLock,
+  setIdempotencyInvoice,
+  setIdempotencyStep,
+  finishIdempotencyKey,
+  createRecurringInvoice,
+  getRecurringInvoice,
+  listRecurringInvoices,
+  updateRecurringInvoice,
+  deleteRecurringInvoice,
+  listRecurringInvoiceRuns,
+  createBulkInvoiceJob,
+  getBulkInvoiceJob,
+  listBulkInvoiceJobs,
+  listBulkInvoiceJobItems,
+  getDealTimelineInvoice,
+  markDealTimelineInvoiceChecked,
+  listDealAutomationRuns,
+  listDealMappings,
+  listArSyncRuns,
+  getCustomerFieldMappings,
+  setCustomerFieldMapping,
+  deleteCustomerFieldMapping,
+  getContactMapping,
+  setContactMapping,
+  listContactMappings,
+  deleteContactMapping,
+  getCustomerSyncWatermark,
+  listCustomerSyncLog
 } = require("../../config/postgres");
 const { getAuthUrl, getToken } = require("../auth/pipedrive");
 const qbAuth = require("../auth/quickbooks");
-const { syncContact } = require("../controllers/sync");
+const {
+  CUSTOMER_CONFLICT_RULES,
+  syncContact,
+  syncOrganization,
+  loadCustomerMapping,
+  loadMappingFields,
+  pickBillingPerson,
+  getReverseSyncSettings
+} = require("../controllers/sync");
+const {
+  CUSTOMER_FIELD_TARGETS,
+  MAPPING_TRANSFORMS,
+  getDefaultCustomerMapping,
+  validateCustomerMapping,
+  applyCustomerMapping
+} = require("../utils/customerMapping");
+const { RECURRING_FREQUENCIES, runRecurringInvoice } = require("../jobs/recurringInvoices");
+const { MAX_BULK_INVOICE_DEALS, runQueuedBulkInvoiceJobs } = require("../jobs/bulkInvoices");
+const { startArSync } = require("../jobs/arSync");
+const { startCustomerReverseSync } = require("../jobs/customerReverseSync");
 const OAuthClient = require("intuit-oauth");
 const axios = require("axios");
-const { encrypt, decrypt } = require("../utils/encryption");
-
-// Token refresh lock using PostgreSQL advisory locks for distributed locking
-// This works across multiple server instances (autoscale deployment)
-// QuickBooks refresh tokens are single-use, so concurrent refreshes cause "invalid token" errors
-
-async function withTokenRefreshLock(userId, refreshFn) {
-  console.log(`[TokenLock] Attempting to acquire database lock for user ${userId}`);
-  const lockInfo = await acquireTokenRefreshLock(userId, 10000); // 10 second timeout
-  
-  if (!lockInfo.acquired) {
-    console.log(`[TokenLock] Failed to acquire lock for user ${userId}, another refresh may be in progress`);
-    // If we couldn't get the lock, fetch fresh user data (another request may have refreshed)
-    const freshData = await getUser(userId);
-    if (freshData && freshData.qb_access_token) {
-      console.log(`[TokenLock] Using fresh token data after lock timeout for user ${userId}`);
-      return freshData;
-    }
-    throw new Error('Could not acquire token refresh lock and no fresh token available');
-  }
-  
-  try {
-    // Re-fetch user data in case another request already refreshed the token while we waited
-    const freshUserData = await getUser(userId);
-    const result = await refreshFn(freshUserData);
-    return result;
-  } finally {
-    await releaseTokenRefreshLock(lockInfo);
-  }
-}
-
-// Helper function to get the correct QuickBooks API base URL based on environment
-function getQBBaseUrl() {
-  const env = process.env.QB_ENVIRONMENT || 'sandbox';
-  return env === 'production' 
-    ? 'https://quickbooks.api.intuit.com'
-    : 'https://sandbox-quickbooks.api.intuit.com';
-}
-
-// Helper function to extract JSON data from QuickBooks API response
-// The intuit-oauth library may return data in either 'json' (pre-parsed) or 'body' (string)
-function getQBResponseData(response) {
-  if (response.json) {
-    return response.json;
-  }
-  if (response.body) {
-    return typeof response.body === 'string' ? JSON.parse(response.body) : response.body;
-  }
-  if (response.response?.json) {
-    return response.response.json;
-  }
-  if (response.response?.body) {
-    return typeof response.response.body === 'string' ? JSON.parse(response.response.body) : response.response.body;
-  }
-  throw new Error('No valid response data found');
-}
-
-// Country name to 2-letter ISO code mapping (for ShipStation)
-const COUNTRY_CODES = {
-  'united states': 'US', 'united states of america': 'US', 'usa': 'US', 'u.s.a.': 'US', 'u.s.': 'US', 'america': 'US',
-  'canada': 'CA', 'mexico': 'MX', 'united kingdom': 'GB', 'great britain': 'GB', 'england': 'GB', 'uk': 'GB',
-  'australia': 'AU', 'new zealand': 'NZ', 'germany': 'DE', 'france': 'FR', 'spain': 'ES', 'italy': 'IT',
-  'japan': 'JP', 'china': 'CN', 'india': 'IN', 'brazil': 'BR', 'argentina': 'AR', 'chile': 'CL',
-  'netherlands': 'NL', 'belgium': 'BE', 'switzerland': 'CH', 'austria': 'AT', 'sweden': 'SE', 'norway': 'NO',
-  'denmark': 'DK', 'finland': 'FI', 'ireland': 'IE', 'portugal': 'PT', 'poland': 'PL', 'czech republic': 'CZ',
-  'south korea': 'KR', 'korea': 'KR', 'singapore': 'SG', 'hong kong': 'HK', 'taiwan': 'TW', 'philippines': 'PH',
-  'israel': 'IL', 'south africa': 'ZA', 'russia': 'RU', 'ukraine': 'UA', 'turkey': 'TR', 'greece': 'GR'
-};
-
-// Helper to convert country name to 2-letter ISO code (ShipStation requires ISO codes)
-function normalizeCountryCode(countryInput) {
-  if (!countryInput) return 'US'; // Default to US
-  const trimmed = countryInput.trim();
-  // If already a 2-letter code, return as uppercase
-  if (trimmed.length === 2) {
-    return trimmed.toUpperCase();
-  }
-  // Look up full country name
-  const code = COUNTRY_CODES[trimmed.toLowerCase()];
-  if (code) {
-    console.log(`[Country Normalize] Converted "${countryInput}" to "${code}"`);
-    return code;
-  }
-  // Return US as fallback if not found
-  console.log(`[Country Normalize] Unknown country "${countryInput}", defaulting to US`);
-  return 'US';
-}
-
-// US State name to abbreviation mapping
-const STATE_ABBREVIATIONS = {
-  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
-  'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'florida': 'FL', 'georgia': 'GA',
-  'hawaii': 'HI', 'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA',
-  'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD',
-  'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS', 'missouri': 'MO',
-  'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ',
-  'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH',
-  'oklahoma': 'OK', 'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
-  'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT', 'vermont': 'VT',
-  'virginia': 'VA', 'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY',
-  'district of columbia': 'DC', 'puerto rico': 'PR', 'guam': 'GU', 'virgin islands': 'VI'
-};
-
-// Helper to convert state name to 2-letter abbreviation
-function normalizeStateCode(stateInput) {
-  if (!stateInput) return stateInput;
-  const trimmed = stateInput.trim();
-  // If already a 2-letter code, return as uppercase
-  if (trimmed.length === 2) {
-    return trimmed.toUpperCase();
-  }
-  // Look up full state name
-  const abbr = STATE_ABBREVIATIONS[trimmed.toLowerCase()];
-  if (abbr) {
-    console.log(`[State Normalize] Converted "${stateInput}" to "${abbr}"`);
-    return abbr;
-  }
-  // Return original if not found (could be international)
-  return trimmed;
-}
-
-// Cooldown period to prevent concurrent refresh attempts (in milliseconds)
-const REFRESH_COOLDOWN_MS = 60 * 1000; // 60 seconds
-
-// Helper function to check if a recent refresh happened (within cooldown period)
-function wasRecentlyRefreshed(userData) {
-  if (!userData.qb_last_refresh) {
-    return false;
-  }
-  
-  const lastRefresh = new Date(userData.qb_last_refresh);
-  const now = new Date();
-  const msSinceRefresh = now - lastRefresh;
-  
-  if (msSinceRefresh < REFRESH_COOLDOWN_MS) {
-    console.log(`[TokenCheck] Token was refreshed ${Math.round(msSinceRefresh / 1000)}s ago, within ${REFRESH_COOLDOWN_MS / 1000}s cooldown - skipping refresh`);
-    return true;
-  }
-  
-  return false;
-}
-
-// Helper function to check if token needs refresh (expires within 10 minutes)
-function tokenNeedsRefresh(userData) {
-  // COOLDOWN CHECK: Skip refresh if token was refreshed very recently
-  // This prevents race conditions where multiple requests try to refresh the same token
-  if (wasRecentlyRefreshed(userData)) {
-    return false;
-  }
-  
-  if (!userData.qb_expires_at) {
-    // If no expiration timestamp and we have a refresh token, proactively refresh
-    // This handles cases where tokens were stored without expiration tracking
-    if (userData.qb_refresh_token) {
-      console.log('[TokenCheck] No expiration timestamp but refresh token exists, triggering refresh');
-      return true;
-    }
-    console.log('[TokenCheck] No expiration timestamp and no refresh token, cannot refresh');
-    return false;
-  }
-  
-  const expiresAt = new Date(userData.qb_expires_at);
-  const now = new Date();
-  const tenMinutesFromNow = new Date(now.getTime() + 10 * 60 * 1000);
-  
-  const needsRefresh = expiresAt < tenMinutesFromNow;
-  const minutesUntilExpiry = Math.round((expiresAt - now) / 60000);
-  
-  console.log(`[TokenCheck] Token expires at: ${expiresAt.toISOString()}, now: ${now.toISOString()}`);
-  console.log(`[TokenCheck] Minutes until expiry: ${minutesUntilExpiry}, needs refresh: ${needsRefresh}`);
-  
-  return needsRefresh;
-}
-
-// Helper function to refresh QuickBooks token and save to database
-// Returns updated userData on success, or null if refresh should be skipped/failed softly
-// Uses PostgreSQL advisory locks to prevent concurrent refresh attempts across all server instances
-// (QB refresh tokens are single-use)
-async function refreshAndSaveToken(userId, userData, throwOnError = false) {
-  // Soft guard against missing refresh token - skip refresh, don't break existing flow
-  if (!userData.qb_refresh_token) {
-    console.warn(`[TokenRefresh] No refresh token available for user ${userId}, skipping refresh`);
-    return null; // Return null to indicate refresh was skipped
-  }
-  
-  // Use database locking to prevent concurrent refresh attempts across all server instances
-  return withTokenRefreshLock(userId, async (freshUserData) => {
-    console.log(`[TokenRefresh] Starting token refresh for user ${userId}`);
-    
-    // Use fresh data from the lock (re-fetched after acquiring lock)
-    const dataToUse = freshUserData || userData;
-    
-    // CRITICAL: Check if token was recently refreshed by another request while we waited for lock
-    // This is the primary race condition prevention - check the timestamp
-    if (freshUserData && wasRecentlyRefreshed(freshUserData)) {
-      console.log(`[TokenRefresh] Token was refreshed by another request within cooldown period, using fresh data`);
-      console.log(`[TokenRefresh] Last refresh: ${freshUserData.qb_last_refresh}`);
-      return freshUserData;
-    }
-    
-    // Secondary check: Compare token values (may differ due to encryption, but worth checking)
-    if (freshUserData && freshUserData.qb_refresh_token !== userData.qb_refresh_token) {
-      console.log(`[TokenRefresh] Token was already refreshed by another request, using fresh data`);
-      console.log(`[TokenRefresh] Original token (first 10): ${userData.qb_refresh_token?.substring(0, 10)}...`);
-      console.log(`[TokenRefresh] Fresh token (first 10): ${freshUserData.qb_refresh_token?.substring(0, 10)}...`);
-      return freshUserData;
-    }
-    
-    console.log(`[TokenRefresh] Current refresh token exists: ${!!dataToUse.qb_refresh_token}`);
-    console.log(`[TokenRefresh] Current refresh token (first 10 chars): ${dataToUse.qb_refresh_token.substring(0, 10)}...`);
-    
-    try {
-      // Pass full token object to refreshToken (required by intuit-oauth library)
-      const tokenObject = {
-        access_token: dataToUse.qb_access_token,
-        refresh_token: dataToUse.qb_refresh_token,
-        token_type: dataToUse.qb_token_type || 'bearer',
-        expires_in: dataToUse.qb_expires_in || 3600
-      };
-      const newTokens = await qbAuth.refreshToken(tokenObject);
-      
-      console.log(`[TokenRefresh] Refresh successful!`);
-      console.log(`[TokenRefresh] New access token received: ${!!newTokens.access_token}`);
-      console.log(`[TokenRefresh] New refresh token received: ${!!newTokens.refresh_token}`);
-      console.log(`[TokenRefresh] New refresh token (first 10 chars): ${newTokens.refresh_token?.substring(0, 10)}...`);
-      console.log(`[TokenRefresh] Tokens changed: ${dataToUse.qb_refresh_token !== newTokens.refresh_token ? 'YES' : 'NO'}`);
-      
-      const updatedUserData = {
-        ...dataToUse,
-        qb_access_token: newTokens.access_token,
-        qb_refresh_token: newTokens.refresh_token,
-        qb_expires_in: newTokens.expires_in,
-        qb_expires_at: new Date(Date.now() + (newTokens.expires_in * 1000)).toISOString(),
-        qb_last_refresh: new Date().toISOString()
-      };
-      
-      await setUser(userId, updatedUserData);
-      console.log(`[TokenRefresh] Tokens saved to database for user ${userId}`);
-      
-      return updatedUserData;
-    } catch (error) {
-      console.error(`[TokenRefresh] Failed for user ${userId}:`, error.message);
-    
-      // Log specific error details for debugging
-      if (error.response) {
-        console.error(`[TokenRefresh] Error response:`, {
-          status: error.response.status || error.response.statusCode,
-          body: error.response.body || error.response.data
-        });
-      }
-    
-      // Check for specific error types
-      const errorMessage = error.message?.toLowerCase() || '';
-      if (errorMessage.includes('invalid') || errorMessage.includes('expired') || errorMessage.includes('revoked')) {
-        throw new Error('QuickBooks refresh token is invalid or expired. Please reconnect to QuickBooks.');
-      }
-      
-      throw error;
-    }
-  }); // End of withTokenRefreshLock callback
-}
-
-// Helper function to make QuickBooks API call with automatic token refresh
-async function makeQBApiCall(userId, userData, apiCallFunction) {
-  // Create initial client with current tokens
-  const createClient = (tokenData) => {
-    const qbClient = new OAuthClient({
-      clientId: process.env.QB_CLIENT_ID,
-      clientSecret: process.env.QB_CLIENT_SECRET,
-      environment: process.env.QB_ENVIRONMENT || 'sandbox',
-      redirectUri: process.env.APP_URL + '/auth/qb/callback',
-      logging: true
-    });
-    
-    qbClient.setToken({
-      access_token: tokenData.qb_access_token,
-      refresh_token: tokenData.qb_refresh_token,
-      token_type: 'Bearer',
-      expires_in: tokenData.qb_expires_in || 3600,
-      x_refresh_token_expires_in: 8726400,
-      realmId: tokenData.qb_realm_id
-    });
-    
-    return qbClient;
-  };
-  
-  let currentUserData = userData;
-  
-  try {
-    console.log(`[makeQBApiCall] Starting API call for user ${userId}`);
-    console.log(`[makeQBApiCall] Has access token: ${!!userData.qb_access_token}, Has realm: ${!!userData.qb_realm_id}`);
-    
-    // PROACTIVE REFRESH: Check if token is about to expire and refresh before making the call
-    if (tokenNeedsRefresh(currentUserData)) {
-      console.log(`[makeQBApiCall] Token expiring soon, attempting proactive refresh...`);
-      try {
-        const refreshedData = await refreshAndSaveToken(userId, currentUserData);
-        if (refreshedData) {
-          currentUserData = refreshedData;
-          console.log(`[makeQBApiCall] Proactive refresh successful`);
-        } else {
-          console.log(`[makeQBApiCall] Proactive refresh skipped (no refresh token), continuing with existing token`);
-        }
-      } catch (proactiveRefreshError) {
-        console.error(`[makeQBApiCall] Proactive refresh failed:`, proactiveRefreshError.message);
-        // Continue with existing token - it might still work
-      }
-    }
-    
-    // Make API call with current (possibly refreshed) token
-    const qbClient = createClient(currentUserData);
-    const response = await apiCallFunction(qbClient, currentUserData);
-    
-    console.log(`[makeQBApiCall] API call successful, response type: ${typeof response}`);
-    if (response) {
-      console.log(`[makeQBApiCall] Response has body: ${!!response.body}, has json: ${!!response.json}`);
-    }
-    
-    return response;
-  } catch (error) {
-    console.error(`[makeQBApiCall] API call error for user ${userId}:`, error.message);
-    const errorBody = error.response?.body || error.response?.data;
-    console.error(`[makeQBApiCall] Error details:`, {
-      name: error.name,
-      statusCode: error.response?.statusCode || error.response?.status,
-      authHeader: error.authHeader,
-      intuit_tid: error.intuit_tid
-    });
-    // Log full error body with JSON.stringify to see nested Error arrays
-    console.error(`[makeQBApiCall] Full error body:`, JSON.stringify(errorBody, null, 2));
-    
-    // Check if error is due to unauthorized (expired token)
-    const statusCode = error.response?.statusCode || error.response?.status || error.statusCode;
-    if (statusCode === 401) {
-      console.log(`[makeQBApiCall] QB token expired (401) for user ${userId}, attempting reactive refresh...`);
-      
-      try {
-        const updatedUserData = await refreshAndSaveToken(userId, currentUserData);
-        
-        if (!updatedUserData) {
-          // No refresh token available - cannot recover
-          console.error(`[makeQBApiCall] No refresh token available, cannot recover from 401`);
-          throw new Error('QuickBooks session expired. Please reconnect to QuickBooks.');
-        }
-        
-        console.log(`[makeQBApiCall] Reactive refresh successful, retrying API call`);
-        
-        // Create new client with refreshed token and retry
-        const refreshedClient = createClient(updatedUserData);
-        return await apiCallFunction(refreshedClient, updatedUserData);
-      } catch (refreshError) {
-        console.error(`[makeQBApiCall] Reactive refresh failed for user ${userId}:`, refreshError.message);
-        throw new Error(refreshError.message || 'QuickBooks authentication failed. Please reconnect.');
-      }
-    }
-    
-    // Re-throw if not an auth error
-    throw error;
-  }
-}
-
-// ============================================
-// Pipedrive Product Sync Helper Functions
-// ============================================
-
-// Helper function to make Pipedrive API calls with token refresh
-async function makePipedriveApiCall(userData, method, endpoint, data = null, userId = null, retryCount = 0) {
-  let apiDomain = userData.api_domain || userData.pipedrive_api_domain;
-  let accessToken = userData.access_token || userData.pipedrive_access_token;
-  
-  if (!apiDomain || !accessToken) {
-    throw new Error('Pipedrive not connected - missing API domain or access token');
-  }
-  
-  // Strip https:// prefix if present to avoid double-prefixing
-  apiDomain = apiDomain.replace(/^https?:\/\//, '');
-  
-  const url = `https://${apiDomain}${endpoint}`;
-  const headers = {
-    'Authorization': `Bearer ${accessToken}`,
-    'Content-Type': 'application/json'
-  };
-  
-  console.log(`[Pipedrive API] ${method} ${endpoint} (attempt ${retryCount + 1})`);
-  
-  try {
-    let response;
-    if (method === 'GET') {
-      response = await axios.get(url, { headers });
-    } else if (method === 'POST') {
-      response = await axios.post(url, data, { headers });
-    } else if (method === 'PUT') {
-      response = await axios.put(url, data, { headers });
-    }
-    return response.data;
-  } catch (error) {
-    console.error(`[Pipedrive API] Error: ${error.response?.status} - ${error.response?.data?.error || error.message}`);
-    
-    // If 401 and we haven't retried yet, try to refresh token
-    const refreshToken = userData.refresh_token || userData.pipedrive_refresh_token;
-    if (error.response?.status === 401 && refreshToken && retryCount === 0) {
-      console.log('[Pipedrive API] Token expired, attempting refresh...');
-      try {
-        const pipedriveAuth = require('../auth/pipedrive');
-        const newTokens = await pipedriveAuth.refreshToken(refreshToken);
-        
-        console.log('[Pipedrive API] Token refresh successful');
-        
-        // Update userData in memory with new tokens
-        userData.access_token = newTokens.access_token;
-        userData.pipedrive_access_token = newTokens.access_token;
-        userData.refresh_token = newTokens.refresh_token;
-        userData.pipedrive_refresh_token = newTokens.refresh_token;
-        
-        // Persist updated tokens to database if userId is provided
-        if (userId) {
-          const { setUser } = require("../../config/postgres");
-          await setUser(userId, {
-            ...userData,
-            access_token: newTokens.access_token,
-            refresh_token: newTokens.refresh_token,
-            pipedrive_updated_at: new Date().toISOString()
-          });
-          console.log('[Pipedrive API] New tokens persisted to database');
-        }
-        
-        // Retry with new token
-        return await makePipedriveApiCall(userData, method, endpoint, data, userId, retryCount + 1);
-      } catch (refreshError) {
-        console.error('[Pipedrive API] Token refresh failed:', refreshError.message);
-        throw new Error('Pipedrive session expired. Please reconnect to Pipedrive.');
-      }
-    }
-    
-    throw error;
-  }
-}
-
-// Search Pipedrive products by SKU (code field)
-async function findPipedriveProductBySku(userData, sku, userId = null) {
-  if (!sku) return null;
-  
-  try {
-    // Use Pipedrive's /products/search endpoint with exact match on code field
-    const result = await makePipedriveApiCall(userData, 'GET', `/api/v1/products/search?term=${encodeURIComponent(sku)}&fields=code&exact_match=true`, null, userId);
-    
-    // The /products/search endpoint returns data.items[].item structure
-    if (result.success && result.data && result.data.items && result.data.items.length > 0) {
-      // Find exact match on code (SKU) - items contain { item: {...product...} }
-      for (const wrapper of result.data.items) {
-        const product = wrapper.item;
-        if (product && product.code === sku) {
-          console.log(`[Pipedrive Products] Found product by SKU "${sku}": ID ${product.id}`);
-          return product;
-        }
-      }
-    }
-    
-    console.log(`[Pipedrive Products] No product found with SKU "${sku}"`);
-    return null;
-  } catch (error) {
-    console.error(`[Pipedrive Products] Error searching for SKU "${sku}":`, error.message);
-    return null;
-  }
-}
-
-// Create a new Pipedrive product with name and SKU
-async function createPipedriveProduct(userData, name, sku, userId = null) {
-  try {
-    const productData = {
-      name: name,
-      code: sku  // SKU is stored in the 'code' field
-    };
-    
-    const result = await makePipedriveApiCall(userData, 'POST', '/api/v1/products', productData, userId);
-    
-    if (result.success && result.data) {
-      console.log(`[Pipedrive Products] Created product "${name}" (SKU: ${sku}) with ID ${result.data.id}`);
-      return result.data;
-    }
-    
-    console.error(`[Pipedrive Products] Failed to create product:`, result);
-    return null;
-  } catch (error) {
-    console.error(`[Pipedrive Products] Error creating product "${name}":`, error.message);
-    return null;
-  }
-}
-
-// Find or create a Pipedrive product by SKU
-async function findOrCreatePipedriveProduct(userData, name, sku, userId = null) {
-  if (!sku) {
-    console.log(`[Pipedrive Products] Skipping product "${name}" - no SKU provided`);
-    return null;
-  }
-  
-  // First try to find existing product by SKU
-  let product = await findPipedriveProductBySku(userData, sku, userId);
-  
-  // If not found, create new product
-  if (!product) {
-    product = await createPipedriveProduct(userData, name, sku, userId);
-  }
-  
-  return product;
-}
-
-// Attach a product to a Pipedrive deal
-async function attachProductToDeal(userData, dealId, productId, quantity, itemPrice, userId = null) {
-  try {
-    const attachData = {
-      product_id: productId,
-      item_price: itemPrice,
-      quantity: quantity
-    };
-    
-    const result = await makePipedriveApiCall(userData, 'POST', `/api/v1/deals/${dealId}/products`, attachData, userId);
-    
-    if (result.success && result.data) {
-      console.log(`[Pipedrive Products] Attached product ${productId} to deal ${dealId} (qty: ${quantity}, price: ${itemPrice})`);
-      return result.data;
-    }
-    
-    console.error(`[Pipedrive Products] Failed to attach product to deal:`, result);
-    return null;
-  } catch (error) {
-    console.error(`[Pipedrive Products] Error attaching product ${productId} to deal ${dealId}:`, error.message);
-    return null;
-  }
-}
-
-// Sync invoice line items to Pipedrive deal as products
-async function syncInvoiceProductsToDeal(userData, dealId, lineItems, userId = null) {
-  if (!dealId) {
-    console.log('[Pipedrive Products] No deal ID provided, skipping product sync');
-    return { synced: 0, skipped: 0, errors: 0 };
-  }
-  
-  if (!lineItems || lineItems.length === 0) {
-    console.log('[Pipedrive Products] No line items to sync');
-    return { synced: 0, skipped: 0, errors: 0 };
-  }
-  
-  console.log(`[Pipedrive Products] Syncing ${lineItems.length} line items to deal ${dealId}`);
-  
-  let synced = 0;
-  let skipped = 0;
-  let errors = 0;
-  
-  for (const item of lineItems) {
-    const sku = item.sku;
-    const name = item.name || item.description || 'Unnamed Product';
-    const quantity = item.quantity || 1;
-    const unitPrice = item.unitPrice || 0;
-    
-    if (!sku) {
-      console.log(`[Pipedrive Products] Skipping item "${name}" - no SKU`);
-      skipped++;
-      continue;
-    }
-    
-    try {
-      // Find or create the product in Pipedrive
-      const product = await findOrCreatePipedriveProduct(userData, name, sku, userId);
-      
-      if (product) {
-        // Attach to the deal
-        const attached = await attachProductToDeal(userData, dealId, product.id, quantity, unitPrice, userId);
-        if (attached) {
-          synced++;
-        } else {
-          errors++;
-        }
-      } else {
-        errors++;
-      }
-    } catch (error) {
-      console.error(`[Pipedrive Products] Error syncing item "${name}":`, error.message);
-      errors++;
-    }
-  }
-  
-  console.log(`[Pipedrive Products] Sync complete: ${synced} synced, ${skipped} skipped (no SKU), ${errors} errors`);
-  return { synced, skipped, errors };
-}
-
-// ============================================
-// End Pipedrive Product Sync Helper Functions
-// ============================================
+const { encrypt } = require("../utils/encryption");
+const { buildPdf } = require("../utils/pdf");
+const { AGING_BUCKETS, bucketOpenInvoices } = require("../utils/aging");
+const {
+  LIKELY_DUPLICATE_SCORE,
+  SUGGESTED_MATCH_SCORE
+} = require("../utils/customerMatching");
+const { isShippingChargeLine, isDiscountSalesLine } = require("../utils/invoiceLines");
+const {
+  getQBBaseUrl,
+  getQBResponseData,
+  tokenNeedsRefresh,
+  refreshAndSaveToken,
+  makeQBApiCall,
+  runQBQuery,
+  fetchQBInvoicePdf,
+  getQBInvoice,
+  findQBEntityByIdOrName,
+  formatPayment,
+  getQBFaultError,
+  listOpenInvoicesForCustomers
+} = require("../services/quickbooks");
+const {
+  makePipedriveApiCall,
+  listDealFiles
+} = require("../services/pipedrive");
+const {
+  makeShipStationApiCall
+} = require("../services/shipstation");
+const {
+  rememberCreatedCustomer,
+  findDuplicateCustomers
+} = require("../services/customers");
+const {
+  postInvoicePaymentsToDeal,
+  runDealAutomation,
+  runInvoicePaidAutomation,
+  AR_FIGURES,
+  AR_FIELD_ENTITIES,
+  getArFieldConfig
+} = require("../services/deals");
+const {
+  normalizeCountryCode,
+  normalizeStateCode,
+  formatQBDate,
+  computeDueDateFromPreferences,
+  resolveInvoiceDefaults,
+  getQBTerms,
+  findQBTerm,
+  computeDueDateFromTerm,
+  getQBTaxSetup,
+  applyInvoiceTax,
+  buildTaxBreakdown,
+  estimateInvoiceTax,
+  buildSalesLines,
+  copySalesDocumentLines,
+  buildInvoiceFromEstimate,
+  resolveDiscountLines,
+  verifyInvoiceTotals,
+  resolveChargeLines,
+  buildShipAddr,
+  planInvoiceSideEffects,
+  runInvoiceSideEffects,
+  getQBCurrencySetup,
+  getQBExchangeRate,
+  buildInvoicePayload,
+  createInvoice,
+  attachDealFilesToInvoice,
+  buildDealInvoiceDraft,
+  createShipStationOrderFromInvoice,
+  cancelShipStationOrderForInvoice
+} = require("../services/invoicing");
 
 router.get("/", (req, res) => {
   res.send("Hello!");
@@ -903,6 +435,9 @@ router.post("/api/disconnect-qb", express.json(), async (req, res) => {
   }
 });
 
+// Setup preferences the setup page loads separately (pipelines, custom fields, QuickBooks classes)
+const SETUP_PREFERENCE_SECTIONS = ['pipelineAutomations', 'arFields', 'invoiceTagging', 'reverseSync'];
+
 // Setup preferences endpoints
 router.post("/api/setup/preferences", express.json(), async (req, res) => {
   try {
@@ -936,11 +471,22 @@ router.post("/api/setup/preferences", express.json(), async (req, res) => {
       return res.status(403).json({ error: "Setup token has expired" });
     }
     
+    // The settings sections are only sent when the setup page could load them - keep the saved
+    // ones for any section left out
+    const savedPreferences = userData.invoice_preferences || {};
+    const keptSections = {};
+    for (const section of SETUP_PREFERENCE_SECTIONS) {
+      if (savedPreferences[section] !== undefined) {
+        keptSections[section] = savedPreferences[section];
+      }
+    }
+    
     // Build updated user data
     const updatedData = {
       ...userData,
       invoice_preferences: {
         authorizeAllUsers,
+        ...keptSections,
         ...preferences,
         setup_completed_at: new Date().toISOString()
       },
@@ -2194,7 +1740,7 @@ router.get("/api/user-status", async (req, res) => {
 
 router.post("/api/sync-contact", express.json(), async (req, res) => {
   try {
-    const { personId } = req.body;
+    const { personId, qbCustomerId, allowDuplicate } = req.body;
     const pipedriveUserId =
       req.query.userId || req.session?.userId || req.body.userId;
 
@@ -2217,380 +1763,492 @@ router.post("/api/sync-contact", express.json(), async (req, res) => {
       `Sync request received - User: ${pipedriveUserId}, Person: ${personId}`,
     );
 
-    const result = await syncContact(pipedriveUserId, personId);
+    const result = await syncContact(pipedriveUserId, personId, { qbCustomerId, allowDuplicate });
 
     res.json({
       success: true,
       qbCustomerId: result.qbCustomerId,
       action: result.action,
+      matchedBy: result.matchedBy,
       personName: result.pipedrivePersonName,
     });
   } catch (error) {
     console.error("API sync-contact error:", error);
-    res.status(500).json({
+    if (error.duplicateCustomer) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        duplicate: true,
+        matches: error.matches,
+      });
+    }
+    res.status(error.validationError ? 400 : 500).json({
       success: false,
       error: error.message,
     });
   }
 });
 
-// Helper function to create QB client with tokens
-async function createQBClient(userId) {
-  const userData = await getUser(userId);
-  if (!userData || !userData.qb_access_token) {
-    throw new Error("QuickBooks not connected for this user");
-  }
-
-  const qbClient = new OAuthClient({
-    clientId: process.env.QB_CLIENT_ID,
-    clientSecret: process.env.QB_CLIENT_SECRET,
-    environment: process.env.QB_ENVIRONMENT || 'sandbox',
-    redirectUri: process.env.APP_URL + '/auth/qb/callback',
-    logging: false
-  });
-
-  qbClient.setToken({
-    access_token: userData.qb_access_token,
-    refresh_token: userData.qb_refresh_token,
-    token_type: 'Bearer',
-    expires_in: userData.qb_expires_in,
-    x_refresh_token_expires_in: 8726400,
-    realmId: userData.qb_realm_id
-  });
-
-  return { qbClient, companyId: userData.qb_realm_id };
-}
-
-// Get a specific QuickBooks customer by ID
-router.get("/api/customer/:customerId", async (req, res) => {
+// Sync a Pipedrive organization (and optionally its persons) to a QuickBooks customer
+router.post("/api/sync-organization", express.json(), async (req, res) => {
   try {
-    const { customerId } = req.params;
-    const providedUserId = req.query.userId || 'test';
+    const { organizationId, billingPersonId, persons, qbCustomerId, allowDuplicate } = req.body;
+    const pipedriveUserId = req.query.userId || req.session?.userId || req.body.userId;
     
-    if (!customerId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Customer ID is required" 
+    if (!organizationId) {
+      return res.status(400).json({
+        success: false,
+        error: "organizationId is required in request body"
       });
     }
     
-    // Try to find user with QB tokens - check multiple ID formats
-    let userData = null;
-    let actualUserId = providedUserId;
+    if (!pipedriveUserId) {
+      return res.status(400).json({
+        success: false,
+        error: "pipedriveUserId is required (pass as query param userId, in session, or in body)"
+      });
+    }
     
-    // First try the provided user ID
-    userData = await getUser(providedUserId);
+    console.log(`[OrgSync] Sync request received - User: ${pipedriveUserId}, Organization: ${organizationId}`);
     
-    // If no QB tokens, try different user ID formats
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      console.log(`No QB tokens for ${providedUserId}, checking alternative IDs for customer detail...`);
-      
-      // Get all users to find one with QB tokens
-      const { listUsers } = require("../../config/postgres");
-      const allKeys = await listUsers();
-      
-      // Check if we can find a user with QB tokens that matches this domain
-      for (const key of allKeys) {
-        const testUserData = await getUser(key);
-        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
-          // Check if this user is related to the provided userId
-          const normalizedProvidedId = providedUserId.replace('https://', '');
-          const normalizedKey = key.replace('https://', '');
-          
-          if (normalizedKey === normalizedProvidedId ||
-              testUserData.api_domain?.includes(normalizedProvidedId) ||
-              normalizedProvidedId.includes(testUserData.api_domain?.replace('https://', '') || 'NOMATCH')) {
-            console.log(`Found QB tokens under alternative ID: ${key}`);
-            userData = testUserData;
-            actualUserId = key;
-            break;
-          }
-          
-          // Also check if this might be the right user based on having QB tokens
-          if (!userData && testUserData.qb_realm_id) {
-            userData = testUserData;
-            actualUserId = key;
-          }
-        }
-      }
+    const result = await syncOrganization(pipedriveUserId, organizationId, { billingPersonId, persons, qbCustomerId, allowDuplicate });
+    
+    res.json({
+      success: true,
+      qbCustomerId: result.qbCustomerId,
+      action: result.action,
+      source: result.source,
+      organizationName: result.pipedriveOrganizationName,
+      billingPersonId: result.billingPersonId,
+      persons: result.persons
+    });
+  } catch (error) {
+    console.error("API sync-organization error:", error);
+    if (error.duplicateCustomer) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        duplicate: true,
+        matches: error.matches
+      });
+    }
+    res.status(error.validationError ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== CUSTOMER FIELD MAPPING ENDPOINTS ====================
+
+// Pipedrive entities a customer field mapping can be saved for
+const CUSTOMER_MAPPING_ENTITY_TYPES = ['person', 'organization'];
+
+// The person and organization mappings in use (saved, or the defaults), with what they can map to
+router.get("/api/customer-field-mappings", async (req, res) => {
+  try {
+    const userId = req.query.userId;
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    
+    const saved = await getCustomerFieldMappings(userData.pipedrive_user_id);
+    const mappings = {};
+    for (const entityType of CUSTOMER_MAPPING_ENTITY_TYPES) {
+      const rules = saved[entityType] ? saved[entityType].rules : getDefaultCustomerMapping(entityType, userData.invoice_preferences || {});
+      mappings[entityType] = {
+        rules,
+        isDefault: !saved[entityType],
+        updatedAt: saved[entityType] ? saved[entityType].updatedAt : null,
+        validation: validateCustomerMapping(rules, entityType)
+      };
     }
     
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+    res.json({
+      success: true,
+      mappings,
+      targets: CUSTOMER_FIELD_TARGETS,
+      transforms: MAPPING_TRANSFORMS
+    });
+  } catch (error) {
+    console.error("Get customer field mappings error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Save the mapping for one entity type; rejected with the problems found if it doesn't validate
+router.put("/api/customer-field-mappings/:entityType", express.json(), async (req, res) => {
+  try {
+    const { entityType } = req.params;
+    const userId = req.query.userId || req.body.userId;
+    const { rules } = req.body;
+    
+    if (!CUSTOMER_MAPPING_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ success: false, error: `entityType must be one of: ${CUSTOMER_MAPPING_ENTITY_TYPES.join(', ')}` });
+    }
+    
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    
+    const validation = validateCustomerMapping(rules, entityType);
+    if (!validation.valid) {
       return res.status(400).json({
         success: false,
-        error: "QuickBooks not connected for this user"
+        error: "Mapping is not valid",
+        validation
       });
     }
     
-    const baseUrl = getQBBaseUrl();
-    const companyId = userData.qb_realm_id;
+    await setCustomerFieldMapping(userData.pipedrive_user_id, entityType, rules);
+    console.log(`[CustomerMapping] Saved ${entityType} mapping (${rules.length} rule(s)) for user ${userData.pipedrive_user_id}`);
     
-    // Make API call with automatic token refresh - pass actualUserId for correct persistence
-    const customerResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
-      return await qbClient.makeApiCall({
-        url: `${baseUrl}/v3/company/${companyId}/customer/${customerId}?minorversion=65`,
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+    res.json({ success: true, entityType, rules, validation });
+  } catch (error) {
+    console.error("Save customer field mapping error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
+
+// Go back to the default mapping for one entity type
+router.delete("/api/customer-field-mappings/:entityType", async (req, res) => {
+  try {
+    const { entityType } = req.params;
+    const userId = req.query.userId;
     
-    const customer = getQBResponseData(customerResponse).Customer;
+    if (!CUSTOMER_MAPPING_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ success: false, error: `entityType must be one of: ${CUSTOMER_MAPPING_ENTITY_TYPES.join(', ')}` });
+    }
+    
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    
+    const deleted = await deleteCustomerFieldMapping(userData.pipedrive_user_id, entityType);
+    res.json({ success: true, entityType, deleted });
+  } catch (error) {
+    console.error("Delete customer field mapping error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Show the customer a mapping would build from a real Pipedrive person or organization, without
+// writing anything. Uses the rules in the body when given (to try them before saving)
+router.post("/api/customer-field-mappings/:entityType/preview", express.json(), async (req, res) => {
+  try {
+    const { entityType } = req.params;
+    const userId = req.query.userId || req.body.userId;
+    const { entityId, billingPersonId } = req.body;
+    
+    if (!CUSTOMER_MAPPING_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ success: false, error: `entityType must be one of: ${CUSTOMER_MAPPING_ENTITY_TYPES.join(', ')}` });
+    }
+    
+    if (!entityId) {
+      return res.status(400).json({ success: false, error: "entityId is required" });
+    }
+    
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    
+    if (req.body.rules) {
+      const validation = validateCustomerMapping(req.body.rules, entityType);
+      if (validation.errors.length > 0) {
+        return res.status(400).json({ success: false, error: "Mapping is not valid", validation });
+      }
+    }
+    
+    const mapping = req.body.rules
+      ? { rules: req.body.rules, fields: await loadMappingFields(userId, userData, entityType, req.body.rules) }
+      : await loadCustomerMapping(userId, userData, entityType);
+    
+    const recordResult = await makePipedriveApiCall(userData, 'GET', `/api/v1/${entityType === 'person' ? 'persons' : 'organizations'}/${entityId}`, null, userId);
+    const record = recordResult?.data;
+    if (!record) {
+      return res.status(404).json({ success: false, error: `Pipedrive ${entityType} ${entityId} not found` });
+    }
+    
+    // Organizations read their billing contact, picked as the organization sync picks it
+    let contact = null;
+    if (entityType === 'organization') {
+      const personsResult = await makePipedriveApiCall(userData, 'GET', `/api/v1/organizations/${entityId}/persons?limit=500`, null, userId);
+      contact = pickBillingPerson(personsResult?.data || [], billingPersonId);
+    }
+    
+    const result = applyCustomerMapping(mapping.rules, { record, contact, fields: mapping.fields });
     
     res.json({
       success: true,
-      customer: customer
+      entityType,
+      customer: result.customerData,
+      applied: result.applied,
+      missingRequired: result.missingRequired
     });
-    
   } catch (error) {
-    console.error('Error fetching customer:', error);
+    console.error("Preview customer field mapping error:", error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch customer'
+      error: error.message
     });
   }
 });
 
-// Get invoices for a QuickBooks customer
-router.get("/api/customer/:customerId/invoices", async (req, res) => {
+// ==================== CONTACT MAPPING ENDPOINTS ====================
+
+// Look up mapped QuickBooks customers by ID, including inactive ones (merged customers become
+// inactive). Returns a Map of ID -> { id, displayName, active }
+async function getQBCustomersById(userId, userData, customerIds) {
+  const customers = new Map();
+  const ids = [...new Set(customerIds.map(String))];
+  
+  // 30 IDs per query keeps the query string well under QuickBooks' URL limit
+  for (let index = 0; index < ids.length; index += 30) {
+    const batch = ids.slice(index, index + 30).map(id => `'${id.replace(/'/g, '')}'`).join(', ');
+    const result = await runQBQuery(userId, userData, `SELECT Id, DisplayName, Active FROM Customer WHERE Active IN (true, false) AND Id IN (${batch}) MAXRESULTS 1000`);
+    for (const customer of result.Customer || []) {
+      customers.set(String(customer.Id), { id: customer.Id, displayName: customer.DisplayName, active: customer.Active !== false });
+    }
+  }
+  
+  return customers;
+}
+
+// List the install's person/organization -> customer mappings. With check=true each one is
+// checked against QuickBooks: status 'ok', 'inactive' (e.g. merged) or 'missing' (deleted)
+router.get("/api/contact-mappings", async (req, res) => {
   try {
-    const { customerId } = req.params;
-    const providedUserId = req.query.userId || 'test';
-    const { startDate, endDate } = req.query;
+    const { userId, entityType, qbCustomerId, check } = req.query;
     
-    if (!customerId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Customer ID is required" 
-      });
+    if (entityType && !CUSTOMER_MAPPING_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ success: false, error: `entityType must be one of: ${CUSTOMER_MAPPING_ENTITY_TYPES.join(', ')}` });
     }
     
-    // Try to find user with QB tokens - check multiple ID formats
-    let userData = null;
-    let actualUserId = providedUserId;
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
     
-    // First try the provided user ID
-    userData = await getUser(providedUserId);
+    const mappings = await listContactMappings(userData.pipedrive_user_id, { entityType, qbCustomerId });
     
-    // If no QB tokens, try different user ID formats
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      console.log(`No QB tokens for ${providedUserId}, checking alternative IDs for invoices...`);
-      
-      // Get all users to find one with QB tokens
-      const { listUsers } = require("../../config/postgres");
-      const allKeys = await listUsers();
+    if (check === 'true' && mappings.length > 0) {
+      if (!userData.qb_access_token || !userData.qb_realm_id) {
+        return res.status(400).json({ success: false, error: "QuickBooks not connected for this user" });
+      }
       
-      // Check if we can find a user with QB tokens that matches this domain
-      for (const key of allKeys) {
-        const testUserData = await getUser(key);
-        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
-          // Check if this user is related to the provided userId
-          const normalizedProvidedId = providedUserId.replace('https://', '');
-          const normalizedKey = key.replace('https://', '');
-          
-          if (normalizedKey === normalizedProvidedId ||
-              testUserData.api_domain?.includes(normalizedProvidedId) ||
-              normalizedProvidedId.includes(testUserData.api_domain?.replace('https://', '') || 'NOMATCH')) {
-            console.log(`Found QB tokens under alternative ID: ${key}`);
-            userData = testUserData;
-            actualUserId = key;
-            break;
-          }
-          
-          // Also check if this might be the right user based on having QB tokens
-          if (!userData && testUserData.qb_realm_id) {
-            userData = testUserData;
-            actualUserId = key;
-          }
-        }
+      const customers = await getQBCustomersById(userId, userData, mappings.map(mapping => mapping.qbCustomerId));
+      for (const mapping of mappings) {
+        const customer = customers.get(String(mapping.qbCustomerId)) || null;
+        mapping.customer = customer;
+        mapping.status = !customer ? 'missing' : (customer.active ? 'ok' : 'inactive');
       }
     }
     
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+    res.json({
+      success: true,
+      mappings,
+      broken: mappings.filter(mapping => mapping.status && mapping.status !== 'ok').length
+    });
+  } catch (error) {
+    console.error("List contact mappings error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Load a person or organization from the user's own Pipedrive company, or null if it isn't there
+async function getOwnedPipedriveRecord(userId, userData, entityType, entityId) {
+  const path = entityType === 'organization' ? 'organizations' : 'persons';
+  try {
+    return (await makePipedriveApiCall(userData, 'GET', `/api/v1/${path}/${encodeURIComponent(entityId)}`, null, userId))?.data || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+// Repair a mapping: point the person or organization at another (active) QuickBooks customer
+router.put("/api/contact-mappings/:entityType/:entityId", express.json(), async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const userId = req.query.userId || req.body.userId;
+    const { qbCustomerId } = req.body;
+    
+    if (!CUSTOMER_MAPPING_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ success: false, error: `entityType must be one of: ${CUSTOMER_MAPPING_ENTITY_TYPES.join(', ')}` });
+    }
+    
+    if (!qbCustomerId) {
+      return res.status(400).json({ success: false, error: "qbCustomerId is required" });
+    }
+    
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    
+    if (!userData.qb_access_token || !userData.qb_realm_id) {
+      return res.status(400).json({ success: false, error: "QuickBooks not connected for this user" });
+    }
+    
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      return res.status(400).json({ success: false, error: "Pipedrive not connected for this user" });
+    }
+    
+    const tenantId = userData.pipedrive_user_id;
+    if (!(await getOwnedPipedriveRecord(tenantId, userData, entityType, entityId))) {
+      return res.status(404).json({ success: false, error: `${entityType} ${entityId} not found in this Pipedrive company` });
+    }
+    
+    const customer = (await getQBCustomersById(userId, userData, [qbCustomerId])).get(String(qbCustomerId));
+    if (!customer || !customer.active) {
       return res.status(400).json({
         success: false,
-        error: "QuickBooks not connected for this user"
+        error: customer ? `QuickBooks customer ${qbCustomerId} is inactive` : `QuickBooks customer ${qbCustomerId} not found`
       });
     }
     
-    const baseUrl = getQBBaseUrl();
-    const companyId = userData.qb_realm_id;
+    const previous = await getContactMapping(tenantId, entityType, entityId);
+    const mapping = await setContactMapping(tenantId, entityType, entityId, customer.id, 'manual');
+    console.log(`[ContactMapping] ${entityType} ${entityId} mapped to customer ${customer.id} (was ${previous ? previous.qbCustomerId : 'unmapped'}) for user ${tenantId}`);
     
-    // Build query for invoices
-    let query = `select * from Invoice where CustomerRef='${customerId}'`;
+    res.json({
+      success: true,
+      mapping: { ...mapping, customer, status: 'ok' },
+      previousQbCustomerId: previous ? previous.qbCustomerId : null
+    });
+  } catch (error) {
+    console.error("Repair contact mapping error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove a mapping - the next sync of the record finds its customer by name again
+router.delete("/api/contact-mappings/:entityType/:entityId", async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const { userId } = req.query;
     
-    // Add date filters if provided
-    if (startDate) {
-      query += ` and TxnDate >= '${startDate}'`;
+    if (!CUSTOMER_MAPPING_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ success: false, error: `entityType must be one of: ${CUSTOMER_MAPPING_ENTITY_TYPES.join(', ')}` });
     }
-    if (endDate) {
-      query += ` and TxnDate <= '${endDate}'`;
+    
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
     }
     
-    // Make API call with automatic token refresh - pass actualUserId for correct persistence
-    const invoiceResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
-      return await qbClient.makeApiCall({
-        url: `${baseUrl}/v3/company/${companyId}/query?query=${encodeURIComponent(query)}&minorversion=65`,
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-    });
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      return res.status(400).json({ success: false, error: "Pipedrive not connected for this user" });
+    }
     
-    const responseData = getQBResponseData(invoiceResponse);
-    const invoices = responseData.QueryResponse?.Invoice || [];
+    const tenantId = userData.pipedrive_user_id;
+    if (!(await getOwnedPipedriveRecord(tenantId, userData, entityType, entityId))) {
+      return res.status(404).json({ success: false, error: `${entityType} ${entityId} not found in this Pipedrive company` });
+    }
     
-    // Collect all unique item IDs from invoice line items to fetch SKUs
-    const itemIds = new Set();
-    invoices.forEach(invoice => {
-      if (invoice.Line) {
-        invoice.Line.forEach(line => {
-          if (line.DetailType === 'SalesItemLineDetail' && line.SalesItemLineDetail?.ItemRef?.value) {
-            itemIds.add(line.SalesItemLineDetail.ItemRef.value);
-          }
-          // Also collect item IDs from GroupLineDetail children
-          if (line.DetailType === 'GroupLineDetail' && line.GroupLineDetail?.Line) {
-            line.GroupLineDetail.Line.forEach(childLine => {
-              if (childLine.SalesItemLineDetail?.ItemRef?.value) {
-                itemIds.add(childLine.SalesItemLineDetail.ItemRef.value);
-              }
-            });
-          }
-        });
-      }
-    });
-    
-    // Fetch item details to get SKUs (if there are any items)
-    let itemSkuMap = {};
-    console.log(`[Invoices] Collected ${itemIds.size} unique item IDs for SKU lookup:`, Array.from(itemIds));
-    if (itemIds.size > 0) {
-      try {
-        const itemIdList = Array.from(itemIds).join("','");
-        const itemQuery = `SELECT * FROM Item WHERE Id IN ('${itemIdList}')`;
-        console.log(`[Invoices] SKU query:`, itemQuery);
-        
-        const itemResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
-          return await qbClient.makeApiCall({
-            url: `${baseUrl}/v3/company/${companyId}/query?query=${encodeURIComponent(itemQuery)}&minorversion=65`,
-            method: 'GET',
-            headers: {
-              'Content-Type': 'application/json'
-            }
-          });
-        });
-        
-        const itemData = getQBResponseData(itemResponse);
-        const items = itemData.QueryResponse?.Item || [];
-        console.log(`[Invoices] Raw item response:`, JSON.stringify(items.slice(0, 3)));
-        items.forEach(item => {
-          itemSkuMap[item.Id] = item.Sku || '';
-        });
-        console.log(`[Invoices] Fetched SKUs for ${items.length} items, SKU map:`, itemSkuMap);
-      } catch (itemError) {
-        console.warn('[Invoices] Could not fetch item SKUs:', itemError.message);
-      }
+    const deleted = await deleteContactMapping(tenantId, entityType, entityId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `No mapping for ${entityType} ${entityId}` });
     }
     
-    // Enrich invoice line items with SKU data
-    let enrichedCount = 0;
-    invoices.forEach(invoice => {
-      if (invoice.Line) {
-        invoice.Line.forEach(line => {
-          if (line.DetailType === 'SalesItemLineDetail' && line.SalesItemLineDetail?.ItemRef?.value) {
-            const itemId = line.SalesItemLineDetail.ItemRef.value;
-            const sku = itemSkuMap[itemId] || '';
-            line.SalesItemLineDetail.Sku = sku;
-            if (sku) {
-              enrichedCount++;
-              console.log(`[Invoices] Enriched item ${itemId} with SKU: ${sku}`);
-            }
-          }
-          // Also enrich GroupLineDetail children with SKU data
-          if (line.DetailType === 'GroupLineDetail' && line.GroupLineDetail?.Line) {
-            line.GroupLineDetail.Line.forEach(childLine => {
-              if (childLine.SalesItemLineDetail?.ItemRef?.value) {
-                const itemId = childLine.SalesItemLineDetail.ItemRef.value;
-                const sku = itemSkuMap[itemId] || '';
-                childLine.SalesItemLineDetail.Sku = sku;
-                if (sku) {
-                  enrichedCount++;
-                  console.log(`[Invoices] Enriched group child item ${itemId} with SKU: ${sku}`);
-                }
-              }
-            });
-          }
-        });
-      }
+    console.log(`[ContactMapping] Removed mapping for ${entityType} ${entityId} (user ${tenantId})`);
+    res.json({ success: true, entityType, entityId });
+  } catch (error) {
+    console.error("Delete contact mapping error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
-    console.log(`[Invoices] Total items enriched with SKU: ${enrichedCount}`);
-    
-    // Calculate overview totals
-    const overview = {
-      outstanding: 0,
-      overdue: 0,
-      paid: 0,
-      total: 0
-    };
+  }
+});
+
+// ==================== CUSTOMER REVERSE SYNC ENDPOINTS ====================
+
+// Reverse sync settings, watermark and the latest decisions (optionally for one customer)
+router.get("/api/customer-reverse-sync", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
     
-    const today = new Date();
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
     
-    invoices.forEach(invoice => {
-      const amount = parseFloat(invoice.TotalAmt || 0);
-      const balance = parseFloat(invoice.Balance || 0);
-      const dueDate = new Date(invoice.DueDate);
-      
-      overview.total += amount;
-      
-      if (balance > 0) {
-        overview.outstanding += balance;
-        
-        if (dueDate < today) {
-          overview.overdue += balance;
-        }
-      } else {
-        overview.paid += amount;
-      }
-    });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const [watermark, log] = await Promise.all([
+      getCustomerSyncWatermark(qbUser.actualUserId),
+      listCustomerSyncLog({ userId: qbUser.actualUserId, qbCustomerId: req.query.qbCustomerId }, limit)
+    ]);
     
     res.json({
       success: true,
-      invoices: invoices,
-      overview: overview
+      settings: getReverseSyncSettings(qbUser.userData),
+      conflictRules: CUSTOMER_CONFLICT_RULES,
+      watermark,
+      log
     });
-    
   } catch (error) {
-    console.error('Error fetching invoices:', error.message);
-    console.error('Error stack:', error.stack);
-    if (error.response) {
-      console.error('Error response body:', error.response.body || error.response.data);
-    }
+    console.error("Get customer reverse sync error:", error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to fetch invoices',
-      overview: {
-        outstanding: 0,
-        overdue: 0,
-        paid: 0,
-        total: 0
-      }
+      error: error.message
     });
   }
 });
 
-// Get the custom field key for QB Customer ID
-router.get("/api/field-key", async (req, res) => {
+// Check QuickBooks for customer changes now (in the background)
+router.post("/api/customer-reverse-sync", express.json(), async (req, res) => {
   try {
-    const userId = req.query.userId || 'test';
-    const userData = await getUser(userId);
+    const providedUserId = req.query.userId || req.body.userId;
     
-    res.json({
-      success: true,
-      fieldKey: userData?.qb_field_id || null
-    });
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    if (!getReverseSyncSettings(qbUser.userData).enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Customer reverse sync is turned off. Turn it on in setup preferences."
+      });
+    }
+    
+    const started = await startCustomerReverseSync(qbUser.actualUserId);
+    if (!started) {
+      return res.status(409).json({
+        success: false,
+        error: "A customer reverse sync is already running"
+      });
+    }
+    
+    res.status(202).json({ success: true });
   } catch (error) {
-    console.error("Get field key error:", error);
+    console.error("Start customer reverse sync error:", error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -2598,21 +2256,46 @@ router.get("/api/field-key", async (req, res) => {
   }
 });
 
-// Search QuickBooks customers
-router.get("/api/customers/search", async (req, res) => {
-  try {
-    const searchTerm = req.query.term;
-    const providedUserId = req.query.userId || 'test';
+// Helper function to create QB client with tokens
+async function createQBClient(userId) {
+  const userData = await getUser(userId);
+  if (!userData || !userData.qb_access_token) {
+    throw new Error("QuickBooks not connected for this user");
+  }
 
-    console.log('Search term:', searchTerm, 'User ID:', providedUserId);
+  const qbClient = new OAuthClient({
+    clientId: process.env.QB_CLIENT_ID,
+    clientSecret: process.env.QB_CLIENT_SECRET,
+    environment: process.env.QB_ENVIRONMENT || 'sandbox',
+    redirectUri: process.env.APP_URL + '/auth/qb/callback',
+    logging: false
+  });
 
-    if (!searchTerm) {
-      return res.status(400).json({
-        success: false,
-        error: "Search term is required"
+  qbClient.setToken({
+    access_token: userData.qb_access_token,
+    refresh_token: userData.qb_refresh_token,
+    token_type: 'Bearer',
+    expires_in: userData.qb_expires_in,
+    x_refresh_token_expires_in: 8726400,
+    realmId: userData.qb_realm_id
+  });
+
+  return { qbClient, companyId: userData.qb_realm_id };
+}
+
+// Get a specific QuickBooks customer by ID
+router.get("/api/customer/:customerId", async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const providedUserId = req.query.userId || 'test';
+    
+    if (!customerId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Customer ID is required" 
       });
     }
-
+    
     // Try to find user with QB tokens - check multiple ID formats
     let userData = null;
     let actualUserId = providedUserId;
@@ -2622,7 +2305,7 @@ router.get("/api/customers/search", async (req, res) => {
     
     // If no QB tokens, try different user ID formats
     if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      console.log(`No QB tokens for ${providedUserId}, checking alternative IDs...`);
+      console.log(`No QB tokens for ${providedUserId}, checking alternative IDs for customer detail...`);
       
       // Get all users to find one with QB tokens
       const { listUsers } = require("../../config/postgres");
@@ -2633,7 +2316,6 @@ router.get("/api/customers/search", async (req, res) => {
         const testUserData = await getUser(key);
         if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
           // Check if this user is related to the provided userId
-          // Could be same domain with/without https, or could be the numeric ID
           const normalizedProvidedId = providedUserId.replace('https://', '');
           const normalizedKey = key.replace('https://', '');
           
@@ -2647,40 +2329,28 @@ router.get("/api/customers/search", async (req, res) => {
           }
           
           // Also check if this might be the right user based on having QB tokens
-          // (for the case where numeric ID has tokens but domain ID doesn't)
           if (!userData && testUserData.qb_realm_id) {
-            // Save as potential match
             userData = testUserData;
             actualUserId = key;
-            // Continue searching for a better match
           }
         }
       }
     }
     
     if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      console.log(`[Search] No QB connection found for userId: ${providedUserId}`);
       return res.status(400).json({
         success: false,
         error: "QuickBooks not connected for this user"
       });
     }
-
-    console.log(`[Search] Found QB connection for user: ${actualUserId}, realm: ${userData.qb_realm_id}`);
     
     const baseUrl = getQBBaseUrl();
-    const realmId = userData.qb_realm_id;
-    
-    // Build query to search customers by DisplayName
-    const query = `SELECT * FROM Customer WHERE DisplayName LIKE '%${searchTerm}%' MAXRESULTS 10`;
-    const encodedQuery = encodeURIComponent(query);
-    
-    console.log(`[Search] Executing QB query: ${query}`);
+    const companyId = userData.qb_realm_id;
     
-    // Make API call to QuickBooks with automatic token refresh - pass actualUserId for correct persistence
-    const queryResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+    // Make API call with automatic token refresh - pass actualUserId for correct persistence
+    const customerResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
       return await qbClient.makeApiCall({
-        url: `${baseUrl}/v3/company/${realmId}/query?query=${encodedQuery}`,
+        url: `${baseUrl}/v3/company/${companyId}/customer/${customerId}?minorversion=65`,
         method: 'GET',
         headers: {
           'Content-Type': 'application/json'
@@ -2688,166 +2358,56 @@ router.get("/api/customers/search", async (req, res) => {
       });
     });
     
-    console.log(`[Search] QB API response received:`, {
-      hasResponse: !!queryResponse,
-      responseType: typeof queryResponse,
-      hasBody: queryResponse ? !!queryResponse.body : false,
-      hasJson: queryResponse ? !!queryResponse.json : false,
-      hasGetJson: queryResponse ? typeof queryResponse.getJson === 'function' : false,
-      keys: queryResponse ? Object.keys(queryResponse) : []
-    });
+    const customer = getQBResponseData(customerResponse).Customer;
     
-    // Check if response exists
-    if (!queryResponse) {
-      console.error("[Search] Invalid QuickBooks response - no response");
-      return res.status(500).json({
-        success: false,
-        error: "Invalid response from QuickBooks"
-      });
-    }
+    res.json({
+      success: true,
+      customer: customer,
+      currency: await describeCustomerCurrency(actualUserId, userData, customer)
+    });
     
-    // Use helper to get response data (intuit-oauth library can return different formats)
-    let queryResult;
-    try {
-      queryResult = getQBResponseData(queryResponse);
-    } catch (parseError) {
-      console.error("[Search] Could not extract data from QB response:", parseError.message);
-      return res.status(500).json({
-        success: false,
-        error: "Could not parse QuickBooks response"
-      });
-    }
-    const customers = queryResult.QueryResponse?.Customer || [];
-    
-    // Transform to simplified format { id, name, email }
-    const simplifiedCustomers = customers.map(customer => ({
-      id: customer.Id,
-      name: customer.DisplayName || 'Unnamed',
-      email: customer.PrimaryEmailAddr?.Address || null
-    }));
-    
-    res.json(simplifiedCustomers);
   } catch (error) {
-    console.error("Search customers error:", error);
+    console.error('Error fetching customer:', error);
     res.status(500).json({
       success: false,
-      error: error.message,
-      debug: {
-        errorName: error.name,
-        statusCode: error.response?.statusCode || error.statusCode,
-        responseBody: error.response?.body,
-        intuit_tid: error.intuit_tid
-      }
+      error: 'Failed to fetch customer'
     });
   }
 });
 
-// Create new QuickBooks customer
-router.post("/api/create-customer", express.json(), async (req, res) => {
+// Get invoices for a QuickBooks customer
+router.get("/api/customer/:customerId/invoices", async (req, res) => {
   try {
-    const { name, email, phone } = req.body;
-    const userId = req.query.userId || req.body.userId || 'test';
-
-    if (!name) {
-      return res.status(400).json({
-        success: false,
-        error: "Customer name is required"
-      });
-    }
-
-    const { qbClient, companyId } = await createQBClient(userId);
-    const baseUrl = getQBBaseUrl();
-    
-    const customerData = {
-      DisplayName: name,
-      Active: true
-    };
-
-    if (email) {
-      customerData.PrimaryEmailAddr = {
-        Address: email
-      };
-    }
-
-    if (phone) {
-      customerData.PrimaryPhone = {
-        FreeFormNumber: phone
-      };
-    }
-
-    const createResponse = await qbClient.makeApiCall({
-      url: `${baseUrl}/v3/company/${companyId}/customer?minorversion=65`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(customerData)
-    });
-    
-    const createdCustomer = getQBResponseData(createResponse).Customer;
+    const { customerId } = req.params;
+    const providedUserId = req.query.userId || 'test';
+    const { startDate, endDate } = req.query;
     
-    res.json({
-      success: true,
-      customer: createdCustomer
-    });
-  } catch (error) {
-    console.error("Create customer error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Attach QuickBooks customer to Pipedrive deal
-router.post("/api/attach-contact", express.json(), async (req, res) => {
-  try {
-    const { dealId, qbCustomerId, customerName } = req.body;
-    const providedUserId = req.query.userId || req.body.userId || 'test';
-
-    console.log('[Attach Contact] dealId:', dealId, 'qbCustomerId:', qbCustomerId, 'userId:', providedUserId);
-
-    if (!dealId || !qbCustomerId) {
-      return res.status(400).json({
-        success: false,
-        error: "dealId and qbCustomerId are required"
+    if (!customerId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Customer ID is required" 
       });
     }
-
-    // Try to find user with Pipedrive tokens - check multiple ID formats
+    
+    // Try to find user with QB tokens - check multiple ID formats
     let userData = null;
     let actualUserId = providedUserId;
     
     // First try the provided user ID
-    const initialUserData = await getUser(providedUserId);
-    if (initialUserData && initialUserData.access_token) {
-      userData = initialUserData;
-    }
+    userData = await getUser(providedUserId);
     
-    // If no Pipedrive tokens, try different user ID formats
-    if (!userData) {
-      console.log(`[Attach Contact] No Pipedrive tokens for ${providedUserId}, checking alternative IDs...`);
+    // If no QB tokens, try different user ID formats
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      console.log(`No QB tokens for ${providedUserId}, checking alternative IDs for invoices...`);
       
-      // Get all users to find one with Pipedrive tokens
+      // Get all users to find one with QB tokens
       const { listUsers } = require("../../config/postgres");
       const allKeys = await listUsers();
       
-      // Collect all users with Pipedrive tokens, tracking their freshness
-      const usersWithPipedriveTokens = [];
-      const qbTokensByDomain = {}; // Track QB tokens by api_domain for safe merging
-      
+      // Check if we can find a user with QB tokens that matches this domain
       for (const key of allKeys) {
         const testUserData = await getUser(key);
-        
-        // Track users with QB tokens, indexed by their api_domain for tenant-safe merging
-        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id && testUserData.api_domain) {
-          const normalizedDomain = testUserData.api_domain.replace('https://', '');
-          if (!qbTokensByDomain[normalizedDomain]) {
-            qbTokensByDomain[normalizedDomain] = { key, data: testUserData };
-          }
-        }
-        
-        if (testUserData && testUserData.access_token) {
+        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
           // Check if this user is related to the provided userId
           const normalizedProvidedId = providedUserId.replace('https://', '');
           const normalizedKey = key.replace('https://', '');
@@ -2855,225 +2415,205 @@ router.post("/api/attach-contact", express.json(), async (req, res) => {
           if (normalizedKey === normalizedProvidedId ||
               testUserData.api_domain?.includes(normalizedProvidedId) ||
               normalizedProvidedId.includes(testUserData.api_domain?.replace('https://', '') || 'NOMATCH')) {
-            console.log(`[Attach Contact] Found Pipedrive tokens under alternative ID: ${key}`);
+            console.log(`Found QB tokens under alternative ID: ${key}`);
             userData = testUserData;
             actualUserId = key;
             break;
           }
           
-          // Collect this user for freshness comparison
-          usersWithPipedriveTokens.push({
-            key,
-            data: testUserData,
-            createdAt: testUserData.created_at ? new Date(testUserData.created_at) : new Date(0),
-            hasQBTokens: !!(testUserData.qb_access_token && testUserData.qb_realm_id),
-            apiDomain: testUserData.api_domain?.replace('https://', '') || null
-          });
-        }
-      }
-      
-      // If no direct match found, use the FRESHEST Pipedrive tokens (most recently created)
-      if (!userData && usersWithPipedriveTokens.length > 0) {
-        // Sort by creation date, newest first
-        usersWithPipedriveTokens.sort((a, b) => b.createdAt - a.createdAt);
-        
-        const freshest = usersWithPipedriveTokens[0];
-        console.log(`[Attach Contact] Using freshest Pipedrive tokens from: ${freshest.key} (created: ${freshest.data.created_at || 'unknown'})`);
-        
-        userData = freshest.data;
-        actualUserId = freshest.key;
-        
-        // If freshest user doesn't have QB tokens, try to find QB tokens from SAME tenant only
-        // We check both api_domain AND ensure QB realm consistency
-        if (!freshest.hasQBTokens && freshest.apiDomain) {
-          const sameTenantQB = qbTokensByDomain[freshest.apiDomain];
-          // Only merge if:
-          // 1. Same api_domain (Pipedrive tenant)
-          // 2. AND the freshest user has a known qb_realm_id that matches (if set)
-          // OR the freshest user has no qb_realm_id yet (first time linking)
-          const canMerge = sameTenantQB && (
-            !userData.qb_realm_id || // No existing realm - safe to merge
-            userData.qb_realm_id === sameTenantQB.data.qb_realm_id // Same realm - safe to merge
-          );
-          
-          if (canMerge) {
-            console.log(`[Attach Contact] Merging QB tokens from same tenant ${sameTenantQB.key} (realm: ${sameTenantQB.data.qb_realm_id}) into ${actualUserId}`);
-            userData.qb_access_token = sameTenantQB.data.qb_access_token;
-            userData.qb_refresh_token = sameTenantQB.data.qb_refresh_token;
-            userData.qb_realm_id = sameTenantQB.data.qb_realm_id;
-            
-            // Persist the merged data
-            const { setUser } = require("../../config/postgres");
-            await setUser(actualUserId, userData);
-            console.log(`[Attach Contact] Merged and saved user data under ${actualUserId}`);
-          } else if (sameTenantQB) {
-            console.log(`[Attach Contact] Skipping QB token merge - realm mismatch: user has ${userData.qb_realm_id}, found ${sameTenantQB.data.qb_realm_id}`);
-          } else {
-            console.log(`[Attach Contact] No QB tokens found for tenant ${freshest.apiDomain}`);
+          // Also check if this might be the right user based on having QB tokens
+          if (!userData && testUserData.qb_realm_id) {
+            userData = testUserData;
+            actualUserId = key;
           }
         }
       }
     }
-
-    if (!userData || !userData.access_token) {
-      console.log(`[Attach Contact] No Pipedrive connection found for userId: ${providedUserId}`);
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
       return res.status(400).json({
         success: false,
-        error: "Pipedrive not connected for this user"
+        error: "QuickBooks not connected for this user"
       });
     }
     
-    console.log(`[Attach Contact] Using user: ${actualUserId}`);
-
-    // Handle api_domain with or without https:// prefix
-    let apiDomain = userData.api_domain || 'api.pipedrive.com';
-    if (apiDomain.startsWith('https://')) {
-      apiDomain = apiDomain.replace('https://', '');
+    const baseUrl = getQBBaseUrl();
+    const companyId = userData.qb_realm_id;
+    
+    // Build query for invoices
+    let query = `select * from Invoice where CustomerRef='${customerId}'`;
+    
+    // Add date filters if provided
+    if (startDate) {
+      query += ` and TxnDate >= '${startDate}'`;
     }
-
-    // Helper function to make Pipedrive API call with auto token refresh
-    const makePipedriveCall = async (method, endpoint, data = null, retryCount = 0) => {
-      const accessToken = userData.access_token;
-      const url = `https://${apiDomain}${endpoint}`;
-      const headers = {
-        'Authorization': `Bearer ${accessToken}`
-      };
-      
-      console.log(`[Attach Contact] Making ${method} request to ${endpoint} (attempt ${retryCount + 1})`);
-      
-      try {
-        let response;
-        if (method === 'GET') {
-          response = await axios.get(url, { headers });
-        } else if (method === 'PUT' || method === 'POST') {
-          // Use form-urlencoded for PUT/POST requests (Pipedrive v1 API preference)
-          const formData = new URLSearchParams();
-          for (const [key, value] of Object.entries(data)) {
-            formData.append(key, value);
+    if (endDate) {
+      query += ` and TxnDate <= '${endDate}'`;
+    }
+    
+    // Make API call with automatic token refresh - pass actualUserId for correct persistence
+    const invoiceResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+      return await qbClient.makeApiCall({
+        url: `${baseUrl}/v3/company/${companyId}/query?query=${encodeURIComponent(query)}&minorversion=65`,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    });
+    
+    const responseData = getQBResponseData(invoiceResponse);
+    const invoices = responseData.QueryResponse?.Invoice || [];
+    
+    // Collect all unique item IDs from invoice line items to fetch SKUs
+    const itemIds = new Set();
+    invoices.forEach(invoice => {
+      if (invoice.Line) {
+        invoice.Line.forEach(line => {
+          if (line.DetailType === 'SalesItemLineDetail' && line.SalesItemLineDetail?.ItemRef?.value) {
+            itemIds.add(line.SalesItemLineDetail.ItemRef.value);
           }
-          const requestHeaders = { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' };
-          if (method === 'PUT') {
-            response = await axios.put(url, formData, { headers: requestHeaders });
-          } else {
-            response = await axios.post(url, formData, { headers: requestHeaders });
+          // Also collect item IDs from GroupLineDetail children
+          if (line.DetailType === 'GroupLineDetail' && line.GroupLineDetail?.Line) {
+            line.GroupLineDetail.Line.forEach(childLine => {
+              if (childLine.SalesItemLineDetail?.ItemRef?.value) {
+                itemIds.add(childLine.SalesItemLineDetail.ItemRef.value);
+              }
+            });
           }
-        }
-        return response;
-      } catch (error) {
-        // If 401 and we haven't retried yet, try to refresh token
-        if (error.response?.status === 401 && userData.refresh_token && retryCount === 0) {
-          console.log('[Attach Contact] Token expired, attempting refresh...');
-          try {
-            const pipedriveAuth = require('../auth/pipedrive');
-            const newTokens = await pipedriveAuth.refreshToken(userData.refresh_token);
-            
-            console.log('[Attach Contact] Token refresh response received, new token prefix:', newTokens.access_token?.substring(0, 20) + '...');
-            
-            // Update userData with new tokens (in memory)
-            userData.access_token = newTokens.access_token;
-            userData.refresh_token = newTokens.refresh_token;
-            
-            // Persist updated tokens to database
-            const { setUser } = require("../../config/postgres");
-            await setUser(actualUserId, {
-              ...userData,
-              access_token: newTokens.access_token,
-              refresh_token: newTokens.refresh_token,
-              pipedrive_updated_at: new Date().toISOString()
+        });
+      }
+    });
+    
+    // Fetch item details to get SKUs (if there are any items)
+    let itemSkuMap = {};
+    console.log(`[Invoices] Collected ${itemIds.size} unique item IDs for SKU lookup:`, Array.from(itemIds));
+    if (itemIds.size > 0) {
+      try {
+        const itemIdList = Array.from(itemIds).join("','");
+        const itemQuery = `SELECT * FROM Item WHERE Id IN ('${itemIdList}')`;
+        console.log(`[Invoices] SKU query:`, itemQuery);
+        
+        const itemResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+          return await qbClient.makeApiCall({
+            url: `${baseUrl}/v3/company/${companyId}/query?query=${encodeURIComponent(itemQuery)}&minorversion=65`,
+            method: 'GET',
+            headers: {
+              'Content-Type': 'application/json'
+            }
+          });
+        });
+        
+        const itemData = getQBResponseData(itemResponse);
+        const items = itemData.QueryResponse?.Item || [];
+        console.log(`[Invoices] Raw item response:`, JSON.stringify(items.slice(0, 3)));
+        items.forEach(item => {
+          itemSkuMap[item.Id] = item.Sku || '';
+        });
+        console.log(`[Invoices] Fetched SKUs for ${items.length} items, SKU map:`, itemSkuMap);
+      } catch (itemError) {
+        console.warn('[Invoices] Could not fetch item SKUs:', itemError.message);
+      }
+    }
+    
+    // Enrich invoice line items with SKU data
+    let enrichedCount = 0;
+    invoices.forEach(invoice => {
+      if (invoice.Line) {
+        invoice.Line.forEach(line => {
+          if (line.DetailType === 'SalesItemLineDetail' && line.SalesItemLineDetail?.ItemRef?.value) {
+            const itemId = line.SalesItemLineDetail.ItemRef.value;
+            const sku = itemSkuMap[itemId] || '';
+            line.SalesItemLineDetail.Sku = sku;
+            if (sku) {
+              enrichedCount++;
+              console.log(`[Invoices] Enriched item ${itemId} with SKU: ${sku}`);
+            }
+          }
+          // Also enrich GroupLineDetail children with SKU data
+          if (line.DetailType === 'GroupLineDetail' && line.GroupLineDetail?.Line) {
+            line.GroupLineDetail.Line.forEach(childLine => {
+              if (childLine.SalesItemLineDetail?.ItemRef?.value) {
+                const itemId = childLine.SalesItemLineDetail.ItemRef.value;
+                const sku = itemSkuMap[itemId] || '';
+                childLine.SalesItemLineDetail.Sku = sku;
+                if (sku) {
+                  enrichedCount++;
+                  console.log(`[Invoices] Enriched group child item ${itemId} with SKU: ${sku}`);
+                }
+              }
             });
-            
-            console.log('[Attach Contact] Token refreshed and persisted successfully');
-            
-            // Retry with new token (recursive call with incremented retry count)
-            return await makePipedriveCall(method, endpoint, data, retryCount + 1);
-          } catch (refreshError) {
-            console.error('[Attach Contact] Token refresh failed:', refreshError.message);
-            throw new Error('Pipedrive session expired. Please go to the QuickBooks Contact Manager settings and click "Reconnect to Pipedrive".');
           }
-        }
-        throw error;
+        });
       }
+    });
+    console.log(`[Invoices] Total items enriched with SKU: ${enrichedCount}`);
+    
+    // Calculate overview totals
+    const overview = {
+      outstanding: 0,
+      overdue: 0,
+      paid: 0,
+      total: 0
     };
-
-    // Store the deal-to-QB customer mapping in our database
-    // This is more reliable than trying to store it in Pipedrive's notes field
-    const { setDealMapping } = require("../../config/postgres");
-    await setDealMapping(dealId, qbCustomerId, customerName);
     
-    console.log(`[Attach Contact] Successfully linked deal ${dealId} to QB customer ${qbCustomerId}`);
-
+    const today = new Date();
+    
+    invoices.forEach(invoice => {
+      const amount = parseFloat(invoice.TotalAmt || 0);
+      const balance = parseFloat(invoice.Balance || 0);
+      const dueDate = new Date(invoice.DueDate);
+      
+      overview.total += amount;
+      
+      if (balance > 0) {
+        overview.outstanding += balance;
+        
+        if (dueDate < today) {
+          overview.overdue += balance;
+        }
+      } else {
+        overview.paid += amount;
+      }
+    });
+    
     res.json({
       success: true,
-      message: "QuickBooks customer attached to deal",
-      dealId: dealId,
-      qbCustomerId: qbCustomerId
+      invoices: invoices,
+      overview: overview
     });
+    
   } catch (error) {
-    console.error("Attach contact error:", error);
+    console.error('Error fetching invoices:', error.message);
+    console.error('Error stack:', error.stack);
+    if (error.response) {
+      console.error('Error response body:', error.response.body || error.response.data);
+    }
     res.status(500).json({
       success: false,
-      error: error.message
+      error: error.message || 'Failed to fetch invoices',
+      overview: {
+        outstanding: 0,
+        overdue: 0,
+        paid: 0,
+        total: 0
+      }
     });
   }
 });
 
-// Get deal-contact association
-router.get("/api/deal-contact", async (req, res) => {
+// Get the custom field key for QB Customer ID
+router.get("/api/field-key", async (req, res) => {
   try {
-    const { dealId } = req.query;
     const userId = req.query.userId || 'test';
-
-    if (!dealId) {
-      return res.status(400).json({
-        success: false,
-        error: "dealId is required"
-      });
-    }
-
-    // Get the deal-to-QB customer mapping from our database
-    const { getDealMapping } = require("../../config/postgres");
-    const mapping = await getDealMapping(dealId);
-    
-    if (!mapping) {
-      return res.json({
-        success: true,
-        customer: null
-      });
-    }
-
-    const qbCustomerId = mapping.qbCustomerId;
+    const userData = await getUser(userId);
     
-    // Get customer details from QuickBooks
-    try {
-      const { qbClient, companyId } = await createQBClient(userId);
-      const baseUrl = getQBBaseUrl();
-      
-      const customerResponse = await qbClient.makeApiCall({
-        url: `${baseUrl}/v3/company/${companyId}/customer/${qbCustomerId}?minorversion=65`,
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      const customer = getQBResponseData(customerResponse).Customer;
-      
-      res.json({
-        success: true,
-        customer: customer
-      });
-    } catch (qbError) {
-      // If QB fetch fails, use the stored customer name from the mapping
-      res.json({
-        success: true,
-        customer: {
-          Id: qbCustomerId,
-          DisplayName: mapping.customerName || "QuickBooks Customer #" + qbCustomerId
-        }
-      });
-    }
+    res.json({
+      success: true,
+      fieldKey: userData?.qb_field_id || null
+    });
   } catch (error) {
-    console.error("Get deal contact error:", error);
+    console.error("Get field key error:", error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -3081,230 +2621,86 @@ router.get("/api/deal-contact", async (req, res) => {
   }
 });
 
-// Delete deal-contact association (unlink)
-router.delete("/api/deal-contact", async (req, res) => {
+// Search QuickBooks customers
+router.get("/api/customers/search", async (req, res) => {
   try {
-    const { dealId } = req.query;
+    const searchTerm = req.query.term;
+    const providedUserId = req.query.userId || 'test';
 
-    if (!dealId) {
+    console.log('Search term:', searchTerm, 'User ID:', providedUserId);
+
+    if (!searchTerm) {
       return res.status(400).json({
         success: false,
-        error: "dealId is required"
+        error: "Search term is required"
       });
     }
 
-    const { deleteDealMapping } = require("../../config/postgres");
-    await deleteDealMapping(dealId);
-    
-    console.log(`[Unlink Contact] Successfully unlinked deal ${dealId}`);
-
-    res.json({
-      success: true,
-      message: "Contact unlinked from deal"
-    });
-  } catch (error) {
-    console.error("Unlink contact error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Deauthorization endpoint - called by Pipedrive when app is uninstalled
-router.post("/deauth", express.json(), async (req, res) => {
-  try {
-    console.log("Deauthorization request received:", JSON.stringify(req.body));
+    // Try to find user with QB tokens - check multiple ID formats
+    let userData = null;
+    let actualUserId = providedUserId;
     
-    // Verify Pipedrive signature
-    // The signature is HMAC-SHA256 of the request body with the client secret
-    const signature = req.headers['x-pipedrive-signature'];
-    const crypto = require('crypto');
+    // First try the provided user ID
+    userData = await getUser(providedUserId);
     
-    if (signature) {
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.PIPEDRIVE_CLIENT_SECRET)
-        .update(JSON.stringify(req.body))
-        .digest('hex');
+    // If no QB tokens, try different user ID formats
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      console.log(`No QB tokens for ${providedUserId}, checking alternative IDs...`);
       
-      if (signature !== expectedSignature) {
-        console.error('Invalid signature on deauth request');
-        return res.status(401).send('Invalid signature');
-      }
-    }
-    
-    // Get userId from payload - Pipedrive may send company_domain or user_id
-    const providedUserId = req.body.user_id || req.body.api_domain || req.body.company_domain;
-    
-    if (!providedUserId) {
-      console.error('No user ID in deauth request');
-      return res.status(400).send('User ID not found');
-    }
-    
-    console.log('Processing deauthorization for user:', providedUserId);
-    
-    // Normalize userId - strip https://, http://, and .pipedrive.com suffix
-    function normalizeUserId(id) {
-      if (!id) return id;
-      let normalized = id.toString();
-      normalized = normalized.replace(/^https?:\/\//, '');
-      normalized = normalized.replace(/\.pipedrive\.com$/, '');
-      return normalized;
-    }
-    
-    const normalizedInput = normalizeUserId(providedUserId);
-    
-    // Try multiple userId formats to find the user
-    const possibleUserIds = [
-      providedUserId,
-      normalizedInput,
-      normalizedInput + '.pipedrive.com'
-    ];
-    
-    let userData = null;
-    let foundUserId = null;
-    
-    for (const tryUserId of [...new Set(possibleUserIds.filter(id => id))]) {
-      const tryUserData = await getUser(tryUserId);
-      if (tryUserData) {
-        userData = tryUserData;
-        foundUserId = tryUserId;
-        console.log(`[Deauth] Found user by direct lookup: ${tryUserId}`);
-        break;
-      }
-    }
-    
-    // Fallback: scan all users for matching pipedrive_numeric_id
-    if (!userData) {
-      console.log(`[Deauth] Direct lookup failed, scanning all users for: ${providedUserId}`);
-      const allKeys = await listUsers();
-      
-      for (const key of allKeys) {
-        const testUserData = await getUser(key);
-        if (testUserData) {
-          const normalizedKey = normalizeUserId(key);
-          
-          const isMatch = 
-            normalizedKey === normalizedInput ||
-            (testUserData.pipedrive_numeric_id && testUserData.pipedrive_numeric_id === providedUserId) ||
-            (testUserData.pipedrive_numeric_id && testUserData.pipedrive_numeric_id === normalizedInput) ||
-            (testUserData.pipedrive_user_id === providedUserId) ||
-            (testUserData.pipedrive_user_id === normalizedInput);
-          
-          if (isMatch) {
-            console.log(`[Deauth] Found user via scan: ${key}`);
-            userData = testUserData;
-            foundUserId = key;
-            break;
-          }
-        }
-      }
-    }
-    
-    if (userData) {
-      // Delete custom field if it exists
-      if (userData.qb_field_id && userData.access_token) {
-        try {
-          const apiDomain = userData.api_domain || 'api.pipedrive.com';
-          
-          // Get the field ID from the field key
-          const fieldsResponse = await axios.get(
-            `https://${apiDomain}/v1/dealFields?api_token=${userData.access_token}`
-          );
-          
-          const field = fieldsResponse.data.data?.find(
-            f => f.key === userData.qb_field_id
-          );
-          
-          if (field) {
-            // Delete the custom field
-            await axios.delete(
-              `https://${apiDomain}/v1/dealFields/${field.id}?api_token=${userData.access_token}`
-            );
-            console.log('Deleted custom field:', field.id);
-          }
-        } catch (fieldError) {
-          console.error('Error deleting custom field:', fieldError.response?.data || fieldError.message);
-          // Continue with user deletion even if field deletion fails
-        }
-      }
-      
-      // Delete user from database using deleteUser
-      await deleteUser(foundUserId);
-      console.log('[Deauth] Deleted user from database:', foundUserId);
-    } else {
-      console.log('[Deauth] No user found to delete for:', providedUserId);
-    }
-    
-    // Return 200 OK to acknowledge the deauthorization
-    res.status(200).send('OK');
-    
-  } catch (error) {
-    console.error('Deauthorization error:', error);
-    // Still return 200 to acknowledge receipt
-    res.status(200).send('OK');
-  }
-});
-
-// Search QuickBooks items/products
-router.get("/api/items/search", async (req, res) => {
-  try {
-    const searchTerm = req.query.term || '';
-    const providedUserId = req.query.userId || 'test';
-    
-    console.log('Searching items:', searchTerm, 'User ID:', providedUserId);
-
-    // Find user with QB tokens
-    let userData = null;
-    let actualUserId = providedUserId;
-    
-    userData = await getUser(providedUserId);
-    
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      // Get all users to find one with QB tokens
       const { listUsers } = require("../../config/postgres");
       const allKeys = await listUsers();
       
+      // Check if we can find a user with QB tokens that matches this domain
       for (const key of allKeys) {
         const testUserData = await getUser(key);
         if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
-          const normalizedProvidedId = providedUserId.replace('https://', '').replace(/\.pipedrive\.com$/, '');
-          const normalizedKey = key.replace('https://', '').replace(/\.pipedrive\.com$/, '');
+          // Check if this user is related to the provided userId
+          // Could be same domain with/without https, or could be the numeric ID
+          const normalizedProvidedId = providedUserId.replace('https://', '');
+          const normalizedKey = key.replace('https://', '');
           
           if (normalizedKey === normalizedProvidedId ||
               testUserData.api_domain?.includes(normalizedProvidedId) ||
-              normalizedProvidedId.includes(normalizedKey)) {
+              normalizedProvidedId.includes(testUserData.api_domain?.replace('https://', '') || 'NOMATCH')) {
+            console.log(`Found QB tokens under alternative ID: ${key}`);
             userData = testUserData;
             actualUserId = key;
             break;
           }
           
+          // Also check if this might be the right user based on having QB tokens
+          // (for the case where numeric ID has tokens but domain ID doesn't)
           if (!userData && testUserData.qb_realm_id) {
+            // Save as potential match
             userData = testUserData;
             actualUserId = key;
+            // Continue searching for a better match
           }
         }
       }
     }
     
     if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      console.log(`[Search] No QB connection found for userId: ${providedUserId}`);
       return res.status(400).json({
         success: false,
         error: "QuickBooks not connected for this user"
       });
     }
 
+    console.log(`[Search] Found QB connection for user: ${actualUserId}, realm: ${userData.qb_realm_id}`);
+    
     const baseUrl = getQBBaseUrl();
     const realmId = userData.qb_realm_id;
     
-    // Build query to search items by Name - get both products and services
-    let query;
-    if (searchTerm) {
-      query = `SELECT * FROM Item WHERE Name LIKE '%${searchTerm}%' AND Active = true MAXRESULTS 20`;
-    } else {
-      query = `SELECT * FROM Item WHERE Active = true MAXRESULTS 20`;
-    }
+    // Build query to search customers by DisplayName
+    const query = `SELECT * FROM Customer WHERE DisplayName LIKE '%${searchTerm}%' MAXRESULTS 10`;
     const encodedQuery = encodeURIComponent(query);
     
+    console.log(`[Search] Executing QB query: ${query}`);
+    
+    // Make API call to QuickBooks with automatic token refresh - pass actualUserId for correct persistence
     const queryResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
       return await qbClient.makeApiCall({
         url: `${baseUrl}/v3/company/${realmId}/query?query=${encodedQuery}`,
@@ -3315,395 +2711,3960 @@ router.get("/api/items/search", async (req, res) => {
       });
     });
     
+    console.log(`[Search] QB API response received:`, {
+      hasResponse: !!queryResponse,
+      responseType: typeof queryResponse,
+      hasBody: queryResponse ? !!queryResponse.body : false,
+      hasJson: queryResponse ? !!queryResponse.json : false,
+      hasGetJson: queryResponse ? typeof queryResponse.getJson === 'function' : false,
+      keys: queryResponse ? Object.keys(queryResponse) : []
+    });
+    
+    // Check if response exists
     if (!queryResponse) {
+      console.error("[Search] Invalid QuickBooks response - no response");
       return res.status(500).json({
         success: false,
         error: "Invalid response from QuickBooks"
       });
     }
     
-    const queryResult = getQBResponseData(queryResponse);
-    const items = queryResult.QueryResponse?.Item || [];
+    // Use helper to get response data (intuit-oauth library can return different formats)
+    let queryResult;
+    try {
+      queryResult = getQBResponseData(queryResponse);
+    } catch (parseError) {
+      console.error("[Search] Could not extract data from QB response:", parseError.message);
+      return res.status(500).json({
+        success: false,
+        error: "Could not parse QuickBooks response"
+      });
+    }
+    const customers = queryResult.QueryResponse?.Customer || [];
     
-    // Transform to simplified format
-    const simplifiedItems = items.map(item => ({
-      id: item.Id,
-      name: item.Name,
-      sku: item.Sku || '',
-      description: item.Description || '',
-      unitPrice: item.UnitPrice || 0,
-      type: item.Type, // 'Inventory', 'Service', 'NonInventory'
-      incomeAccountRef: item.IncomeAccountRef,
-      qtyOnHand: item.QtyOnHand || 0
+    // Transform to simplified format { id, name, email, currency }
+    const simplifiedCustomers = customers.map(customer => ({
+      id: customer.Id,
+      name: customer.DisplayName || 'Unnamed',
+      email: customer.PrimaryEmailAddr?.Address || null,
+      // Only set when multicurrency is on in QuickBooks
+      currency: customer.CurrencyRef?.value || null
     }));
     
-    res.json(simplifiedItems);
+    res.json(simplifiedCustomers);
   } catch (error) {
-    console.error("Search items error:", error);
+    console.error("Search customers error:", error);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      debug: {
+        errorName: error.name,
+        statusCode: error.response?.statusCode || error.statusCode,
+        responseBody: error.response?.body,
+        intuit_tid: error.intuit_tid
+      }
     });
   }
 });
 
-// Get Pipedrive deal's contact address
-router.get("/api/pipedrive/deal-address", async (req, res) => {
+// ============================================
+// Duplicate Customer Detection
+// ============================================
+
+// Suggest existing customers before creating one
+// Body: { name, companyName, email, phone, address: { Line1, City, PostalCode, ... } }
+router.post("/api/customer-matches", express.json(), async (req, res) => {
   try {
-    const { dealId, userId } = req.query;
+    const { name, companyName, email, phone, address } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
     
-    if (!dealId) {
+    if (!name && !companyName && !email && !phone) {
       return res.status(400).json({
         success: false,
-        error: "dealId is required"
+        error: "name, companyName, email or phone is required"
       });
     }
     
-    // Find user with Pipedrive tokens
-    let userData = null;
-    let actualUserId = userId || 'test';
-    
-    userData = await getUser(actualUserId);
-    
-    if (!userData || !userData.access_token) {
-      const { listUsers } = require("../../config/postgres");
-      const allKeys = await listUsers();
-      
-      for (const key of allKeys) {
-        const testUserData = await getUser(key);
-        if (testUserData && testUserData.access_token && testUserData.api_domain) {
-          userData = testUserData;
-          actualUserId = key;
-          break;
-        }
-      }
-    }
-    
-    if (!userData || !userData.access_token) {
-      return res.status(400).json({
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
         success: false,
-        error: "Pipedrive not connected"
+        error: "QuickBooks not connected for this user"
       });
     }
     
-    const apiDomain = userData.api_domain || 'https://api.pipedrive.com';
+    const matches = await findDuplicateCustomers(qbUser.actualUserId, qbUser.userData, {
+      DisplayName: name,
+      CompanyName: companyName,
+      PrimaryEmailAddr: email ? { Address: email } : undefined,
+      PrimaryPhone: phone ? { FreeFormNumber: phone } : undefined,
+      BillAddr: address || undefined
+    });
     
-    // Helper function to make Pipedrive API calls with token refresh
-    async function makePipedriveApiCall(endpoint, retryCount = 0) {
-      try {
-        const response = await axios.get(`${apiDomain}${endpoint}`, {
-          headers: {
-            'Authorization': `Bearer ${userData.access_token}`
-          }
-        });
-        return response;
-      } catch (error) {
-        if (error.response?.status === 401 && userData.refresh_token && retryCount === 0) {
-          console.log('[Deal Address] Token expired, attempting refresh...');
-          try {
-            const pipedriveAuth = require('../auth/pipedrive');
-            const newTokens = await pipedriveAuth.refreshToken(userData.refresh_token);
-            
-            // Update userData with new tokens
-            userData.access_token = newTokens.access_token;
-            userData.refresh_token = newTokens.refresh_token;
-            
-            // Persist updated tokens to database
-            await setUser(actualUserId, {
-              ...userData,
-              access_token: newTokens.access_token,
-              refresh_token: newTokens.refresh_token,
-              pipedrive_updated_at: new Date().toISOString()
-            });
-            
-            console.log('[Deal Address] Token refreshed successfully');
-            
-            // Retry with new token
-            return await makePipedriveApiCall(endpoint, retryCount + 1);
-          } catch (refreshError) {
-            console.error('[Deal Address] Token refresh failed:', refreshError.message);
-            throw new Error('Pipedrive authentication expired. Please reconnect.');
-          }
-        }
-        throw error;
-      }
+    res.json({
+      success: true,
+      likelyDuplicate: matches.some(match => match.likelyDuplicate),
+      matches,
+      thresholds: { likelyDuplicate: LIKELY_DUPLICATE_SCORE, suggested: SUGGESTED_MATCH_SCORE }
+    });
+  } catch (error) {
+    console.error("Customer matches error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create new QuickBooks customer
+router.post("/api/create-customer", express.json(), async (req, res) => {
+  try {
+    const { name, email, phone, allowDuplicate } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: "Customer name is required"
+      });
     }
-    
-    // Helper to parse Pipedrive address object into our format
-    function parseAddressObject(value) {
-      if (!value) return null;
-      if (typeof value === 'string') {
-        return { line1: value };
-      }
-      if (typeof value === 'object') {
-        // Handle array of addresses (take first one)
-        if (Array.isArray(value)) {
-          value = value[0];
-          if (!value) return null;
-        }
-        // Pipedrive address format with street_number, route, locality, etc.
-        if (value.formatted_address || value.street_number || value.route || value.locality) {
-          return {
-            line1: [value.street_number, value.route].filter(Boolean).join(' ') || value.formatted_address,
-            city: value.locality || value.sublocality,
-            state: value.admin_area_level_1,
-            postalCode: value.postal_code,
-            country: value.country
-          };
-        }
-        // Generic address object format
-        if (value.line1 || value.street || value.city) {
-          return {
-            line1: value.line1 || value.street || value.formatted_address,
-            line2: value.line2,
-            city: value.city || value.locality,
-            state: value.state || value.admin_area_level_1,
-            postalCode: value.postalCode || value.postal_code,
-            country: value.country
-          };
-        }
-      }
-      return null;
+
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
     }
     
-    // First get the deal to find associated person
-    const dealResponse = await makePipedriveApiCall(`/v1/deals/${dealId}`);
+    const { userData, actualUserId } = qbUser;
+    const { qbClient, companyId } = await createQBClient(actualUserId);
+    const baseUrl = getQBBaseUrl();
     
-    if (!dealResponse.data?.success || !dealResponse.data?.data) {
-      return res.json({
+    const customerData = {
+      DisplayName: name,
+      Active: true
+    };
+
+    if (email) {
+      customerData.PrimaryEmailAddr = {
+        Address: email
+      };
+    }
+
+    if (phone) {
+      customerData.PrimaryPhone = {
+        FreeFormNumber: phone
+      };
+    }
+
+    // A likely duplicate is only created when the caller says so (allowDuplicate: true)
+    const matches = await findDuplicateCustomers(actualUserId, userData, customerData);
+    if (!allowDuplicate && matches.some(match => match.likelyDuplicate)) {
+      console.log(`[CustomerMatch] Not creating "${name}" - likely duplicate of customer ${matches[0].customer.id}`);
+      return res.status(409).json({
         success: false,
-        error: "Deal not found"
+        error: "A similar customer already exists in QuickBooks. Use one of the matches, or send allowDuplicate: true to create it anyway",
+        duplicate: true,
+        matches
       });
     }
+
+    const createResponse = await qbClient.makeApiCall({
+      url: `${baseUrl}/v3/company/${companyId}/customer?minorversion=65`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(customerData)
+    });
     
-    const deal = dealResponse.data.data;
-    const personId = deal.person_id?.value || deal.person_id;
-    const orgId = deal.org_id?.value || deal.org_id;
+    const createdCustomer = getQBResponseData(createResponse).Customer;
+    rememberCreatedCustomer(userData, createdCustomer);
     
-    let address = null;
+    res.json({
+      success: true,
+      customer: createdCustomer,
+      matches
+    });
+  } catch (error) {
+    console.error("Create customer error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Attach QuickBooks customer to Pipedrive deal
+router.post("/api/attach-contact", express.json(), async (req, res) => {
+  try {
+    const { dealId, qbCustomerId, customerName } = req.body;
+    const providedUserId = req.query.userId || req.body.userId || 'test';
+
+    console.log('[Attach Contact] dealId:', dealId, 'qbCustomerId:', qbCustomerId, 'userId:', providedUserId);
+
+    if (!dealId) {
+      return res.status(400).json({
+        success: false,
+        error: "dealId is required"
+      });
+    }
+
+    // Try to find user with Pipedrive tokens - check multiple ID formats
+    let userData = null;
+    let actualUserId = providedUserId;
+    let usingFallbackUser = false;
     
-    // Try to get person's address first
-    if (personId) {
-      try {
-        // Step 1: Get person fields metadata to find "Shipping Address" custom field key
-        const personFieldsResponse = await makePipedriveApiCall('/v1/personFields');
-        let shippingAddressKey = null;
-        let addressFieldKeys = [];
+    // First try the provided user ID
+    const initialUserData = await getUser(providedUserId);
+    if (initialUserData && initialUserData.access_token) {
+      userData = initialUserData;
+    }
+    
+    // If no Pipedrive tokens, try different user ID formats
+    if (!userData) {
+      console.log(`[Attach Contact] No Pipedrive tokens for ${providedUserId}, checking alternative IDs...`);
+      
+      // Get all users to find one with Pipedrive tokens
+      const { listUsers } = require("../../config/postgres");
+      const allKeys = await listUsers();
+      
+      // Collect all users with Pipedrive tokens, tracking their freshness
+      const usersWithPipedriveTokens = [];
+      const qbTokensByDomain = {}; // Track QB tokens by api_domain for safe merging
+      
+      for (const key of allKeys) {
+        const testUserData = await getUser(key);
         
-        if (personFieldsResponse.data?.success && personFieldsResponse.data?.data) {
-          for (const field of personFieldsResponse.data.data) {
-            // Look for field named "Shipping Address" (case-insensitive)
-            if (field.name && field.name.toLowerCase().includes('shipping') && field.name.toLowerCase().includes('address')) {
-              shippingAddressKey = field.key;
-              console.log(`[Deal Address] Found shipping address field: "${field.name}" with key: ${field.key}`);
-              break;
-            }
-            // Also track all address-type fields as fallback
-            if (field.field_type === 'address') {
-              addressFieldKeys.push({ key: field.key, name: field.name });
-            }
+        // Track users with QB tokens, indexed by their api_domain for tenant-safe merging
+        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id && testUserData.api_domain) {
+          const normalizedDomain = testUserData.api_domain.replace('https://', '');
+          if (!qbTokensByDomain[normalizedDomain]) {
+            qbTokensByDomain[normalizedDomain] = { key, data: testUserData };
           }
         }
         
-        // Step 2: Get the person data
-        const personResponse = await makePipedriveApiCall(`/v1/persons/${personId}`);
-        
-        if (personResponse.data?.success && personResponse.data?.data) {
-          const person = personResponse.data.data;
-          
-          // Priority 1: Check the shipping address custom field directly
-          if (shippingAddressKey && person[shippingAddressKey]) {
-            console.log(`[Deal Address] Found shipping address value:`, person[shippingAddressKey]);
-            address = parseAddressObject(person[shippingAddressKey]);
-          }
-          
-          // Priority 2: Check other address-type custom fields
-          if (!address && addressFieldKeys.length > 0) {
-            for (const fieldInfo of addressFieldKeys) {
-              if (person[fieldInfo.key]) {
-                console.log(`[Deal Address] Using address field "${fieldInfo.name}":`, person[fieldInfo.key]);
-                address = parseAddressObject(person[fieldInfo.key]);
-                if (address) break;
-              }
-            }
-          }
+        if (testUserData && testUserData.access_token) {
+          // Check if this user is related to the provided userId
+          const normalizedProvidedId = providedUserId.replace('https://', '');
+          const normalizedKey = key.replace('https://', '');
           
-          // Priority 3: Scan all fields for address-like objects (fallback)
-          if (!address) {
-            for (const key of Object.keys(person)) {
-              const value = person[key];
-              if (value && typeof value === 'object' && (value.street_number || value.route || value.locality || value.formatted_address)) {
-                address = parseAddressObject(value);
-                if (address) {
-                  console.log(`[Deal Address] Found address in field "${key}"`);
-                  break;
-                }
-              }
-            }
+          if (normalizedKey === normalizedProvidedId ||
+              testUserData.api_domain?.includes(normalizedProvidedId) ||
+              normalizedProvidedId.includes(testUserData.api_domain?.replace('https://', '') || 'NOMATCH')) {
+            console.log(`[Attach Contact] Found Pipedrive tokens under alternative ID: ${key}`);
+            userData = testUserData;
+            actualUserId = key;
+            break;
           }
           
-          // Priority 4: Check standard address field
-          if (!address && person.address) {
-            address = parseAddressObject(person.address);
-          }
+          // Collect this user for freshness comparison
+          usersWithPipedriveTokens.push({
+            key,
+            data: testUserData,
+            createdAt: testUserData.created_at ? new Date(testUserData.created_at) : new Date(0),
+            hasQBTokens: !!(testUserData.qb_access_token && testUserData.qb_realm_id),
+            apiDomain: testUserData.api_domain?.replace('https://', '') || null
+          });
         }
-      } catch (err) {
-        console.log('Could not fetch person data:', err.message);
       }
-    }
-    
-    // Fallback to organization address
-    if (!address && orgId) {
-      try {
-        // Get organization fields metadata to find address custom fields
-        const orgFieldsResponse = await makePipedriveApiCall('/v1/organizationFields');
-        let orgAddressFieldKeys = [];
+      
+      // If no direct match found, use the FRESHEST Pipedrive tokens (most recently created)
+      if (!userData && usersWithPipedriveTokens.length > 0) {
+        // Sort by creation date, newest first
+        usersWithPipedriveTokens.sort((a, b) => b.createdAt - a.createdAt);
         
-        if (orgFieldsResponse.data?.success && orgFieldsResponse.data?.data) {
-          for (const field of orgFieldsResponse.data.data) {
-            if (field.field_type === 'address') {
-              orgAddressFieldKeys.push({ key: field.key, name: field.name });
-            }
-          }
-        }
+        const freshest = usersWithPipedriveTokens[0];
+        console.log(`[Attach Contact] Using freshest Pipedrive tokens from: ${freshest.key} (created: ${freshest.data.created_at || 'unknown'})`);
         
-        const orgResponse = await makePipedriveApiCall(`/v1/organizations/${orgId}`);
+        userData = freshest.data;
+        actualUserId = freshest.key;
+        usingFallbackUser = true;
         
-        if (orgResponse.data?.success && orgResponse.data?.data) {
-          const org = orgResponse.data.data;
-          
-          // Check address-type custom fields
-          for (const fieldInfo of orgAddressFieldKeys) {
-            if (org[fieldInfo.key]) {
-              console.log(`[Deal Address] Using org address field "${fieldInfo.name}"`);
-              address = parseAddressObject(org[fieldInfo.key]);
-              if (address) break;
-            }
-          }
-          
-          // Check standard address field
-          if (!address && org.address) {
-            address = parseAddressObject(org.address);
-          }
+        // If freshest user doesn't have QB tokens, try to find QB tokens from SAME tenant only
+        // We check both api_domain AND ensure QB realm consistency
+        if (!freshest.hasQBTokens && freshest.apiDomain) {
+          const sameTenantQB = qbTokensByDomain[freshest.apiDomain];
+          // Only merge if:
+          // 1. Same api_domain (Pipedrive tenant)
+          // 2. AND the freshest user has a known qb_realm_id that matches (if set)
+          // OR the freshest user has no qb_realm_id yet (first time linking)
+          const canMerge = sameTenantQB && (
+            !userData.qb_realm_id || // No existing realm - safe to merge
+            userData.qb_realm_id === sameTenantQB.data.qb_realm_id // Same realm - safe to merge
+          );
           
-          // Check formatted address string
-          if (!address && org.address_formatted_address) {
-            address = { line1: org.address_formatted_address };
+          if (canMerge) {
+            console.log(`[Attach Contact] Merging QB tokens from same tenant ${sameTenantQB.key} (realm: ${sameTenantQB.data.qb_realm_id}) into ${actualUserId}`);
+            userData.qb_access_token = sameTenantQB.data.qb_access_token;
+            userData.qb_refresh_token = sameTenantQB.data.qb_refresh_token;
+            userData.qb_realm_id = sameTenantQB.data.qb_realm_id;
+            
+            // Persist the merged data
+            const { setUser } = require("../../config/postgres");
+            await setUser(actualUserId, userData);
+            console.log(`[Attach Contact] Merged and saved user data under ${actualUserId}`);
+          } else if (sameTenantQB) {
+            console.log(`[Attach Contact] Skipping QB token merge - realm mismatch: user has ${userData.qb_realm_id}, found ${sameTenantQB.data.qb_realm_id}`);
+          } else {
+            console.log(`[Attach Contact] No QB tokens found for tenant ${freshest.apiDomain}`);
           }
         }
-      } catch (err) {
-        console.log('Could not fetch organization data:', err.message);
       }
     }
+
+    if (!userData || !userData.access_token) {
+      console.log(`[Attach Contact] No Pipedrive connection found for userId: ${providedUserId}`);
+      return res.status(400).json({
+        success: false,
+        error: "Pipedrive not connected for this user"
+      });
+    }
     
-    // If we have an address but missing key fields (city, state, postal code), use Nominatim to enrich it
-    if (address && address.line1 && (!address.postalCode || !address.city || !address.state)) {
+    // Another install's tokens may read this deal, but its mappings must not be written under that install
+    if (usingFallbackUser) {
+      console.log(`[Attach Contact] Refusing to link deal ${dealId} under fallback user ${actualUserId} for ${providedUserId}`);
+      return res.status(400).json({
+        success: false,
+        error: "Pipedrive not connected for this user - reconnect Pipedrive before attaching a customer"
+      });
+    }
+    
+    console.log(`[Attach Contact] Using user: ${actualUserId}`);
+
+    // Handle api_domain with or without https:// prefix
+    let apiDomain = userData.api_domain || 'api.pipedrive.com';
+    if (apiDomain.startsWith('https://')) {
+      apiDomain = apiDomain.replace('https://', '');
+    }
+
+    // Helper function to make Pipedrive API call with auto token refresh
+    const makePipedriveCall = async (method, endpoint, data = null, retryCount = 0) => {
+      const accessToken = userData.access_token;
+      const url = `https://${apiDomain}${endpoint}`;
+      const headers = {
+        'Authorization': `Bearer ${accessToken}`
+      };
+      
+      console.log(`[Attach Contact] Making ${method} request to ${endpoint} (attempt ${retryCount + 1})`);
+      
       try {
-        // Use the line1 as the search query (it likely contains the full formatted address)
-        const searchQuery = address.line1;
-        
-        console.log(`[Deal Address] Enriching address via Nominatim: "${searchQuery}"`);
-        
-        const appUrl = process.env.APP_URL || 'https://pipedrive-qbo-sync.replit.app';
-        
-        // Retry logic for Nominatim requests (3 attempts with 1-second delay)
-        let nominatimResponse = null;
-        const maxRetries = 3;
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        let response;
+        if (method === 'GET') {
+          response = await axios.get(url, { headers });
+        } else if (method === 'PUT' || method === 'POST') {
+          // Use form-urlencoded for PUT/POST requests (Pipedrive v1 API preference)
+          const formData = new URLSearchParams();
+          for (const [key, value] of Object.entries(data)) {
+            formData.append(key, value);
+          }
+          const requestHeaders = { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' };
+          if (method === 'PUT') {
+            response = await axios.put(url, formData, { headers: requestHeaders });
+          } else {
+            response = await axios.post(url, formData, { headers: requestHeaders });
+          }
+        }
+        return response;
+      } catch (error) {
+        // If 401 and we haven't retried yet, try to refresh token
+        if (error.response?.status === 401 && userData.refresh_token && retryCount === 0) {
+          console.log('[Attach Contact] Token expired, attempting refresh...');
           try {
-            nominatimResponse = await axios.get('https://nominatim.openstreetmap.org/search', {
-              params: {
-                q: searchQuery,
-                format: 'json',
-                addressdetails: 1,
-                limit: 1
-              },
-              headers: {
-                'User-Agent': `PipedriveQuickBooksIntegration/1.0 (${appUrl})`,
-                'Accept': 'application/json',
-                'Referer': appUrl
-              },
-              timeout: 10000
+            const pipedriveAuth = require('../auth/pipedrive');
+            const newTokens = await pipedriveAuth.refreshToken(userData.refresh_token);
+            
+            console.log('[Attach Contact] Token refresh response received, new token prefix:', newTokens.access_token?.substring(0, 20) + '...');
+            
+            // Update userData with new tokens (in memory)
+            userData.access_token = newTokens.access_token;
+            userData.refresh_token = newTokens.refresh_token;
+            
+            // Persist updated tokens to database
+            const { setUser } = require("../../config/postgres");
+            await setUser(actualUserId, {
+              ...userData,
+              access_token: newTokens.access_token,
+              refresh_token: newTokens.refresh_token,
+              pipedrive_updated_at: new Date().toISOString()
             });
-            break; // Success, exit retry loop
-          } catch (retryError) {
-            const isRetryable = retryError.code === 'ECONNABORTED' || 
-                                retryError.code === 'ETIMEDOUT' || 
-                                retryError.code === 'ECONNRESET' ||
-                                !retryError.response || 
-                                (retryError.response && retryError.response.status >= 500);
             
-            console.log(`[Deal Address] Nominatim attempt ${attempt}/${maxRetries} failed: ${retryError.message}`);
+            console.log('[Attach Contact] Token refreshed and persisted successfully');
             
-            if (isRetryable && attempt < maxRetries) {
-              await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
-            } else {
-              if (attempt === maxRetries) {
-                console.log(`[Deal Address] Nominatim geocoding failed after ${maxRetries} attempts`);
-              }
-              throw retryError; // Re-throw on final attempt or non-retryable error
-            }
-          }
-        }
-        
-        if (nominatimResponse && nominatimResponse.data && nominatimResponse.data.length > 0) {
-          const result = nominatimResponse.data[0];
-          const addressDetails = result.address || {};
-          
-          console.log('[Deal Address] Nominatim response:', JSON.stringify(addressDetails));
-          
-          // Build the street address from house_number and road
-          const streetAddress = [addressDetails.house_number, addressDetails.road].filter(Boolean).join(' ');
-          
-          // Update line1 to be just the street address if we got better data
-          if (streetAddress) {
-            address.line1 = streetAddress;
-            console.log(`[Deal Address] Updated line1 to: ${streetAddress}`);
-          }
-          
-          // Enrich missing fields from Nominatim
-          if (!address.postalCode && addressDetails.postcode) {
-            address.postalCode = addressDetails.postcode;
-            console.log(`[Deal Address] Added postal code: ${addressDetails.postcode}`);
-          }
-          if (!address.city) {
-            address.city = addressDetails.city || addressDetails.town || addressDetails.village || addressDetails.municipality;
-            if (address.city) {
-              console.log(`[Deal Address] Added city: ${address.city}`);
-            }
-          }
-          if (!address.state && addressDetails.state) {
-            address.state = addressDetails.state;
-            console.log(`[Deal Address] Added state: ${addressDetails.state}`);
-          }
-          if (!address.country) {
-            address.country = addressDetails.country;
-            if (address.country) {
-              console.log(`[Deal Address] Added country: ${address.country}`);
-            }
+            // Retry with new token (recursive call with incremented retry count)
+            return await makePipedriveCall(method, endpoint, data, retryCount + 1);
+          } catch (refreshError) {
+            console.error('[Attach Contact] Token refresh failed:', refreshError.message);
+            throw new Error('Pipedrive session expired. Please go to the QuickBooks Contact Manager settings and click "Reconnect to Pipedrive".');
           }
-        } else {
-          console.log('[Deal Address] No Nominatim results found');
         }
-      } catch (geoError) {
-        console.log('[Deal Address] Nominatim geocoding failed:', geoError.message);
+        throw error;
       }
+    };
+
+    // The deal's customer contact: its organization, else its person. The deal is still attached
+    // if it can't be read - only the contact mapping is skipped
+    let contact = null;
+    try {
+      const dealResponse = await makePipedriveCall('GET', `/api/v1/deals/${dealId}`);
+      const deal = dealResponse.data?.data || {};
+      const readId = value => value && typeof value === 'object' ? value.value : value;
+      if (readId(deal.org_id)) {
+        contact = { entityType: 'organization', entityId: String(readId(deal.org_id)) };
+      } else if (readId(deal.person_id)) {
+        contact = { entityType: 'person', entityId: String(readId(deal.person_id)) };
+      }
+    } catch (dealError) {
+      console.error(`[Attach Contact] Could not read deal ${dealId}:`, dealError.message);
     }
     
-    if (address) {
-      res.json({
-        success: true,
-        address: address
+    const tenantId = userData.pipedrive_user_id;
+    const existingMapping = contact ? await getContactMapping(tenantId, contact.entityType, contact.entityId) : null;
+    
+    // Without a customer, attach the one the deal's contact is mapped to
+    const customerId = qbCustomerId || (existingMapping && existingMapping.qbCustomerId);
+    if (!customerId) {
+      return res.status(400).json({
+        success: false,
+        error: "qbCustomerId is required - this deal's contact isn't linked to a QuickBooks customer yet"
+      });
+    }
+    
+    // Store the deal-to-QB customer mapping in our database
+    // This is more reliable than trying to store it in Pipedrive's notes field
+    await setDealMapping(tenantId, dealId, customerId, customerName);
+    
+    // Remember the contact as this customer, so syncing it later updates this customer rather than
+    // looking one up by name. A contact already mapped to another customer keeps its mapping
+    let contactMapping = null;
+    if (contact && !existingMapping) {
+      contactMapping = { ...(await setContactMapping(tenantId, contact.entityType, contact.entityId, customerId, 'deal')), status: 'created' };
+    } else if (existingMapping) {
+      const status = existingMapping.qbCustomerId === String(customerId) ? 'unchanged' : 'kept';
+      if (status === 'kept') {
+        console.log(`[Attach Contact] ${contact.entityType} ${contact.entityId} stays mapped to customer ${existingMapping.qbCustomerId}`);
+      }
+      contactMapping = { ...existingMapping, status };
+    }
+    
+    console.log(`[Attach Contact] Successfully linked deal ${dealId} to QB customer ${customerId}`);
+
+    res.json({
+      success: true,
+      message: "QuickBooks customer attached to deal",
+      dealId: dealId,
+      qbCustomerId: customerId,
+      contactMapping
+    });
+  } catch (error) {
+    console.error("Attach contact error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get deal-contact association
+router.get("/api/deal-contact", async (req, res) => {
+  try {
+    const { dealId, userId } = req.query;
+
+    if (!dealId) {
+      return res.status(400).json({
+        success: false,
+        error: "dealId is required"
+      });
+    }
+
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+
+    // Get the deal-to-QB customer mapping from our database
+    const mapping = await getDealMapping(userData.pipedrive_user_id, dealId);
+    
+    if (!mapping) {
+      return res.json({
+        success: true,
+        customer: null
+      });
+    }
+
+    const qbCustomerId = mapping.qbCustomerId;
+    
+    // Get customer details from QuickBooks
+    try {
+      const { qbClient, companyId } = await createQBClient(userData.pipedrive_user_id);
+      const baseUrl = getQBBaseUrl();
+      
+      const customerResponse = await qbClient.makeApiCall({
+        url: `${baseUrl}/v3/company/${companyId}/customer/${qbCustomerId}?minorversion=65`,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      
+      const customer = getQBResponseData(customerResponse).Customer;
+      
+      res.json({
+        success: true,
+        customer: customer
+      });
+    } catch (qbError) {
+      // If QB fetch fails, use the stored customer name from the mapping
+      res.json({
+        success: true,
+        customer: {
+          Id: qbCustomerId,
+          DisplayName: mapping.customerName || "QuickBooks Customer #" + qbCustomerId
+        }
+      });
+    }
+  } catch (error) {
+    console.error("Get deal contact error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete deal-contact association (unlink)
+router.delete("/api/deal-contact", async (req, res) => {
+  try {
+    const { dealId, userId } = req.query;
+
+    if (!dealId) {
+      return res.status(400).json({
+        success: false,
+        error: "dealId is required"
+      });
+    }
+
+    const userData = userId ? await getUser(userId) : null;
+    if (!userData) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found"
+      });
+    }
+
+    const deleted = await deleteDealMapping(userData.pipedrive_user_id, dealId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Deal ${dealId} is not linked to a QuickBooks customer`
+      });
+    }
+    
+    console.log(`[Unlink Contact] Successfully unlinked deal ${dealId}`);
+
+    res.json({
+      success: true,
+      message: "Contact unlinked from deal"
+    });
+  } catch (error) {
+    console.error("Unlink contact error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Deauthorization endpoint - called by Pipedrive when app is uninstalled
+router.post("/deauth", express.json(), async (req, res) => {
+  try {
+    console.log("Deauthorization request received:", JSON.stringify(req.body));
+    
+    // Verify Pipedrive signature
+    // The signature is HMAC-SHA256 of the request body with the client secret
+    const signature = req.headers['x-pipedrive-signature'];
+    const crypto = require('crypto');
+    
+    if (signature) {
+      const expectedSignature = crypto
+        .createHmac('sha256', process.env.PIPEDRIVE_CLIENT_SECRET)
+        .update(JSON.stringify(req.body))
+        .digest('hex');
+      
+      if (signature !== expectedSignature) {
+        console.error('Invalid signature on deauth request');
+        return res.status(401).send('Invalid signature');
+      }
+    }
+    
+    // Get userId from payload - Pipedrive may send company_domain or user_id
+    const providedUserId = req.body.user_id || req.body.api_domain || req.body.company_domain;
+    
+    if (!providedUserId) {
+      console.error('No user ID in deauth request');
+      return res.status(400).send('User ID not found');
+    }
+    
+    console.log('Processing deauthorization for user:', providedUserId);
+    
+    // Normalize userId - strip https://, http://, and .pipedrive.com suffix
+    function normalizeUserId(id) {
+      if (!id) return id;
+      let normalized = id.toString();
+      normalized = normalized.replace(/^https?:\/\//, '');
+      normalized = normalized.replace(/\.pipedrive\.com$/, '');
+      return normalized;
+    }
+    
+    const normalizedInput = normalizeUserId(providedUserId);
+    
+    // Try multiple userId formats to find the user
+    const possibleUserIds = [
+      providedUserId,
+      normalizedInput,
+      normalizedInput + '.pipedrive.com'
+    ];
+    
+    let userData = null;
+    let foundUserId = null;
+    
+    for (const tryUserId of [...new Set(possibleUserIds.filter(id => id))]) {
+      const tryUserData = await getUser(tryUserId);
+      if (tryUserData) {
+        userData = tryUserData;
+        foundUserId = tryUserId;
+        console.log(`[Deauth] Found user by direct lookup: ${tryUserId}`);
+        break;
+      }
+    }
+    
+    // Fallback: scan all users for matching pipedrive_numeric_id
+    if (!userData) {
+      console.log(`[Deauth] Direct lookup failed, scanning all users for: ${providedUserId}`);
+      const allKeys = await listUsers();
+      
+      for (const key of allKeys) {
+        const testUserData = await getUser(key);
+        if (testUserData) {
+          const normalizedKey = normalizeUserId(key);
+          
+          const isMatch = 
+            normalizedKey === normalizedInput ||
+            (testUserData.pipedrive_numeric_id && testUserData.pipedrive_numeric_id === providedUserId) ||
+            (testUserData.pipedrive_numeric_id && testUserData.pipedrive_numeric_id === normalizedInput) ||
+            (testUserData.pipedrive_user_id === providedUserId) ||
+            (testUserData.pipedrive_user_id === normalizedInput);
+          
+          if (isMatch) {
+            console.log(`[Deauth] Found user via scan: ${key}`);
+            userData = testUserData;
+            foundUserId = key;
+            break;
+          }
+        }
+      }
+    }
+    
+    if (userData) {
+      // Delete custom field if it exists
+      if (userData.qb_field_id && userData.access_token) {
+        try {
+          const apiDomain = userData.api_domain || 'api.pipedrive.com';
+          
+          // Get the field ID from the field key
+          const fieldsResponse = await axios.get(
+            `https://${apiDomain}/v1/dealFields?api_token=${userData.access_token}`
+          );
+          
+          const field = fieldsResponse.data.data?.find(
+            f => f.key === userData.qb_field_id
+          );
+          
+          if (field) {
+            // Delete the custom field
+            await axios.delete(
+              `https://${apiDomain}/v1/dealFields/${field.id}?api_token=${userData.access_token}`
+            );
+            console.log('Deleted custom field:', field.id);
+          }
+        } catch (fieldError) {
+          console.error('Error deleting custom field:', fieldError.response?.data || fieldError.message);
+          // Continue with user deletion even if field deletion fails
+        }
+      }
+      
+      // Delete user from database using deleteUser
+      await deleteUser(foundUserId);
+      console.log('[Deauth] Deleted user from database:', foundUserId);
+    } else {
+      console.log('[Deauth] No user found to delete for:', providedUserId);
+    }
+    
+    // Return 200 OK to acknowledge the deauthorization
+    res.status(200).send('OK');
+    
+  } catch (error) {
+    console.error('Deauthorization error:', error);
+    // Still return 200 to acknowledge receipt
+    res.status(200).send('OK');
+  }
+});
+
+// Search QuickBooks items/products
+router.get("/api/items/search", async (req, res) => {
+  try {
+    const searchTerm = req.query.term || '';
+    const providedUserId = req.query.userId || 'test';
+    
+    console.log('Searching items:', searchTerm, 'User ID:', providedUserId);
+
+    // Find user with QB tokens
+    let userData = null;
+    let actualUserId = providedUserId;
+    
+    userData = await getUser(providedUserId);
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      const { listUsers } = require("../../config/postgres");
+      const allKeys = await listUsers();
+      
+      for (const key of allKeys) {
+        const testUserData = await getUser(key);
+        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
+          const normalizedProvidedId = providedUserId.replace('https://', '').replace(/\.pipedrive\.com$/, '');
+          const normalizedKey = key.replace('https://', '').replace(/\.pipedrive\.com$/, '');
+          
+          if (normalizedKey === normalizedProvidedId ||
+              testUserData.api_domain?.includes(normalizedProvidedId) ||
+              normalizedProvidedId.includes(normalizedKey)) {
+            userData = testUserData;
+            actualUserId = key;
+            break;
+          }
+          
+          if (!userData && testUserData.qb_realm_id) {
+            userData = testUserData;
+            actualUserId = key;
+          }
+        }
+      }
+    }
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      return res.status(400).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+
+    const baseUrl = getQBBaseUrl();
+    const realmId = userData.qb_realm_id;
+    
+    // Build query to search items by Name - get both products and services
+    let query;
+    if (searchTerm) {
+      query = `SELECT * FROM Item WHERE Name LIKE '%${searchTerm}%' AND Active = true MAXRESULTS 20`;
+    } else {
+      query = `SELECT * FROM Item WHERE Active = true MAXRESULTS 20`;
+    }
+    const encodedQuery = encodeURIComponent(query);
+    
+    const queryResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+      return await qbClient.makeApiCall({
+        url: `${baseUrl}/v3/company/${realmId}/query?query=${encodedQuery}`,
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    });
+    
+    if (!queryResponse) {
+      return res.status(500).json({
+        success: false,
+        error: "Invalid response from QuickBooks"
+      });
+    }
+    
+    const queryResult = getQBResponseData(queryResponse);
+    const items = queryResult.QueryResponse?.Item || [];
+    
+    // Transform to simplified format
+    const simplifiedItems = items.map(item => ({
+      id: item.Id,
+      name: item.Name,
+      sku: item.Sku || '',
+      description: item.Description || '',
+      unitPrice: item.UnitPrice || 0,
+      type: item.Type, // 'Inventory', 'Service', 'NonInventory'
+      incomeAccountRef: item.IncomeAccountRef,
+      qtyOnHand: item.QtyOnHand || 0
+    }));
+    
+    res.json(simplifiedItems);
+  } catch (error) {
+    console.error("Search items error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get Pipedrive deal's contact address
+router.get("/api/pipedrive/deal-address", async (req, res) => {
+  try {
+    const { dealId, userId } = req.query;
+    
+    if (!dealId) {
+      return res.status(400).json({
+        success: false,
+        error: "dealId is required"
+      });
+    }
+    
+    // Find user with Pipedrive tokens
+    let userData = null;
+    let actualUserId = userId || 'test';
+    
+    userData = await getUser(actualUserId);
+    
+    if (!userData || !userData.access_token) {
+      const { listUsers } = require("../../config/postgres");
+      const allKeys = await listUsers();
+      
+      for (const key of allKeys) {
+        const testUserData = await getUser(key);
+        if (testUserData && testUserData.access_token && testUserData.api_domain) {
+          userData = testUserData;
+          actualUserId = key;
+          break;
+        }
+      }
+    }
+    
+    if (!userData || !userData.access_token) {
+      return res.status(400).json({
+        success: false,
+        error: "Pipedrive not connected"
+      });
+    }
+    
+    const apiDomain = userData.api_domain || 'https://api.pipedrive.com';
+    
+    // Helper function to make Pipedrive API calls with token refresh
+    async function makePipedriveApiCall(endpoint, retryCount = 0) {
+      try {
+        const response = await axios.get(`${apiDomain}${endpoint}`, {
+          headers: {
+            'Authorization': `Bearer ${userData.access_token}`
+          }
+        });
+        return response;
+      } catch (error) {
+        if (error.response?.status === 401 && userData.refresh_token && retryCount === 0) {
+          console.log('[Deal Address] Token expired, attempting refresh...');
+          try {
+            const pipedriveAuth = require('../auth/pipedrive');
+            const newTokens = await pipedriveAuth.refreshToken(userData.refresh_token);
+            
+            // Update userData with new tokens
+            userData.access_token = newTokens.access_token;
+            userData.refresh_token = newTokens.refresh_token;
+            
+            // Persist updated tokens to database
+            await setUser(actualUserId, {
+              ...userData,
+              access_token: newTokens.access_token,
+              refresh_token: newTokens.refresh_token,
+              pipedrive_updated_at: new Date().toISOString()
+            });
+            
+            console.log('[Deal Address] Token refreshed successfully');
+            
+            // Retry with new token
+            return await makePipedriveApiCall(endpoint, retryCount + 1);
+          } catch (refreshError) {
+            console.error('[Deal Address] Token refresh failed:', refreshError.message);
+            throw new Error('Pipedrive authentication expired. Please reconnect.');
+          }
+        }
+        throw error;
+      }
+    }
+    
+    // Helper to parse Pipedrive address object into our format
+    function parseAddressObject(value) {
+      if (!value) return null;
+      if (typeof value === 'string') {
+        return { line1: value };
+      }
+      if (typeof value === 'object') {
+        // Handle array of addresses (take first one)
+        if (Array.isArray(value)) {
+          value = value[0];
+          if (!value) return null;
+        }
+        // Pipedrive address format with street_number, route, locality, etc.
+        if (value.formatted_address || value.street_number || value.route || value.locality) {
+          return {
+            line1: [value.street_number, value.route].filter(Boolean).join(' ') || value.formatted_address,
+            city: value.locality || value.sublocality,
+            state: value.admin_area_level_1,
+            postalCode: value.postal_code,
+            country: value.country
+          };
+        }
+        // Generic address object format
+        if (value.line1 || value.street || value.city) {
+          return {
+            line1: value.line1 || value.street || value.formatted_address,
+            line2: value.line2,
+            city: value.city || value.locality,
+            state: value.state || value.admin_area_level_1,
+            postalCode: value.postalCode || value.postal_code,
+            country: value.country
+          };
+        }
+      }
+      return null;
+    }
+    
+    // First get the deal to find associated person
+    const dealResponse = await makePipedriveApiCall(`/v1/deals/${dealId}`);
+    
+    if (!dealResponse.data?.success || !dealResponse.data?.data) {
+      return res.json({
+        success: false,
+        error: "Deal not found"
+      });
+    }
+    
+    const deal = dealResponse.data.data;
+    const personId = deal.person_id?.value || deal.person_id;
+    const orgId = deal.org_id?.value || deal.org_id;
+    
+    let address = null;
+    
+    // Try to get person's address first
+    if (personId) {
+      try {
+        // Step 1: Get person fields metadata to find "Shipping Address" custom field key
+        const personFieldsResponse = await makePipedriveApiCall('/v1/personFields');
+        let shippingAddressKey = null;
+        let addressFieldKeys = [];
+        
+        if (personFieldsResponse.data?.success && personFieldsResponse.data?.data) {
+          for (const field of personFieldsResponse.data.data) {
+            // Look for field named "Shipping Address" (case-insensitive)
+            if (field.name && field.name.toLowerCase().includes('shipping') && field.name.toLowerCase().includes('address')) {
+              shippingAddressKey = field.key;
+              console.log(`[Deal Address] Found shipping address field: "${field.name}" with key: ${field.key}`);
+              break;
+            }
+            // Also track all address-type fields as fallback
+            if (field.field_type === 'address') {
+              addressFieldKeys.push({ key: field.key, name: field.name });
+            }
+          }
+        }
+        
+        // Step 2: Get the person data
+        const personResponse = await makePipedriveApiCall(`/v1/persons/${personId}`);
+        
+        if (personResponse.data?.success && personResponse.data?.data) {
+          const person = personResponse.data.data;
+          
+          // Priority 1: Check the shipping address custom field directly
+          if (shippingAddressKey && person[shippingAddressKey]) {
+            console.log(`[Deal Address] Found shipping address value:`, person[shippingAddressKey]);
+            address = parseAddressObject(person[shippingAddressKey]);
+          }
+          
+          // Priority 2: Check other address-type custom fields
+          if (!address && addressFieldKeys.length > 0) {
+            for (const fieldInfo of addressFieldKeys) {
+              if (person[fieldInfo.key]) {
+                console.log(`[Deal Address] Using address field "${fieldInfo.name}":`, person[fieldInfo.key]);
+                address = parseAddressObject(person[fieldInfo.key]);
+                if (address) break;
+              }
+            }
+          }
+          
+          // Priority 3: Scan all fields for address-like objects (fallback)
+          if (!address) {
+            for (const key of Object.keys(person)) {
+              const value = person[key];
+              if (value && typeof value === 'object' && (value.street_number || value.route || value.locality || value.formatted_address)) {
+                address = parseAddressObject(value);
+                if (address) {
+                  console.log(`[Deal Address] Found address in field "${key}"`);
+                  break;
+                }
+              }
+            }
+          }
+          
+          // Priority 4: Check standard address field
+          if (!address && person.address) {
+            address = parseAddressObject(person.address);
+          }
+        }
+      } catch (err) {
+        console.log('Could not fetch person data:', err.message);
+      }
+    }
+    
+    // Fallback to organization address
+    if (!address && orgId) {
+      try {
+        // Get organization fields metadata to find address custom fields
+        const orgFieldsResponse = await makePipedriveApiCall('/v1/organizationFields');
+        let orgAddressFieldKeys = [];
+        
+        if (orgFieldsResponse.data?.success && orgFieldsResponse.data?.data) {
+          for (const field of orgFieldsResponse.data.data) {
+            if (field.field_type === 'address') {
+              orgAddressFieldKeys.push({ key: field.key, name: field.name });
+            }
+          }
+        }
+        
+        const orgResponse = await makePipedriveApiCall(`/v1/organizations/${orgId}`);
+        
+        if (orgResponse.data?.success && orgResponse.data?.data) {
+          const org = orgResponse.data.data;
+          
+          // Check address-type custom fields
+          for (const fieldInfo of orgAddressFieldKeys) {
+            if (org[fieldInfo.key]) {
+              console.log(`[Deal Address] Using org address field "${fieldInfo.name}"`);
+              address = parseAddressObject(org[fieldInfo.key]);
+              if (address) break;
+            }
+          }
+          
+          // Check standard address field
+          if (!address && org.address) {
+            address = parseAddressObject(org.address);
+          }
+          
+          // Check formatted address string
+          if (!address && org.address_formatted_address) {
+            address = { line1: org.address_formatted_address };
+          }
+        }
+      } catch (err) {
+        console.log('Could not fetch organization data:', err.message);
+      }
+    }
+    
+    // If we have an address but missing key fields (city, state, postal code), use Nominatim to enrich it
+    if (address && address.line1 && (!address.postalCode || !address.city || !address.state)) {
+      try {
+        // Use the line1 as the search query (it likely contains the full formatted address)
+        const searchQuery = address.line1;
+        
+        console.log(`[Deal Address] Enriching address via Nominatim: "${searchQuery}"`);
+        
+        const appUrl = process.env.APP_URL || 'https://pipedrive-qbo-sync.replit.app';
+        
+        // Retry logic for Nominatim requests (3 attempts with 1-second delay)
+        let nominatimResponse = null;
+        const maxRetries = 3;
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+          try {
+            nominatimResponse = await axios.get('https://nominatim.openstreetmap.org/search', {
+              params: {
+                q: searchQuery,
+                format: 'json',
+                addressdetails: 1,
+                limit: 1
+              },
+              headers: {
+                'User-Agent': `PipedriveQuickBooksIntegration/1.0 (${appUrl})`,
+                'Accept': 'application/json',
+                'Referer': appUrl
+              },
+              timeout: 10000
+            });
+            break; // Success, exit retry loop
+          } catch (retryError) {
+            const isRetryable = retryError.code === 'ECONNABORTED' || 
+                                retryError.code === 'ETIMEDOUT' || 
+                                retryError.code === 'ECONNRESET' ||
+                                !retryError.response || 
+                                (retryError.response && retryError.response.status >= 500);
+            
+            console.log(`[Deal Address] Nominatim attempt ${attempt}/${maxRetries} failed: ${retryError.message}`);
+            
+            if (isRetryable && attempt < maxRetries) {
+              await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+            } else {
+              if (attempt === maxRetries) {
+                console.log(`[Deal Address] Nominatim geocoding failed after ${maxRetries} attempts`);
+              }
+              throw retryError; // Re-throw on final attempt or non-retryable error
+            }
+          }
+        }
+        
+        if (nominatimResponse && nominatimResponse.data && nominatimResponse.data.length > 0) {
+          const result = nominatimResponse.data[0];
+          const addressDetails = result.address || {};
+          
+          console.log('[Deal Address] Nominatim response:', JSON.stringify(addressDetails));
+          
+          // Build the street address from house_number and road
+          const streetAddress = [addressDetails.house_number, addressDetails.road].filter(Boolean).join(' ');
+          
+          // Update line1 to be just the street address if we got better data
+          if (streetAddress) {
+            address.line1 = streetAddress;
+            console.log(`[Deal Address] Updated line1 to: ${streetAddress}`);
+          }
+          
+          // Enrich missing fields from Nominatim
+          if (!address.postalCode && addressDetails.postcode) {
+            address.postalCode = addressDetails.postcode;
+            console.log(`[Deal Address] Added postal code: ${addressDetails.postcode}`);
+          }
+          if (!address.city) {
+            address.city = addressDetails.city || addressDetails.town || addressDetails.village || addressDetails.municipality;
+            if (address.city) {
+              console.log(`[Deal Address] Added city: ${address.city}`);
+            }
+          }
+          if (!address.state && addressDetails.state) {
+            address.state = addressDetails.state;
+            console.log(`[Deal Address] Added state: ${addressDetails.state}`);
+          }
+          if (!address.country) {
+            address.country = addressDetails.country;
+            if (address.country) {
+              console.log(`[Deal Address] Added country: ${address.country}`);
+            }
+          }
+        } else {
+          console.log('[Deal Address] No Nominatim results found');
+        }
+      } catch (geoError) {
+        console.log('[Deal Address] Nominatim geocoding failed:', geoError.message);
+      }
+    }
+    
+    if (address) {
+      res.json({
+        success: true,
+        address: address
+      });
+    } else {
+      res.json({
+        success: false,
+        error: "No address found for this deal's contact or organization"
+      });
+    }
+    
+  } catch (error) {
+    console.error("Get deal address error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// Sales Document Helpers (shared by invoices and estimates)
+// ============================================
+
+// Find the QuickBooks-connected user record for the ID a request names. getUser only accepts that
+// user's own ID formats, so an unknown ID never borrows another user's QuickBooks company
+// Returns { userData, actualUserId } or null if there is no such user or QuickBooks is not connected
+async function resolveQBUser(providedUserId) {
+  if (!providedUserId) return null;
+  
+  const userData = await getUser(providedUserId);
+  if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+    return null;
+  }
+  
+  return { userData, actualUserId: userData.pipedrive_user_id };
+}
+
+// Look up SKUs for a set of QuickBooks item IDs, returns { itemId: sku }
+async function getItemSkuMap(userId, userData, itemIds) {
+  const skuMap = {};
+  const uniqueIds = [...new Set(itemIds.filter(Boolean))];
+  if (uniqueIds.length === 0) return skuMap;
+  
+  const result = await runQBQuery(userId, userData, `SELECT * FROM Item WHERE Id IN ('${uniqueIds.join("','")}')`);
+  (result.Item || []).forEach(item => {
+    skuMap[item.Id] = item.Sku || '';
+  });
+  return skuMap;
+}
+
+// Convert QuickBooks sales lines back into the { name, sku, quantity, unitPrice } shape
+// used by the Pipedrive product sync (shipping and handling lines and per-line discounts are left out)
+async function salesLinesToSyncItems(userId, userData, lines) {
+  const salesLines = (lines || []).filter(line => line.DetailType === 'SalesItemLineDetail' && line.SalesItemLineDetail &&
+    !isShippingChargeLine(line, userData.invoice_preferences || {}) && !isDiscountSalesLine(line));
+  
+  let skuMap = {};
+  try {
+    skuMap = await getItemSkuMap(userId, userData, salesLines.map(line => line.SalesItemLineDetail.ItemRef?.value));
+  } catch (skuError) {
+    console.warn('[Sales Lines] Could not fetch item SKUs:', skuError.message);
+  }
+  
+  return salesLines.map(line => ({
+    itemId: line.SalesItemLineDetail.ItemRef?.value,
+    name: line.SalesItemLineDetail.ItemRef?.name || line.Description,
+    description: line.Description,
+    sku: skuMap[line.SalesItemLineDetail.ItemRef?.value] || '',
+    quantity: line.SalesItemLineDetail.Qty || 1,
+    unitPrice: line.SalesItemLineDetail.UnitPrice || 0
+  }));
+}
+
+// ============================================
+// End Sales Document Helpers
+// ============================================
+
+// List the company's QuickBooks payment terms (for the invoice panel's terms dropdown)
+router.get("/api/terms", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const terms = await getQBTerms(qbUser.actualUserId, qbUser.userData, req.query.refresh === 'true');
+    
+    res.json({
+      success: true,
+      terms: terms.map(term => ({
+        id: term.Id,
+        name: term.Name,
+        type: term.Type,
+        dueDays: term.DueDays ?? null,
+        dayOfMonthDue: term.DayOfMonthDue ?? null,
+        dueDate: computeDueDateFromTerm(term)
+      }))
+    });
+  } catch (error) {
+    console.error("Get terms error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List the company's QuickBooks tax codes and whether automated sales tax is on
+router.get("/api/tax-codes", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const taxSetup = await getQBTaxSetup(qbUser.actualUserId, qbUser.userData, req.query.refresh === 'true');
+    
+    res.json({
+      success: true,
+      country: taxSetup.country,
+      automatedSalesTax: taxSetup.automatedSalesTax,
+      usingSalesTax: taxSetup.usingSalesTax,
+      defaultTaxCodeId: taxSetup.defaultTaxCodeId,
+      taxCodes: taxSetup.taxCodes.map(code => ({
+        id: code.Id,
+        name: code.Name,
+        description: code.Description || '',
+        taxable: code.Taxable !== false,
+        taxGroup: code.TaxGroup === true,
+        rate: code.combinedRate
+      }))
+    });
+  } catch (error) {
+    console.error("Get tax codes error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// QuickBooks Multicurrency
+// ============================================
+
+// The customer's billing currency compared with the company's home currency
+async function describeCustomerCurrency(userId, userData, customer) {
+  const currencySetup = await getQBCurrencySetup(userId, userData);
+  const homeCurrency = currencySetup?.homeCurrency || null;
+  const code = customer?.CurrencyRef?.value || homeCurrency;
+  
+  return {
+    code,
+    name: customer?.CurrencyRef?.name || code,
+    homeCurrency,
+    multiCurrencyEnabled: !!currencySetup?.multiCurrencyEnabled,
+    isForeign: !!(code && homeCurrency && code !== homeCurrency)
+  };
+}
+
+// QuickBooks' current rate for converting a currency into the home currency (used to prefill the panel)
+router.get("/api/exchange-rate", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    const currency = String(req.query.currency || '').trim().toUpperCase();
+    
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        error: "currency is required"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const currencySetup = await getQBCurrencySetup(qbUser.actualUserId, qbUser.userData);
+    const rate = currency === currencySetup?.homeCurrency
+      ? 1
+      : await getQBExchangeRate(qbUser.actualUserId, qbUser.userData, currency, req.query.asOfDate);
+    
+    res.json({
+      success: true,
+      currency,
+      homeCurrency: currencySetup?.homeCurrency || null,
+      rate
+    });
+  } catch (error) {
+    console.error("Get exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// QuickBooks Class, Department and Custom Field Tagging
+// ============================================
+
+async function listQBClasses(userId, userData) {
+  const result = await runQBQuery(userId, userData, `SELECT * FROM Class WHERE Active = true MAXRESULTS 1000`);
+  return (result.Class || []).map(qbClass => ({
+    id: qbClass.Id,
+    name: qbClass.Name,
+    fullyQualifiedName: qbClass.FullyQualifiedName || qbClass.Name
+  }));
+}
+
+async function listQBDepartments(userId, userData) {
+  const result = await runQBQuery(userId, userData, `SELECT * FROM Department WHERE Active = true MAXRESULTS 1000`);
+  return (result.Department || []).map(department => ({
+    id: department.Id,
+    name: department.Name,
+    fullyQualifiedName: department.FullyQualifiedName || department.Name
+  }));
+}
+
+// List the company's QuickBooks classes
+router.get("/api/classes", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const taxSetup = await getQBTaxSetup(qbUser.actualUserId, qbUser.userData);
+    
+    res.json({
+      success: true,
+      classTracking: taxSetup.classTracking,
+      classes: await listQBClasses(qbUser.actualUserId, qbUser.userData)
+    });
+  } catch (error) {
+    console.error("List classes error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List the company's QuickBooks departments (shown as Locations in some regions)
+router.get("/api/departments", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const taxSetup = await getQBTaxSetup(qbUser.actualUserId, qbUser.userData);
+    
+    res.json({
+      success: true,
+      trackDepartments: taxSetup.trackDepartments,
+      terminology: taxSetup.departmentTerminology,
+      departments: await listQBDepartments(qbUser.actualUserId, qbUser.userData)
+    });
+  } catch (error) {
+    console.error("List departments error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List the invoice custom fields turned on in QuickBooks' sales form settings
+router.get("/api/custom-fields", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const taxSetup = await getQBTaxSetup(qbUser.actualUserId, qbUser.userData, req.query.refresh === 'true');
+    
+    res.json({
+      success: true,
+      customFields: taxSetup.customFields
+    });
+  } catch (error) {
+    console.error("List custom fields error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Everything the setup page needs to configure invoice tagging: QuickBooks classes, departments
+// and custom fields, plus the Pipedrive pipelines, stages, users and deal fields they can be mapped from
+router.get("/api/setup/invoice-tagging", async (req, res) => {
+  try {
+    const { userId, token } = req.query;
+    
+    if (!userId || !token) {
+      return res.status(400).json({ success: false, error: "User ID and token are required" });
+    }
+    
+    const normalizedUserId = userId.replace('https://', '');
+    const userData = await getUser(normalizedUserId);
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    
+    if (!userData.setup_token || userData.setup_token !== token ||
+        (userData.setup_token_expires && new Date(userData.setup_token_expires) < new Date())) {
+      return res.status(403).json({ success: false, error: "Invalid or expired setup token" });
+    }
+    
+    const qbUser = await resolveQBUser(normalizedUserId);
+    if (!qbUser) {
+      return res.status(401).json({ success: false, error: "QuickBooks not connected for this user" });
+    }
+    
+    const taxSetup = await getQBTaxSetup(qbUser.actualUserId, qbUser.userData, true);
+    const [classes, departments, pipelinesResult, stagesResult, usersResult, fieldsResult] = await Promise.all([
+      taxSetup.classTracking ? listQBClasses(qbUser.actualUserId, qbUser.userData) : [],
+      taxSetup.trackDepartments ? listQBDepartments(qbUser.actualUserId, qbUser.userData) : [],
+      makePipedriveApiCall(userData, 'GET', '/api/v1/pipelines', null, normalizedUserId),
+      makePipedriveApiCall(userData, 'GET', '/api/v1/stages', null, normalizedUserId),
+      makePipedriveApiCall(userData, 'GET', '/api/v1/users', null, normalizedUserId),
+      makePipedriveApiCall(userData, 'GET', '/api/v1/dealFields?limit=500', null, normalizedUserId)
+    ]);
+    
+    res.json({
+      success: true,
+      classTracking: taxSetup.classTracking,
+      trackDepartments: taxSetup.trackDepartments,
+      departmentTerminology: taxSetup.departmentTerminology,
+      classes,
+      departments,
+      customFields: taxSetup.customFields,
+      pipedrive: {
+        pipelines: (pipelinesResult?.data || []).map(pipeline => ({ id: pipeline.id, name: pipeline.name })),
+        stages: (stagesResult?.data || []).map(stage => ({ id: stage.id, name: stage.name, pipelineId: stage.pipeline_id })),
+        users: (usersResult?.data || []).filter(user => user.active_flag !== false).map(user => ({ id: user.id, name: user.name })),
+        dealFields: (fieldsResult?.data || []).map(field => ({
+          key: field.key,
+          name: field.name,
+          type: field.field_type,
+          options: (field.options || []).map(option => ({ id: option.id, label: option.label }))
+        }))
+      },
+      invoiceTagging: (userData.invoice_preferences || {}).invoiceTagging || {}
+    });
+  } catch (error) {
+    console.error("Invoice tagging setup error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Build everything POST /api/invoices would send and do, without creating anything
+// Only read-only lookups are made (terms, tax setup, default items, the deal's contact email)
+async function previewInvoice(actualUserId, userData, request) {
+  const { sendEmail, dealId, lineItems, attachDealFiles } = request;
+  
+  const payload = await buildInvoicePayload(actualUserId, userData, request);
+  if (payload.error) {
+    return { success: false, status: 400, error: payload.error };
+  }
+  
+  const { invoiceData, paymentTerm, defaults, tax, billEmail, charges, currency } = payload;
+  
+  const chargeTotal = (type) => charges.filter(charge => charge.type === type).reduce((sum, charge) => sum + charge.amount, 0);
+  const shippingAmount = chargeTotal('shipping');
+  const handlingAmount = chargeTotal('handling');
+  const subtotal = invoiceData.Line
+    .filter(line => line.DetailType === 'SalesItemLineDetail' && !isDiscountSalesLine(line))
+    .reduce((sum, line) => sum + line.Amount, 0) - shippingAmount - handlingAmount;
+  const discountLines = invoiceData.Line.filter(line => line.DetailType === 'DiscountLineDetail' || isDiscountSalesLine(line));
+  const discountAmount = Math.round(discountLines.reduce((sum, line) => sum + Math.abs(line.Amount), 0) * 100) / 100;
+  const taxEstimate = estimateInvoiceTax(invoiceData, tax, userData.invoice_preferences || {});
+  
+  // Without explicit terms QuickBooks applies the customer's default term
+  let term = paymentTerm;
+  if (!term) {
+    const customerId = String(invoiceData.CustomerRef.value).replace(/'/g, "\\'");
+    const customerResult = await runQBQuery(actualUserId, userData, `SELECT * FROM Customer WHERE Id = '${customerId}'`);
+    const customer = (customerResult.Customer || [])[0];
+    if (customer?.SalesTermRef?.value) {
+      term = await findQBTerm(actualUserId, userData, customer.SalesTermRef.value);
+    }
+  }
+  
+  const total = subtotal - discountAmount + shippingAmount + handlingAmount + taxEstimate.totalTax;
+  
+  return {
+    success: true,
+    dryRun: true,
+    payload: invoiceData,
+    appliedDefaults: defaults.appliedDefaults,
+    paymentTerm: term ? { id: term.Id, name: term.Name, dueDays: term.DueDays ?? null, fromCustomer: !paymentTerm } : null,
+    discounts: discountLines.map(line => ({
+      description: line.Description || null,
+      percent: line.DiscountLineDetail?.PercentBased ? line.DiscountLineDetail.DiscountPercent : null,
+      amount: Math.abs(line.Amount),
+      account: line.DiscountLineDetail?.DiscountAccountRef || null
+    })),
+    shipAddr: invoiceData.ShipAddr || null,
+    totals: {
+      subtotal,
+      discount: discountAmount,
+      shipping: shippingAmount,
+      handling: handlingAmount,
+      tax: taxEstimate.totalTax,
+      total,
+      taxEstimated: taxEstimate.estimated
+    },
+    // Totals above are in the customer's currency; homeTotal is null until QuickBooks supplies a rate
+    currency: currency ? {
+      ...currency,
+      homeTotal: currency.exchangeRate ? Math.round(total * currency.exchangeRate * 100) / 100 : null
+    } : null,
+    tax: taxEstimate,
+    sideEffectPlan: planInvoiceSideEffects(userData, {
+      sendEmail,
+      billEmail,
+      paymentTerm: term,
+      invoiceBalance: total,
+      dealId,
+      lineItems,
+      attachDealFiles
+    })
+  };
+}
+
+// Create an invoice under an Idempotency-Key. A replay of a finished request returns the stored
+// response; a replay of an interrupted one resumes from the steps that did not complete.
+// Returns { status, body, replayed }
+async function createInvoiceIdempotent(actualUserId, userData, request, idempotencyKey) {
+  const crypto = require('crypto');
+  const requestHash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  const claim = await claimIdempotencyKey(actualUserId, idempotencyKey, requestHash);
+  const record = claim.record;
+  
+  if (record.requestHash !== requestHash) {
+    return {
+      status: 422,
+      body: { success: false, error: "Idempotency-Key was already used with a different request" }
+    };
+  }
+  
+  if (record.status === 'completed') {
+    console.log(`[Idempotency] Replaying stored response for key ${idempotencyKey}`);
+    return { status: record.responseStatus || 200, body: record.response, replayed: true };
+  }
+  
+  if (!claim.locked) {
+    return {
+      status: 409,
+      body: { success: false, error: "A request with this Idempotency-Key is already in progress" }
+    };
+  }
+  
+  if (!claim.created) {
+    console.log(`[Idempotency] Resuming key ${idempotencyKey} (invoice: ${record.invoiceId || 'not created'}, steps: ${JSON.stringify(record.steps)})`);
+  }
+  
+  // QuickBooks dedupes creates that reuse a requestid - derive a stable one from the key
+  const requestId = crypto.createHash('sha256').update(`${actualUserId}:${idempotencyKey}`).digest('hex').slice(0, 36);
+  
+  let result;
+  try {
+    result = await createInvoice(actualUserId, userData, request, {
+      requestId,
+      existingInvoiceId: record.invoiceId,
+      completedSteps: record.steps,
+      onInvoiceCreated: (invoice) => setIdempotencyInvoice(actualUserId, idempotencyKey, invoice.Id),
+      // Each step renews the key's lock, so the request is only taken over if it has stalled
+      onStepStart: () => extendIdempotencyLock(actualUserId, idempotencyKey),
+      onStepComplete: (step, outcome) => setIdempotencyStep(actualUserId, idempotencyKey, step, outcome)
+    });
+  } catch (error) {
+    await finishIdempotencyKey(actualUserId, idempotencyKey, 'failed', 500, { success: false, error: error.message });
+    throw error;
+  }
+  
+  const status = result.success ? 200 : (result.status || 500);
+  const body = result.success ? result : { success: false, error: result.error };
+  
+  // Completed only when nothing is left to retry; failed steps are re-run on the next replay
+  const allStepsFinished = result.success &&
+    Object.values(result.steps || {}).every(outcome => outcome.status !== 'failed');
+  await finishIdempotencyKey(actualUserId, idempotencyKey, allStepsFinished ? 'completed' : 'failed', status, body);
+  
+  return { status, body };
+}
+
+// Preview an invoice: the QuickBooks payload, totals and side-effect plan, without creating it
+router.post("/api/invoices/preview", express.json(), async (req, res) => {
+  try {
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const result = await previewInvoice(qbUser.actualUserId, qbUser.userData, req.body);
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error("Preview invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create QuickBooks invoice (?dryRun=true returns the same preview as /api/invoices/preview)
+router.post("/api/invoices", express.json(), async (req, res) => {
+  try {
+    const { customerId, customerEmail, lineItems, discount, sendEmail, dealId } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    console.log('=== INVOICE CREATION REQUEST ===');
+    console.log('Creating invoice for customer:', customerId, 'Email:', customerEmail, 'User ID:', providedUserId);
+    console.log('Deal ID for product sync:', dealId, '(type:', typeof dealId, ')');
+    console.log('Line items count:', lineItems?.length || 0);
+    console.log('Discount:', discount ? `${discount.type} - ${discount.value}` : 'none');
+    console.log('Send email after creation:', sendEmail ? 'yes' : 'no');
+
+    // Find user with QB tokens
+    const qbUser = await resolveQBUser(providedUserId);
+    
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    if (req.query.dryRun === 'true') {
+      const preview = await previewInvoice(actualUserId, userData, req.body);
+      return res.status(preview.success ? 200 : (preview.status || 500)).json(
+        preview.success ? preview : { success: false, error: preview.error }
+      );
+    }
+    
+    // Retries from the panel send the same Idempotency-Key so a timeout can't create a second invoice
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey) {
+      const { status, body, replayed } = await createInvoiceIdempotent(actualUserId, userData, req.body, idempotencyKey);
+      if (replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      return res.status(status).json(body);
+    }
+    
+    const result = await createInvoice(actualUserId, userData, req.body);
+    
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error("Create invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Download invoice as PDF
+router.get("/api/invoices/:invoiceId/pdf", async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const providedUserId = req.query.userId || 'test';
+    
+    console.log('Downloading PDF for invoice:', invoiceId, 'User ID:', providedUserId);
+
+    // Find user with QB tokens
+    let userData = null;
+    let actualUserId = providedUserId;
+    
+    userData = await getUser(providedUserId);
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      const { listUsers } = require("../../config/postgres");
+      const allKeys = await listUsers();
+      
+      for (const key of allKeys) {
+        const testUserData = await getUser(key);
+        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
+          const normalizedProvidedId = providedUserId.replace('https://', '').replace(/\.pipedrive\.com$/, '');
+          const normalizedKey = key.replace('https://', '').replace(/\.pipedrive\.com$/, '');
+          
+          if (normalizedKey === normalizedProvidedId ||
+              testUserData.api_domain?.includes(normalizedProvidedId) ||
+              normalizedProvidedId.includes(normalizedKey)) {
+            userData = testUserData;
+            actualUserId = key;
+            break;
+          }
+          
+          if (!userData && testUserData.qb_realm_id) {
+            userData = testUserData;
+            actualUserId = key;
+          }
+        }
+      }
+    }
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      return res.status(400).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+
+    const pdfBuffer = await fetchQBInvoicePdf(actualUserId, userData, invoiceId);
+    
+    if (!pdfBuffer) {
+      return res.status(500).json({
+        success: false,
+        error: "Failed to fetch PDF from QuickBooks"
+      });
+    }
+    
+    // Set headers for PDF download
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceId}.pdf"`);
+    
+    // Send the PDF buffer directly
+    res.send(pdfBuffer);
+    
+  } catch (error) {
+    console.error("Download PDF error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get payment link for an invoice
+router.get("/api/invoices/:invoiceId/paylink", async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const providedUserId = req.query.userId || 'test';
+    
+    console.log('Getting payment link for invoice:', invoiceId, 'User ID:', providedUserId);
+
+    // Find user with QB tokens
+    let userData = null;
+    let actualUserId = providedUserId;
+    
+    userData = await getUser(providedUserId);
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      const { listUsers } = require("../../config/postgres");
+      const allKeys = await listUsers();
+      
+      for (const key of allKeys) {
+        const testUserData = await getUser(key);
+        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
+          const normalizedProvidedId = providedUserId.replace('https://', '').replace(/\.pipedrive\.com$/, '');
+          const normalizedKey = key.replace('https://', '').replace(/\.pipedrive\.com$/, '');
+          
+          if (normalizedKey === normalizedProvidedId ||
+              testUserData.api_domain?.includes(normalizedProvidedId) ||
+              normalizedProvidedId.includes(normalizedKey)) {
+            userData = testUserData;
+            actualUserId = key;
+            break;
+          }
+          
+          if (!userData && testUserData.qb_realm_id) {
+            userData = testUserData;
+            actualUserId = key;
+          }
+        }
+      }
+    }
+    
+    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+      return res.status(400).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+
+    const baseUrl = getQBBaseUrl();
+    const realmId = userData.qb_realm_id;
+    
+    // Fetch invoice with invoiceLink parameter
+    const invoiceData = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+      const axios = require('axios');
+      const invoiceUrl = `${baseUrl}/v3/company/${realmId}/invoice/${invoiceId}?include=invoiceLink&minorversion=65`;
+      
+      const response = await axios({
+        method: 'GET',
+        url: invoiceUrl,
+        headers: {
+          'Authorization': `Bearer ${currentUserData.qb_access_token}`,
+          'Accept': 'application/json'
+        }
+      });
+      
+      return response.data;
+    });
+    
+    if (!invoiceData || !invoiceData.Invoice) {
+      return res.status(500).json({
+        success: false,
+        error: "Failed to fetch invoice from QuickBooks"
+      });
+    }
+    
+    const paymentLink = invoiceData.Invoice.InvoiceLink || invoiceData.Invoice.invoiceLink;
+    
+    if (!paymentLink) {
+      return res.status(404).json({
+        success: false,
+        error: "No payment link available. QuickBooks Payments may not be enabled for this account."
+      });
+    }
+    
+    res.json({
+      success: true,
+      paymentLink: paymentLink,
+      invoiceNumber: invoiceData.Invoice.DocNumber
+    });
+    
+  } catch (error) {
+    console.error("Get payment link error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== PAYMENT ENDPOINTS ====================
+
+// Create the ShipStation order for an invoice that has just been paid in full
+// Mirrors the payment poller: only invoices queued to ship on payment (a pending entry) are shipped,
+// invoices that already have an order are skipped, and the pending entry is cleared once shipped
+async function shipPaidInvoice(userId, userData, invoice) {
+  if (!userData.shipstation_api_key || userData.shipstation_auto_create === false) {
+    return { shipstationOrderCreated: false };
+  }
+  
+  const invoiceNumber = invoice.DocNumber || invoice.Id;
+  
+  const existingMapping = await getInvoiceMapping(invoice.Id);
+  if (existingMapping) {
+    console.log(`[Payments] Invoice ${invoiceNumber} already has ShipStation order ${existingMapping.shipstationOrderId}, skipping...`);
+    await deletePendingInvoice(invoice.Id);
+    return { shipstationOrderCreated: false, shipstationOrderId: existingMapping.shipstationOrderId };
+  }
+  
+  const pending = await getPendingInvoice(invoice.Id);
+  if (!pending) {
+    console.log(`[Payments] Invoice ${invoiceNumber} was not queued to ship on payment, skipping ShipStation...`);
+    return { shipstationOrderCreated: false };
+  }
+  
+  try {
+    // Merge with the invoice stored at creation time, as the poller does
+    const storedInvoice = pending.invoiceData
+      ? (typeof pending.invoiceData === 'string' ? JSON.parse(pending.invoiceData) : pending.invoiceData)
+      : {};
+    
+    const ssOrder = await createShipStationOrderFromInvoice(userData, { ...storedInvoice, ...invoice }, userId);
+    
+    if (ssOrder && ssOrder.orderId) {
+      console.log(`[Payments] ShipStation order ${ssOrder.orderId} created for paid invoice ${invoiceNumber}`);
+      await deletePendingInvoice(invoice.Id);
+      return { shipstationOrderCreated: true, shipstationOrderId: ssOrder.orderId };
+    }
+  } catch (ssError) {
+    // Leave the pending entry in place so the poller retries on its next cycle
+    console.error(`[Payments] Failed to create ShipStation order for invoice ${invoiceNumber}:`, ssError.message);
+    return { shipstationOrderCreated: false, shipstationError: ssError.message };
+  }
+  
+  return { shipstationOrderCreated: false };
+}
+
+// List payments applied to an invoice
+router.get("/api/invoices/:invoiceId/payments", async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    const invoice = await getQBInvoice(actualUserId, userData, invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found"
+      });
+    }
+    
+    // Payments applied to the invoice show up in its LinkedTxn list
+    const paymentIds = (invoice.LinkedTxn || [])
+      .filter(txn => txn.TxnType === 'Payment')
+      .map(txn => txn.TxnId);
+    
+    let payments = [];
+    if (paymentIds.length > 0) {
+      const idList = paymentIds.map(id => `'${id}'`).join(', ');
+      const result = await runQBQuery(actualUserId, userData, `SELECT * FROM Payment WHERE Id IN (${idList})`);
+      payments = (result.Payment || [])
+        .map(payment => formatPayment(payment, invoiceId))
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+    
+    res.json({
+      success: true,
+      invoiceId,
+      docNumber: invoice.DocNumber,
+      totalAmount: invoice.TotalAmt,
+      balance: invoice.Balance,
+      payments
+    });
+  } catch (error) {
+    console.error("Get invoice payments error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Record a payment received offline (check, wire, cash) against an invoice
+router.post("/api/invoices/:invoiceId/payments", express.json(), async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const { amount, paymentDate, paymentMethod, depositAccount, referenceNumber, memo } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    console.log('[Payments] Recording payment for invoice:', invoiceId, 'Amount:', amount, 'User ID:', providedUserId);
+    
+    const paymentAmount = parseFloat(amount);
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "A positive payment amount is required"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    const baseUrl = getQBBaseUrl();
+    const realmId = userData.qb_realm_id;
+    
+    const invoice = await getQBInvoice(actualUserId, userData, invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found"
+      });
+    }
+    
+    const currentBalance = parseFloat(invoice.Balance || 0);
+    if (currentBalance <= 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Invoice is already paid in full"
+      });
+    }
+    
+    // Round to cents before comparing so 10.10 + 0.20 style amounts don't trip the check
+    if (Math.round(paymentAmount * 100) > Math.round(currentBalance * 100)) {
+      return res.status(400).json({
+        success: false,
+        error: `Payment amount exceeds the open balance of ${currentBalance.toFixed(2)}`
+      });
+    }
+    
+    const paymentData = {
+      CustomerRef: invoice.CustomerRef,
+      TotalAmt: paymentAmount,
+      Line: [{
+        Amount: paymentAmount,
+        LinkedTxn: [{
+          TxnId: invoice.Id,
+          TxnType: 'Invoice'
+        }]
+      }]
+    };
+    
+    if (paymentDate) {
+      paymentData.TxnDate = paymentDate;
+    }
+    
+    if (referenceNumber) {
+      paymentData.PaymentRefNum = String(referenceNumber);
+    }
+    
+    if (memo) {
+      paymentData.PrivateNote = memo;
+    }
+    
+    // Payment method and deposit account accept a QuickBooks ID or name
+    if (paymentMethod) {
+      const method = await findQBEntityByIdOrName(actualUserId, userData, 'PaymentMethod', paymentMethod);
+      if (!method) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown payment method "${paymentMethod}"`
+        });
+      }
+      paymentData.PaymentMethodRef = { value: method.Id, name: method.Name };
+    }
+    
+    // Without a deposit account QuickBooks uses Undeposited Funds
+    if (depositAccount) {
+      const account = await findQBEntityByIdOrName(actualUserId, userData, 'Account', depositAccount);
+      if (!account) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown deposit account "${depositAccount}"`
+        });
+      }
+      paymentData.DepositToAccountRef = { value: account.Id, name: account.Name };
+    }
+    
+    console.log('[Payments] Creating payment with data:', JSON.stringify(paymentData, null, 2));
+    
+    const createResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+      return await qbClient.makeApiCall({
+        url: `${baseUrl}/v3/company/${realmId}/payment?minorversion=65`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(paymentData)
+      });
+    });
+    
+    const result = getQBResponseData(createResponse);
+    
+    if (!result.Payment) {
+      console.error('[Payments] Failed to create payment:', result);
+      return res.status(400).json({
+        success: false,
+        error: result.Fault?.Error?.[0]?.Message || "Failed to record payment",
+        details: result.Fault?.Error?.[0]?.Detail
+      });
+    }
+    
+    console.log(`[Payments] Payment ${result.Payment.Id} recorded against invoice ${invoice.DocNumber}`);
+    
+    // Re-read the invoice for its new balance
+    const updatedInvoice = await getQBInvoice(actualUserId, userData, invoiceId) || invoice;
+    const newBalance = parseFloat(updatedInvoice.Balance || 0);
+    
+    // Paid in full - ship now rather than waiting for the payment poller's next cycle
+    let shipping = { shipstationOrderCreated: false };
+    if (newBalance <= 0) {
+      console.log(`[Payments] Invoice ${invoice.DocNumber} is now paid in full`);
+      shipping = await shipPaidInvoice(actualUserId, userData, updatedInvoice);
+    }
+    
+    // Post the payment to the invoice's deal now; the deal timeline job would otherwise pick it up later
+    const timelineLink = await getDealTimelineInvoice(invoiceId);
+    if (timelineLink) {
+      try {
+        await postInvoicePaymentsToDeal(actualUserId, userData, updatedInvoice, timelineLink.dealId);
+      } catch (timelineError) {
+        console.error(`[Payments] Could not post payment to deal ${timelineLink.dealId}:`, timelineError.message);
+      }
+    }
+    
+    // The payment is already recorded, so a failed automation is reported alongside it rather than failing the request
+    let pipelineAutomation = null;
+    let automationError = null;
+    if (newBalance <= 0) {
+      try {
+        pipelineAutomation = await runInvoicePaidAutomation(actualUserId, userData, updatedInvoice);
+      } catch (error) {
+        console.error(`[Payments] Pipeline automation failed for invoice ${invoice.DocNumber}:`, error.message);
+        automationError = error.message;
+      }
+    }
+    
+    res.json({
+      success: true,
+      payment: formatPayment(result.Payment, invoiceId),
+      invoice: {
+        id: updatedInvoice.Id,
+        docNumber: updatedInvoice.DocNumber,
+        totalAmount: updatedInvoice.TotalAmt,
+        balance: newBalance,
+        paid: newBalance <= 0
+      },
+      ...shipping,
+      pipelineAutomation,
+      automationError
+    });
+  } catch (error) {
+    console.error("Record payment error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== INVOICE CORRECTION ENDPOINTS ====================
+
+// POST an entity to QuickBooks (create, sparse update or operation=void) and return the parsed response
+async function postQBEntity(userId, userData, entityPath, body) {
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  
+  const response = await makeQBApiCall(userId, userData, async (qbClient, currentUserData) => {
+    return await qbClient.makeApiCall({
+      url: `${baseUrl}/v3/company/${realmId}/${entityPath}`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+  });
+  
+  if (!response) {
+    throw new Error('Invalid response from QuickBooks');
+  }
+  
+  return getQBResponseData(response);
+}
+
+// QuickBooks rejects writes with an out-of-date SyncToken with error code 5010 (stale object)
+function isStaleObjectError(error) {
+  const fault = getQBFaultError(error);
+  return !!fault && String(fault.code) === '5010';
+}
+
+// Edit an unpaid invoice (line items, due date, memo, ship address) with a sparse update
+router.patch("/api/invoices/:invoiceId", express.json(), async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const { syncToken, lineItems, discount, discounts, shipping, handling, dueDate, memo, shippingAddress, txnTaxCodeId } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    console.log('[Invoice Edit] Updating invoice:', invoiceId, 'User ID:', providedUserId);
+    
+    if (syncToken === undefined || syncToken === null || syncToken === '') {
+      return res.status(400).json({
+        success: false,
+        error: "syncToken is required to edit an invoice"
+      });
+    }
+    
+    if (lineItems !== undefined && (!Array.isArray(lineItems) || lineItems.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "lineItems must contain at least one line item"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    const invoice = await getQBInvoice(actualUserId, userData, invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found"
+      });
+    }
+    
+    if (String(syncToken) !== String(invoice.SyncToken)) {
+      return res.status(409).json({
+        success: false,
+        error: "Invoice was changed in QuickBooks since it was loaded. Reload it and try again.",
+        currentSyncToken: invoice.SyncToken
+      });
+    }
+    
+    // Only unpaid invoices can be edited - anything with a payment applied needs a credit memo
+    if (parseFloat(invoice.Balance || 0) < parseFloat(invoice.TotalAmt || 0)) {
+      return res.status(409).json({
+        success: false,
+        error: "Invoice has payments applied and can no longer be edited. Issue a credit memo instead."
+      });
+    }
+    
+    const updateData = {
+      Id: invoice.Id,
+      SyncToken: String(syncToken),
+      sparse: true
+    };
+    
+    let tax = null;
+    if (lineItems) {
+      // Rebuild the full line list the same way as invoice creation
+      const defaults = await resolveInvoiceDefaults(actualUserId, userData, {
+        customerEmail: invoice.BillEmail?.Address,
+        lineItems,
+        applyDueDate: false
+      });
+      tax = await applyInvoiceTax(actualUserId, userData, defaults, txnTaxCodeId);
+      
+      const discountResult = await resolveDiscountLines(actualUserId, userData, lineItems, { discount, discounts }, defaults);
+      if (discountResult.error) {
+        return res.status(400).json({
+          success: false,
+          error: discountResult.error
+        });
+      }
+      
+      // Shipping and handling are part of the line list, so they are sent again with the new lines
+      const chargeResult = await resolveChargeLines(actualUserId, userData, { shipping, handling }, defaults);
+      if (chargeResult.error) {
+        return res.status(400).json({
+          success: false,
+          error: chargeResult.error
+        });
+      }
+      
+      updateData.Line = [...buildSalesLines(lineItems, defaults), ...discountResult.lines, ...chargeResult.lines];
+      
+      if (tax && tax.txnTaxDetail) {
+        updateData.TxnTaxDetail = tax.txnTaxDetail;
+      }
+      if (tax && tax.globalTaxCalculation) {
+        updateData.GlobalTaxCalculation = tax.globalTaxCalculation;
+      }
+    }
+    
+    if (dueDate) {
+      updateData.DueDate = dueDate;
+    }
+    
+    if (memo !== undefined) {
+      updateData.PrivateNote = memo || '';
+    }
+    
+    if (shippingAddress) {
+      const shipAddr = buildShipAddr(shippingAddress);
+      if (shipAddr) {
+        updateData.ShipAddr = shipAddr;
+      }
+    }
+    
+    console.log('[Invoice Edit] Sparse update:', JSON.stringify(updateData, null, 2));
+    
+    let result;
+    try {
+      result = await postQBEntity(actualUserId, userData, 'invoice?minorversion=65', updateData);
+    } catch (updateError) {
+      if (isStaleObjectError(updateError)) {
+        return res.status(409).json({
+          success: false,
+          error: "Invoice was changed in QuickBooks since it was loaded. Reload it and try again."
+        });
+      }
+      throw updateError;
+    }
+    
+    if (!result.Invoice) {
+      return res.status(400).json({
+        success: false,
+        error: result.Fault?.Error?.[0]?.Message || "Failed to update invoice"
+      });
+    }
+    
+    console.log(`[Invoice Edit] Invoice ${result.Invoice.DocNumber} updated, SyncToken ${result.Invoice.SyncToken}`);
+    
+    res.json({
+      success: true,
+      invoice: {
+        id: result.Invoice.Id,
+        docNumber: result.Invoice.DocNumber,
+        syncToken: result.Invoice.SyncToken,
+        totalAmount: result.Invoice.TotalAmt,
+        dueDate: result.Invoice.DueDate,
+        balance: result.Invoice.Balance
+      },
+      tax: buildTaxBreakdown(result.Invoice, tax && tax.taxSetup),
+      // Replaced lines are checked like a new invoice's
+      totalsCheck: updateData.Line ? verifyInvoiceTotals(updateData, result.Invoice) : null
+    });
+  } catch (error) {
+    console.error("Update invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Void an invoice, stop payment polling for it and cancel (or hold) its ShipStation order
+router.post("/api/invoices/:invoiceId/void", express.json(), async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const { syncToken } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    console.log('[Invoice Void] Voiding invoice:', invoiceId, 'User ID:', providedUserId);
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    const invoice = await getQBInvoice(actualUserId, userData, invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found"
+      });
+    }
+    
+    if (syncToken !== undefined && String(syncToken) !== String(invoice.SyncToken)) {
+      return res.status(409).json({
+        success: false,
+        error: "Invoice was changed in QuickBooks since it was loaded. Reload it and try again.",
+        currentSyncToken: invoice.SyncToken
+      });
+    }
+    
+    let result;
+    try {
+      result = await postQBEntity(actualUserId, userData, 'invoice?operation=void&minorversion=65', {
+        Id: invoice.Id,
+        SyncToken: invoice.SyncToken
+      });
+    } catch (voidError) {
+      if (isStaleObjectError(voidError)) {
+        return res.status(409).json({
+          success: false,
+          error: "Invoice was changed in QuickBooks since it was loaded. Reload it and try again."
+        });
+      }
+      throw voidError;
+    }
+    
+    if (!result.Invoice) {
+      return res.status(400).json({
+        success: false,
+        error: result.Fault?.Error?.[0]?.Message || "Failed to void invoice"
+      });
+    }
+    
+    const invoiceNumber = invoice.DocNumber || invoice.Id;
+    console.log(`[Invoice Void] Invoice ${invoiceNumber} voided`);
+    
+    // A voided invoice will never be paid - stop the payment poller from shipping it
+    await deletePendingInvoice(invoice.Id);
+    
+    // Stop watching it for the deal timeline and move the deal back
+    let pipelineAutomation = null;
+    const timelineLink = await getDealTimelineInvoice(invoice.Id);
+    if (timelineLink) {
+      await markDealTimelineInvoiceChecked(invoice.Id, false);
+      pipelineAutomation = await runDealAutomation(actualUserId, userData, {
+        trigger: 'invoice_voided',
+        invoice,
+        dealId: timelineLink.dealId
+      });
+    }
+    
+    let shipstation = { action: 'none' };
+    try {
+      shipstation = await cancelShipStationOrderForInvoice(userData, invoice.Id);
+    } catch (ssError) {
+      console.error(`[Invoice Void] Could not cancel ShipStation order for invoice ${invoiceNumber}:`, ssError.message);
+      shipstation = { action: 'none', error: ssError.message };
+    }
+    
+    res.json({
+      success: true,
+      invoice: {
+        id: result.Invoice.Id,
+        docNumber: result.Invoice.DocNumber,
+        syncToken: result.Invoice.SyncToken,
+        totalAmount: result.Invoice.TotalAmt,
+        balance: result.Invoice.Balance
+      },
+      shipstation,
+      pipelineAutomation
+    });
+  } catch (error) {
+    console.error("Void invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Issue a credit memo against an invoice (all of its lines, or the given line items)
+// and by default apply the credit to the invoice's open balance
+router.post("/api/invoices/:invoiceId/credit-memo", express.json(), async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const { lineItems, memo, applyToInvoice = true } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    console.log('[Credit Memo] Crediting invoice:', invoiceId, 'User ID:', providedUserId);
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    const invoice = await getQBInvoice(actualUserId, userData, invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found"
+      });
+    }
+    
+    const invoiceNumber = invoice.DocNumber || invoice.Id;
+    
+    let creditLines;
+    let tax = null;
+    if (Array.isArray(lineItems) && lineItems.length > 0) {
+      const defaults = await resolveInvoiceDefaults(actualUserId, userData, {
+        customerEmail: invoice.BillEmail?.Address,
+        lineItems,
+        applyDueDate: false
+      });
+      tax = await applyInvoiceTax(actualUserId, userData, defaults);
+      creditLines = buildSalesLines(lineItems, defaults);
+    } else {
+      // Full credit - copy the invoice's sales and discount lines
+      creditLines = copySalesDocumentLines(invoice.Line);
+    }
+    
+    const creditMemoData = {
+      CustomerRef: invoice.CustomerRef,
+      Line: creditLines,
+      CustomerMemo: {
+        value: memo || `Credit for invoice #${invoiceNumber}`
+      },
+      PrivateNote: `Credit memo for invoice #${invoiceNumber} (ID ${invoice.Id})`
+    };
+    
+    if (invoice.BillEmail) {
+      creditMemoData.BillEmail = invoice.BillEmail;
+    }
+    
+    // Full credits carry the invoice's tax; partial credits use the current tax setup
+    if (!lineItems && invoice.TxnTaxDetail?.TxnTaxCodeRef) {
+      creditMemoData.TxnTaxDetail = { TxnTaxCodeRef: invoice.TxnTaxDetail.TxnTaxCodeRef };
+    } else if (tax && tax.txnTaxDetail) {
+      creditMemoData.TxnTaxDetail = tax.txnTaxDetail;
+    }
+    if (invoice.GlobalTaxCalculation) {
+      creditMemoData.GlobalTaxCalculation = invoice.GlobalTaxCalculation;
+    }
+    
+    const result = await postQBEntity(actualUserId, userData, 'creditmemo?minorversion=65', creditMemoData);
+    
+    if (!result.CreditMemo) {
+      return res.status(400).json({
+        success: false,
+        error: result.Fault?.Error?.[0]?.Message || "Failed to create credit memo"
+      });
+    }
+    
+    const creditMemo = result.CreditMemo;
+    const creditTotal = parseFloat(creditMemo.TotalAmt || 0);
+    console.log(`[Credit Memo] Credit memo ${creditMemo.DocNumber} for ${creditTotal} created against invoice ${invoiceNumber}`);
+    
+    // Applying a credit memo is a zero-amount payment linking the credit memo and the invoice
+    let appliedAmount = 0;
+    const openBalance = parseFloat(invoice.Balance || 0);
+    if (applyToInvoice && openBalance > 0 && creditTotal > 0) {
+      appliedAmount = Math.min(creditTotal, openBalance);
+      
+      try {
+        await postQBEntity(actualUserId, userData, 'payment?minorversion=65', {
+          CustomerRef: invoice.CustomerRef,
+          TotalAmt: 0,
+          Line: [
+            { Amount: appliedAmount, LinkedTxn: [{ TxnId: invoice.Id, TxnType: 'Invoice' }] },
+            { Amount: appliedAmount, LinkedTxn: [{ TxnId: creditMemo.Id, TxnType: 'CreditMemo' }] }
+          ]
+        });
+        console.log(`[Credit Memo] Applied ${appliedAmount} of credit memo ${creditMemo.DocNumber} to invoice ${invoiceNumber}`);
+      } catch (applyError) {
+        console.error(`[Credit Memo] Credit memo created but could not be applied to invoice ${invoiceNumber}:`, applyError.message);
+        appliedAmount = 0;
+      }
+    }
+    
+    // A credit covering the whole invoice means nothing is owed or shipped - stop payment polling
+    if (appliedAmount > 0 && creditTotal >= parseFloat(invoice.TotalAmt || 0)) {
+      await deletePendingInvoice(invoice.Id);
+    }
+    
+    const updatedInvoice = appliedAmount > 0 ? (await getQBInvoice(actualUserId, userData, invoiceId) || invoice) : invoice;
+    
+    res.json({
+      success: true,
+      creditMemo: {
+        id: creditMemo.Id,
+        docNumber: creditMemo.DocNumber,
+        totalAmount: creditMemo.TotalAmt,
+        remainingCredit: creditMemo.RemainingCredit ?? null,
+        appliedAmount
+      },
+      invoice: {
+        id: updatedInvoice.Id,
+        docNumber: updatedInvoice.DocNumber,
+        totalAmount: updatedInvoice.TotalAmt,
+        balance: updatedInvoice.Balance
+      }
+    });
+  } catch (error) {
+    console.error("Create credit memo error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== RECURRING INVOICE ENDPOINTS ====================
+
+// Fields of the POST /api/invoices body that are stored as a schedule's invoice template
+const RECURRING_TEMPLATE_FIELDS = ['lineItems', 'discount', 'discounts', 'shipping', 'handling', 'memo', 'paymentTerms', 'shippingAddress', 'sendEmail', 'customerEmail', 'txnTaxCodeId', 'currency', 'classId', 'departmentId', 'customFields'];
+
+function pickRecurringTemplate(body) {
+  const template = {};
+  for (const field of RECURRING_TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) {
+      template[field] = body[field];
+    }
+  }
+  return template;
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate schedule fields shared by create and update; returns an error message or null
+function validateRecurringSchedule({ frequency, intervalCount, startDate, nextRunDate, endDate, lineItems }) {
+  if (frequency !== undefined && !RECURRING_FREQUENCIES[frequency]) {
+    return `frequency must be one of: ${Object.keys(RECURRING_FREQUENCIES).join(', ')}`;
+  }
+  if (intervalCount !== undefined && !(parseInt(intervalCount, 10) >= 1)) {
+    return "intervalCount must be a positive whole number";
+  }
+  for (const [name, value] of Object.entries({ startDate, nextRunDate, endDate })) {
+    if (value && !ISO_DATE_PATTERN.test(value)) {
+      return `${name} must be a date in YYYY-MM-DD format`;
+    }
+  }
+  if (lineItems !== undefined && (!Array.isArray(lineItems) || lineItems.length === 0)) {
+    return "At least one line item is required";
+  }
+  return null;
+}
+
+// Load a schedule that belongs to the requesting user, or null
+async function getOwnedRecurringInvoice(scheduleId, actualUserId) {
+  const schedule = await getRecurringInvoice(parseInt(scheduleId, 10) || 0);
+  if (!schedule || schedule.userId !== actualUserId) return null;
+  return schedule;
+}
+
+// List recurring invoice schedules (optionally for one deal)
+router.get("/api/recurring-invoices", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const schedules = await listRecurringInvoices({
+      userId: qbUser.actualUserId,
+      dealId: req.query.dealId
+    });
+    
+    res.json({
+      success: true,
+      schedules
+    });
+  } catch (error) {
+    console.error("List recurring invoices error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a recurring invoice schedule from an invoice-style body plus frequency/start/end dates
+router.post("/api/recurring-invoices", express.json(), async (req, res) => {
+  try {
+    const { customerId, customerName, dealId, frequency, intervalCount, startDate, endDate, paymentTerms } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    console.log('[RecurringInvoices] Creating schedule for customer:', customerId, 'Deal ID:', dealId, 'Frequency:', frequency);
+    
+    if (!customerId) {
+      return res.status(400).json({
+        success: false,
+        error: "Customer ID is required"
+      });
+    }
+    
+    if (!frequency) {
+      return res.status(400).json({
+        success: false,
+        error: "frequency is required"
+      });
+    }
+    
+    const firstRunDate = startDate || new Date().toISOString().split('T')[0];
+    const validationError = validateRecurringSchedule({ ...req.body, startDate: firstRunDate, lineItems: req.body.lineItems || [] });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    if (endDate && endDate < firstRunDate) {
+      return res.status(400).json({
+        success: false,
+        error: "endDate must be on or after startDate"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    // Catch bad terms now rather than on the first run
+    if (paymentTerms && !(await findQBTerm(actualUserId, userData, paymentTerms))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown payment terms "${paymentTerms}". Choose terms that exist in QuickBooks.`
+      });
+    }
+    
+    const schedule = await createRecurringInvoice({
+      userId: actualUserId,
+      dealId: dealId ? String(dealId) : null,
+      customerId: String(customerId),
+      customerName,
+      frequency,
+      intervalCount: parseInt(intervalCount, 10) || 1,
+      startDate: firstRunDate,
+      endDate,
+      invoiceTemplate: pickRecurringTemplate(req.body)
+    });
+    
+    console.log(`[RecurringInvoices] Schedule ${schedule.id} created, first run ${schedule.nextRunDate}`);
+    
+    res.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error("Create recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get a schedule with its run history
+router.get("/api/recurring-invoices/:scheduleId", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const schedule = await getOwnedRecurringInvoice(req.params.scheduleId, qbUser.actualUserId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: "Recurring invoice schedule not found"
+      });
+    }
+    
+    const runs = await listRecurringInvoiceRuns(schedule.id, parseInt(req.query.limit, 10) || 50);
+    
+    res.json({
+      success: true,
+      schedule,
+      runs
+    });
+  } catch (error) {
+    console.error("Get recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update a schedule: frequency, dates, active flag or any invoice template field
+router.patch("/api/recurring-invoices/:scheduleId", express.json(), async (req, res) => {
+  try {
+    const { customerId, customerName, dealId, frequency, intervalCount, nextRunDate, endDate, active } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    const validationError = validateRecurringSchedule(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    const schedule = await getOwnedRecurringInvoice(req.params.scheduleId, actualUserId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: "Recurring invoice schedule not found"
+      });
+    }
+    
+    if (req.body.paymentTerms && !(await findQBTerm(actualUserId, userData, req.body.paymentTerms))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown payment terms "${req.body.paymentTerms}". Choose terms that exist in QuickBooks.`
+      });
+    }
+    
+    // Template fields are merged into the stored template
+    const templateUpdates = pickRecurringTemplate(req.body);
+    const invoiceTemplate = Object.keys(templateUpdates).length > 0
+      ? { ...schedule.invoiceTemplate, ...templateUpdates }
+      : undefined;
+    
+    const updated = await updateRecurringInvoice(schedule.id, {
+      customerId: customerId !== undefined ? String(customerId) : undefined,
+      customerName,
+      dealId: dealId !== undefined ? (dealId ? String(dealId) : null) : undefined,
+      frequency,
+      intervalCount: intervalCount !== undefined ? parseInt(intervalCount, 10) : undefined,
+      nextRunDate,
+      endDate,
+      active: active !== undefined ? !!active : undefined,
+      invoiceTemplate
+    });
+    
+    res.json({
+      success: true,
+      schedule: updated
+    });
+  } catch (error) {
+    console.error("Update recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete a schedule (its run history goes with it; generated invoices stay in QuickBooks)
+router.delete("/api/recurring-invoices/:scheduleId", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const schedule = await getOwnedRecurringInvoice(req.params.scheduleId, qbUser.actualUserId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: "Recurring invoice schedule not found"
+      });
+    }
+    
+    await deleteRecurringInvoice(schedule.id);
+    console.log(`[RecurringInvoices] Schedule ${schedule.id} deleted`);
+    
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error("Delete recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Generate the schedule's next invoice now instead of waiting for its run date
+router.post("/api/recurring-invoices/:scheduleId/run", express.json(), async (req, res) => {
+  try {
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const schedule = await getOwnedRecurringInvoice(req.params.scheduleId, qbUser.actualUserId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: "Recurring invoice schedule not found"
+      });
+    }
+    
+    if (!schedule.active || !schedule.nextRunDate) {
+      return res.status(409).json({
+        success: false,
+        error: "Recurring invoice schedule is not active"
+      });
+    }
+    
+    const result = await runRecurringInvoice(schedule);
+    
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        error: `The run for ${result.runDate} is already in progress or complete`
+      });
+    }
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error("Run recurring invoice error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== INVOICE ATTACHMENT ENDPOINTS ====================
+
+// Attachables linked to an invoice, in the shape the invoice list modal shows
+async function listInvoiceAttachments(userId, userData, invoiceId) {
+  const escapedId = String(invoiceId).replace(/'/g, "\\'");
+  const result = await runQBQuery(userId, userData,
+    `SELECT * FROM Attachable WHERE AttachableRef.EntityRef.Type = 'Invoice' AND AttachableRef.EntityRef.value = '${escapedId}'`);
+  
+  return (result.Attachable || []).map(attachable => {
+    const ref = (attachable.AttachableRef || []).find(entry => entry.EntityRef?.value === String(invoiceId)) || {};
+    return {
+      id: attachable.Id,
+      fileName: attachable.FileName,
+      contentType: attachable.ContentType,
+      size: attachable.Size,
+      includeOnSend: ref.IncludeOnSend === true,
+      // Short-lived download link from QuickBooks
+      downloadUrl: attachable.TempDownloadUri || null,
+      createdAt: attachable.MetaData?.CreateTime
+    };
+  });
+}
+
+// List the files on a deal, for choosing what to attach to an invoice
+router.get("/api/deals/:dealId/files", async (req, res) => {
+  try {
+    const { dealId } = req.params;
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      return res.status(400).json({
+        success: false,
+        error: "Pipedrive not connected"
+      });
+    }
+    
+    const files = await listDealFiles(userData, dealId, actualUserId);
+    
+    res.json({
+      success: true,
+      files: files.map(file => ({
+        id: file.id,
+        name: file.name,
+        fileType: file.file_type,
+        size: file.file_size,
+        addedAt: file.add_time
+      }))
+    });
+  } catch (error) {
+    console.error("List deal files error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List the attachments on an invoice
+router.get("/api/invoices/:invoiceId/attachments", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const attachments = await listInvoiceAttachments(qbUser.actualUserId, qbUser.userData, req.params.invoiceId);
+    
+    res.json({
+      success: true,
+      attachments
+    });
+  } catch (error) {
+    console.error("List invoice attachments error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Attach deal files to an existing invoice
+// Body: { dealId, fileIds: [...], includeOnSend }
+router.post("/api/invoices/:invoiceId/attachments", express.json(), async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const { dealId, fileIds, includeOnSend } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    console.log('[Attachments] Attaching deal files to invoice:', invoiceId, 'Deal ID:', dealId, 'Files:', fileIds);
+    
+    if (!dealId) {
+      return res.status(400).json({
+        success: false,
+        error: "dealId is required"
+      });
+    }
+    
+    if (!Array.isArray(fileIds) || fileIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Select at least one file to attach"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      return res.status(400).json({
+        success: false,
+        error: "Pipedrive not connected"
+      });
+    }
+    
+    const invoice = await getQBInvoice(actualUserId, userData, invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found"
+      });
+    }
+    
+    const result = await attachDealFilesToInvoice(actualUserId, userData, {
+      invoiceId: invoice.Id,
+      dealId,
+      fileIds,
+      includeOnSend: includeOnSend !== false
+    });
+    
+    if (result.attached.length === 0) {
+      return res.status(502).json({
+        success: false,
+        error: "None of the files could be attached",
+        ...result
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error("Attach deal files error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== DEAL TIMELINE ====================
+
+// ==================== PIPELINE AUTOMATION ENDPOINTS ====================
+
+// Triggers that can move a deal, and the setup preferences that configure each one.
+// Preferences hold pipelineAutomations: { [pipelineId]: { createdStageId, paidMarkWon, paidSetValue, voidedStageId } }
+// An empty voidedStageId moves the deal back to the stage it was in before the invoice was created
+const DEAL_AUTOMATION_TRIGGERS = ['invoice_created', 'invoice_paid', 'invoice_voided'];
+
+// List the account's pipelines and their stages, for the setup page's automation settings
+router.get("/api/setup/pipelines", async (req, res) => {
+  try {
+    const { userId, token } = req.query;
+    
+    if (!userId || !token) {
+      return res.status(400).json({ success: false, error: "User ID and token are required" });
+    }
+    
+    const normalizedUserId = userId.replace('https://', '');
+    const userData = await getUser(normalizedUserId);
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    
+    if (!userData.setup_token || userData.setup_token !== token ||
+        (userData.setup_token_expires && new Date(userData.setup_token_expires) < new Date())) {
+      return res.status(403).json({ success: false, error: "Invalid or expired setup token" });
+    }
+    
+    const [pipelinesResult, stagesResult] = await Promise.all([
+      makePipedriveApiCall(userData, 'GET', '/api/v1/pipelines', null, normalizedUserId),
+      makePipedriveApiCall(userData, 'GET', '/api/v1/stages', null, normalizedUserId)
+    ]);
+    
+    const stages = stagesResult?.data || [];
+    const pipelines = (pipelinesResult?.data || []).map(pipeline => ({
+      id: pipeline.id,
+      name: pipeline.name,
+      stages: stages
+        .filter(stage => stage.pipeline_id === pipeline.id)
+        .sort((a, b) => a.order_nr - b.order_nr)
+        .map(stage => ({ id: stage.id, name: stage.name }))
+    }));
+    
+    res.json({
+      success: true,
+      pipelines,
+      automations: (userData.invoice_preferences || {}).pipelineAutomations || {}
+    });
+  } catch (error) {
+    console.error("List pipelines error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Automation log: every pipeline automation run, newest first (optionally for one deal)
+router.get("/api/deal-automations", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const runs = await listDealAutomationRuns({ userId: qbUser.actualUserId, dealId: req.query.dealId }, limit);
+    
+    res.json({
+      success: true,
+      triggers: DEAL_AUTOMATION_TRIGGERS,
+      runs
+    });
+  } catch (error) {
+    console.error("List deal automations error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== AR FIELD SYNC ENDPOINTS ====================
+
+// List Pipedrive custom fields that can hold AR figures, for the setup page
+router.get("/api/setup/ar-fields", async (req, res) => {
+  try {
+    const { userId, token } = req.query;
+    
+    if (!userId || !token) {
+      return res.status(400).json({ success: false, error: "User ID and token are required" });
+    }
+    
+    const normalizedUserId = userId.replace('https://', '');
+    const userData = await getUser(normalizedUserId);
+    if (!userData) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    
+    if (!userData.setup_token || userData.setup_token !== token ||
+        (userData.setup_token_expires && new Date(userData.setup_token_expires) < new Date())) {
+      return res.status(403).json({ success: false, error: "Invalid or expired setup token" });
+    }
+    
+    const fields = {};
+    for (const [entity, { fieldsPath }] of Object.entries(AR_FIELD_ENTITIES)) {
+      const result = await makePipedriveApiCall(userData, 'GET', `/api/v1/${fieldsPath}?limit=500`, null, normalizedUserId);
+      // Only custom fields (their keys are 40-character hashes) of a type that fits a figure
+      fields[entity] = (result?.data || [])
+        .filter(field => /^[0-9a-f]{40}$/.test(field.key) && ['monetary', 'double', 'date'].includes(field.field_type))
+        .map(field => ({ key: field.key, name: field.name, type: field.field_type }));
+    }
+    
+    res.json({
+      success: true,
+      figures: AR_FIGURES,
+      fields,
+      arFields: (userData.invoice_preferences || {}).arFields || {}
+    });
+  } catch (error) {
+    console.error("List AR fields error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Run the AR sync now (in the background)
+router.post("/api/ar-sync", express.json(), async (req, res) => {
+  try {
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    if (Object.keys(getArFieldConfig(userData)).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No Pipedrive fields are configured for AR figures. Choose them in setup preferences."
+      });
+    }
+    
+    const runId = await startArSync(actualUserId, 'manual');
+    if (!runId) {
+      return res.status(409).json({
+        success: false,
+        error: "An AR sync is already running"
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      runId
+    });
+  } catch (error) {
+    console.error("Start AR sync error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Recent AR sync runs with their summaries
+router.get("/api/ar-sync", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const runs = await listArSyncRuns(qbUser.actualUserId);
+    
+    res.json({
+      success: true,
+      configured: Object.keys(getArFieldConfig(qbUser.userData)).length > 0,
+      runs
+    });
+  } catch (error) {
+    console.error("List AR sync runs error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== STATEMENT AND AGING REPORT ENDPOINTS ====================
+
+// Every record of one transaction type for a customer up to a date, read 1000 at a time
+async function listCustomerTransactions(userId, userData, entity, customerId, endDate) {
+  const records = [];
+  
+  for (let start = 1; ; start += 1000) {
+    const result = await runQBQuery(userId, userData,
+      `SELECT * FROM ${entity} WHERE CustomerRef = '${customerId}' AND TxnDate <= '${endDate}' STARTPOSITION ${start} MAXRESULTS 1000`);
+    const page = result[entity] || [];
+    records.push(...page);
+    if (page.length < 1000) break;
+  }
+  
+  return records;
+}
+
+// A balance-forward statement: the balance before startDate, each invoice, payment and
+// credit memo in the period with a running balance, and the balance due at endDate
+// Only these three transaction types are counted (the ones this integration creates)
+async function buildCustomerStatement(userId, userData, customerId, startDate, endDate) {
+  const escapedId = String(customerId).replace(/'/g, "\\'");
+  const customerResult = await runQBQuery(userId, userData, `SELECT * FROM Customer WHERE Id = '${escapedId}'`);
+  const customer = (customerResult.Customer || [])[0];
+  if (!customer) {
+    return null;
+  }
+  
+  const [invoices, payments, creditMemos] = await Promise.all([
+    listCustomerTransactions(userId, userData, 'Invoice', escapedId, endDate),
+    listCustomerTransactions(userId, userData, 'Payment', escapedId, endDate),
+    listCustomerTransactions(userId, userData, 'CreditMemo', escapedId, endDate)
+  ]);
+  
+  const transactions = [
+    ...invoices.map(invoice => ({
+      date: invoice.TxnDate,
+      type: 'Invoice',
+      number: invoice.DocNumber || invoice.Id,
+      dueDate: invoice.DueDate || null,
+      amount: parseFloat(invoice.TotalAmt || 0)
+    })),
+    ...payments.map(payment => ({
+      date: payment.TxnDate,
+      type: 'Payment',
+      number: payment.PaymentRefNum || payment.Id,
+      dueDate: null,
+      amount: -parseFloat(payment.TotalAmt || 0)
+    })),
+    ...creditMemos.map(creditMemo => ({
+      date: creditMemo.TxnDate,
+      type: 'Credit Memo',
+      number: creditMemo.DocNumber || creditMemo.Id,
+      dueDate: null,
+      amount: -parseFloat(creditMemo.TotalAmt || 0)
+    }))
+  ].sort((a, b) => a.date.localeCompare(b.date));
+  
+  const roundCents = value => Math.round(value * 100) / 100;
+  const openingBalance = roundCents(transactions
+    .filter(txn => txn.date < startDate)
+    .reduce((sum, txn) => sum + txn.amount, 0));
+  
+  let balance = openingBalance;
+  const activity = transactions
+    .filter(txn => txn.date >= startDate)
+    .map(txn => {
+      balance = roundCents(balance + txn.amount);
+      return { ...txn, balance };
+    });
+  
+  const address = customer.BillAddr || {};
+  return {
+    customer: {
+      id: customer.Id,
+      name: customer.DisplayName,
+      email: customer.PrimaryEmailAddr?.Address || null,
+      address: [address.Line1, address.Line2, [address.City, address.CountrySubDivisionCode, address.PostalCode].filter(Boolean).join(' '), address.Country]
+        .filter(Boolean)
+    },
+    currency: customer.CurrencyRef?.value || null,
+    startDate,
+    endDate,
+    openingBalance,
+    transactions: activity,
+    closingBalance: balance
+  };
+}
+
+function formatStatementAmount(amount) {
+  return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Lay a statement out on Letter pages: header and customer on the first page, then the
+// transaction table (continued on further pages), with page numbers
+function renderStatementPdf(statement, companyName) {
+  const left = 50;
+  const right = 562;
+  const rowHeight = 16;
+  const pageBottom = 740;
+  
+  const rows = [
+    { date: statement.startDate, type: 'Balance forward', number: '', dueDate: null, amount: null, balance: statement.openingBalance },
+    ...statement.transactions
+  ];
+  
+  const pages = [];
+  let page = null;
+  let y = 0;
+  
+  const startPage = () => {
+    page = { items: [], lines: [] };
+    pages.push(page);
+    y = 60;
+    
+    if (pages.length === 1) {
+      page.items.push({ x: left, y, text: companyName || '', size: 16, bold: true });
+      page.items.push({ x: right, y, text: 'Statement', size: 18, bold: true, align: 'right' });
+      y += 40;
+      
+      page.items.push({ x: left, y, text: statement.customer.name, bold: true });
+      page.items.push({ x: right, y, text: `${statement.startDate} to ${statement.endDate}`, align: 'right' });
+      statement.customer.address.forEach((line, index) => {
+        page.items.push({ x: left, y: y + 14 * (index + 1), text: line });
+      });
+      page.items.push({ x: right, y: y + 14, text: `Amount due: ${formatStatementAmount(statement.closingBalance)}${statement.currency ? ` ${statement.currency}` : ''}`, bold: true, align: 'right' });
+      y += 14 * Math.max(statement.customer.address.length, 1) + 40;
+    } else {
+      page.items.push({ x: left, y, text: `Statement for ${statement.customer.name} (continued)`, bold: true });
+      y += 30;
+    }
+    
+    [['Date', left], ['Type', 120], ['Number', 210], ['Due', 310]].forEach(([label, x]) => {
+      page.items.push({ x, y, text: label, bold: true });
+    });
+    page.items.push({ x: 470, y, text: 'Amount', bold: true, align: 'right' });
+    page.items.push({ x: right, y, text: 'Balance', bold: true, align: 'right' });
+    page.lines.push({ x1: left, y1: y + 5, x2: right, y2: y + 5 });
+    y += rowHeight + 4;
+  };
+  
+  startPage();
+  for (const row of rows) {
+    if (y > pageBottom) startPage();
+    
+    page.items.push({ x: left, y, text: row.date });
+    page.items.push({ x: 120, y, text: row.type });
+    page.items.push({ x: 210, y, text: String(row.number || '').slice(0, 16) });
+    page.items.push({ x: 310, y, text: row.dueDate || '' });
+    if (row.amount !== null) {
+      page.items.push({ x: 470, y, text: formatStatementAmount(row.amount), align: 'right' });
+    }
+    page.items.push({ x: right, y, text: formatStatementAmount(row.balance), align: 'right' });
+    y += rowHeight;
+  }
+  
+  page.lines.push({ x1: 380, y1: y - 8, x2: right, y2: y - 8 });
+  page.items.push({ x: 470, y: y + 6, text: 'Amount due', bold: true, align: 'right' });
+  page.items.push({ x: right, y: y + 6, text: formatStatementAmount(statement.closingBalance), bold: true, align: 'right' });
+  
+  pages.forEach((entry, index) => {
+    entry.items.push({ x: right, y: 770, text: `Page ${index + 1} of ${pages.length}`, size: 8, align: 'right' });
+  });
+  
+  return buildPdf(pages);
+}
+
+// Deal IDs owned by a Pipedrive user, 500 per page
+async function listOwnerDealIds(userData, ownerId, userId) {
+  const dealIds = new Set();
+  
+  for (let start = 0; ; start += 500) {
+    const result = await makePipedriveApiCall(userData, 'GET',
+      `/api/v1/deals?user_id=${encodeURIComponent(ownerId)}&status=all_not_deleted&start=${start}&limit=500`, null, userId);
+    (result?.data || []).forEach(deal => dealIds.add(String(deal.id)));
+    if (!result?.additional_data?.pagination?.more_items_in_collection) break;
+  }
+  
+  return dealIds;
+}
+
+// Bucket every customer linked to this tenant's deals by days past due as of a date. Balances are
+// the invoices' current ones, so the date must not be in the past
+async function buildAgingReport(userId, userData, { asOfDate, ownerId }) {
+  let mappings = await listDealMappings(userData.pipedrive_user_id);
+  
+  if (ownerId) {
+    const ownerDealIds = await listOwnerDealIds(userData, ownerId, userId);
+    mappings = mappings.filter(mapping => ownerDealIds.has(String(mapping.dealId)));
+  }
+  
+  const customers = new Map();
+  mappings.forEach(mapping => {
+    if (!customers.has(mapping.qbCustomerId)) {
+      customers.set(mapping.qbCustomerId, { customerId: mapping.qbCustomerId, customerName: mapping.customerName, dealIds: [] });
+    }
+    customers.get(mapping.qbCustomerId).dealIds.push(mapping.dealId);
+  });
+  
+  const invoices = await listOpenInvoicesForCustomers(userId, userData, [...customers.keys()]);
+  
+  return {
+    asOfDate,
+    ownerId: ownerId || null,
+    ...bucketOpenInvoices(customers, invoices, asOfDate)
+  };
+}
+
+// Quote a CSV value when it contains a comma, quote or line break
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function agingReportToCsv(report) {
+  const header = ['Customer', 'QuickBooks Customer ID', 'Deal IDs', ...AGING_BUCKETS.map(bucket => bucket.label), 'Total'];
+  const lines = report.customers.map(row => [
+    row.customerName,
+    row.customerId,
+    row.dealIds.join(' '),
+    ...report.buckets.map(bucket => row[bucket].toFixed(2)),
+    row.total.toFixed(2)
+  ]);
+  lines.push(['Total', '', '', ...report.buckets.map(bucket => report.totals[bucket].toFixed(2)), report.totals.total.toFixed(2)]);
+  
+  return [header, ...lines].map(line => line.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+// Customer statement for a date range as a PDF (default) or JSON (?format=json)
+// Defaults to the last 90 days
+router.get("/api/customer/:customerId/statement", async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const providedUserId = req.query.userId;
+    const today = new Date().toISOString().split('T')[0];
+    const endDate = req.query.endDate || today;
+    const startDate = req.query.startDate || new Date(Date.now() - 90 * 86400000).toISOString().split('T')[0];
+    
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(startDate) || !datePattern.test(endDate) || startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        error: "startDate and endDate must be YYYY-MM-DD dates with startDate on or before endDate"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    const statement = await buildCustomerStatement(actualUserId, userData, customerId, startDate, endDate);
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: "Customer not found"
+      });
+    }
+    
+    if (req.query.format === 'json') {
+      return res.json({ success: true, statement });
+    }
+    
+    const companyResult = await runQBQuery(actualUserId, userData, 'SELECT * FROM CompanyInfo');
+    const companyName = ((companyResult.CompanyInfo || [])[0] || {}).CompanyName;
+    
+    const pdf = renderStatementPdf(statement, companyName);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="statement-${customerId}-${endDate}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error("Customer statement error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// A/R aging across this tenant's linked customers as JSON (default) or CSV (?format=csv)
+// ownerId limits it to customers linked to deals owned by that Pipedrive user
+router.get("/api/reports/aging", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    const asOfDate = req.query.asOfDate || new Date().toISOString().split('T')[0];
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOfDate)) {
+      return res.status(400).json({
+        success: false,
+        error: "asOfDate must be a YYYY-MM-DD date"
+      });
+    }
+    
+    // QuickBooks only gives an invoice's current balance, which overstates what was owed on a past date
+    if (asOfDate < new Date().toISOString().split('T')[0]) {
+      return res.status(400).json({
+        success: false,
+        error: "asOfDate can't be in the past - invoices are aged by their current balance"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    if (req.query.ownerId && !(userData.access_token || userData.pipedrive_access_token)) {
+      return res.status(400).json({
+        success: false,
+        error: "Pipedrive not connected - the owner filter needs it"
+      });
+    }
+    
+    const report = await buildAgingReport(actualUserId, userData, { asOfDate, ownerId: req.query.ownerId });
+    
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="ar-aging-${asOfDate}.csv"`);
+      return res.send(agingReportToCsv(report));
+    }
+    
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error("Aging report error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== DEAL INVOICE DRAFT ENDPOINTS ====================
+
+router.get("/api/deals/:dealId/invoice-draft", async (req, res) => {
+  try {
+    const { dealId } = req.params;
+    const providedUserId = req.query.userId;
+    
+    console.log('[Invoice Draft] Building invoice draft for deal:', dealId, 'User ID:', providedUserId);
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      return res.status(400).json({
+        success: false,
+        error: "Pipedrive not connected"
+      });
+    }
+    
+    const draft = await buildDealInvoiceDraft(actualUserId, userData, dealId);
+    
+    res.json({
+      success: true,
+      ...draft
+    });
+  } catch (error) {
+    console.error("Invoice draft error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== BULK INVOICE ENDPOINTS ====================
+
+// Options a bulk job applies to every invoice it creates
+const BULK_INVOICE_OPTION_FIELDS = ['sendEmail', 'paymentTerms', 'dueDate', 'memo', 'txnTaxCodeId', 'allowUnmatched'];
+
+// Per-deal progress and totals for a bulk job's status response
+function summarizeBulkInvoiceJob(job, items) {
+  const succeeded = items.filter(item => item.status === 'success');
+  const failed = items.filter(item => item.status === 'failed');
+  
+  return {
+    ...job,
+    summary: {
+      total: items.length,
+      processed: succeeded.length + failed.length,
+      succeeded: succeeded.length,
+      failed: failed.length,
+      invoicedAmount: Math.round(succeeded.reduce((sum, item) => sum + (item.totalAmount || 0), 0) * 100) / 100
+    },
+    items: items.map(item => ({
+      dealId: item.dealId,
+      dealTitle: item.dealTitle,
+      status: item.status,
+      customerId: item.customerId,
+      invoiceId: item.invoiceId,
+      invoiceNumber: item.invoiceNumber,
+      totalAmount: item.totalAmount,
+      steps: item.steps,
+      unmatched: item.unmatched,
+      error: item.error
+    }))
+  };
+}
+
+// Queue invoices for many deals at once, from a list of deal IDs or a Pipedrive filter
+// Returns 202 with the job ID; progress is at GET /api/bulk-invoices/:jobId
+router.post("/api/bulk-invoices", express.json(), async (req, res) => {
+  try {
+    const { dealIds, filterId } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    if (!filterId && (!Array.isArray(dealIds) || dealIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide dealIds (a list of deal IDs) or a Pipedrive filterId"
+      });
+    }
+    
+    if (filterId && dealIds) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide either dealIds or filterId, not both"
+      });
+    }
+    
+    if (dealIds && dealIds.length > MAX_BULK_INVOICE_DEALS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BULK_INVOICE_DEALS} deals can be invoiced at once`
+      });
+    }
+    
+    if (req.body.dueDate && !ISO_DATE_PATTERN.test(req.body.dueDate)) {
+      return res.status(400).json({
+        success: false,
+        error: "dueDate must be a date in YYYY-MM-DD format"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    
+    if (!(userData.access_token || userData.pipedrive_access_token)) {
+      return res.status(400).json({
+        success: false,
+        error: "Pipedrive not connected"
+      });
+    }
+    
+    // Catch bad terms now rather than failing every deal
+    if (req.body.paymentTerms && !(await findQBTerm(actualUserId, userData, req.body.paymentTerms))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown payment terms "${req.body.paymentTerms}". Choose terms that exist in QuickBooks.`
+      });
+    }
+    
+    const options = {};
+    for (const field of BULK_INVOICE_OPTION_FIELDS) {
+      if (req.body[field] !== undefined) {
+        options[field] = req.body[field];
+      }
+    }
+    
+    const job = await createBulkInvoiceJob({
+      userId: actualUserId,
+      filterId: filterId ? String(filterId) : null,
+      options,
+      dealIds: dealIds ? [...new Set(dealIds.map(String))] : null
+    });
+    
+    console.log(`[BulkInvoices] Job ${job.id} queued for user ${actualUserId} (${filterId ? `filter ${filterId}` : `${job.totalCount} deal(s)`})`);
+    
+    // Start now rather than waiting for the next scheduled check
+    runQueuedBulkInvoiceJobs();
+    
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      totalCount: job.totalCount
+    });
+  } catch (error) {
+    console.error("Create bulk invoice job error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List the user's recent bulk invoice jobs
+router.get("/api/bulk-invoices", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const jobs = await listBulkInvoiceJobs(qbUser.actualUserId);
+    
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    console.error("List bulk invoice jobs error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Job status with per-deal progress and a summary of successes and failures
+router.get("/api/bulk-invoices/:jobId", async (req, res) => {
+  try {
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
       });
-    } else {
-      res.json({
+    }
+    
+    const job = await getBulkInvoiceJob(parseInt(req.params.jobId, 10) || 0);
+    if (!job || job.userId !== qbUser.actualUserId) {
+      return res.status(404).json({
         success: false,
-        error: "No address found for this deal's contact or organization"
+        error: "Bulk invoice job not found"
       });
     }
     
+    const items = await listBulkInvoiceJobItems(job.id);
+    
+    res.json({
+      success: true,
+      job: summarizeBulkInvoiceJob(job, items)
+    });
   } catch (error) {
-    console.error("Get deal address error:", error);
+    console.error("Get bulk invoice job error:", error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -3711,18 +6672,40 @@ router.get("/api/pipedrive/deal-address", async (req, res) => {
   }
 });
 
-// Create QuickBooks invoice
-router.post("/api/invoices", express.json(), async (req, res) => {
+// ==================== ESTIMATE ENDPOINTS ====================
+
+// QuickBooks estimate statuses that can be set from the app
+const ESTIMATE_STATUSES = {
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  pending: 'Pending'
+};
+
+// Fetch a single QuickBooks estimate by ID
+async function getQBEstimate(userId, userData, estimateId) {
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  
+  const estimateResponse = await makeQBApiCall(userId, userData, async (qbClient, currentUserData) => {
+    return await qbClient.makeApiCall({
+      url: `${baseUrl}/v3/company/${realmId}/estimate/${estimateId}?minorversion=65`,
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  });
+  
+  return getQBResponseData(estimateResponse).Estimate || null;
+}
+
+// Create QuickBooks estimate from the invoice panel's line items
+router.post("/api/estimates", express.json(), async (req, res) => {
   try {
-    const { customerId, customerEmail, lineItems, dueDate, memo, paymentTerms, shippingAddress, discount, sendEmail, dealId } = req.body;
-    const providedUserId = req.query.userId || req.body.userId || 'test';
+    const { customerId, customerEmail, lineItems, expirationDate, memo, shippingAddress, discount, discounts, sendEmail, dealId } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
     
-    console.log('=== INVOICE CREATION REQUEST ===');
-    console.log('Creating invoice for customer:', customerId, 'Email:', customerEmail, 'User ID:', providedUserId);
-    console.log('Deal ID for product sync:', dealId, '(type:', typeof dealId, ')');
-    console.log('Line items count:', lineItems?.length || 0);
-    console.log('Discount:', discount ? `${discount.type} - ${discount.value}` : 'none');
-    console.log('Send email after creation:', sendEmail ? 'yes' : 'no');
+    console.log('[Estimates] Creating estimate for customer:', customerId, 'Deal ID:', dealId, 'User ID:', providedUserId);
 
     if (!customerId) {
       return res.status(400).json({
@@ -3738,305 +6721,126 @@ router.post("/api/invoices", express.json(), async (req, res) => {
       });
     }
 
-    // Find user with QB tokens
-    let userData = null;
-    let actualUserId = providedUserId;
-    
-    userData = await getUser(providedUserId);
-    
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      const { listUsers } = require("../../config/postgres");
-      const allKeys = await listUsers();
-      
-      for (const key of allKeys) {
-        const testUserData = await getUser(key);
-        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
-          const normalizedProvidedId = providedUserId.replace('https://', '').replace(/\.pipedrive\.com$/, '');
-          const normalizedKey = key.replace('https://', '').replace(/\.pipedrive\.com$/, '');
-          
-          if (normalizedKey === normalizedProvidedId ||
-              testUserData.api_domain?.includes(normalizedProvidedId) ||
-              normalizedProvidedId.includes(normalizedKey)) {
-            userData = testUserData;
-            actualUserId = key;
-            break;
-          }
-          
-          if (!userData && testUserData.qb_realm_id) {
-            userData = testUserData;
-            actualUserId = key;
-          }
-        }
-      }
-    }
-    
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      return res.status(400).json({
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
         success: false,
         error: "QuickBooks not connected for this user"
       });
     }
-
+    
+    const { userData, actualUserId } = qbUser;
     const baseUrl = getQBBaseUrl();
     const realmId = userData.qb_realm_id;
     
-    // Build invoice object
-    const invoiceLines = lineItems.map((item, index) => {
-      const line = {
-        DetailType: "SalesItemLineDetail",
-        Amount: (item.quantity || 1) * (item.unitPrice || 0),
-        Description: item.description || item.name || '',
-        SalesItemLineDetail: {
-          Qty: item.quantity || 1,
-          UnitPrice: item.unitPrice || 0
-        }
-      };
-      
-      // Add item reference if provided
-      if (item.itemId) {
-        line.SalesItemLineDetail.ItemRef = {
-          value: item.itemId
-        };
-      }
-      
-      return line;
-    });
+    // Estimates get the same tax code, income account and bill-to email defaults as invoices
+    const defaults = await resolveInvoiceDefaults(actualUserId, userData, { customerEmail, lineItems, dealId, applyDueDate: false });
+    const billEmail = defaults.customerEmail;
     
-    // Add discount line if provided
-    if (discount && discount.value > 0) {
-      // Calculate the subtotal first
-      const subtotal = lineItems.reduce((sum, item) => 
-        sum + ((item.quantity || 1) * (item.unitPrice || 0)), 0);
-      
-      if (subtotal > 0) {
-        let discountAmount;
-        let discountPercent;
-        
-        if (discount.type === 'percent') {
-          // Percentage discount - use directly
-          discountPercent = Math.min(discount.value, 100); // Cap at 100%
-          discountAmount = subtotal * (discountPercent / 100);
-        } else {
-          // Fixed amount discount - convert to percentage to avoid needing DiscountAccountRef
-          discountAmount = Math.min(discount.value, subtotal); // Cannot exceed subtotal
-          discountPercent = (discountAmount / subtotal) * 100;
-        }
-        
-        // QuickBooks uses percentage-based discounts to avoid needing account references
-        invoiceLines.push({
-          DetailType: "DiscountLineDetail",
-          Amount: discountAmount,
-          DiscountLineDetail: {
-            PercentBased: true,
-            DiscountPercent: discountPercent
-          }
-        });
-        
-        console.log(`Applied discount: ${discount.type} = ${discount.value}, computed as ${discountPercent.toFixed(2)}%, amount = $${discountAmount.toFixed(2)}`);
-      }
+    const discountResult = await resolveDiscountLines(actualUserId, userData, lineItems, { discount, discounts }, defaults);
+    if (discountResult.error) {
+      return res.status(400).json({
+        success: false,
+        error: discountResult.error
+      });
     }
     
-    const invoiceData = {
+    const estimateLines = [...buildSalesLines(lineItems, defaults), ...discountResult.lines];
+    
+    const estimateData = {
       CustomerRef: {
         value: customerId
       },
-      Line: invoiceLines
+      Line: estimateLines,
+      TxnStatus: 'Pending'
     };
     
-    // Add due date if provided
-    if (dueDate) {
-      invoiceData.DueDate = dueDate;
+    if (expirationDate) {
+      estimateData.ExpirationDate = expirationDate;
     }
     
-    // Add memo/private note if provided
     if (memo) {
-      invoiceData.PrivateNote = memo;
-    }
-    
-    // Add payment terms as a custom field or in private note
-    // QuickBooks uses SalesTermRef for payment terms, but custom values need to be predefined
-    // For now, we'll append the payment terms to the CustomerMemo (visible on invoice)
-    if (paymentTerms) {
-      invoiceData.CustomerMemo = {
-        value: `Payment Terms: ${paymentTerms}`
-      };
+      estimateData.PrivateNote = memo;
     }
     
-    // Add shipping address if provided
-    if (shippingAddress && (shippingAddress.Line1 || shippingAddress.City)) {
-      invoiceData.ShipAddr = {};
-      if (shippingAddress.Line1) invoiceData.ShipAddr.Line1 = shippingAddress.Line1;
-      if (shippingAddress.Line2) invoiceData.ShipAddr.Line2 = shippingAddress.Line2;
-      if (shippingAddress.City) invoiceData.ShipAddr.City = shippingAddress.City;
-      if (shippingAddress.CountrySubDivisionCode) {
-        // Convert full state names to 2-letter codes for QuickBooks production API
-        invoiceData.ShipAddr.CountrySubDivisionCode = normalizeStateCode(shippingAddress.CountrySubDivisionCode);
-      }
-      if (shippingAddress.PostalCode) invoiceData.ShipAddr.PostalCode = shippingAddress.PostalCode;
-      if (shippingAddress.Country) invoiceData.ShipAddr.Country = shippingAddress.Country;
+    const shipAddr = buildShipAddr(shippingAddress);
+    if (shipAddr) {
+      estimateData.ShipAddr = shipAddr;
     }
     
-    // Add customer email for invoice delivery
-    if (customerEmail) {
-      invoiceData.BillEmail = {
-        Address: customerEmail
+    if (billEmail) {
+      estimateData.BillEmail = {
+        Address: billEmail
       };
     }
     
-    console.log('Creating invoice with data:', JSON.stringify(invoiceData, null, 2));
+    console.log('[Estimates] Creating estimate with data:', JSON.stringify(estimateData, null, 2));
     
     const createResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
       return await qbClient.makeApiCall({
-        url: `${baseUrl}/v3/company/${realmId}/invoice`,
+        url: `${baseUrl}/v3/company/${realmId}/estimate?minorversion=65`,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Accept': 'application/json'
         },
-        body: JSON.stringify(invoiceData)
+        body: JSON.stringify(estimateData)
       });
     });
     
-    if (!createResponse) {
+    const result = getQBResponseData(createResponse);
+    
+    if (!result.Estimate) {
+      console.error('[Estimates] Estimate creation failed:', result);
       return res.status(500).json({
         success: false,
-        error: "Invalid response from QuickBooks"
+        error: result.Fault?.Error?.[0]?.Message || "Failed to create estimate"
       });
     }
     
-    const result = getQBResponseData(createResponse);
+    const estimate = result.Estimate;
+    console.log('[Estimates] Estimate created successfully:', estimate.Id);
     
-    if (result.Invoice) {
-      console.log('Invoice created successfully:', result.Invoice.Id);
-      
-      let emailSent = false;
-      
-      // Send invoice email if requested
-      if (sendEmail && customerEmail) {
-        try {
-          console.log('Sending invoice email to:', customerEmail);
-          
-          const sendEmailResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
-            return await qbClient.makeApiCall({
-              url: `${baseUrl}/v3/company/${realmId}/invoice/${result.Invoice.Id}/send?sendTo=${encodeURIComponent(customerEmail)}`,
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/octet-stream',
-                'Accept': 'application/json'
-              }
-            });
-          });
-          
-          if (sendEmailResponse) {
-            const sendResult = getQBResponseData(sendEmailResponse);
-            if (sendResult.Invoice) {
-              console.log('Invoice email sent successfully');
-              emailSent = true;
-            } else {
-              console.warn('Email send may have failed:', sendResult);
-            }
-          }
-        } catch (emailError) {
-          console.error('Error sending invoice email:', emailError);
-          // Don't fail the whole request just because email failed
-        }
-      }
-      
-      // ShipStation integration - create order based on payment terms
-      let shipstationOrderCreated = false;
-      let shipstationOrderPending = false;
-      
-      if (userData.shipstation_api_key && userData.shipstation_auto_create !== false) {
-        try {
-          const invoiceBalance = parseFloat(result.Invoice.Balance || 0);
-          const isDueOnReceipt = paymentTerms === 'DueOnReceipt' || 
-                                  paymentTerms === 'Due on Receipt' ||
-                                  (result.Invoice.SalesTermRef?.name || '').toLowerCase().includes('receipt');
-          
-          console.log(`[ShipStation] Invoice ${result.Invoice.DocNumber} - Payment terms: ${paymentTerms}, Balance: ${invoiceBalance}, Due on Receipt: ${isDueOnReceipt}`);
-          
-          if (isDueOnReceipt && invoiceBalance > 0) {
-            // Due on Receipt with unpaid balance - add to pending_invoices table for payment poller
-            // Use DocNumber if available, otherwise fall back to Id
-            const invoiceNumberForPending = result.Invoice.DocNumber || result.Invoice.Id;
-            console.log(`[ShipStation] Invoice ${invoiceNumberForPending} - Due on Receipt, pending payment. Adding to pending invoices.`);
-            
-            // addPendingInvoice(invoiceId, invoiceNumber, userId, invoiceData)
-            await addPendingInvoice(
-              result.Invoice.Id,
-              invoiceNumberForPending,
-              actualUserId,
-              result.Invoice  // Store full invoice data for ShipStation order creation
-            );
-            
-            shipstationOrderPending = true;
-            console.log(`[ShipStation] Added invoice ${invoiceNumberForPending} to pending invoices for payment polling`);
-          } else {
-            // Net 30/60 or paid invoice - create ShipStation order immediately
-            console.log(`[ShipStation] Creating order for invoice ${result.Invoice.DocNumber}`);
-            
-            const ssOrder = await createShipStationOrderFromInvoice(userData, result.Invoice, actualUserId);
-            
-            if (ssOrder && ssOrder.orderId) {
-              shipstationOrderCreated = true;
-              console.log(`[ShipStation] Order ${ssOrder.orderId} created for invoice ${result.Invoice.DocNumber}`);
+    // Remember the deal so conversion to an invoice can still sync products to it
+    try {
+      await setEstimateMapping(estimate.Id, estimate.DocNumber, dealId ? String(dealId) : null, actualUserId);
+    } catch (mappingError) {
+      console.error('[Estimates] Failed to save estimate mapping:', mappingError.message);
+    }
+    
+    let emailSent = false;
+    if (sendEmail && billEmail) {
+      try {
+        const sendResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+          return await qbClient.makeApiCall({
+            url: `${baseUrl}/v3/company/${realmId}/estimate/${estimate.Id}/send?sendTo=${encodeURIComponent(billEmail)}`,
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/octet-stream',
+              'Accept': 'application/json'
             }
-          }
-        } catch (ssError) {
-          console.error('[ShipStation] Error processing invoice:', ssError.message);
-          // Don't fail the invoice creation just because ShipStation failed
-        }
-      }
-      
-      // Pipedrive Products Integration - sync invoice line items to deal as products
-      let pipedriveProductsSync = { synced: 0, skipped: 0, errors: 0 };
-      
-      // Check for either access_token or pipedrive_access_token (both can hold the Pipedrive token)
-      const hasPipedriveToken = !!(userData.access_token || userData.pipedrive_access_token);
-      
-      console.log('[Pipedrive Products] === SYNC CHECK ===');
-      console.log('[Pipedrive Products] dealId:', dealId, 'type:', typeof dealId);
-      console.log('[Pipedrive Products] hasPipedriveToken:', hasPipedriveToken);
-      console.log('[Pipedrive Products] access_token exists:', !!userData.access_token);
-      console.log('[Pipedrive Products] pipedrive_access_token exists:', !!userData.pipedrive_access_token);
-      
-      if (dealId && hasPipedriveToken) {
-        try {
-          console.log(`[Pipedrive Products] Starting product sync for deal ${dealId} (userId: ${actualUserId})`);
-          pipedriveProductsSync = await syncInvoiceProductsToDeal(userData, dealId, lineItems, actualUserId);
-        } catch (pdError) {
-          console.error('[Pipedrive Products] Error syncing products:', pdError.message);
-          // Don't fail the invoice creation just because Pipedrive sync failed
-        }
-      } else if (!dealId) {
-        console.log('[Pipedrive Products] Skipping product sync - no deal ID provided');
-      } else if (!hasPipedriveToken) {
-        console.log('[Pipedrive Products] Skipping product sync - no Pipedrive access token');
+          });
+        });
+        emailSent = !!getQBResponseData(sendResponse).Estimate;
+      } catch (emailError) {
+        console.error('[Estimates] Error sending estimate email:', emailError.message);
       }
-      
-      res.json({
-        success: true,
-        emailSent: emailSent,
-        shipstationOrderCreated: shipstationOrderCreated,
-        shipstationOrderPending: shipstationOrderPending,
-        pipedriveProductsSync: pipedriveProductsSync,
-        invoice: {
-          id: result.Invoice.Id,
-          docNumber: result.Invoice.DocNumber,
-          totalAmount: result.Invoice.TotalAmt,
-          dueDate: result.Invoice.DueDate,
-          balance: result.Invoice.Balance
-        }
-      });
-    } else {
-      console.error('Invoice creation failed:', result);
-      res.status(500).json({
-        success: false,
-        error: result.Fault?.Error?.[0]?.Message || "Failed to create invoice"
-      });
     }
+    
+    res.json({
+      success: true,
+      emailSent: emailSent,
+      appliedDefaults: defaults.appliedDefaults,
+      estimate: {
+        id: estimate.Id,
+        docNumber: estimate.DocNumber,
+        totalAmount: estimate.TotalAmt,
+        expirationDate: estimate.ExpirationDate,
+        status: estimate.TxnStatus
+      }
+    });
   } catch (error) {
-    console.error("Create invoice error:", error);
+    console.error("Create estimate error:", error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -4044,65 +6848,75 @@ router.post("/api/invoices", express.json(), async (req, res) => {
   }
 });
 
-// Download invoice as PDF
-router.get("/api/invoices/:invoiceId/pdf", async (req, res) => {
+// Get estimates for a QuickBooks customer
+router.get("/api/customer/:customerId/estimates", async (req, res) => {
   try {
-    const { invoiceId } = req.params;
-    const providedUserId = req.query.userId || 'test';
+    const { customerId } = req.params;
+    const providedUserId = req.query.userId;
+    const { startDate, endDate, status } = req.query;
     
-    console.log('Downloading PDF for invoice:', invoiceId, 'User ID:', providedUserId);
-
-    // Find user with QB tokens
-    let userData = null;
-    let actualUserId = providedUserId;
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
     
-    userData = await getUser(providedUserId);
+    const { userData, actualUserId } = qbUser;
     
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      const { listUsers } = require("../../config/postgres");
-      const allKeys = await listUsers();
-      
-      for (const key of allKeys) {
-        const testUserData = await getUser(key);
-        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
-          const normalizedProvidedId = providedUserId.replace('https://', '').replace(/\.pipedrive\.com$/, '');
-          const normalizedKey = key.replace('https://', '').replace(/\.pipedrive\.com$/, '');
-          
-          if (normalizedKey === normalizedProvidedId ||
-              testUserData.api_domain?.includes(normalizedProvidedId) ||
-              normalizedProvidedId.includes(normalizedKey)) {
-            userData = testUserData;
-            actualUserId = key;
-            break;
-          }
-          
-          if (!userData && testUserData.qb_realm_id) {
-            userData = testUserData;
-            actualUserId = key;
-          }
-        }
-      }
+    let query = `select * from Estimate where CustomerRef='${customerId}'`;
+    if (startDate) {
+      query += ` and TxnDate >= '${startDate}'`;
+    }
+    if (endDate) {
+      query += ` and TxnDate <= '${endDate}'`;
+    }
+    if (status && ESTIMATE_STATUSES[status.toLowerCase()]) {
+      query += ` and TxnStatus = '${ESTIMATE_STATUSES[status.toLowerCase()]}'`;
     }
     
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      return res.status(400).json({
+    const result = await runQBQuery(actualUserId, userData, query);
+    const estimates = result.Estimate || [];
+    
+    console.log(`[Estimates] Found ${estimates.length} estimate(s) for customer ${customerId}`);
+    
+    res.json({
+      success: true,
+      estimates: estimates
+    });
+  } catch (error) {
+    console.error('Error fetching estimates:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch estimates'
+    });
+  }
+});
+
+// Download estimate as PDF
+router.get("/api/estimates/:estimateId/pdf", async (req, res) => {
+  try {
+    const { estimateId } = req.params;
+    const providedUserId = req.query.userId;
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
         success: false,
         error: "QuickBooks not connected for this user"
       });
     }
-
+    
+    const { userData, actualUserId } = qbUser;
     const baseUrl = getQBBaseUrl();
     const realmId = userData.qb_realm_id;
     
-    // Fetch PDF from QuickBooks using axios for proper binary handling
-    // The intuit-oauth makeApiCall doesn't handle binary responses correctly
+    // Use axios for binary handling, same as the invoice PDF endpoint
     const pdfBuffer = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
-      const axios = require('axios');
-      const pdfUrl = `${baseUrl}/v3/company/${realmId}/invoice/${invoiceId}/pdf`;
-      
       const response = await axios({
         method: 'GET',
-        url: pdfUrl,
+        url: `${baseUrl}/v3/company/${realmId}/estimate/${estimateId}/pdf`,
         headers: {
           'Authorization': `Bearer ${currentUserData.qb_access_token}`,
           'Accept': 'application/pdf'
@@ -4120,15 +6934,101 @@ router.get("/api/invoices/:invoiceId/pdf", async (req, res) => {
       });
     }
     
-    // Set headers for PDF download
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceId}.pdf"`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="estimate-${estimateId}.pdf"`);
+    res.send(Buffer.from(pdfBuffer));
+  } catch (error) {
+    console.error("Download estimate PDF error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Accept or reject an estimate
+router.post("/api/estimates/:estimateId/status", express.json(), async (req, res) => {
+  try {
+    const { estimateId } = req.params;
+    const { status, acceptedBy } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    const txnStatus = status ? ESTIMATE_STATUSES[status.toLowerCase()] : null;
+    if (!txnStatus) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${Object.keys(ESTIMATE_STATUSES).join(', ')}`
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    const baseUrl = getQBBaseUrl();
+    const realmId = userData.qb_realm_id;
+    
+    const estimate = await getQBEstimate(actualUserId, userData, estimateId);
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        error: "Estimate not found"
+      });
+    }
+    
+    if (estimate.TxnStatus === 'Closed') {
+      return res.status(409).json({
+        success: false,
+        error: "Estimate is already closed"
+      });
+    }
+    
+    const updateData = {
+      Id: estimate.Id,
+      SyncToken: estimate.SyncToken,
+      sparse: true,
+      TxnStatus: txnStatus
+    };
+    
+    if (txnStatus === 'Accepted') {
+      updateData.AcceptedDate = formatQBDate(new Date());
+      if (acceptedBy) {
+        updateData.AcceptedBy = acceptedBy;
+      }
+    }
+    
+    const updateResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+      return await qbClient.makeApiCall({
+        url: `${baseUrl}/v3/company/${realmId}/estimate?minorversion=65`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(updateData)
+      });
+    });
     
-    // Send the PDF buffer directly
-    res.send(Buffer.from(pdfBuffer));
+    const updated = getQBResponseData(updateResponse).Estimate;
+    console.log(`[Estimates] Estimate ${estimateId} marked ${txnStatus}`);
     
+    res.json({
+      success: true,
+      estimate: {
+        id: updated.Id,
+        docNumber: updated.DocNumber,
+        status: updated.TxnStatus,
+        acceptedDate: updated.AcceptedDate,
+        acceptedBy: updated.AcceptedBy
+      }
+    });
   } catch (error) {
-    console.error("Download PDF error:", error);
+    console.error("Update estimate status error:", error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -4136,97 +7036,134 @@ router.get("/api/invoices/:invoiceId/pdf", async (req, res) => {
   }
 });
 
-// Get payment link for an invoice
-router.get("/api/invoices/:invoiceId/paylink", async (req, res) => {
+// Convert an accepted estimate into an invoice linked through LinkedTxn
+router.post("/api/estimates/:estimateId/convert", express.json(), async (req, res) => {
   try {
-    const { invoiceId } = req.params;
-    const providedUserId = req.query.userId || 'test';
+    const { estimateId } = req.params;
+    const { dueDate, paymentTerms, sendEmail } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
     
-    console.log('Getting payment link for invoice:', invoiceId, 'User ID:', providedUserId);
-
-    // Find user with QB tokens
-    let userData = null;
-    let actualUserId = providedUserId;
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
     
-    userData = await getUser(providedUserId);
+    const { userData, actualUserId } = qbUser;
+    const baseUrl = getQBBaseUrl();
+    const realmId = userData.qb_realm_id;
     
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
-      const { listUsers } = require("../../config/postgres");
-      const allKeys = await listUsers();
-      
-      for (const key of allKeys) {
-        const testUserData = await getUser(key);
-        if (testUserData && testUserData.qb_access_token && testUserData.qb_realm_id) {
-          const normalizedProvidedId = providedUserId.replace('https://', '').replace(/\.pipedrive\.com$/, '');
-          const normalizedKey = key.replace('https://', '').replace(/\.pipedrive\.com$/, '');
-          
-          if (normalizedKey === normalizedProvidedId ||
-              testUserData.api_domain?.includes(normalizedProvidedId) ||
-              normalizedProvidedId.includes(normalizedKey)) {
-            userData = testUserData;
-            actualUserId = key;
-            break;
-          }
-          
-          if (!userData && testUserData.qb_realm_id) {
-            userData = testUserData;
-            actualUserId = key;
-          }
-        }
-      }
+    const mapping = await getEstimateMapping(estimateId);
+    if (mapping && mapping.invoiceId) {
+      return res.status(409).json({
+        success: false,
+        error: "Estimate has already been converted",
+        invoiceId: mapping.invoiceId
+      });
     }
     
-    if (!userData || !userData.qb_access_token || !userData.qb_realm_id) {
+    const estimate = await getQBEstimate(actualUserId, userData, estimateId);
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        error: "Estimate not found"
+      });
+    }
+    
+    if (estimate.TxnStatus !== 'Accepted') {
       return res.status(400).json({
         success: false,
-        error: "QuickBooks not connected for this user"
+        error: `Only accepted estimates can be converted (current status: ${estimate.TxnStatus})`
       });
     }
-
-    const baseUrl = getQBBaseUrl();
-    const realmId = userData.qb_realm_id;
     
-    // Fetch invoice with invoiceLink parameter
-    const invoiceData = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
-      const axios = require('axios');
-      const invoiceUrl = `${baseUrl}/v3/company/${realmId}/invoice/${invoiceId}?include=invoiceLink&minorversion=65`;
-      
-      const response = await axios({
-        method: 'GET',
-        url: invoiceUrl,
+    // Deal ID from the request wins, otherwise use the one recorded when the estimate was created
+    const dealId = req.body.dealId || mapping?.dealId || null;
+    
+    const invoiceData = buildInvoiceFromEstimate(estimate);
+    
+    let paymentTerm = null;
+    if (paymentTerms) {
+      paymentTerm = await findQBTerm(actualUserId, userData, paymentTerms);
+      if (!paymentTerm) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown payment terms "${paymentTerms}". Choose terms that exist in QuickBooks.`
+        });
+      }
+      invoiceData.SalesTermRef = {
+        value: paymentTerm.Id,
+        name: paymentTerm.Name
+      };
+    }
+    
+    const invoiceDueDate = dueDate || computeDueDateFromTerm(paymentTerm) || computeDueDateFromPreferences(userData.invoice_preferences);
+    if (invoiceDueDate) {
+      invoiceData.DueDate = invoiceDueDate;
+    }
+    
+    console.log(`[Estimates] Converting estimate ${estimateId} to invoice (deal: ${dealId || 'none'})`);
+    
+    const createResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+      return await qbClient.makeApiCall({
+        url: `${baseUrl}/v3/company/${realmId}/invoice`,
+        method: 'POST',
         headers: {
-          'Authorization': `Bearer ${currentUserData.qb_access_token}`,
+          'Content-Type': 'application/json',
           'Accept': 'application/json'
-        }
+        },
+        body: JSON.stringify(invoiceData)
       });
-      
-      return response.data;
     });
     
-    if (!invoiceData || !invoiceData.Invoice) {
+    const result = getQBResponseData(createResponse);
+    
+    if (!result.Invoice) {
+      console.error('[Estimates] Conversion failed:', result);
       return res.status(500).json({
         success: false,
-        error: "Failed to fetch invoice from QuickBooks"
+        error: result.Fault?.Error?.[0]?.Message || "Failed to create invoice from estimate"
       });
     }
     
-    const paymentLink = invoiceData.Invoice.InvoiceLink || invoiceData.Invoice.invoiceLink;
+    const invoice = result.Invoice;
+    console.log(`[Estimates] Estimate ${estimateId} converted to invoice ${invoice.Id}`);
     
-    if (!paymentLink) {
-      return res.status(404).json({
-        success: false,
-        error: "No payment link available. QuickBooks Payments may not be enabled for this account."
-      });
-    }
+    try {
+      if (!mapping) {
+        await setEstimateMapping(estimate.Id, estimate.DocNumber, dealId ? String(dealId) : null, actualUserId);
+      }
+      await markEstimateConverted(estimate.Id, invoice.Id);
+    } catch (mappingError) {
+      console.error('[Estimates] Failed to record conversion:', mappingError.message);
+    }
+    
+    // Same email, ShipStation and Pipedrive product sync as a panel-created invoice
+    const lineItems = await salesLinesToSyncItems(actualUserId, userData, invoice.Line);
+    const sideEffects = await runInvoiceSideEffects(actualUserId, userData, invoice, {
+      sendEmail,
+      billEmail: invoice.BillEmail?.Address,
+      paymentTerm,
+      dealId,
+      lineItems
+    });
     
     res.json({
       success: true,
-      paymentLink: paymentLink,
-      invoiceNumber: invoiceData.Invoice.DocNumber
+      ...sideEffects,
+      estimateId: estimate.Id,
+      invoice: {
+        id: invoice.Id,
+        docNumber: invoice.DocNumber,
+        totalAmount: invoice.TotalAmt,
+        dueDate: invoice.DueDate,
+        balance: invoice.Balance
+      }
     });
-    
   } catch (error) {
-    console.error("Get payment link error:", error);
+    console.error("Convert estimate error:", error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -4236,58 +7173,6 @@ router.get("/api/invoices/:invoiceId/paylink", async (req, res) => {
 
 // ==================== SHIPSTATION ENDPOINTS ====================
 
-// Helper function to make ShipStation API calls
-async function makeShipStationApiCall(userData, method, endpoint, data = null) {
-  if (!userData.shipstation_api_key || !userData.shipstation_api_secret) {
-    throw new Error('ShipStation not connected');
-  }
-  
-  // Decrypt credentials
-  const apiKey = decrypt(userData.shipstation_api_key);
-  const apiSecret = decrypt(userData.shipstation_api_secret);
-  
-  const authString = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
-  
-  const config = {
-    method,
-    url: `https://ssapi.shipstation.com${endpoint}`,
-    headers: {
-      'Authorization': `Basic ${authString}`,
-      'Content-Type': 'application/json'
-    }
-  };
-  
-  if (data && (method === 'POST' || method === 'PUT')) {
-    config.data = data;
-    // Log the full request payload for debugging
-    console.log(`[ShipStation API] ${method} ${endpoint} - Request payload:`, JSON.stringify(data, null, 2));
-  }
-  
-  try {
-    const response = await axios(config);
-    return response.data;
-  } catch (error) {
-    // Log detailed error information from ShipStation
-    console.error(`[ShipStation API] ${method} ${endpoint} - Error:`, {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      errorData: error.response?.data,
-      message: error.message
-    });
-    
-    // Re-throw with more context
-    const errorMessage = error.response?.data?.Message || 
-                         error.response?.data?.message || 
-                         error.response?.data?.ExceptionMessage ||
-                         (typeof error.response?.data === 'string' ? error.response.data : null) ||
-                         error.message;
-    const enhancedError = new Error(`ShipStation API error: ${errorMessage}`);
-    enhancedError.statusCode = error.response?.status;
-    enhancedError.responseData = error.response?.data;
-    throw enhancedError;
-  }
-}
-
 // Get shipments for invoices (by order number = invoice DocNumber)
 // Orders are stored in ShipStation with format QB-{tenant}-{invoiceNumber}
 router.get("/api/shipstation/shipments", async (req, res) => {
@@ -4491,145 +7376,6 @@ function getShipmentStatusLabel(shipment) {
   return 'Label Created';
 }
 
-// Build unique ShipStation order number with tenant prefix
-// Format: QB-{tenantSuffix}-{invoiceNumber} e.g., QB-3761-1078
-function buildShipStationOrderNumber(userId, invoiceNumber) {
-  if (!userId) {
-    throw new Error('userId is required to build ShipStation order number');
-  }
-  if (!invoiceNumber) {
-    throw new Error('invoiceNumber is required to build ShipStation order number');
-  }
-  // Extract last 4 digits of user ID as tenant suffix
-  const userIdStr = String(userId);
-  const tenantSuffix = userIdStr.slice(-4);
-  return `QB-${tenantSuffix}-${invoiceNumber}`;
-}
-
-// Helper function to create ShipStation order from QuickBooks invoice
-async function createShipStationOrderFromInvoice(userData, invoice, userId) {
-  const { getInvoiceMapping, setInvoiceMapping, getShipStationCredentials } = require("../../config/postgres");
-  
-  // ShipStation credentials are global - fetch from any user that has them
-  const ssCredentials = await getShipStationCredentials();
-  
-  if (!ssCredentials || !ssCredentials.shipstation_api_key || !ssCredentials.shipstation_api_secret) {
-    throw new Error('ShipStation not connected');
-  }
-  
-  // Use the global ShipStation credentials for API calls
-  const ssUserData = ssCredentials;
-  
-  const invoiceId = invoice.Id;
-  const invoiceNumber = invoice.DocNumber || invoice.Id;
-  
-  // Step 1: Check if we already have a mapping for this invoice
-  try {
-    const existingMapping = await getInvoiceMapping(invoiceId);
-    if (existingMapping && existingMapping.shipstationOrderId) {
-      console.log(`[ShipStation] Invoice ${invoiceNumber} already mapped to order ${existingMapping.shipstationOrderNumber} (ID: ${existingMapping.shipstationOrderId})`);
-      return {
-        orderId: existingMapping.shipstationOrderId,
-        orderNumber: existingMapping.shipstationOrderNumber,
-        alreadyExists: true,
-        fromMapping: true
-      };
-    }
-  } catch (mappingError) {
-    console.warn(`[ShipStation] Could not check invoice mapping:`, mappingError.message);
-  }
-  
-  // Step 2: Generate unique order number with tenant prefix
-  const orderNumber = buildShipStationOrderNumber(userId, invoiceNumber);
-  console.log(`[ShipStation] Generated order number: ${orderNumber} for invoice ${invoiceNumber}`);
-  
-  // Step 3: Check if order already exists in ShipStation with this number
-  try {
-    const existingOrders = await makeShipStationApiCall(ssUserData, 'GET', `/orders?orderNumber=${encodeURIComponent(orderNumber)}`);
-    if (existingOrders.orders && existingOrders.orders.length > 0) {
-      const existingOrder = existingOrders.orders[0];
-      console.log(`[ShipStation] Order ${orderNumber} already exists (ID: ${existingOrder.orderId}), saving mapping`);
-      
-      // Save the mapping for future lookups
-      await setInvoiceMapping(invoiceId, invoiceNumber, existingOrder.orderId, existingOrder.orderNumber, 'existing');
-      
-      return {
-        orderId: existingOrder.orderId,
-        orderNumber: existingOrder.orderNumber,
-        alreadyExists: true
-      };
-    }
-  } catch (dupeCheckError) {
-    console.warn(`[ShipStation] Could not check for existing order ${orderNumber}:`, dupeCheckError.message);
-  }
-  
-  // Step 4: Build ship-to address from invoice
-  // Note: ShipStation requires 2-letter ISO country codes, so we normalize the country
-  const rawCountry = invoice.ShipAddr?.Country || invoice.BillAddr?.Country || 'US';
-  const normalizedCountry = normalizeCountryCode(rawCountry);
-  
-  const shipTo = {
-    name: invoice.CustomerRef?.name || invoice.ShipAddr?.Line1 || 'Customer',
-    street1: invoice.ShipAddr?.Line1 || invoice.BillAddr?.Line1 || '',
-    street2: invoice.ShipAddr?.Line2 || invoice.BillAddr?.Line2 || '',
-    city: invoice.ShipAddr?.City || invoice.BillAddr?.City || '',
-    state: invoice.ShipAddr?.CountrySubDivisionCode || invoice.BillAddr?.CountrySubDivisionCode || '',
-    postalCode: invoice.ShipAddr?.PostalCode || invoice.BillAddr?.PostalCode || '',
-    country: normalizedCountry,
-    phone: invoice.ShipAddr?.Phone || '',
-    email: invoice.BillEmail?.Address || ''
-  };
-  
-  // Step 5: Map invoice line items to ShipStation items
-  const items = [];
-  if (invoice.Line) {
-    invoice.Line.forEach(line => {
-      if (line.DetailType === 'SalesItemLineDetail' && line.SalesItemLineDetail) {
-        items.push({
-          name: line.SalesItemLineDetail.ItemRef?.name || line.Description || 'Item',
-          quantity: line.SalesItemLineDetail.Qty || 1,
-          unitPrice: line.SalesItemLineDetail.UnitPrice || line.Amount || 0,
-          sku: line.SalesItemLineDetail.Sku || ''
-        });
-      }
-    });
-  }
-  
-  // Step 6: Create the order
-  const shipstationOrder = {
-    orderNumber: orderNumber,
-    orderDate: invoice.TxnDate || new Date().toISOString().split('T')[0],
-    orderStatus: 'awaiting_shipment',
-    billTo: shipTo,
-    shipTo: shipTo,
-    items: items,
-    amountPaid: parseFloat(invoice.TotalAmt) - parseFloat(invoice.Balance || 0),
-    customerEmail: invoice.BillEmail?.Address || '',
-    internalNotes: `QuickBooks Invoice #${invoiceNumber}`,
-    advancedOptions: {
-      customField1: `QB_Invoice_${invoiceId}`,
-      customField2: invoice.CustomerRef?.value || ''
-    }
-  };
-  
-  console.log(`[ShipStation] Creating order - Number: ${shipstationOrder.orderNumber}, Customer: ${shipTo.name}, Items: ${items.length}, Amount: $${shipstationOrder.amountPaid.toFixed(2)}`);
-  
-  // Create order in ShipStation
-  const createdOrder = await makeShipStationApiCall(ssUserData, 'POST', '/orders/createorder', shipstationOrder);
-  
-  console.log(`[ShipStation] Order created successfully - ID: ${createdOrder.orderId}, Number: ${createdOrder.orderNumber}`);
-  
-  // Step 7: Save the mapping for future lookups
-  try {
-    await setInvoiceMapping(invoiceId, invoiceNumber, createdOrder.orderId, createdOrder.orderNumber, 'created');
-    console.log(`[ShipStation] Saved invoice mapping: ${invoiceNumber} -> ${createdOrder.orderNumber}`);
-  } catch (mappingSaveError) {
-    console.error(`[ShipStation] Failed to save invoice mapping:`, mappingSaveError.message);
-  }
-  
-  return createdOrder;
-}
-
 // Create ShipStation order from QuickBooks invoice
 router.post("/api/shipstation/orders", express.json(), async (req, res) => {
   try {
@@ -4735,4 +7481,175 @@ router.get("/api/shipstation/status", async (req, res) => {
   }
 });
 
+// Total shipment weight in ounces from ShipStation product weights (matched by SKU)
+// A line's weightOz overrides the product weight; lines with no weight are reported
+async function getShipmentWeight(userData, lines) {
+  const weightBySku = new Map();
+  let totalOz = 0;
+  const missingWeights = [];
+  
+  for (const line of lines) {
+    const quantity = parseFloat(line.quantity) || 1;
+    let weightOz = parseFloat(line.weightOz);
+    
+    if (!(weightOz > 0) && line.sku) {
+      if (!weightBySku.has(line.sku)) {
+        const productResult = await makeShipStationApiCall(userData, 'GET', `/products?sku=${encodeURIComponent(line.sku)}`);
+        const product = (productResult.products || []).find(entry => entry.sku === line.sku);
+        weightBySku.set(line.sku, parseFloat(product?.weightOz) || 0);
+      }
+      weightOz = weightBySku.get(line.sku);
+    }
+    
+    if (weightOz > 0) {
+      totalOz += weightOz * quantity;
+    } else {
+      missingWeights.push({ itemId: line.itemId || null, sku: line.sku || null, name: line.name || null });
+    }
+  }
+  
+  return { totalOz: Math.round(totalOz * 100) / 100, missingWeights };
+}
+
+// Quote shipping for an invoice before it is created, from ShipStation's rates for the ship-to
+// address and the items' weights. Without a carrierCode every connected carrier is quoted.
+router.post("/api/shipping/rates", express.json(), async (req, res) => {
+  try {
+    const { shippingAddress, lineItems, carrierCode, serviceCode, residential } = req.body;
+    const providedUserId = req.query.userId || req.body.userId;
+    
+    if (!shippingAddress || !shippingAddress.PostalCode) {
+      return res.status(400).json({
+        success: false,
+        error: "A shipping address with a postal code is required"
+      });
+    }
+    
+    if (!lineItems || !Array.isArray(lineItems) || lineItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "At least one line item is required"
+      });
+    }
+    
+    const qbUser = await resolveQBUser(providedUserId);
+    if (!qbUser) {
+      return res.status(401).json({
+        success: false,
+        error: "QuickBooks not connected for this user"
+      });
+    }
+    
+    const { userData, actualUserId } = qbUser;
+    if (!userData.shipstation_api_key || !userData.shipstation_api_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "ShipStation not connected"
+      });
+    }
+    
+    // Fill in SKUs from QuickBooks for lines that only have an item ID
+    let skuMap = {};
+    const itemIdsWithoutSku = lineItems.filter(item => !item.sku && item.itemId).map(item => item.itemId);
+    if (itemIdsWithoutSku.length > 0) {
+      skuMap = await getItemSkuMap(actualUserId, userData, itemIdsWithoutSku);
+    }
+    const weightLines = lineItems.map(item => ({ ...item, sku: item.sku || skuMap[item.itemId] || '' }));
+    
+    const { totalOz, missingWeights } = await getShipmentWeight(userData, weightLines);
+    if (totalOz <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "None of the items have a weight in ShipStation. Add product weights in ShipStation or send weightOz per line.",
+        missingWeights
+      });
+    }
+    
+    // Ship from the default ShipStation warehouse unless a postal code is given
+    let fromPostalCode = req.body.fromPostalCode;
+    if (!fromPostalCode) {
+      const warehouses = await makeShipStationApiCall(userData, 'GET', '/warehouses');
+      const warehouse = (warehouses || []).find(entry => entry.isDefault) || (warehouses || [])[0];
+      fromPostalCode = warehouse?.originAddress?.postalCode;
+    }
+    
+    if (!fromPostalCode) {
+      return res.status(400).json({
+        success: false,
+        error: "No ship-from postal code: set up a warehouse in ShipStation or send fromPostalCode"
+      });
+    }
+    
+    let carrierCodes = carrierCode ? [carrierCode] : [];
+    if (!carrierCode) {
+      const carriers = await makeShipStationApiCall(userData, 'GET', '/carriers');
+      carrierCodes = (carriers || []).map(carrier => carrier.code);
+    }
+    
+    const rateRequest = {
+      serviceCode: serviceCode || null,
+      packageCode: null,
+      fromPostalCode,
+      toState: shippingAddress.CountrySubDivisionCode ? normalizeStateCode(shippingAddress.CountrySubDivisionCode) : undefined,
+      toCountry: normalizeCountryCode(shippingAddress.Country || 'US'),
+      toPostalCode: shippingAddress.PostalCode,
+      toCity: shippingAddress.City || undefined,
+      weight: { value: totalOz, units: 'ounces' },
+      confirmation: 'none',
+      residential: residential !== false
+    };
+    
+    console.log(`[ShipStation] Quoting ${totalOz}oz from ${fromPostalCode} to ${rateRequest.toPostalCode} ${rateRequest.toCountry} with ${carrierCodes.length} carrier(s)`);
+    
+    const rates = [];
+    const carrierErrors = [];
+    for (const code of carrierCodes) {
+      try {
+        const carrierRates = await makeShipStationApiCall(userData, 'POST', '/shipments/getrates', { ...rateRequest, carrierCode: code });
+        for (const rate of carrierRates || []) {
+          const shipmentCost = parseFloat(rate.shipmentCost) || 0;
+          const otherCost = parseFloat(rate.otherCost) || 0;
+          rates.push({
+            carrierCode: code,
+            serviceCode: rate.serviceCode,
+            serviceName: rate.serviceName,
+            shipmentCost,
+            otherCost,
+            total: Math.round((shipmentCost + otherCost) * 100) / 100
+          });
+        }
+      } catch (rateError) {
+        carrierErrors.push({ carrierCode: code, error: rateError.message });
+      }
+    }
+    
+    if (rates.length === 0) {
+      return res.status(502).json({
+        success: false,
+        error: "ShipStation returned no rates for this shipment",
+        carrierErrors
+      });
+    }
+    
+    rates.sort((a, b) => a.total - b.total);
+    
+    res.json({
+      success: true,
+      weight: { value: totalOz, units: 'ounces' },
+      fromPostalCode,
+      rates,
+      cheapest: rates[0],
+      missingWeights,
+      carrierErrors
+    });
+  } catch (error) {
+    console.error("[ShipStation] Rate quote error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
+
@@ -0,0 +1,48 @@
+// Duplicate customer detection against the company's active QuickBooks customers
+
+const { toMatchRecord, findCustomerMatches } = require('../utils/customerMatching');
+const { runQBQuery } = require('./quickbooks');
+
+// Active customers are re-read at most every few minutes per realm; customers created through the
+// app are added to the cached list straight away, so they're caught as duplicates too
+const CUSTOMER_MATCH_CACHE_TTL_MS = 5 * 60 * 1000;
+const customerMatchCache = new Map(); // realmId -> { records, fetchedAt }
+
+// Every active customer, reduced to what matching compares, read 1000 at a time
+async function listCustomerMatchRecords(userId, userData, forceRefresh = false) {
+  const realmId = userData.qb_realm_id;
+  const cached = customerMatchCache.get(realmId);
+  
+  if (!forceRefresh && cached && (Date.now() - cached.fetchedAt) < CUSTOMER_MATCH_CACHE_TTL_MS) {
+    return cached.records;
+  }
+  
+  const records = [];
+  for (let start = 1; ; start += 1000) {
+    const result = await runQBQuery(userId, userData, `SELECT * FROM Customer WHERE Active = true STARTPOSITION ${start} MAXRESULTS 1000`);
+    const customers = result.Customer || [];
+    records.push(...customers.map(toMatchRecord));
+    if (customers.length < 1000) break;
+  }
+  
+  customerMatchCache.set(realmId, { records, fetchedAt: Date.now() });
+  console.log(`[CustomerMatch] Cached ${records.length} customer(s) for realm ${realmId}`);
+  return records;
+}
+
+function rememberCreatedCustomer(userData, customer) {
+  const cached = customerMatchCache.get(userData.qb_realm_id);
+  if (cached && customer) {
+    cached.records.push(toMatchRecord(customer));
+  }
+}
+
+// Existing customers that look like customer data about to be created, best first
+async function findDuplicateCustomers(userId, userData, customerData) {
+  return findCustomerMatches(customerData, await listCustomerMatchRecords(userId, userData));
+}
+
+module.exports = {
+  rememberCreatedCustomer,
+  findDuplicateCustomers
+};
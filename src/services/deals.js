@@ -0,0 +1,509 @@
+// Pipedrive deal updates driven by QuickBooks: the deal timeline, pipeline automation and AR fields
+
+const {
+  getInvoiceMapping,
+  getDealTimelineInvoice,
+  markDealTimelineInvoiceChecked,
+  claimDealTimelineEvent,
+  finishDealTimelineEvent,
+  releaseDealTimelineEvent,
+  startDealAutomationRun,
+  finishDealAutomationRun,
+  getDealAutomationRun,
+  listDealMappings
+} = require('../../config/postgres');
+const {
+  runQBQuery,
+  fetchQBInvoicePdf,
+  getQBInvoice,
+  formatPayment,
+  isVoidedInvoice,
+  isPaidInvoice,
+  listOpenInvoicesForCustomers,
+  findLatestTxnDates
+} = require('./quickbooks');
+const {
+  makePipedriveApiCall,
+  addDealNote,
+  addDealActivity,
+  uploadDealFile
+} = require('./pipedrive');
+const { makeShipStationApiCall } = require('./shipstation');
+
+// ============================================
+// Deal Timeline
+// ============================================
+
+// Post one timeline event to a deal unless it was posted before. post() does the Pipedrive
+// call and returns { type, id } of what it created. The event is claimed first, so two
+// instances can't both post it; a failed post releases the claim to be tried again, a successful one
+// keeps it. A claim whose run stopped mid-post is retried once it goes stale
+async function postDealTimelineEvent(invoice, dealId, eventType, eventKey, post) {
+  const eventId = await claimDealTimelineEvent(invoice.Id, dealId, eventType, eventKey);
+  if (!eventId) {
+    return { status: 'skipped' };
+  }
+  
+  let created;
+  try {
+    created = await post();
+  } catch (error) {
+    await releaseDealTimelineEvent(eventId);
+    console.error(`[Deal Timeline] Could not post invoice ${invoice.DocNumber} ${eventType} to deal ${dealId}:`, error.response?.data?.error || error.message);
+    return { status: 'failed', error: error.message };
+  }
+  
+  // The event is on the deal now - keep the claim even if recording it fails, so it isn't posted twice
+  try {
+    await finishDealTimelineEvent(eventId, created.type, created.id);
+  } catch (error) {
+    console.error(`[Deal Timeline] Invoice ${invoice.DocNumber} ${eventType} was posted to deal ${dealId} but could not be recorded:`, error.message);
+  }
+  
+  console.log(`[Deal Timeline] Invoice ${invoice.DocNumber} ${eventType}${eventKey ? ` ${eventKey}` : ''} posted to deal ${dealId} (${created.type} ${created.id})`);
+  return { status: 'done' };
+}
+
+function formatTimelineAmount(amount, invoice) {
+  const currency = invoice.CurrencyRef?.value ? ` ${invoice.CurrencyRef.value}` : '';
+  return `${parseFloat(amount || 0).toFixed(2)}${currency}`;
+}
+
+// Invoice created: a note with the totals, and the invoice PDF uploaded as a deal file
+async function postInvoiceCreatedToDeal(userId, userData, invoice, dealId) {
+  const created = await postDealTimelineEvent(invoice, dealId, 'created', '', async () => {
+    const content = [
+      `<b>Invoice #${invoice.DocNumber} created in QuickBooks</b>`,
+      `Customer: ${invoice.CustomerRef?.name || invoice.CustomerRef?.value}`,
+      `Total: ${formatTimelineAmount(invoice.TotalAmt, invoice)}`,
+      invoice.DueDate ? `Due: ${invoice.DueDate}` : null
+    ].filter(Boolean).join('<br>');
+    return { type: 'note', id: await addDealNote(userData, dealId, content, userId) };
+  });
+  
+  const pdf = await postDealTimelineEvent(invoice, dealId, 'pdf', '', async () => {
+    const content = await fetchQBInvoicePdf(userId, userData, invoice.Id);
+    if (!content) {
+      throw new Error('QuickBooks returned no PDF');
+    }
+    const fileId = await uploadDealFile(userData, dealId, {
+      fileName: `Invoice-${invoice.DocNumber || invoice.Id}.pdf`,
+      contentType: 'application/pdf',
+      content
+    });
+    return { type: 'file', id: fileId };
+  });
+  
+  return [created, pdf];
+}
+
+// Invoice emailed: a completed email activity
+async function postInvoiceEmailedToDeal(userId, userData, invoice, dealId, billEmail) {
+  return await postDealTimelineEvent(invoice, dealId, 'emailed', '', async () => {
+    const id = await addDealActivity(userData, dealId, {
+      subject: `Invoice #${invoice.DocNumber} emailed to ${billEmail}`,
+      type: 'email',
+      note: `QuickBooks sent invoice #${invoice.DocNumber} (${formatTimelineAmount(invoice.TotalAmt, invoice)}) to ${billEmail}`
+    }, userId);
+    return { type: 'activity', id };
+  });
+}
+
+// Payments received: one note per QuickBooks payment applied to the invoice
+async function postInvoicePaymentsToDeal(userId, userData, invoice, dealId) {
+  const paymentIds = (invoice.LinkedTxn || [])
+    .filter(txn => txn.TxnType === 'Payment')
+    .map(txn => txn.TxnId);
+  
+  if (paymentIds.length === 0) return [];
+  
+  const idList = paymentIds.map(id => `'${id}'`).join(', ');
+  const result = await runQBQuery(userId, userData, `SELECT * FROM Payment WHERE Id IN (${idList})`);
+  const payments = (result.Payment || [])
+    .map(payment => formatPayment(payment, invoice.Id))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  const outcomes = [];
+  for (const payment of payments) {
+    outcomes.push(await postDealTimelineEvent(invoice, dealId, 'payment', payment.id, async () => {
+      const content = [
+        `<b>Payment received for invoice #${invoice.DocNumber}</b>`,
+        `Amount: ${formatTimelineAmount(payment.appliedAmount, invoice)} on ${payment.date}`,
+        payment.paymentMethod?.name ? `Method: ${payment.paymentMethod.name}` : null,
+        payment.referenceNumber ? `Reference: ${payment.referenceNumber}` : null,
+        `Open balance: ${formatTimelineAmount(invoice.Balance, invoice)}`
+      ].filter(Boolean).join('<br>');
+      return { type: 'note', id: await addDealNote(userData, dealId, content, userId) };
+    }));
+  }
+  return outcomes;
+}
+
+// Shipments: one note per ShipStation shipment on the invoice's order, with its tracking number
+// Returns whether the order has shipped at all
+async function postInvoiceShipmentsToDeal(userId, userData, invoice, dealId) {
+  const mapping = await getInvoiceMapping(invoice.Id);
+  if (!mapping || !mapping.shipstationOrderId) {
+    return { shipped: false, outcomes: [] };
+  }
+  
+  // Shipments are read with the invoice owner's own ShipStation connection
+  if (!userData.shipstation_api_key || !userData.shipstation_api_secret) {
+    return { shipped: false, outcomes: [] };
+  }
+  
+  const shipmentsData = await makeShipStationApiCall(userData, 'GET', `/shipments?orderId=${mapping.shipstationOrderId}`);
+  const shipments = (shipmentsData.shipments || []).filter(ship => !ship.voided);
+  
+  const outcomes = [];
+  for (const ship of shipments) {
+    outcomes.push(await postDealTimelineEvent(invoice, dealId, 'shipment', ship.shipmentId, async () => {
+      const content = [
+        `<b>Invoice #${invoice.DocNumber} shipped</b>`,
+        `Carrier: ${[ship.carrierCode, ship.serviceCode].filter(Boolean).join(' / ') || 'unknown'}`,
+        ship.trackingNumber ? `Tracking: ${ship.trackingNumber}` : null,
+        ship.shipDate ? `Ship date: ${ship.shipDate.split('T')[0]}` : null,
+        `ShipStation order: ${mapping.shipstationOrderNumber || mapping.shipstationOrderId}`
+      ].filter(Boolean).join('<br>');
+      return { type: 'note', id: await addDealNote(userData, dealId, content, userId) };
+    }));
+  }
+  
+  return { shipped: shipments.length > 0, outcomes };
+}
+
+// Check a watched invoice for new payments and shipments (called by the deal timeline job).
+// The invoice stops being watched once it is paid and, when ShipStation ships it, has shipped
+async function syncDealTimelineInvoice(userId, userData, link) {
+  const invoice = await getQBInvoice(userId, userData, link.invoiceId);
+  if (!invoice) {
+    await markDealTimelineInvoiceChecked(link.invoiceId, false);
+    return { watching: false };
+  }
+  
+  // Voided in QuickBooks rather than through the extension
+  if (isVoidedInvoice(invoice)) {
+    await runDealAutomation(userId, userData, { trigger: 'invoice_voided', invoice, dealId: link.dealId });
+    await markDealTimelineInvoiceChecked(link.invoiceId, false);
+    return { watching: false };
+  }
+  
+  await postInvoicePaymentsToDeal(userId, userData, invoice, link.dealId);
+  const { shipped } = await postInvoiceShipmentsToDeal(userId, userData, invoice, link.dealId);
+  
+  const paid = isPaidInvoice(invoice);
+  if (paid) {
+    await runDealAutomation(userId, userData, { trigger: 'invoice_paid', invoice, dealId: link.dealId });
+  }
+  
+  const expectsShipment = !!userData.shipstation_api_key && userData.shipstation_auto_create !== false;
+  const watching = !(paid && (shipped || !expectsShipment));
+  
+  await markDealTimelineInvoiceChecked(link.invoiceId, watching);
+  return { watching };
+}
+
+// ============================================
+// Pipeline Automation
+// ============================================
+
+// Work out the deal update for a trigger. Returns null when the deal is already where the
+// automation would put it (or the automation doesn't act on this trigger)
+async function getDealAutomationChanges(trigger, automation, deal, invoice) {
+  const changes = {};
+  
+  if (trigger === 'invoice_created' && automation.createdStageId) {
+    const stageId = parseInt(automation.createdStageId, 10);
+    if (deal.stage_id !== stageId) changes.stage_id = stageId;
+  }
+  
+  if (trigger === 'invoice_paid') {
+    if (automation.paidMarkWon && deal.status !== 'won') {
+      changes.status = 'won';
+    }
+    if (automation.paidSetValue && parseFloat(deal.value || 0) !== parseFloat(invoice.TotalAmt || 0)) {
+      changes.value = parseFloat(invoice.TotalAmt || 0);
+      if (invoice.CurrencyRef?.value && invoice.CurrencyRef.value !== deal.currency) {
+        changes.currency = invoice.CurrencyRef.value;
+      }
+    }
+  }
+  
+  if (trigger === 'invoice_voided') {
+    let stageId = automation.voidedStageId ? parseInt(automation.voidedStageId, 10) : null;
+    if (!stageId) {
+      const createdRun = await getDealAutomationRun(invoice.Id, 'invoice_created');
+      stageId = createdRun && createdRun.changes && createdRun.changes.stage_id ? createdRun.previous.stageId : null;
+    }
+    if (stageId && deal.stage_id !== stageId) changes.stage_id = stageId;
+    
+    // Reopen the deal only if the paid automation is what won it
+    const paidRun = await getDealAutomationRun(invoice.Id, 'invoice_paid');
+    if (deal.status === 'won' && paidRun && paidRun.changes && paidRun.changes.status === 'won') {
+      changes.status = 'open';
+    }
+  }
+  
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Run the automation configured for the deal's pipeline on a trigger, at most once per
+// invoice and trigger, and log the run. Never throws - returns the run outcome, or null when
+// no automation applies
+async function runDealAutomation(userId, userData, { trigger, invoice, dealId }) {
+  const automations = (userData.invoice_preferences || {}).pipelineAutomations || {};
+  if (!dealId || Object.keys(automations).length === 0) {
+    return null;
+  }
+  
+  let runId = null;
+  let previous = null;
+  let changes = null;
+  
+  try {
+    const dealResult = await makePipedriveApiCall(userData, 'GET', `/api/v1/deals/${dealId}`, null, userId);
+    const deal = dealResult?.data;
+    const automation = deal ? automations[String(deal.pipeline_id)] : null;
+    if (!automation) {
+      return null;
+    }
+    
+    runId = await startDealAutomationRun({
+      userId,
+      dealId,
+      invoiceId: invoice.Id,
+      invoiceNumber: invoice.DocNumber,
+      trigger,
+      pipelineId: deal.pipeline_id
+    });
+    if (!runId) {
+      console.log(`[Pipeline Automation] ${trigger} already ran for invoice ${invoice.DocNumber}, skipping...`);
+      return { status: 'skipped', alreadyRun: true };
+    }
+    
+    previous = { stageId: deal.stage_id, status: deal.status, value: deal.value, currency: deal.currency };
+    changes = await getDealAutomationChanges(trigger, automation, deal, invoice);
+    
+    if (!changes) {
+      await finishDealAutomationRun(runId, { status: 'skipped', previous });
+      return { status: 'skipped', runId };
+    }
+    
+    await makePipedriveApiCall(userData, 'PUT', `/api/v1/deals/${dealId}`, changes, userId);
+    await finishDealAutomationRun(runId, { status: 'success', previous, changes });
+    
+    console.log(`[Pipeline Automation] ${trigger} for invoice ${invoice.DocNumber} updated deal ${dealId}:`, JSON.stringify(changes));
+    return { status: 'success', runId, changes };
+  } catch (error) {
+    const message = error.response?.data?.error || error.message;
+    console.error(`[Pipeline Automation] ${trigger} for invoice ${invoice.DocNumber} failed on deal ${dealId}:`, message);
+    if (runId) {
+      await finishDealAutomationRun(runId, { status: 'failed', previous, changes, error: message });
+    }
+    return { status: 'failed', runId, error: message };
+  }
+}
+
+// Paid in full: run the paid automation for the invoice's deal, if the invoice was created for one
+async function runInvoicePaidAutomation(userId, userData, invoice) {
+  const link = await getDealTimelineInvoice(invoice.Id);
+  if (!link || !isPaidInvoice(invoice)) {
+    return null;
+  }
+  return await runDealAutomation(userId, userData, { trigger: 'invoice_paid', invoice, dealId: link.dealId });
+}
+
+// ============================================
+// AR Field Sync
+// ============================================
+
+// Receivable figures written to Pipedrive, and the custom field type each one needs
+const AR_FIGURES = {
+  openBalance: 'monetary',
+  overdueAmount: 'monetary',
+  lastInvoiceDate: 'date',
+  lastPaymentDate: 'date'
+};
+
+// Pipedrive entities the figures can be written to, with their API paths
+const AR_FIELD_ENTITIES = {
+  deal: { path: 'deals', fieldsPath: 'dealFields' },
+  person: { path: 'persons', fieldsPath: 'personFields' },
+  organization: { path: 'organizations', fieldsPath: 'organizationFields' }
+};
+
+// The configured field keys per entity from setup preferences, e.g.
+// arFields: { deal: { openBalance: '<field key>', ... }, person: {...}, organization: {...} }
+function getArFieldConfig(userData) {
+  const configured = (userData.invoice_preferences || {}).arFields || {};
+  const config = {};
+  
+  for (const entity of Object.keys(AR_FIELD_ENTITIES)) {
+    const fields = {};
+    for (const figure of Object.keys(AR_FIGURES)) {
+      if (configured[entity] && configured[entity][figure]) {
+        fields[figure] = configured[entity][figure];
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      config[entity] = fields;
+    }
+  }
+  
+  return config;
+}
+
+// Open balance, overdue amount and last invoice/payment dates for QuickBooks customers
+// The open balance is the customer's QuickBooks balance (open invoices less unapplied credits);
+// the overdue amount sums open invoices past their due date
+async function computeCustomerArFigures(userId, userData, customerIds) {
+  const today = new Date().toISOString().split('T')[0];
+  const figures = new Map();
+  
+  for (let i = 0; i < customerIds.length; i += 50) {
+    const chunk = customerIds.slice(i, i + 50);
+    const idList = chunk.map(id => `'${String(id).replace(/'/g, "\\'")}'`).join(', ');
+    
+    const customers = await runQBQuery(userId, userData, `SELECT * FROM Customer WHERE Id IN (${idList})`);
+    (customers.Customer || []).forEach(customer => {
+      figures.set(customer.Id, {
+        openBalance: parseFloat(customer.Balance || 0),
+        overdueAmount: 0,
+        lastInvoiceDate: null,
+        lastPaymentDate: null
+      });
+    });
+  }
+  
+  const openInvoices = await listOpenInvoicesForCustomers(userId, userData, customerIds);
+  openInvoices.forEach(invoice => {
+    const entry = figures.get(invoice.CustomerRef?.value);
+    if (entry && invoice.DueDate && invoice.DueDate < today) {
+      entry.overdueAmount = Math.round((entry.overdueAmount + parseFloat(invoice.Balance || 0)) * 100) / 100;
+    }
+  });
+  
+  const foundIds = [...figures.keys()];
+  const lastInvoiceDates = await findLatestTxnDates(userId, userData, 'Invoice', foundIds);
+  const lastPaymentDates = await findLatestTxnDates(userId, userData, 'Payment', foundIds);
+  for (const [customerId, entry] of figures) {
+    entry.lastInvoiceDate = lastInvoiceDates.get(customerId) || null;
+    entry.lastPaymentDate = lastPaymentDates.get(customerId) || null;
+  }
+  
+  return figures;
+}
+
+// AR figures for a Pipedrive person or organization linked to several customers: balances are
+// added up and the dates are the latest of any of them
+function combineArFigures(figuresList) {
+  const latest = (a, b) => (!a || (b && b > a) ? b : a);
+  return figuresList.reduce((combined, figures) => ({
+    openBalance: Math.round((combined.openBalance + figures.openBalance) * 100) / 100,
+    overdueAmount: Math.round((combined.overdueAmount + figures.overdueAmount) * 100) / 100,
+    lastInvoiceDate: latest(combined.lastInvoiceDate, figures.lastInvoiceDate),
+    lastPaymentDate: latest(combined.lastPaymentDate, figures.lastPaymentDate)
+  }), { openBalance: 0, overdueAmount: 0, lastInvoiceDate: null, lastPaymentDate: null });
+}
+
+// Write AR figures to one Pipedrive deal, person or organization
+async function writeArFields(userId, userData, entity, entityId, fields, figures) {
+  const update = {};
+  for (const [figure, fieldKey] of Object.entries(fields)) {
+    update[fieldKey] = figures[figure];
+  }
+  await makePipedriveApiCall(userData, 'PUT', `/api/v1/${AR_FIELD_ENTITIES[entity].path}/${entityId}`, update, userId);
+}
+
+// Write every linked customer's AR figures to the configured Pipedrive fields. This tenant's
+// deal_mappings give the deals; each deal gets its customer's figures, and each deal's person and
+// organization get the combined figures of every customer linked to them through a deal
+async function syncArFieldsForUser(userId, userData) {
+  const config = getArFieldConfig(userData);
+  if (Object.keys(config).length === 0) {
+    throw new Error('No Pipedrive fields are configured for AR figures');
+  }
+  
+  const mappings = await listDealMappings(userData.pipedrive_user_id);
+  const customerIds = [...new Set(mappings.map(mapping => mapping.qbCustomerId))];
+  const figures = await computeCustomerArFigures(userId, userData, customerIds);
+  
+  const summary = {
+    customers: figures.size,
+    deals: 0,
+    updated: { deal: 0, person: 0, organization: 0 },
+    skipped: 0,
+    errors: []
+  };
+  
+  // Read every deal first, so a person or organization's figures cover all of their customers
+  // targets: entity -> entityId -> { customerIds, dealId (first deal seen, for error reports) }
+  const targets = { deal: new Map(), person: new Map(), organization: new Map() };
+  for (const mapping of mappings) {
+    if (!figures.has(mapping.qbCustomerId)) {
+      summary.skipped++;
+      continue;
+    }
+    
+    let deal;
+    try {
+      const dealResult = await makePipedriveApiCall(userData, 'GET', `/api/v1/deals/${mapping.dealId}`, null, userId);
+      deal = dealResult?.data;
+    } catch (dealError) {
+      // Deleted deals are skipped
+      if (dealError.response?.status !== 404) {
+        summary.errors.push({ dealId: mapping.dealId, error: dealError.message });
+      }
+    }
+    if (!deal) {
+      summary.skipped++;
+      continue;
+    }
+    summary.deals++;
+    
+    const dealTargets = [
+      ['deal', deal.id],
+      ['person', deal.person_id?.value],
+      ['organization', deal.org_id?.value]
+    ];
+    for (const [entity, entityId] of dealTargets) {
+      if (!config[entity] || !entityId) continue;
+      if (!targets[entity].has(entityId)) {
+        targets[entity].set(entityId, { customerIds: new Set(), dealId: mapping.dealId });
+      }
+      targets[entity].get(entityId).customerIds.add(mapping.qbCustomerId);
+    }
+  }
+  
+  for (const [entity, entityTargets] of Object.entries(targets)) {
+    for (const [entityId, target] of entityTargets) {
+      const entityFigures = combineArFigures([...target.customerIds].map(customerId => figures.get(customerId)));
+      
+      try {
+        await writeArFields(userId, userData, entity, entityId, config[entity], entityFigures);
+        summary.updated[entity]++;
+      } catch (writeError) {
+        console.error(`[AR Sync] Could not update ${entity} ${entityId}:`, writeError.response?.data?.error || writeError.message);
+        summary.errors.push({ dealId: target.dealId, entity, entityId, error: writeError.response?.data?.error || writeError.message });
+      }
+    }
+  }
+  
+  console.log(`[AR Sync] User ${userId}: ${summary.customers} customer(s), ${summary.deals} deal(s), updated ${JSON.stringify(summary.updated)}, ${summary.errors.length} error(s)`);
+  return summary;
+}
+
+module.exports = {
+  postInvoiceCreatedToDeal,
+  postInvoiceEmailedToDeal,
+  postInvoicePaymentsToDeal,
+  syncDealTimelineInvoice,
+  getDealAutomationChanges,
+  runDealAutomation,
+  runInvoicePaidAutomation,
+  AR_FIGURES,
+  AR_FIELD_ENTITIES,
+  getArFieldConfig,
+  combineArFigures,
+  syncArFieldsForUser
+};
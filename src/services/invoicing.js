@@ -0,0 +1,2259 @@
+// Invoice building and creation: preference defaults, terms, tax, discounts, charges, currency
+// and tagging, plus the side effects that run after an invoice is created
+
+const {
+  getDealMapping,
+  addPendingInvoice,
+  setInvoiceMapping,
+  getInvoiceMapping,
+  addDealTimelineInvoice
+} = require('../../config/postgres');
+const { QB_SHIPPING_ITEM_ID, isShippingChargeLine, isDiscountSalesLine } = require('../utils/invoiceLines');
+const {
+  getQBBaseUrl,
+  getQBResponseData,
+  makeQBApiCall,
+  runQBQuery,
+  getQBInvoice,
+  findQBEntityByIdOrName,
+  QB_MAX_ATTACHMENT_BYTES,
+  uploadQBAttachable
+} = require('./quickbooks');
+const {
+  makePipedriveApiCall,
+  syncInvoiceProductsToDeal,
+  listDealFiles,
+  downloadPipedriveFile,
+  getDealProducts,
+  getDealDiscounts
+} = require('./pipedrive');
+const { makeShipStationApiCall, buildShipStationOrderNumber } = require('./shipstation');
+const {
+  postInvoiceCreatedToDeal,
+  postInvoiceEmailedToDeal,
+  runDealAutomation
+} = require('./deals');
+
+// ============================================
+// Address Normalization
+// ============================================
+
+// Country name to 2-letter ISO code mapping (for ShipStation)
+const COUNTRY_CODES = {
+  'united states': 'US', 'united states of america': 'US', 'usa': 'US', 'u.s.a.': 'US', 'u.s.': 'US', 'america': 'US',
+  'canada': 'CA', 'mexico': 'MX', 'united kingdom': 'GB', 'great britain': 'GB', 'england': 'GB', 'uk': 'GB',
+  'australia': 'AU', 'new zealand': 'NZ', 'germany': 'DE', 'france': 'FR', 'spain': 'ES', 'italy': 'IT',
+  'japan': 'JP', 'china': 'CN', 'india': 'IN', 'brazil': 'BR', 'argentina': 'AR', 'chile': 'CL',
+  'netherlands': 'NL', 'belgium': 'BE', 'switzerland': 'CH', 'austria': 'AT', 'sweden': 'SE', 'norway': 'NO',
+  'denmark': 'DK', 'finland': 'FI', 'ireland': 'IE', 'portugal': 'PT', 'poland': 'PL', 'czech republic': 'CZ',
+  'south korea': 'KR', 'korea': 'KR', 'singapore': 'SG', 'hong kong': 'HK', 'taiwan': 'TW', 'philippines': 'PH',
+  'israel': 'IL', 'south africa': 'ZA', 'russia': 'RU', 'ukraine': 'UA', 'turkey': 'TR', 'greece': 'GR'
+};
+
+// Helper to convert country name to 2-letter ISO code (ShipStation requires ISO codes)
+function normalizeCountryCode(countryInput) {
+  if (!countryInput) return 'US'; // Default to US
+  const trimmed = countryInput.trim();
+  // If already a 2-letter code, return as uppercase
+  if (trimmed.length === 2) {
+    return trimmed.toUpperCase();
+  }
+  // Look up full country name
+  const code = COUNTRY_CODES[trimmed.toLowerCase()];
+  if (code) {
+    console.log(`[Country Normalize] Converted "${countryInput}" to "${code}"`);
+    return code;
+  }
+  // Return US as fallback if not found
+  console.log(`[Country Normalize] Unknown country "${countryInput}", defaulting to US`);
+  return 'US';
+}
+
+// US State name to abbreviation mapping
+const STATE_ABBREVIATIONS = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
+  'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'florida': 'FL', 'georgia': 'GA',
+  'hawaii': 'HI', 'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA',
+  'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD',
+  'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS', 'missouri': 'MO',
+  'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ',
+  'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH',
+  'oklahoma': 'OK', 'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
+  'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT', 'vermont': 'VT',
+  'virginia': 'VA', 'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY',
+  'district of columbia': 'DC', 'puerto rico': 'PR', 'guam': 'GU', 'virgin islands': 'VI'
+};
+
+// Helper to convert state name to 2-letter abbreviation
+function normalizeStateCode(stateInput) {
+  if (!stateInput) return stateInput;
+  const trimmed = stateInput.trim();
+  // If already a 2-letter code, return as uppercase
+  if (trimmed.length === 2) {
+    return trimmed.toUpperCase();
+  }
+  // Look up full state name
+  const abbr = STATE_ABBREVIATIONS[trimmed.toLowerCase()];
+  if (abbr) {
+    console.log(`[State Normalize] Converted "${stateInput}" to "${abbr}"`);
+    return abbr;
+  }
+  // Return original if not found (could be international)
+  return trimmed;
+}
+
+// ============================================
+// Invoice Preference Defaults
+// ============================================
+
+// Setup wizard "Due date" options -> days from invoice date ('days' uses dueDateDays)
+const DUE_DATE_TYPE_DAYS = {
+  net30: 30,
+  net60: 60,
+  net90: 90,
+  immediate: 0
+};
+
+// Setup wizard "Default tax rate" options -> QuickBooks line-level tax codes
+const DEFAULT_TAX_CODES = {
+  standard: 'TAX',
+  reduced: 'TAX',
+  zero: 'NON',
+  exempt: 'NON'
+};
+
+// Setup wizard "Default account" options -> QuickBooks income account names
+const DEFAULT_ACCOUNT_NAMES = {
+  sales: 'Sales',
+  services: 'Services',
+  consulting: 'Consulting Income',
+  other: 'Other Income'
+};
+
+// Format a Date as YYYY-MM-DD (the date format QuickBooks expects)
+function formatQBDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Compute an invoice due date from the saved dueDateType/dueDateDays preferences
+// Returns null if the preferences don't describe a due date
+function computeDueDateFromPreferences(preferences, txnDate = new Date()) {
+  if (!preferences || !preferences.dueDateType) return null;
+
+  let days;
+  if (preferences.dueDateType === 'days') {
+    days = parseInt(preferences.dueDateDays, 10);
+  } else {
+    days = DUE_DATE_TYPE_DAYS[preferences.dueDateType];
+  }
+
+  if (days === undefined || isNaN(days) || days < 0) return null;
+
+  const dueDate = new Date(txnDate);
+  dueDate.setDate(dueDate.getDate() + days);
+  return formatQBDate(dueDate);
+}
+
+// Find the income account named by the defaultAccount preference and an active
+// service item that posts to it (QuickBooks lines reach an account through their item)
+async function findDefaultIncomeItem(userId, userData, accountPreference) {
+  const accountName = DEFAULT_ACCOUNT_NAMES[accountPreference] || accountPreference;
+  if (!accountName) return null;
+
+  const escapedName = accountName.replace(/'/g, "\\'");
+  const accountResult = await runQBQuery(userId, userData,
+    `SELECT * FROM Account WHERE AccountType = 'Income' AND Name LIKE '%${escapedName}%' MAXRESULTS 10`);
+  const accounts = accountResult.Account || [];
+  const account = accounts.find(a => a.Name.toLowerCase() === accountName.toLowerCase()) || accounts[0];
+
+  if (!account) {
+    console.log(`[Invoice Defaults] No income account found matching "${accountName}"`);
+    return null;
+  }
+
+  const itemResult = await runQBQuery(userId, userData,
+    `SELECT * FROM Item WHERE Type = 'Service' AND Active = true MAXRESULTS 1000`);
+  const item = (itemResult.Item || []).find(i => i.IncomeAccountRef?.value === account.Id);
+
+  if (!item) {
+    console.log(`[Invoice Defaults] No service item posts to income account "${account.Name}" (${account.Id})`);
+    return null;
+  }
+
+  console.log(`[Invoice Defaults] Default income account "${account.Name}" resolved to item "${item.Name}" (${item.Id})`);
+  return { account, item };
+}
+
+// Pick an email address from a Pipedrive person according to the emailField preference
+// Supports the built-in options (email, primary_email, billing_email) and custom field keys
+function pickPersonEmail(person, emailField) {
+  const emails = Array.isArray(person.email) ? person.email.filter(e => e && e.value) : [];
+
+  if (emailField === 'primary_email') {
+    return (emails.find(e => e.primary) || emails[0])?.value || null;
+  }
+
+  if (emailField === 'billing_email') {
+    const billing = emails.find(e => (e.label || '').toLowerCase() === 'billing');
+    return billing?.value || null;
+  }
+
+  if (emailField && emailField !== 'email' && person[emailField]) {
+    const customValue = person[emailField];
+    return typeof customValue === 'string' ? customValue : customValue.value || null;
+  }
+
+  return emails[0]?.value || null;
+}
+
+// Look up the bill-to email for a deal's contact person using the configured emailField
+async function getDealBillingEmail(userData, dealId, emailField, userId = null) {
+  const dealResult = await makePipedriveApiCall(userData, 'GET', `/api/v1/deals/${dealId}`, null, userId);
+  const deal = dealResult?.data;
+  const personId = deal?.person_id?.value || deal?.person_id;
+
+  if (!personId) {
+    console.log(`[Invoice Defaults] Deal ${dealId} has no contact person`);
+    return null;
+  }
+
+  const personResult = await makePipedriveApiCall(userData, 'GET', `/api/v1/persons/${personId}`, null, userId);
+  if (!personResult?.data) return null;
+
+  return pickPersonEmail(personResult.data, emailField);
+}
+
+// Resolve invoice defaults from the user's saved invoice_preferences
+// Explicit request values always win; returns the resolved values plus a record of what was applied
+// Pass applyDueDate: false for documents without a due date (e.g. estimates)
+async function resolveInvoiceDefaults(userId, userData, { dueDate, customerEmail, lineItems, dealId, applyDueDate = true }) {
+  const preferences = userData.invoice_preferences || {};
+  const appliedDefaults = {};
+  const resolved = {
+    dueDate: dueDate || null,
+    customerEmail: customerEmail || null,
+    taxCode: null,
+    incomeItem: null
+  };
+
+  if (!resolved.dueDate && applyDueDate) {
+    const defaultDueDate = computeDueDateFromPreferences(preferences);
+    if (defaultDueDate) {
+      resolved.dueDate = defaultDueDate;
+      appliedDefaults.dueDate = defaultDueDate;
+    }
+  }
+
+  if (preferences.defaultTaxRate && DEFAULT_TAX_CODES[preferences.defaultTaxRate]) {
+    const hasUntaxedLine = lineItems.some(item => !item.taxCode);
+    if (hasUntaxedLine) {
+      resolved.taxCode = DEFAULT_TAX_CODES[preferences.defaultTaxRate];
+      appliedDefaults.taxCode = resolved.taxCode;
+    }
+  }
+
+  if (preferences.defaultAccount && lineItems.some(item => !item.itemId)) {
+    try {
+      const incomeDefault = await findDefaultIncomeItem(userId, userData, preferences.defaultAccount);
+      if (incomeDefault) {
+        resolved.incomeItem = incomeDefault.item;
+        appliedDefaults.incomeAccount = {
+          accountId: incomeDefault.account.Id,
+          accountName: incomeDefault.account.Name,
+          itemId: incomeDefault.item.Id
+        };
+      }
+    } catch (accountError) {
+      console.error('[Invoice Defaults] Could not resolve default income account:', accountError.message);
+    }
+  }
+
+  const hasPipedriveToken = !!(userData.access_token || userData.pipedrive_access_token);
+  if (!resolved.customerEmail && dealId && hasPipedriveToken) {
+    try {
+      const billingEmail = await getDealBillingEmail(userData, dealId, preferences.emailField, userId);
+      if (billingEmail) {
+        resolved.customerEmail = billingEmail;
+        appliedDefaults.billEmail = billingEmail;
+      }
+    } catch (emailError) {
+      console.error('[Invoice Defaults] Could not read billing email from Pipedrive:', emailError.message);
+    }
+  }
+
+  console.log('[Invoice Defaults] Applied defaults:', JSON.stringify(appliedDefaults));
+  return { ...resolved, appliedDefaults };
+}
+
+// ============================================
+// QuickBooks Payment Terms
+// ============================================
+
+// Terms rarely change, so cache them per realm to avoid a query on every invoice
+const TERM_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const termCache = new Map(); // realmId -> { terms, fetchedAt }
+
+// Get the company's active payment terms (Term entities), cached per realm
+async function getQBTerms(userId, userData, forceRefresh = false) {
+  const realmId = userData.qb_realm_id;
+  const cached = termCache.get(realmId);
+  
+  if (!forceRefresh && cached && (Date.now() - cached.fetchedAt) < TERM_CACHE_TTL_MS) {
+    return cached.terms;
+  }
+  
+  const result = await runQBQuery(userId, userData, `SELECT * FROM Term WHERE Active = true`);
+  const terms = result.Term || [];
+  termCache.set(realmId, { terms, fetchedAt: Date.now() });
+  
+  console.log(`[Terms] Cached ${terms.length} payment term(s) for realm ${realmId}`);
+  return terms;
+}
+
+// Find a term by ID or by name (case-insensitive, e.g. "Net 30", "Due on Receipt")
+async function findQBTerm(userId, userData, termIdOrName) {
+  if (!termIdOrName) return null;
+  
+  const key = String(termIdOrName).trim().toLowerCase();
+  const matchTerm = (terms) => terms.find(t => t.Id === String(termIdOrName)) ||
+                               terms.find(t => (t.Name || '').toLowerCase() === key);
+  
+  let term = matchTerm(await getQBTerms(userId, userData));
+  if (!term) {
+    // The term may have been added since we cached - refresh once before giving up
+    term = matchTerm(await getQBTerms(userId, userData, true));
+  }
+  return term || null;
+}
+
+// Compute the due date a term gives an invoice dated txnDate
+// Standard terms use DueDays; date-driven terms use DayOfMonthDue / DueNextMonthDays
+function computeDueDateFromTerm(term, txnDate = new Date()) {
+  if (!term) return null;
+  
+  const start = new Date(txnDate);
+  
+  if (term.DueDays !== undefined && term.DueDays !== null) {
+    start.setDate(start.getDate() + parseInt(term.DueDays, 10));
+    return formatQBDate(start);
+  }
+  
+  if (term.DayOfMonthDue) {
+    const dueDay = parseInt(term.DayOfMonthDue, 10);
+    const cutoffDays = parseInt(term.DueNextMonthDays || 0, 10);
+    const dueInMonth = (year, month) => {
+      const lastDay = new Date(year, month + 1, 0).getDate();
+      return new Date(year, month, Math.min(dueDay, lastDay));
+    };
+    
+    let due = dueInMonth(start.getFullYear(), start.getMonth());
+    const daysUntilDue = Math.floor((due - start) / (24 * 60 * 60 * 1000));
+    if (daysUntilDue < cutoffDays || due <= start) {
+      due = dueInMonth(start.getFullYear(), start.getMonth() + 1);
+    }
+    return formatQBDate(due);
+  }
+  
+  return null;
+}
+
+// A term is "due on receipt" when it gives zero days to pay
+function isDueOnReceiptTerm(term) {
+  if (!term) return false;
+  return term.DueDays !== undefined && term.DueDays !== null && parseInt(term.DueDays, 10) === 0;
+}
+
+// ============================================
+// QuickBooks Sales Tax
+// ============================================
+
+// Tax setup changes rarely, so cache it per realm like payment terms
+const TAX_SETUP_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const taxSetupCache = new Map(); // realmId -> { taxSetup, fetchedAt }
+
+// Get the company's tax setup: country, automated sales tax flag, tax codes and rates
+// US companies use line codes TAX/NON plus a transaction tax code; other regions use a tax code per line
+async function getQBTaxSetup(userId, userData, forceRefresh = false) {
+  const realmId = userData.qb_realm_id;
+  const cached = taxSetupCache.get(realmId);
+  
+  if (!forceRefresh && cached && (Date.now() - cached.fetchedAt) < TAX_SETUP_CACHE_TTL_MS) {
+    return cached.taxSetup;
+  }
+  
+  const [companyResult, preferencesResult, taxCodeResult, taxRateResult] = await Promise.all([
+    runQBQuery(userId, userData, `SELECT * FROM CompanyInfo`),
+    runQBQuery(userId, userData, `SELECT * FROM Preferences`),
+    runQBQuery(userId, userData, `SELECT * FROM TaxCode WHERE Active = true`),
+    runQBQuery(userId, userData, `SELECT * FROM TaxRate WHERE Active = true`)
+  ]);
+  
+  const companyInfo = (companyResult.CompanyInfo || [])[0] || {};
+  const companyPrefs = (preferencesResult.Preferences || [])[0] || {};
+  const taxPrefs = companyPrefs.TaxPrefs || {};
+  const taxRates = taxRateResult.TaxRate || [];
+  const rateById = new Map(taxRates.map(rate => [rate.Id, rate]));
+  
+  // Combined sales rate for each tax code (sum of its component rates)
+  const taxCodes = (taxCodeResult.TaxCode || []).map(code => {
+    const details = code.SalesTaxRateList?.TaxRateDetail || [];
+    const rate = details.reduce((sum, detail) => {
+      const taxRate = rateById.get(detail.TaxRateRef?.value);
+      return sum + parseFloat(taxRate?.RateValue || 0);
+    }, 0);
+    return { ...code, combinedRate: rate, hasSalesRates: details.length > 0 };
+  });
+  
+  const country = companyInfo.Country || '';
+  const taxSetup = {
+    country,
+    isUS: !country || country === 'US',
+    automatedSalesTax: taxPrefs.PartnerTaxEnabled === true,
+    usingSalesTax: taxPrefs.UsingSalesTax === true,
+    defaultTaxCodeId: taxPrefs.TaxGroupCodeRef?.value || null,
+    taxCodes,
+    taxRates,
+    // Read from the same Preferences query: whether invoices can carry QuickBooks' shipping line
+    allowShipping: companyPrefs.SalesFormsPrefs?.AllowShipping === true,
+    // Also from Preferences: the home currency and whether customers can be billed in other currencies
+    homeCurrency: companyPrefs.CurrencyPrefs?.HomeCurrency?.value || null,
+    multiCurrencyEnabled: companyPrefs.CurrencyPrefs?.MultiCurrencyEnabled === true,
+    // And the class/department tracking settings and the invoice custom fields they've named
+    classTracking: getClassTrackingMode(companyPrefs.AccountingInfoPrefs),
+    trackDepartments: companyPrefs.AccountingInfoPrefs?.TrackDepartments === true,
+    departmentTerminology: companyPrefs.AccountingInfoPrefs?.DepartmentTerminology || 'Department',
+    customFields: parseSalesCustomFields(companyPrefs.SalesFormsPrefs?.CustomField)
+  };
+  
+  taxSetupCache.set(realmId, { taxSetup, fetchedAt: Date.now() });
+  console.log(`[Tax] Cached tax setup for realm ${realmId}: country=${country || 'unknown'}, AST=${taxSetup.automatedSalesTax}, ${taxCodes.length} tax code(s)`);
+  return taxSetup;
+}
+
+// Classes are assigned either once per transaction or on each line, depending on the company's setting
+function getClassTrackingMode(accountingPrefs = {}) {
+  if (accountingPrefs.ClassTrackingPerTxn === true) return 'transaction';
+  if (accountingPrefs.ClassTrackingPerTxnLine === true) return 'line';
+  return null;
+}
+
+// Sales form custom fields come as name/value pairs: SalesFormsPrefs.UseSalesCustomN (on/off) and
+// SalesFormsPrefs.SalesCustomNameN (label) for N = 1..3, where N is the field's DefinitionId
+function parseSalesCustomFields(customFieldGroups) {
+  const settings = new Map();
+  for (const group of customFieldGroups || []) {
+    for (const field of group.CustomField || []) {
+      settings.set(String(field.Name || '').replace(/^SalesFormsPrefs\./, ''), field.BooleanValue ?? field.StringValue);
+    }
+  }
+  
+  const customFields = [];
+  for (let definitionId = 1; definitionId <= 3; definitionId++) {
+    const name = settings.get(`SalesCustomName${definitionId}`);
+    if (settings.get(`UseSalesCustom${definitionId}`) === true && name) {
+      customFields.push({ definitionId: String(definitionId), name });
+    }
+  }
+  return customFields;
+}
+
+// Pick the tax code that matches a setup wizard "Default tax rate" option
+// standard = highest sales rate, reduced = lowest non-zero rate, zero = a 0% code, exempt = a code with no sales rates
+function findTaxCodeForRate(taxSetup, defaultTaxRate) {
+  const salesCodes = taxSetup.taxCodes.filter(code => code.hasSalesRates);
+  const byRate = [...salesCodes].sort((a, b) => b.combinedRate - a.combinedRate);
+  
+  switch (defaultTaxRate) {
+    case 'standard':
+      return taxSetup.taxCodes.find(code => code.Id === taxSetup.defaultTaxCodeId) || byRate[0] || null;
+    case 'reduced':
+      return [...byRate].reverse().find(code => code.combinedRate > 0) || null;
+    case 'zero':
+      return byRate.find(code => code.combinedRate === 0) || null;
+    case 'exempt':
+      return taxSetup.taxCodes.find(code => !code.hasSalesRates && code.Id !== 'TAX' && code.Id !== 'NON') || null;
+    default:
+      return null;
+  }
+}
+
+// Work out line-level tax codes and the transaction TxnTaxDetail for an invoice
+// txnTaxCodeId (optional) overrides the defaultTaxRate preference
+async function resolveInvoiceTax(userId, userData, { txnTaxCodeId } = {}) {
+  const taxSetup = await getQBTaxSetup(userId, userData);
+  const defaultTaxRate = (userData.invoice_preferences || {}).defaultTaxRate;
+  const tax = {
+    taxSetup,
+    taxableCode: 'TAX',
+    nonTaxableCode: 'NON',
+    lineTaxCode: null,
+    txnTaxDetail: null,
+    globalTaxCalculation: null
+  };
+  
+  if (taxSetup.isUS) {
+    // With automated sales tax QuickBooks works out the rate from the ship-to address
+    if (taxSetup.automatedSalesTax) {
+      return tax;
+    }
+    
+    let txnTaxCode = txnTaxCodeId ? taxSetup.taxCodes.find(code => code.Id === String(txnTaxCodeId)) : null;
+    if (!txnTaxCode && (defaultTaxRate === 'standard' || defaultTaxRate === 'reduced')) {
+      txnTaxCode = findTaxCodeForRate(taxSetup, defaultTaxRate);
+    }
+    if (txnTaxCode) {
+      tax.txnTaxDetail = { TxnTaxCodeRef: { value: txnTaxCode.Id } };
+    }
+    return tax;
+  }
+  
+  // Non-US companies: every line needs a real tax code, amounts are entered tax exclusive
+  const taxableCode = (txnTaxCodeId && taxSetup.taxCodes.find(code => code.Id === String(txnTaxCodeId))) ||
+                      findTaxCodeForRate(taxSetup, defaultTaxRate || 'standard');
+  const nonTaxableCode = findTaxCodeForRate(taxSetup, 'exempt') || findTaxCodeForRate(taxSetup, 'zero');
+  
+  tax.taxableCode = taxableCode?.Id || null;
+  tax.nonTaxableCode = nonTaxableCode?.Id || null;
+  tax.lineTaxCode = tax.taxableCode;
+  tax.globalTaxCalculation = 'TaxExcluded';
+  return tax;
+}
+
+// Resolve tax for an invoice and fold the line tax codes into its defaults
+// Returns null (invoice goes out without tax detail) if the tax setup can't be read
+async function applyInvoiceTax(userId, userData, defaults, txnTaxCodeId) {
+  try {
+    const tax = await resolveInvoiceTax(userId, userData, { txnTaxCodeId });
+    defaults.taxableCode = tax.taxableCode;
+    defaults.nonTaxableCode = tax.nonTaxableCode;
+    if (!tax.taxSetup.isUS) {
+      // TAX/NON only exist in US companies
+      defaults.taxCode = tax.lineTaxCode;
+    }
+    if (tax.txnTaxDetail) {
+      defaults.appliedDefaults.txnTaxCode = tax.txnTaxDetail.TxnTaxCodeRef.value;
+    }
+    return tax;
+  } catch (taxError) {
+    console.error('[Tax] Could not resolve tax setup, continuing without tax detail:', taxError.message);
+    return null;
+  }
+}
+
+// Summarise an invoice's tax for API responses and the invoice panel
+function buildTaxBreakdown(invoice, taxSetup) {
+  const txnTaxDetail = invoice.TxnTaxDetail || {};
+  const totalTax = parseFloat(txnTaxDetail.TotalTax || 0);
+  const rateById = new Map(((taxSetup && taxSetup.taxRates) || []).map(rate => [rate.Id, rate]));
+  
+  return {
+    subtotal: parseFloat(invoice.TotalAmt || 0) - totalTax,
+    totalTax,
+    total: parseFloat(invoice.TotalAmt || 0),
+    txnTaxCode: txnTaxDetail.TxnTaxCodeRef?.value || null,
+    automatedSalesTax: !!(taxSetup && taxSetup.automatedSalesTax),
+    lines: (txnTaxDetail.TaxLine || []).map(line => {
+      const rateRef = line.TaxLineDetail?.TaxRateRef || {};
+      return {
+        taxRateId: rateRef.value || null,
+        name: rateRef.name || rateById.get(rateRef.value)?.Name || 'Tax',
+        percent: line.TaxLineDetail?.TaxPercent ?? null,
+        taxableAmount: line.TaxLineDetail?.NetAmountTaxable ?? null,
+        amount: parseFloat(line.Amount || 0)
+      };
+    })
+  };
+}
+
+// Estimate the tax QuickBooks will charge on an invoice payload (before it is created)
+// With automated sales tax the amount is only known once QuickBooks calculates it
+// preferences name the shipping and handling items, whose lines are taxed but not discounted
+function estimateInvoiceTax(invoiceData, tax, preferences = {}) {
+  if (!tax) {
+    return { estimated: false, totalTax: 0, note: "Tax setup could not be read; QuickBooks will apply item defaults" };
+  }
+  
+  if (tax.taxSetup.automatedSalesTax) {
+    return { estimated: false, automatedSalesTax: true, totalTax: 0, note: "Calculated by QuickBooks automated sales tax when the invoice is created" };
+  }
+  
+  const codeById = new Map(tax.taxSetup.taxCodes.map(code => [code.Id, code]));
+  // Discounts are spread over the goods lines in proportion to their amounts; shipping and
+  // handling come after the discount, as QuickBooks applies it
+  const salesTotal = invoiceData.Line
+    .filter(line => line.DetailType === 'SalesItemLineDetail' && !isShippingChargeLine(line, preferences))
+    .reduce((sum, line) => sum + line.Amount, 0);
+  const discountTotal = invoiceData.Line
+    .filter(line => line.DetailType === 'DiscountLineDetail')
+    .reduce((sum, line) => sum + line.Amount, 0);
+  const discountFactor = salesTotal > 0 ? 1 - (discountTotal / salesTotal) : 1;
+  const txnTaxCode = tax.txnTaxDetail ? codeById.get(tax.txnTaxDetail.TxnTaxCodeRef.value) : null;
+  
+  // Group taxable amounts by the rate that applies to them
+  const byCode = new Map();
+  for (const line of invoiceData.Line) {
+    if (line.DetailType !== 'SalesItemLineDetail') continue;
+    
+    const lineCode = line.SalesItemLineDetail.TaxCodeRef?.value;
+    let rateCode;
+    if (tax.taxSetup.isUS) {
+      // US lines are TAX/NON; taxable lines use the transaction tax code's rate
+      if (lineCode === 'NON' || !txnTaxCode) continue;
+      rateCode = txnTaxCode;
+    } else {
+      rateCode = codeById.get(lineCode);
+      if (!rateCode) continue;
+    }
+    
+    const entry = byCode.get(rateCode.Id) || { taxCode: rateCode.Id, name: rateCode.Name, rate: rateCode.combinedRate, taxableAmount: 0 };
+    entry.taxableAmount += isShippingChargeLine(line, preferences) ? line.Amount : line.Amount * discountFactor;
+    byCode.set(rateCode.Id, entry);
+  }
+  
+  const lines = [...byCode.values()].map(entry => ({
+    ...entry,
+    taxableAmount: Math.round(entry.taxableAmount * 100) / 100,
+    amount: Math.round(entry.taxableAmount * entry.rate) / 100
+  }));
+  
+  return {
+    estimated: true,
+    totalTax: lines.reduce((sum, line) => sum + line.amount, 0),
+    lines
+  };
+}
+
+// ============================================
+// Sales Document Helpers (shared by invoices and estimates)
+// ============================================
+
+// Build QuickBooks SalesItemLineDetail lines from request line items
+// defaults may carry a taxCode and incomeItem resolved from invoice preferences, plus the
+// taxableCode/nonTaxableCode used for lines that only say taxable: true/false
+function buildSalesLines(lineItems, defaults = {}) {
+  return lineItems.map(item => {
+    const line = {
+      DetailType: "SalesItemLineDetail",
+      Amount: (item.quantity || 1) * (item.unitPrice || 0),
+      Description: item.description || item.name || '',
+      SalesItemLineDetail: {
+        Qty: item.quantity || 1,
+        UnitPrice: item.unitPrice || 0
+      }
+    };
+    
+    // Add item reference if provided, otherwise fall back to the default income account's item
+    if (item.itemId) {
+      line.SalesItemLineDetail.ItemRef = {
+        value: item.itemId
+      };
+    } else if (defaults.incomeItem) {
+      line.SalesItemLineDetail.ItemRef = {
+        value: defaults.incomeItem.Id,
+        name: defaults.incomeItem.Name
+      };
+    }
+    
+    // Per-line tax code, then the line's taxable flag, then the default tax rate preference
+    let taxCode = item.taxCode;
+    if (!taxCode && item.taxable !== undefined && item.taxable !== null) {
+      taxCode = item.taxable ? (defaults.taxableCode || 'TAX') : (defaults.nonTaxableCode || 'NON');
+    }
+    taxCode = taxCode || defaults.taxCode;
+    if (taxCode) {
+      line.SalesItemLineDetail.TaxCodeRef = {
+        value: taxCode
+      };
+    }
+    
+    return line;
+  });
+}
+
+// Copy a sales document's sales and discount lines for a new document, without their line IDs
+// (QuickBooks recomputes subtotal lines)
+function copySalesDocumentLines(lines) {
+  return (lines || [])
+    .filter(line => line.DetailType === 'SalesItemLineDetail' || line.DetailType === 'DiscountLineDetail')
+    .map(({ Id, LineNum, ...line }) => line);
+}
+
+// Build the invoice payload for an accepted estimate: its sales and discount lines, customer,
+// addresses, email and memos, linked back through LinkedTxn
+function buildInvoiceFromEstimate(estimate) {
+  const invoiceData = {
+    CustomerRef: estimate.CustomerRef,
+    Line: copySalesDocumentLines(estimate.Line),
+    LinkedTxn: [{
+      TxnId: estimate.Id,
+      TxnType: 'Estimate'
+    }]
+  };
+  
+  for (const field of ['ShipAddr', 'BillAddr', 'BillEmail', 'CustomerMemo', 'PrivateNote']) {
+    if (estimate[field]) invoiceData[field] = estimate[field];
+  }
+  
+  return invoiceData;
+}
+
+// Amount taken off by a { type, value } discount applied to baseAmount, rounded to cents
+function computeDiscountAmount(discount, baseAmount) {
+  const value = parseFloat(discount.value) || 0;
+  const amount = discount.type === 'percent'
+    ? baseAmount * (Math.min(value, 100) / 100)
+    : Math.min(value, baseAmount);
+  return Math.round(amount * 100) / 100;
+}
+
+// Build the discount lines for an invoice or estimate. QuickBooks takes a single transaction-level
+// discount, so:
+//   - per-line discounts (lineItems[].discount) become negative sales lines for the same item and
+//     tax code, one after the item lines for each discounted item
+//   - order discounts, discounts[] (e.g. promo + loyalty) or the single legacy discount, are each
+//     worked out on the subtotal after line discounts and combined into one discount line
+// A lone percent discount is sent as a PercentBased line so QuickBooks does the math. Any other order
+// discount posts as a fixed amount against discountAccount (the discountAccount setup preference),
+// or against QuickBooks' default discount account when none is set.
+// Returns { lines, totalDiscount }
+function buildDiscountLines(lineItems, { discount, discounts } = {}, discountAccount = null, defaults = {}) {
+  const subtotal = lineItems.reduce((sum, item) =>
+    sum + ((item.quantity || 1) * (item.unitPrice || 0)), 0);
+  
+  const orderDiscounts = (Array.isArray(discounts) && discounts.length > 0 ? discounts : [discount])
+    .filter(entry => entry && parseFloat(entry.value) > 0);
+  const discountedItems = lineItems.filter(item => item.discount && parseFloat(item.discount.value) > 0);
+  
+  if (subtotal <= 0 || (orderDiscounts.length === 0 && discountedItems.length === 0)) {
+    return { lines: [], totalDiscount: 0 };
+  }
+  
+  const lines = [];
+  let lineDiscount = 0;
+  
+  for (const item of discountedItems) {
+    const lineAmount = (item.quantity || 1) * (item.unitPrice || 0);
+    const amount = computeDiscountAmount(item.discount, lineAmount);
+    if (amount <= 0) continue;
+    
+    // Same item and tax code as the discounted line, so the discount nets against its income and tax
+    const [itemLine] = buildSalesLines([item], defaults);
+    const label = item.discount.type === 'percent' ? ` (${item.discount.value}%)` : '';
+    lines.push({
+      ...itemLine,
+      Amount: -amount,
+      Description: item.discount.description || `Discount: ${item.name || item.description || 'item'}${label}`,
+      SalesItemLineDetail: { ...itemLine.SalesItemLineDetail, Qty: 1, UnitPrice: -amount }
+    });
+    lineDiscount += amount;
+  }
+  
+  lineDiscount = Math.round(lineDiscount * 100) / 100;
+  const discountBase = Math.round((subtotal - lineDiscount) * 100) / 100;
+  
+  let orderDiscount = 0;
+  for (const entry of orderDiscounts) {
+    // Never discount more than what is left
+    const amount = Math.min(computeDiscountAmount(entry, discountBase), Math.round((discountBase - orderDiscount) * 100) / 100);
+    if (amount > 0) {
+      orderDiscount += amount;
+    }
+  }
+  orderDiscount = Math.round(orderDiscount * 100) / 100;
+  
+  if (orderDiscount > 0) {
+    const description = orderDiscounts
+      .map(entry => entry.description || `Discount${entry.type === 'percent' ? ` (${entry.value}%)` : ''}`)
+      .join('; ');
+    
+    if (orderDiscounts.length === 1 && orderDiscounts[0].type === 'percent') {
+      const discountPercent = Math.min(parseFloat(orderDiscounts[0].value), 100);
+      console.log(`Applied discount: percent = ${discountPercent}%, amount = $${orderDiscount.toFixed(2)}`);
+      
+      const line = {
+        DetailType: "DiscountLineDetail",
+        Amount: orderDiscount,
+        DiscountLineDetail: {
+          PercentBased: true,
+          DiscountPercent: discountPercent
+        }
+      };
+      if (orderDiscounts[0].description) {
+        line.Description = orderDiscounts[0].description;
+      }
+      lines.push(line);
+    } else {
+      const line = {
+        DetailType: "DiscountLineDetail",
+        Amount: orderDiscount,
+        Description: description,
+        DiscountLineDetail: {
+          PercentBased: false
+        }
+      };
+      if (discountAccount) {
+        console.log(`Applied discount $${orderDiscount.toFixed(2)} to account "${discountAccount.Name}"`);
+        line.DiscountLineDetail.DiscountAccountRef = {
+          value: discountAccount.Id,
+          name: discountAccount.Name
+        };
+      } else {
+        console.log(`Applied discount $${orderDiscount.toFixed(2)} to QuickBooks' default discount account`);
+      }
+      lines.push(line);
+    }
+  }
+  
+  return { lines, totalDiscount: Math.round((lineDiscount + orderDiscount) * 100) / 100 };
+}
+
+// Whether a request's discounts need the discount account (an order discount other than a lone percent)
+function needsDiscountAccount(lineItems, { discount, discounts } = {}) {
+  const orderDiscounts = (Array.isArray(discounts) && discounts.length > 0 ? discounts : [discount])
+    .filter(entry => entry && parseFloat(entry.value) > 0);
+  return orderDiscounts.length > 1 || (orderDiscounts.length === 1 && orderDiscounts[0].type !== 'percent');
+}
+
+// Resolve the discountAccount setup preference (an Account ID or name) and build the discount lines
+// defaults are the invoice defaults the item lines were built with (tax code, income item)
+async function resolveDiscountLines(userId, userData, lineItems, discountRequest, defaults = {}) {
+  let discountAccount = null;
+  const accountPreference = (userData.invoice_preferences || {}).discountAccount;
+  
+  if (accountPreference && needsDiscountAccount(lineItems, discountRequest)) {
+    discountAccount = await findQBEntityByIdOrName(userId, userData, 'Account', accountPreference);
+    if (!discountAccount) {
+      return { error: `Discount account "${accountPreference}" from setup preferences was not found in QuickBooks` };
+    }
+  }
+  
+  return buildDiscountLines(lineItems, discountRequest, discountAccount, defaults);
+}
+
+// Check QuickBooks' TotalAmt against the line and discount amounts that were sent
+// (tax is taken out first, since QuickBooks calculates it). A mismatch comes back with a warning
+// for the API response
+function verifyInvoiceTotals(invoiceData, invoice) {
+  const lineTotal = invoiceData.Line
+    .filter(line => line.DetailType !== 'DiscountLineDetail' && line.DetailType !== 'SubTotalLineDetail' && !isDiscountSalesLine(line))
+    .reduce((sum, line) => sum + (line.Amount || 0), 0);
+  const discountTotal = invoiceData.Line
+    .filter(line => line.DetailType === 'DiscountLineDetail' || isDiscountSalesLine(line))
+    .reduce((sum, line) => sum + Math.abs(line.Amount || 0), 0);
+  
+  const taxInclusive = invoiceData.GlobalTaxCalculation === 'TaxInclusive';
+  const totalTax = taxInclusive ? 0 : parseFloat(invoice.TxnTaxDetail?.TotalTax || 0);
+  const expected = Math.round((lineTotal - discountTotal) * 100) / 100;
+  const actual = Math.round((parseFloat(invoice.TotalAmt || 0) - totalTax) * 100) / 100;
+  const difference = Math.round((actual - expected) * 100) / 100;
+  
+  let warning = null;
+  if (difference !== 0) {
+    warning = `QuickBooks total before tax is $${actual.toFixed(2)}, expected $${expected.toFixed(2)} from the lines and discounts sent (difference ${difference.toFixed(2)})`;
+    console.warn(`[Invoice Totals] Invoice ${invoice.DocNumber}: ${warning}`);
+  }
+  
+  return {
+    expected,
+    actual,
+    discount: Math.round(discountTotal * 100) / 100,
+    difference,
+    matches: difference === 0,
+    warning
+  };
+}
+
+// Normalize a shipping or handling charge from a request: an amount or { amount, description, taxable }
+// Returns null when there is no charge
+function normalizeCharge(charge) {
+  if (charge === undefined || charge === null || charge === '') return null;
+  const normalized = typeof charge === 'object' ? { ...charge } : { amount: charge };
+  normalized.amount = Math.round((parseFloat(normalized.amount) || 0) * 100) / 100;
+  return normalized.amount > 0 ? normalized : null;
+}
+
+// Build the shipping and handling lines for an invoice
+// Shipping posts to the shippingItem setup preference, or QuickBooks' shipping line when none is set;
+// handling posts to the handlingItem preference (or the shipping item). Returns { lines, charges } or { error }
+async function resolveChargeLines(userId, userData, { shipping, handling }, defaults = {}) {
+  const shippingCharge = normalizeCharge(shipping);
+  const handlingCharge = normalizeCharge(handling);
+  
+  if (!shippingCharge && !handlingCharge) {
+    return { lines: [], charges: [] };
+  }
+  
+  const preferences = userData.invoice_preferences || {};
+  
+  let shippingItem = null;
+  if (preferences.shippingItem) {
+    shippingItem = await findQBEntityByIdOrName(userId, userData, 'Item', preferences.shippingItem);
+    if (!shippingItem) {
+      return { error: `Shipping item "${preferences.shippingItem}" from setup preferences was not found in QuickBooks` };
+    }
+  }
+  
+  let handlingItem = shippingItem;
+  if (handlingCharge && preferences.handlingItem) {
+    handlingItem = await findQBEntityByIdOrName(userId, userData, 'Item', preferences.handlingItem);
+    if (!handlingItem) {
+      return { error: `Handling item "${preferences.handlingItem}" from setup preferences was not found in QuickBooks` };
+    }
+  }
+  
+  const lines = [];
+  const charges = [];
+  
+  if (shippingCharge) {
+    let itemId = shippingItem ? shippingItem.Id : null;
+    if (!itemId) {
+      const taxSetup = await getQBTaxSetup(userId, userData);
+      if (!taxSetup.allowShipping) {
+        return { error: "Shipping charges need Shipping turned on in QuickBooks sales form settings, or a shipping item in setup preferences" };
+      }
+      itemId = QB_SHIPPING_ITEM_ID;
+    }
+    
+    lines.push(...buildSalesLines([{
+      itemId,
+      description: shippingCharge.description || 'Shipping',
+      quantity: 1,
+      unitPrice: shippingCharge.amount,
+      taxable: shippingCharge.taxable
+    }], defaults));
+    charges.push({ type: 'shipping', amount: shippingCharge.amount, itemId });
+  }
+  
+  if (handlingCharge) {
+    if (!handlingItem) {
+      return { error: "Handling fees need a handling (or shipping) item in setup preferences" };
+    }
+    
+    lines.push(...buildSalesLines([{
+      itemId: handlingItem.Id,
+      description: handlingCharge.description || 'Handling',
+      quantity: 1,
+      unitPrice: handlingCharge.amount,
+      taxable: handlingCharge.taxable
+    }], defaults));
+    charges.push({ type: 'handling', amount: handlingCharge.amount, itemId: handlingItem.Id });
+  }
+  
+  return { lines, charges };
+}
+
+// Build a QuickBooks ShipAddr from the panel's shipping address, or null if it is empty
+function buildShipAddr(shippingAddress) {
+  if (!shippingAddress || !(shippingAddress.Line1 || shippingAddress.City)) return null;
+  
+  const shipAddr = {};
+  if (shippingAddress.Line1) shipAddr.Line1 = shippingAddress.Line1;
+  if (shippingAddress.Line2) shipAddr.Line2 = shippingAddress.Line2;
+  if (shippingAddress.City) shipAddr.City = shippingAddress.City;
+  if (shippingAddress.CountrySubDivisionCode) {
+    // Convert full state names to 2-letter codes for QuickBooks production API
+    shipAddr.CountrySubDivisionCode = normalizeStateCode(shippingAddress.CountrySubDivisionCode);
+  }
+  if (shippingAddress.PostalCode) shipAddr.PostalCode = shippingAddress.PostalCode;
+  if (shippingAddress.Country) shipAddr.Country = shippingAddress.Country;
+  return shipAddr;
+}
+
+// Email the invoice to the customer through QuickBooks
+async function sendInvoiceEmailStep(actualUserId, userData, invoice, { sendEmail, billEmail }) {
+  if (!sendEmail || !billEmail) {
+    return { status: 'skipped', emailSent: false };
+  }
+  
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  
+  try {
+    console.log('Sending invoice email to:', billEmail);
+    
+    const sendEmailResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+      return await qbClient.makeApiCall({
+        url: `${baseUrl}/v3/company/${realmId}/invoice/${invoice.Id}/send?sendTo=${encodeURIComponent(billEmail)}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Accept': 'application/json'
+        }
+      });
+    });
+    
+    if (sendEmailResponse) {
+      const sendResult = getQBResponseData(sendEmailResponse);
+      if (sendResult.Invoice) {
+        console.log('Invoice email sent successfully');
+        return { status: 'done', emailSent: true };
+      }
+      console.warn('Email send may have failed:', sendResult);
+    }
+  } catch (emailError) {
+    console.error('Error sending invoice email:', emailError);
+    // Don't fail the whole request just because email failed
+  }
+  
+  return { status: 'failed', emailSent: false };
+}
+
+// Pay first (poll for payment) when the term gives zero days and money is owed, otherwise ship now
+function getShipStationPath(term, invoiceBalance) {
+  return isDueOnReceiptTerm(term) && invoiceBalance > 0 ? 'pending_payment' : 'create_order';
+}
+
+// ShipStation integration - create order based on payment terms
+async function shipstationStep(actualUserId, userData, invoice, { paymentTerm }) {
+  if (!userData.shipstation_api_key || userData.shipstation_auto_create === false) {
+    return { status: 'skipped', shipstationOrderCreated: false, shipstationOrderPending: false };
+  }
+  
+  try {
+    const invoiceBalance = parseFloat(invoice.Balance || 0);
+    
+    // QuickBooks may apply the customer's default term when none was sent
+    let term = paymentTerm;
+    if (!term && invoice.SalesTermRef?.value) {
+      term = await findQBTerm(actualUserId, userData, invoice.SalesTermRef.value);
+    }
+    
+    const shipstationPath = getShipStationPath(term, invoiceBalance);
+    
+    console.log(`[ShipStation] Invoice ${invoice.DocNumber} - Payment term: ${term ? `${term.Name} (DueDays: ${term.DueDays})` : 'none'}, Balance: ${invoiceBalance}, Path: ${shipstationPath}`);
+    
+    if (shipstationPath === 'pending_payment') {
+      // Due on Receipt with unpaid balance - add to pending_invoices table for payment poller
+      // Use DocNumber if available, otherwise fall back to Id
+      const invoiceNumberForPending = invoice.DocNumber || invoice.Id;
+      console.log(`[ShipStation] Invoice ${invoiceNumberForPending} - Due on Receipt, pending payment. Adding to pending invoices.`);
+      
+      // addPendingInvoice(invoiceId, invoiceNumber, userId, invoiceData)
+      await addPendingInvoice(
+        invoice.Id,
+        invoiceNumberForPending,
+        actualUserId,
+        invoice  // Store full invoice data for ShipStation order creation
+      );
+      
+      console.log(`[ShipStation] Added invoice ${invoiceNumberForPending} to pending invoices for payment polling`);
+      return { status: 'done', shipstationOrderCreated: false, shipstationOrderPending: true };
+    }
+    
+    // Net 30/60 or paid invoice - create ShipStation order immediately
+    console.log(`[ShipStation] Creating order for invoice ${invoice.DocNumber}`);
+    
+    const ssOrder = await createShipStationOrderFromInvoice(userData, invoice, actualUserId);
+    
+    if (ssOrder && ssOrder.orderId) {
+      console.log(`[ShipStation] Order ${ssOrder.orderId} created for invoice ${invoice.DocNumber}`);
+      return { status: 'done', shipstationOrderCreated: true, shipstationOrderPending: false };
+    }
+  } catch (ssError) {
+    console.error('[ShipStation] Error processing invoice:', ssError.message);
+    // Don't fail the invoice creation just because ShipStation failed
+  }
+  
+  return { status: 'failed', shipstationOrderCreated: false, shipstationOrderPending: false };
+}
+
+// Pipedrive Products Integration - sync invoice line items to deal as products
+async function pipedriveProductsStep(actualUserId, userData, invoice, { dealId, lineItems }) {
+  const emptySync = { synced: 0, skipped: 0, errors: 0 };
+  
+  // Check for either access_token or pipedrive_access_token (both can hold the Pipedrive token)
+  const hasPipedriveToken = !!(userData.access_token || userData.pipedrive_access_token);
+  
+  console.log('[Pipedrive Products] === SYNC CHECK ===');
+  console.log('[Pipedrive Products] dealId:', dealId, 'type:', typeof dealId);
+  console.log('[Pipedrive Products] hasPipedriveToken:', hasPipedriveToken);
+  console.log('[Pipedrive Products] access_token exists:', !!userData.access_token);
+  console.log('[Pipedrive Products] pipedrive_access_token exists:', !!userData.pipedrive_access_token);
+  
+  if (!dealId) {
+    console.log('[Pipedrive Products] Skipping product sync - no deal ID provided');
+    return { status: 'skipped', pipedriveProductsSync: emptySync };
+  }
+  
+  if (!hasPipedriveToken) {
+    console.log('[Pipedrive Products] Skipping product sync - no Pipedrive access token');
+    return { status: 'skipped', pipedriveProductsSync: emptySync };
+  }
+  
+  try {
+    console.log(`[Pipedrive Products] Starting product sync for deal ${dealId} (userId: ${actualUserId})`);
+    const pipedriveProductsSync = await syncInvoiceProductsToDeal(userData, dealId, lineItems, actualUserId);
+    return { status: 'done', pipedriveProductsSync };
+  } catch (pdError) {
+    console.error('[Pipedrive Products] Error syncing products:', pdError.message);
+    // Don't fail the invoice creation just because Pipedrive sync failed
+    return { status: 'failed', pipedriveProductsSync: emptySync };
+  }
+}
+
+// Copy the deal files chosen on the invoice request onto the invoice
+// attachDealFiles: { fileIds, includeOnSend } - runs before the email so included files go with it
+async function dealFilesStep(actualUserId, userData, invoice, { dealId, attachDealFiles }) {
+  if (!attachDealFiles || !Array.isArray(attachDealFiles.fileIds) || attachDealFiles.fileIds.length === 0 || !dealId) {
+    return { status: 'skipped', attachments: null };
+  }
+  
+  try {
+    const attachments = await attachDealFilesToInvoice(actualUserId, userData, {
+      invoiceId: invoice.Id,
+      dealId,
+      fileIds: attachDealFiles.fileIds,
+      includeOnSend: attachDealFiles.includeOnSend !== false
+    });
+    // Files that failed are reported rather than retried, so a resumed request can't attach the rest twice
+    return { status: 'done', attachments };
+  } catch (attachError) {
+    console.error('[Attachments] Error attaching deal files:', attachError.message);
+    // Don't fail the invoice creation just because the attachments failed
+    return { status: 'failed', attachments: { attached: [], failed: [{ error: attachError.message }] } };
+  }
+}
+
+// Record the invoice on the deal's timeline: a note, the PDF as a deal file and, if the email
+// step sent it, an email activity. Payments and shipments are posted later by the deal timeline job
+async function dealTimelineStep(actualUserId, userData, invoice, { dealId, billEmail, steps }) {
+  if (!dealId || !(userData.access_token || userData.pipedrive_access_token)) {
+    return { status: 'skipped', dealTimeline: null };
+  }
+  
+  try {
+    await addDealTimelineInvoice(invoice.Id, invoice.DocNumber, dealId, actualUserId);
+    
+    const outcomes = await postInvoiceCreatedToDeal(actualUserId, userData, invoice, dealId);
+    if (steps.email && steps.email.emailSent) {
+      outcomes.push(await postInvoiceEmailedToDeal(actualUserId, userData, invoice, dealId, billEmail));
+    }
+    
+    // Events already posted are skipped, so a failed step can simply run again
+    const failed = outcomes.filter(outcome => outcome.status === 'failed').length;
+    return {
+      status: failed > 0 ? 'failed' : 'done',
+      dealTimeline: { posted: outcomes.filter(outcome => outcome.status === 'done').length, failed }
+    };
+  } catch (timelineError) {
+    console.error('[Deal Timeline] Error recording invoice on deal:', timelineError.message);
+    // Don't fail the invoice creation just because the deal timeline failed
+    return { status: 'failed', dealTimeline: { posted: 0, failed: 1 } };
+  }
+}
+
+// Move the deal to the stage configured for its pipeline now that it has an invoice
+async function pipelineAutomationStep(actualUserId, userData, invoice, { dealId }) {
+  if (!dealId || !(userData.access_token || userData.pipedrive_access_token)) {
+    return { status: 'skipped', pipelineAutomation: null };
+  }
+  
+  const pipelineAutomation = await runDealAutomation(actualUserId, userData, { trigger: 'invoice_created', invoice, dealId });
+  return {
+    status: pipelineAutomation && pipelineAutomation.status === 'failed' ? 'failed' : (pipelineAutomation ? 'done' : 'skipped'),
+    pipelineAutomation
+  };
+}
+
+// What each step would do, for invoice previews. Plans only read the request and the user's
+// settings; invoiceBalance is the expected invoice total
+function planDealFilesStep(userData, { dealId, attachDealFiles }) {
+  return attachDealFiles && Array.isArray(attachDealFiles.fileIds) && attachDealFiles.fileIds.length > 0 && dealId
+    ? { willAttach: true, fileIds: attachDealFiles.fileIds, includeOnSend: attachDealFiles.includeOnSend !== false }
+    : { willAttach: false };
+}
+
+function planInvoiceEmailStep(userData, { sendEmail, billEmail }) {
+  return {
+    willSend: !!(sendEmail && billEmail),
+    to: billEmail || null
+  };
+}
+
+function planShipstationStep(userData, { paymentTerm, invoiceBalance }) {
+  if (!userData.shipstation_api_key || userData.shipstation_auto_create === false) {
+    return { action: 'none', reason: 'ShipStation not connected or auto-create disabled' };
+  }
+  return { action: getShipStationPath(paymentTerm, invoiceBalance), term: paymentTerm ? paymentTerm.Name : null };
+}
+
+function planPipedriveProductsStep(userData, { dealId, lineItems }) {
+  if (!dealId) return { willSync: false, reason: 'No deal ID provided' };
+  if (!(userData.access_token || userData.pipedrive_access_token)) return { willSync: false, reason: 'No Pipedrive access token' };
+  return { willSync: true, dealId, lineCount: (lineItems || []).length };
+}
+
+function planDealTimelineStep(userData, { dealId, sendEmail, billEmail }) {
+  if (!dealId) return { willPost: false, reason: 'No deal ID provided' };
+  if (!(userData.access_token || userData.pipedrive_access_token)) return { willPost: false, reason: 'No Pipedrive access token' };
+  return { willPost: true, dealId, events: sendEmail && billEmail ? ['note', 'pdf', 'email'] : ['note', 'pdf'] };
+}
+
+// Whether the deal moves depends on its pipeline, which is only read when the invoice is created
+function planPipelineAutomationStep(userData, { dealId }) {
+  if (!dealId) return { willRun: false, reason: 'No deal ID provided' };
+  if (!(userData.access_token || userData.pipedrive_access_token)) return { willRun: false, reason: 'No Pipedrive access token' };
+  
+  const automations = (userData.invoice_preferences || {}).pipelineAutomations || {};
+  const pipelineIds = Object.keys(automations).filter(pipelineId => automations[pipelineId]?.createdStageId);
+  if (pipelineIds.length === 0) {
+    return { willRun: false, reason: 'No pipeline moves deals when an invoice is created' };
+  }
+  return { willRun: true, dealId, trigger: 'invoice_created', pipelineIds };
+}
+
+// Side effects run after an invoice is created, in order. Each step's run returns
+// { status: 'done' | 'skipped' | 'failed', ...result }; its plan is what a preview reports
+const INVOICE_SIDE_EFFECT_STEPS = {
+  attachments: { run: dealFilesStep, plan: planDealFilesStep },
+  email: { run: sendInvoiceEmailStep, plan: planInvoiceEmailStep },
+  shipstation: { run: shipstationStep, plan: planShipstationStep },
+  pipedriveProducts: { run: pipedriveProductsStep, plan: planPipedriveProductsStep },
+  dealTimeline: { run: dealTimelineStep, plan: planDealTimelineStep },
+  pipelineAutomation: { run: pipelineAutomationStep, plan: planPipelineAutomationStep }
+};
+
+// The side-effect plan for an invoice preview, one entry per step runInvoiceSideEffects would run
+function planInvoiceSideEffects(userData, options) {
+  return Object.fromEntries(Object.entries(INVOICE_SIDE_EFFECT_STEPS)
+    .map(([step, { plan }]) => [step, plan(userData, options)]));
+}
+
+// Run everything that happens after an invoice is created in QuickBooks:
+// deal file attachments, email delivery, ShipStation automation, Pipedrive deal product sync,
+// the deal timeline and pipeline automation. None of these steps fail the invoice - each outcome is reported in the result
+// paymentTerm is the resolved QuickBooks Term (if any); otherwise the invoice's own SalesTermRef is used
+// completedSteps (from an earlier attempt) skips steps that already finished; onStepStart is called
+// before and onStepComplete after each step that runs, so callers can hold a lock and persist progress
+async function runInvoiceSideEffects(actualUserId, userData, invoice, options) {
+  const { completedSteps = {}, onStepStart, onStepComplete } = options;
+  const steps = {};
+  
+  for (const [step, { run: runStep }] of Object.entries(INVOICE_SIDE_EFFECT_STEPS)) {
+    const previous = completedSteps[step];
+    if (previous && previous.status !== 'failed') {
+      console.log(`[Invoice Side Effects] Step ${step} already ${previous.status} for invoice ${invoice.DocNumber}, not repeating`);
+      steps[step] = previous;
+      continue;
+    }
+    
+    if (onStepStart) {
+      await onStepStart(step);
+    }
+    
+    // Later steps can see earlier outcomes (the deal timeline records whether the email went out)
+    steps[step] = await runStep(actualUserId, userData, invoice, { ...options, steps });
+    
+    if (onStepComplete) {
+      await onStepComplete(step, steps[step]);
+    }
+  }
+  
+  return {
+    attachments: steps.attachments.attachments,
+    emailSent: !!steps.email.emailSent,
+    shipstationOrderCreated: !!steps.shipstation.shipstationOrderCreated,
+    shipstationOrderPending: !!steps.shipstation.shipstationOrderPending,
+    pipedriveProductsSync: steps.pipedriveProducts.pipedriveProductsSync,
+    dealTimeline: steps.dealTimeline.dealTimeline,
+    pipelineAutomation: steps.pipelineAutomation.pipelineAutomation,
+    steps
+  };
+}
+
+// ============================================
+// QuickBooks Multicurrency
+// ============================================
+
+// Read the home currency and multicurrency flag (cached with the tax setup)
+// Returns null when the company preferences can't be read
+async function getQBCurrencySetup(userId, userData) {
+  try {
+    const taxSetup = await getQBTaxSetup(userId, userData);
+    return { homeCurrency: taxSetup.homeCurrency, multiCurrencyEnabled: taxSetup.multiCurrencyEnabled };
+  } catch (error) {
+    console.error('[Currency] Could not read company currency preferences:', error.message);
+    return null;
+  }
+}
+
+// Look up QuickBooks' rate for converting a currency into the home currency
+// Returns the rate, or null when QuickBooks has none for that date
+async function getQBExchangeRate(userId, userData, currencyCode, asOfDate) {
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  const params = new URLSearchParams({ sourcecurrencycode: currencyCode });
+  if (asOfDate) {
+    params.set('asofdate', asOfDate);
+  }
+  
+  const response = await makeQBApiCall(userId, userData, async (qbClient, currentUserData) => {
+    return await qbClient.makeApiCall({
+      url: `${baseUrl}/v3/company/${realmId}/exchangerate?${params.toString()}&minorversion=65`,
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  });
+  
+  const rate = parseFloat(getQBResponseData(response).ExchangeRate?.Rate);
+  return rate > 0 ? rate : null;
+}
+
+// Work out the currency for an invoice to this customer. QuickBooks bills a customer in the
+// customer's own currency, so a requested currency has to match it
+// Returns { currency: null } for home-currency invoices, { currency: { code, name, homeCurrency,
+// exchangeRate, rateSource } } for foreign ones, or { error }
+async function resolveInvoiceCurrency(userId, userData, { customerId, currency, exchangeRate, txnDate }) {
+  const requested = currency ? String(currency).trim().toUpperCase() : null;
+  const currencySetup = await getQBCurrencySetup(userId, userData);
+  
+  if (!currencySetup || !currencySetup.multiCurrencyEnabled) {
+    if (requested && currencySetup && currencySetup.homeCurrency && requested !== currencySetup.homeCurrency) {
+      return { error: `Multicurrency is not turned on in QuickBooks, so invoices can only be in ${currencySetup.homeCurrency}` };
+    }
+    return { currency: null };
+  }
+  
+  const escapedId = String(customerId).replace(/'/g, "\\'");
+  const customerResult = await runQBQuery(userId, userData, `SELECT * FROM Customer WHERE Id = '${escapedId}'`);
+  const customer = (customerResult.Customer || [])[0];
+  if (!customer) {
+    return { error: `Customer ${customerId} was not found in QuickBooks` };
+  }
+  
+  const homeCurrency = currencySetup.homeCurrency;
+  const code = customer.CurrencyRef?.value || homeCurrency;
+  
+  if (requested && requested !== code) {
+    return { error: `${customer.DisplayName || 'This customer'} is billed in ${code}; QuickBooks can't invoice them in ${requested}` };
+  }
+  
+  if (code === homeCurrency) {
+    return { currency: null };
+  }
+  
+  let rate = null;
+  let rateSource = null;
+  if (exchangeRate !== undefined && exchangeRate !== null && exchangeRate !== '') {
+    rate = parseFloat(exchangeRate);
+    if (!(rate > 0)) {
+      return { error: "Exchange rate must be a positive number" };
+    }
+    rateSource = 'provided';
+  } else {
+    try {
+      rate = await getQBExchangeRate(userId, userData, code, txnDate);
+      rateSource = rate ? 'quickbooks' : null;
+    } catch (error) {
+      // Leave the rate off - QuickBooks applies its own rate for the invoice date
+      console.error(`[Currency] Could not read the ${code} exchange rate:`, error.message);
+    }
+  }
+  
+  return {
+    currency: {
+      code,
+      name: customer.CurrencyRef?.name || code,
+      homeCurrency,
+      exchangeRate: rate,
+      rateSource
+    }
+  };
+}
+
+// Both currencies of a saved invoice, from the rate QuickBooks stored on it
+// Returns null for invoices in the home currency
+function describeInvoiceCurrency(invoice, homeCurrency) {
+  const code = invoice.CurrencyRef?.value;
+  const rate = parseFloat(invoice.ExchangeRate || 1);
+  
+  if (!code || (homeCurrency ? code === homeCurrency : rate === 1)) {
+    return null;
+  }
+  
+  const toHome = amount => Math.round(parseFloat(amount || 0) * rate * 100) / 100;
+  return {
+    code,
+    name: invoice.CurrencyRef.name || code,
+    homeCurrency: homeCurrency || null,
+    exchangeRate: rate,
+    totalAmount: parseFloat(invoice.TotalAmt || 0),
+    homeTotalAmount: invoice.HomeTotalAmt !== undefined ? parseFloat(invoice.HomeTotalAmt) : toHome(invoice.TotalAmt),
+    homeBalance: invoice.HomeBalance !== undefined ? parseFloat(invoice.HomeBalance) : toHome(invoice.Balance)
+  };
+}
+
+// ShipStation order note for an amount paid on a foreign-currency invoice,
+// e.g. "Paid CAD 100.00 (USD 73.00 at 0.73)". Empty for home-currency invoices
+async function buildInvoiceCurrencyNote(userId, userData, invoice, amountPaid) {
+  if (!invoice.CurrencyRef?.value) {
+    return '';
+  }
+  
+  const currencySetup = await getQBCurrencySetup(userId, userData);
+  const currency = describeInvoiceCurrency(invoice, currencySetup?.homeCurrency);
+  if (!currency) {
+    return '';
+  }
+  
+  const homeAmount = (Math.round(amountPaid * currency.exchangeRate * 100) / 100).toFixed(2);
+  return `Paid ${currency.code} ${amountPaid.toFixed(2)} (${currency.homeCurrency || 'home currency'} ${homeAmount} at ${currency.exchangeRate})`;
+}
+
+// ============================================
+// QuickBooks Class, Department and Custom Field Tagging
+// ============================================
+
+// Where an invoice tag can be read from on a Pipedrive deal. Anything else is a deal field key
+// invoiceTagging preferences: {
+//   class: { source: 'pipeline' | 'stage' | 'owner' | '<deal field key>', map: { '<deal value>': '<Class Id>' }, defaultId },
+//   department: { ...same, mapping to Department Ids },
+//   customFields: { '<DefinitionId>': '<deal field key, or title>' }
+// }
+const INVOICE_TAG_SOURCES = {
+  pipeline: deal => deal.pipeline_id,
+  stage: deal => deal.stage_id,
+  owner: deal => deal.user_id?.id ?? deal.user_id
+};
+
+// QuickBooks custom field values are limited to 31 characters
+const QB_CUSTOM_FIELD_MAX_LENGTH = 31;
+
+// A deal field's value as text: option labels for single/multiple option fields,
+// names for person/organization/user fields
+function readDealFieldText(deal, fieldKey, dealFields) {
+  const value = deal[fieldKey];
+  if (value === null || value === undefined || value === '') return null;
+  
+  const field = dealFields.find(entry => entry.key === fieldKey);
+  if (field && Array.isArray(field.options) && field.options.length > 0) {
+    const labels = String(value).split(',').map(id => field.options.find(option => String(option.id) === id.trim())?.label || id);
+    return labels.join(', ');
+  }
+  
+  if (typeof value === 'object') {
+    return value.name || value.value || null;
+  }
+  return String(value);
+}
+
+// Pick the QuickBooks ID a class/department rule maps this deal to (or the rule's default)
+function mapDealToTag(deal, rule) {
+  if (!rule || !rule.source) return null;
+  
+  const readSource = INVOICE_TAG_SOURCES[rule.source];
+  let value = readSource ? readSource(deal) : deal[rule.source];
+  if (value && typeof value === 'object') {
+    value = value.id ?? value.value;
+  }
+  
+  const map = rule.map || {};
+  // Multiple option fields hold comma-separated option IDs - the first mapped one wins
+  const candidates = value === null || value === undefined ? [] : String(value).split(',').map(entry => entry.trim());
+  const mapped = candidates.map(candidate => map[candidate]).find(Boolean);
+  return mapped || rule.defaultId || null;
+}
+
+// Resolve the class, department and custom field values for an invoice
+// Explicit request values win; the rest come from the deal through the invoiceTagging preferences
+// Returns { classId, departmentId, customFields, classTracking, appliedDefaults } or { error }
+async function resolveInvoiceTagging(userId, userData, { classId, departmentId, customFields, dealId }) {
+  const tagging = (userData.invoice_preferences || {}).invoiceTagging || {};
+  const appliedDefaults = {};
+  
+  let taxSetup = null;
+  try {
+    taxSetup = await getQBTaxSetup(userId, userData);
+  } catch (error) {
+    console.error('[Tagging] Could not read company preferences:', error.message);
+  }
+  
+  if (classId && taxSetup && !taxSetup.classTracking) {
+    return { error: "Class tracking is turned off in QuickBooks" };
+  }
+  if (departmentId && taxSetup && !taxSetup.trackDepartments) {
+    return { error: `${taxSetup.departmentTerminology} tracking is turned off in QuickBooks` };
+  }
+  
+  // Custom fields in the request may name the field instead of giving its DefinitionId
+  const definitions = taxSetup ? taxSetup.customFields : [];
+  const values = new Map();
+  if (customFields !== undefined && !Array.isArray(customFields)) {
+    return { error: "customFields must be an array of { definitionId or name, value }" };
+  }
+  for (const entry of customFields || []) {
+    const definition = definitions.find(field =>
+      (entry.definitionId && field.definitionId === String(entry.definitionId)) ||
+      (entry.name && field.name.toLowerCase() === String(entry.name).toLowerCase()));
+    if (!definition) {
+      return { error: `Unknown QuickBooks custom field "${entry.definitionId || entry.name}"` };
+    }
+    values.set(definition.definitionId, entry.value);
+  }
+  
+  let resolvedClassId = classId || null;
+  let resolvedDepartmentId = departmentId || null;
+  const hasPipedriveToken = !!(userData.access_token || userData.pipedrive_access_token);
+  const wantsClass = !resolvedClassId && tagging.class?.source && (!taxSetup || taxSetup.classTracking);
+  const wantsDepartment = !resolvedDepartmentId && tagging.department?.source && (!taxSetup || taxSetup.trackDepartments);
+  const wantedFields = definitions.filter(field => !values.has(field.definitionId) && (tagging.customFields || {})[field.definitionId]);
+  
+  if (dealId && hasPipedriveToken && (wantsClass || wantsDepartment || wantedFields.length > 0)) {
+    try {
+      const dealResult = await makePipedriveApiCall(userData, 'GET', `/api/v1/deals/${dealId}`, null, userId);
+      const deal = dealResult?.data;
+      
+      if (deal) {
+        if (wantsClass) {
+          resolvedClassId = mapDealToTag(deal, tagging.class);
+          if (resolvedClassId) appliedDefaults.classId = resolvedClassId;
+        }
+        if (wantsDepartment) {
+          resolvedDepartmentId = mapDealToTag(deal, tagging.department);
+          if (resolvedDepartmentId) appliedDefaults.departmentId = resolvedDepartmentId;
+        }
+        if (wantedFields.length > 0) {
+          const fieldsResult = await makePipedriveApiCall(userData, 'GET', '/api/v1/dealFields?limit=500', null, userId);
+          for (const field of wantedFields) {
+            const text = readDealFieldText(deal, tagging.customFields[field.definitionId], fieldsResult?.data || []);
+            if (text) {
+              values.set(field.definitionId, text);
+              appliedDefaults.customFields = { ...appliedDefaults.customFields, [field.name]: text };
+            }
+          }
+        }
+      }
+    } catch (dealError) {
+      console.error(`[Tagging] Could not read deal ${dealId} for invoice tags:`, dealError.message);
+    }
+  }
+  
+  const invoiceCustomFields = [];
+  for (const [definitionId, value] of values) {
+    if (value === null || value === undefined || value === '') continue;
+    invoiceCustomFields.push({
+      DefinitionId: definitionId,
+      Name: definitions.find(field => field.definitionId === definitionId).name,
+      Type: 'StringType',
+      StringValue: String(value).slice(0, QB_CUSTOM_FIELD_MAX_LENGTH)
+    });
+  }
+  
+  return {
+    classId: resolvedClassId,
+    departmentId: resolvedDepartmentId,
+    customFields: invoiceCustomFields,
+    classTracking: taxSetup ? taxSetup.classTracking : 'transaction',
+    appliedDefaults
+  };
+}
+
+// Set the resolved tags on an invoice payload; per-line class tracking puts the class on each sales line
+function applyInvoiceTagging(invoiceData, tagging) {
+  if (tagging.classId) {
+    if (tagging.classTracking === 'line') {
+      for (const line of invoiceData.Line) {
+        if (line.DetailType === 'SalesItemLineDetail' && !line.SalesItemLineDetail.ClassRef) {
+          line.SalesItemLineDetail.ClassRef = { value: tagging.classId };
+        }
+      }
+    } else {
+      invoiceData.ClassRef = { value: tagging.classId };
+    }
+  }
+  
+  if (tagging.departmentId) {
+    invoiceData.DepartmentRef = { value: tagging.departmentId };
+  }
+  
+  if (tagging.customFields.length > 0) {
+    invoiceData.CustomField = tagging.customFields;
+  }
+}
+
+// ============================================
+// Invoice Creation
+// ============================================
+
+// Build the QuickBooks invoice payload for an invoice request (from the panel or a recurring schedule)
+// Returns { error } when the request can't be turned into an invoice
+async function buildInvoicePayload(actualUserId, userData, request) {
+  const { customerId, customerEmail, lineItems, dueDate, memo, paymentTerms, shippingAddress, discount, discounts, shipping, handling, dealId, txnTaxCodeId, currency, exchangeRate, classId, departmentId, customFields } = request;
+  
+  if (!customerId) {
+    return { error: "Customer ID is required" };
+  }
+  
+  if (!lineItems || !Array.isArray(lineItems) || lineItems.length === 0) {
+    return { error: "At least one line item is required" };
+  }
+  
+  // Foreign customers are invoiced in their own currency, at a given or QuickBooks rate
+  const currencyResult = await resolveInvoiceCurrency(actualUserId, userData, { customerId, currency, exchangeRate });
+  if (currencyResult.error) {
+    return { error: currencyResult.error };
+  }
+  const invoiceCurrency = currencyResult.currency;
+  
+  // Class, department and custom fields - from the request, else mapped from the deal
+  const tagging = await resolveInvoiceTagging(actualUserId, userData, { classId, departmentId, customFields, dealId });
+  if (tagging.error) {
+    return { error: tagging.error };
+  }
+  
+  // Resolve payment terms to a real QuickBooks Term (accepts a Term ID or name)
+  let paymentTerm = null;
+  if (paymentTerms) {
+    paymentTerm = await findQBTerm(actualUserId, userData, paymentTerms);
+    if (!paymentTerm) {
+      return { error: `Unknown payment terms "${paymentTerms}". Choose terms that exist in QuickBooks.` };
+    }
+  }
+  
+  // An explicit due date wins, then the term's due date, then the setup preferences
+  const termDueDate = computeDueDateFromTerm(paymentTerm);
+  
+  // Fill in due date, tax code, income account and bill-to email from saved setup preferences
+  const defaults = await resolveInvoiceDefaults(actualUserId, userData, { dueDate: dueDate || termDueDate, customerEmail, lineItems, dealId });
+  const billEmail = defaults.customerEmail;
+  
+  // Resolve line tax codes and the transaction tax code for this company's tax setup
+  const tax = await applyInvoiceTax(actualUserId, userData, defaults, txnTaxCodeId);
+  
+  // Build invoice object
+  const invoiceLines = buildSalesLines(lineItems, defaults);
+  
+  // Add per-line and order discount lines if provided
+  const discountResult = await resolveDiscountLines(actualUserId, userData, lineItems, { discount, discounts }, defaults);
+  if (discountResult.error) {
+    return { error: discountResult.error };
+  }
+  invoiceLines.push(...discountResult.lines);
+  
+  // Shipping and handling are listed after the discounts, which are worked out from the item lines only
+  const chargeResult = await resolveChargeLines(actualUserId, userData, { shipping, handling }, defaults);
+  if (chargeResult.error) {
+    return { error: chargeResult.error };
+  }
+  invoiceLines.push(...chargeResult.lines);
+  
+  const invoiceData = {
+    CustomerRef: {
+      value: customerId
+    },
+    Line: invoiceLines
+  };
+  
+  // Prices and charges are in the customer's currency; the rate converts them to the home currency
+  if (invoiceCurrency) {
+    invoiceData.CurrencyRef = { value: invoiceCurrency.code, name: invoiceCurrency.name };
+    if (invoiceCurrency.exchangeRate) {
+      invoiceData.ExchangeRate = invoiceCurrency.exchangeRate;
+    }
+  }
+  
+  // Add due date if provided (or computed from preferences)
+  if (defaults.dueDate) {
+    invoiceData.DueDate = defaults.dueDate;
+  }
+  
+  applyInvoiceTagging(invoiceData, tagging);
+  Object.assign(defaults.appliedDefaults, tagging.appliedDefaults);
+  
+  // Add transaction tax (omitted with automated sales tax - QuickBooks calculates it)
+  if (tax && tax.txnTaxDetail) {
+    invoiceData.TxnTaxDetail = tax.txnTaxDetail;
+  }
+  if (tax && tax.globalTaxCalculation) {
+    invoiceData.GlobalTaxCalculation = tax.globalTaxCalculation;
+  }
+  
+  // Add memo/private note if provided
+  if (memo) {
+    invoiceData.PrivateNote = memo;
+  }
+  
+  // Add payment terms as a proper SalesTermRef
+  if (paymentTerm) {
+    invoiceData.SalesTermRef = {
+      value: paymentTerm.Id,
+      name: paymentTerm.Name
+    };
+  }
+  
+  // Add shipping address if provided
+  const shipAddr = buildShipAddr(shippingAddress);
+  if (shipAddr) {
+    invoiceData.ShipAddr = shipAddr;
+  }
+  
+  // Add customer email for invoice delivery
+  if (billEmail) {
+    invoiceData.BillEmail = {
+      Address: billEmail
+    };
+  }
+  
+  return { invoiceData, paymentTerm, defaults, tax, billEmail, charges: chargeResult.charges, currency: invoiceCurrency };
+}
+
+// Create an invoice in QuickBooks and run its email, ShipStation and Pipedrive side effects
+// Shared by POST /api/invoices and the recurring invoice job; returns the API response body
+// (with a status code on failure)
+// Options for retry-safe callers:
+//   requestId - sent to QuickBooks as requestid so a repeated create returns the original invoice
+//   existingInvoiceId - invoice already created by an earlier attempt; skip creation and resume
+//   onInvoiceCreated(invoice), completedSteps, onStepStart(step), onStepComplete(step, outcome) - progress tracking
+async function createInvoice(actualUserId, userData, request, options = {}) {
+  const { lineItems, sendEmail, dealId, attachDealFiles } = request;
+  const { requestId, existingInvoiceId, onInvoiceCreated, completedSteps, onStepStart, onStepComplete } = options;
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  
+  const payload = await buildInvoicePayload(actualUserId, userData, request);
+  if (payload.error) {
+    return { success: false, status: 400, error: payload.error };
+  }
+  
+  const { invoiceData, paymentTerm, defaults, tax, billEmail, currency } = payload;
+  
+  let invoice = null;
+  
+  if (existingInvoiceId) {
+    console.log(`Resuming invoice ${existingInvoiceId} created by an earlier attempt`);
+    invoice = await getQBInvoice(actualUserId, userData, existingInvoiceId);
+    if (!invoice) {
+      return { success: false, status: 500, error: `Invoice ${existingInvoiceId} from an earlier attempt was not found in QuickBooks` };
+    }
+  } else {
+    console.log('Creating invoice with data:', JSON.stringify(invoiceData, null, 2));
+    
+    const requestIdParam = requestId ? `?requestid=${encodeURIComponent(requestId)}` : '';
+    const createResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+      return await qbClient.makeApiCall({
+        url: `${baseUrl}/v3/company/${realmId}/invoice${requestIdParam}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(invoiceData)
+      });
+    });
+    
+    if (!createResponse) {
+      return { success: false, status: 500, error: "Invalid response from QuickBooks" };
+    }
+    
+    const result = getQBResponseData(createResponse);
+    
+    if (!result.Invoice) {
+      console.error('Invoice creation failed:', result);
+      return {
+        success: false,
+        status: 500,
+        error: result.Fault?.Error?.[0]?.Message || "Failed to create invoice"
+      };
+    }
+    
+    invoice = result.Invoice;
+    console.log('Invoice created successfully:', invoice.Id);
+    
+    if (onInvoiceCreated) {
+      await onInvoiceCreated(invoice);
+    }
+  }
+  
+  const sideEffects = await runInvoiceSideEffects(actualUserId, userData, invoice, {
+    sendEmail,
+    billEmail,
+    paymentTerm,
+    dealId,
+    lineItems,
+    attachDealFiles,
+    completedSteps,
+    onStepStart,
+    onStepComplete
+  });
+  
+  return {
+    success: true,
+    ...sideEffects,
+    appliedDefaults: defaults.appliedDefaults,
+    invoice: {
+      id: invoice.Id,
+      docNumber: invoice.DocNumber,
+      totalAmount: invoice.TotalAmt,
+      dueDate: invoice.DueDate,
+      balance: invoice.Balance,
+      salesTerm: invoice.SalesTermRef || null,
+      // Foreign-currency invoices: the rate QuickBooks used and the totals in the home currency
+      currency: describeInvoiceCurrency(invoice, currency ? currency.homeCurrency : null)
+    },
+    // Totals as calculated by QuickBooks (including automated sales tax)
+    tax: buildTaxBreakdown(invoice, tax && tax.taxSetup),
+    // Pre-tax total QuickBooks returned, checked against the lines and discounts that were sent
+    totalsCheck: verifyInvoiceTotals(invoiceData, invoice)
+  };
+}
+
+// ============================================
+// Deal File Attachments
+// ============================================
+
+// Copy deal files onto a QuickBooks invoice. Only files that belong to the deal are accepted.
+// Returns { attached: [...], failed: [...] } - one file failing doesn't stop the others
+async function attachDealFilesToInvoice(userId, userData, { invoiceId, dealId, fileIds, includeOnSend }) {
+  const dealFiles = await listDealFiles(userData, dealId, userId);
+  const filesById = new Map(dealFiles.map(file => [String(file.id), file]));
+  
+  const attached = [];
+  const failed = [];
+  
+  for (const fileId of [...new Set(fileIds.map(String))]) {
+    const file = filesById.get(fileId);
+    
+    if (!file) {
+      failed.push({ fileId, error: `File ${fileId} is not attached to deal ${dealId}` });
+      continue;
+    }
+    
+    if (file.file_size > QB_MAX_ATTACHMENT_BYTES) {
+      failed.push({ fileId, fileName: file.name, error: 'File is larger than the 100 MB QuickBooks allows' });
+      continue;
+    }
+    
+    try {
+      const content = await downloadPipedriveFile(userData, file.id);
+      const attachable = await uploadQBAttachable(userId, userData, {
+        entityType: 'Invoice',
+        entityId: invoiceId,
+        fileName: file.name,
+        contentType: file.file_type && file.file_type.includes('/') ? file.file_type : 'application/octet-stream',
+        content,
+        includeOnSend
+      });
+      
+      console.log(`[Attachments] Deal file ${file.name} (${file.id}) attached to invoice ${invoiceId} as Attachable ${attachable.Id}`);
+      attached.push({ fileId, fileName: file.name, attachableId: attachable.Id, size: attachable.Size || file.file_size });
+    } catch (fileError) {
+      console.error(`[Attachments] Could not attach deal file ${file.id} to invoice ${invoiceId}:`, fileError.message);
+      failed.push({ fileId, fileName: file.name, error: fileError.message });
+    }
+  }
+  
+  return { attached, failed };
+}
+
+// ============================================
+// Deal Invoice Drafts
+// ============================================
+
+// Find active QuickBooks items by SKU; returns a Map of SKU -> Item
+async function findQBItemsBySku(userId, userData, skus) {
+  const itemsBySku = new Map();
+  const uniqueSkus = [...new Set(skus.filter(Boolean))];
+  
+  // Keep each IN list to a reasonable query length
+  for (let i = 0; i < uniqueSkus.length; i += 50) {
+    const chunk = uniqueSkus.slice(i, i + 50);
+    const skuList = chunk.map(sku => `'${String(sku).replace(/'/g, "\\'")}'`).join(', ');
+    const result = await runQBQuery(userId, userData, `SELECT * FROM Item WHERE Active = true AND Sku IN (${skuList})`);
+    for (const item of result.Item || []) {
+      if (item.Sku && !itemsBySku.has(item.Sku)) {
+        itemsBySku.set(item.Sku, item);
+      }
+    }
+  }
+  
+  return itemsBySku;
+}
+
+// Turn Pipedrive deal-level discounts into the invoice panel's { type, value } discount
+// A single discount maps directly; several are combined into one fixed amount
+function combineDealDiscounts(dealDiscounts, subtotal) {
+  if (dealDiscounts.length === 0 || subtotal <= 0) return null;
+  
+  if (dealDiscounts.length === 1) {
+    const only = dealDiscounts[0];
+    return {
+      type: only.type === 'percentage' ? 'percent' : 'amount',
+      value: parseFloat(only.amount) || 0
+    };
+  }
+  
+  // Apply each discount in turn to what is left of the subtotal
+  let remaining = subtotal;
+  for (const dealDiscount of dealDiscounts) {
+    const value = parseFloat(dealDiscount.amount) || 0;
+    remaining -= dealDiscount.type === 'percentage' ? remaining * (value / 100) : value;
+  }
+  
+  return {
+    type: 'amount',
+    value: Math.round(Math.min(subtotal, subtotal - Math.max(remaining, 0)) * 100) / 100
+  };
+}
+
+// Build ready-to-submit invoice line items from the products attached to a deal
+// Shared by the invoice draft endpoint and bulk invoicing; needs Pipedrive and QuickBooks tokens
+async function buildDealInvoiceDraft(actualUserId, userData, dealId) {
+  const [dealProducts, dealDiscounts, dealMapping] = await Promise.all([
+    getDealProducts(userData, dealId, actualUserId),
+    getDealDiscounts(userData, dealId, actualUserId),
+    getDealMapping(userData.pipedrive_user_id, dealId)
+  ]);
+  
+  // Product code is the SKU shared with QuickBooks
+  const productCode = (dealProduct) => (dealProduct.product?.code || dealProduct.code || '').trim();
+  const itemsBySku = await findQBItemsBySku(actualUserId, userData, dealProducts.map(productCode));
+  
+  const lineItems = [];
+  const unmatched = [];
+  
+  for (const dealProduct of dealProducts) {
+    const sku = productCode(dealProduct);
+    const name = dealProduct.name || dealProduct.product?.name || 'Unnamed Product';
+    
+    if (!sku) {
+      unmatched.push({ productId: dealProduct.product_id, name, sku: null, reason: 'Product has no code (SKU) in Pipedrive' });
+      continue;
+    }
+    
+    const qbItem = itemsBySku.get(sku);
+    if (!qbItem) {
+      unmatched.push({ productId: dealProduct.product_id, name, sku, reason: 'No active QuickBooks item with this SKU' });
+      continue;
+    }
+    
+    const quantity = parseFloat(dealProduct.quantity) || 1;
+    const itemPrice = parseFloat(dealProduct.item_price) || 0;
+    
+    // Pipedrive line discounts are folded into the unit price (amount discounts apply to the whole line)
+    const lineDiscount = parseFloat(dealProduct.discount) || 0;
+    let lineTotal = quantity * itemPrice;
+    if (lineDiscount > 0) {
+      lineTotal -= dealProduct.discount_type === 'amount' ? lineDiscount : lineTotal * (lineDiscount / 100);
+    }
+    const unitPrice = Math.round((Math.max(lineTotal, 0) / quantity) * 10000) / 10000;
+    
+    lineItems.push({
+      itemId: qbItem.Id,
+      name: qbItem.Name,
+      description: dealProduct.comments || qbItem.Description || name,
+      quantity,
+      unitPrice,
+      sku,
+      pipedriveProductId: dealProduct.product_id,
+      pipedriveDiscount: lineDiscount > 0 ? { type: dealProduct.discount_type === 'amount' ? 'amount' : 'percent', value: lineDiscount } : null
+    });
+  }
+  
+  const subtotal = lineItems.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+  const discount = combineDealDiscounts(dealDiscounts, subtotal);
+  
+  console.log(`[Invoice Draft] Deal ${dealId}: ${lineItems.length} matched, ${unmatched.length} unmatched, ${dealDiscounts.length} deal discount(s)`);
+  
+  return {
+    dealId: String(dealId),
+    customerId: dealMapping?.qbCustomerId || null,
+    customerName: dealMapping?.customerName || null,
+    lineItems,
+    discount,
+    dealDiscounts: dealDiscounts.map(dealDiscount => ({
+      description: dealDiscount.description || '',
+      type: dealDiscount.type,
+      amount: parseFloat(dealDiscount.amount) || 0
+    })),
+    subtotal: Math.round(subtotal * 100) / 100,
+    unmatched
+  };
+}
+
+// ============================================
+// Batch Invoice Creation
+// ============================================
+
+// Create up to 30 invoices in one QuickBooks batch request
+// entries: [{ bId, invoiceData }]; returns a Map of bId -> { invoice } or { error }
+// requestId makes a repeated batch return the original result instead of creating duplicates
+async function createInvoicesInBatch(actualUserId, userData, entries, requestId) {
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  
+  const requestIdParam = requestId ? `?requestid=${encodeURIComponent(requestId)}` : '';
+  const batchResponse = await makeQBApiCall(actualUserId, userData, async (qbClient, currentUserData) => {
+    return await qbClient.makeApiCall({
+      url: `${baseUrl}/v3/company/${realmId}/batch${requestIdParam}`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({
+        BatchItemRequest: entries.map(entry => ({
+          bId: entry.bId,
+          operation: 'create',
+          Invoice: entry.invoiceData
+        }))
+      })
+    });
+  });
+  
+  if (!batchResponse) {
+    throw new Error('Invalid response from QuickBooks');
+  }
+  
+  const outcomes = new Map();
+  for (const itemResponse of getQBResponseData(batchResponse).BatchItemResponse || []) {
+    if (itemResponse.Invoice) {
+      outcomes.set(itemResponse.bId, { invoice: itemResponse.Invoice });
+    } else {
+      const fault = itemResponse.Fault?.Error?.[0];
+      outcomes.set(itemResponse.bId, { error: fault?.Detail || fault?.Message || 'Failed to create invoice' });
+    }
+  }
+  
+  return outcomes;
+}
+
+// ============================================
+// ShipStation Orders
+// ============================================
+
+// What has been paid on an invoice so far
+function getInvoiceAmountPaid(invoice) {
+  return Math.round((parseFloat(invoice.TotalAmt || 0) - parseFloat(invoice.Balance || 0)) * 100) / 100;
+}
+
+// ShipStation order for a QuickBooks invoice, used both when an invoice is created and by the payment poller
+// Shipping and handling lines become the order's shipping amount, and per-line discounts (negative lines)
+// aren't goods to ship. Amounts stay in the invoice's currency; currencyNote adds the home-currency amount
+function mapInvoiceToShipStationOrder(invoice, orderNumber, { preferences = {}, currencyNote = '' } = {}) {
+  const invoiceNumber = invoice.DocNumber || invoice.Id;
+  
+  // ShipStation requires 2-letter ISO country codes, so the country is normalized
+  const shipTo = {
+    name: invoice.CustomerRef?.name || invoice.ShipAddr?.Line1 || 'Customer',
+    street1: invoice.ShipAddr?.Line1 || invoice.BillAddr?.Line1 || '',
+    street2: invoice.ShipAddr?.Line2 || invoice.BillAddr?.Line2 || '',
+    city: invoice.ShipAddr?.City || invoice.BillAddr?.City || '',
+    state: invoice.ShipAddr?.CountrySubDivisionCode || invoice.BillAddr?.CountrySubDivisionCode || '',
+    postalCode: invoice.ShipAddr?.PostalCode || invoice.BillAddr?.PostalCode || '',
+    country: normalizeCountryCode(invoice.ShipAddr?.Country || invoice.BillAddr?.Country || 'US'),
+    phone: invoice.ShipAddr?.Phone || '',
+    email: invoice.BillEmail?.Address || ''
+  };
+  
+  const items = [];
+  let shippingAmount = 0;
+  (invoice.Line || []).forEach(line => {
+    if (line.DetailType !== 'SalesItemLineDetail' || !line.SalesItemLineDetail) return;
+    if (isShippingChargeLine(line, preferences)) {
+      shippingAmount += parseFloat(line.Amount || 0);
+    } else if (!isDiscountSalesLine(line)) {
+      items.push({
+        name: line.SalesItemLineDetail.ItemRef?.name || line.Description || 'Item',
+        quantity: line.SalesItemLineDetail.Qty || 1,
+        unitPrice: line.SalesItemLineDetail.UnitPrice || line.Amount || 0,
+        sku: line.SalesItemLineDetail.Sku || ''
+      });
+    }
+  });
+  
+  return {
+    orderNumber,
+    orderDate: invoice.TxnDate || new Date().toISOString().split('T')[0],
+    orderStatus: 'awaiting_shipment',
+    billTo: shipTo,
+    shipTo,
+    items,
+    shippingAmount: Math.round(shippingAmount * 100) / 100,
+    amountPaid: getInvoiceAmountPaid(invoice),
+    customerEmail: invoice.BillEmail?.Address || '',
+    internalNotes: `QuickBooks Invoice #${invoiceNumber}${currencyNote ? ` - ${currencyNote}` : ''}`,
+    advancedOptions: {
+      customField1: `QB_Invoice_${invoice.Id}`,
+      customField2: invoice.CustomerRef?.value || ''
+    }
+  };
+}
+
+// mapInvoiceToShipStationOrder with the user's preferences and, for foreign-currency invoices, the currency note
+async function buildShipStationOrder(userId, userData, invoice, orderNumber) {
+  const currencyNote = await buildInvoiceCurrencyNote(userId, userData, invoice, getInvoiceAmountPaid(invoice));
+  return mapInvoiceToShipStationOrder(invoice, orderNumber, {
+    preferences: userData.invoice_preferences || {},
+    currencyNote
+  });
+}
+
+// Helper function to create ShipStation order from QuickBooks invoice, with the user's own ShipStation account
+async function createShipStationOrderFromInvoice(userData, invoice, userId) {
+  if (!userData.shipstation_api_key || !userData.shipstation_api_secret) {
+    throw new Error('ShipStation not connected');
+  }
+  
+  const invoiceId = invoice.Id;
+  const invoiceNumber = invoice.DocNumber || invoice.Id;
+  
+  // Step 1: Check if we already have a mapping for this invoice
+  try {
+    const existingMapping = await getInvoiceMapping(invoiceId);
+    if (existingMapping && existingMapping.shipstationOrderId) {
+      console.log(`[ShipStation] Invoice ${invoiceNumber} already mapped to order ${existingMapping.shipstationOrderNumber} (ID: ${existingMapping.shipstationOrderId})`);
+      return {
+        orderId: existingMapping.shipstationOrderId,
+        orderNumber: existingMapping.shipstationOrderNumber,
+        alreadyExists: true,
+        fromMapping: true
+      };
+    }
+  } catch (mappingError) {
+    console.warn(`[ShipStation] Could not check invoice mapping:`, mappingError.message);
+  }
+  
+  // Step 2: Generate unique order number with tenant prefix
+  const orderNumber = buildShipStationOrderNumber(userId, invoiceNumber);
+  console.log(`[ShipStation] Generated order number: ${orderNumber} for invoice ${invoiceNumber}`);
+  
+  // Step 3: Check if order already exists in ShipStation with this number
+  try {
+    const existingOrders = await makeShipStationApiCall(userData, 'GET', `/orders?orderNumber=${encodeURIComponent(orderNumber)}`);
+    if (existingOrders.orders && existingOrders.orders.length > 0) {
+      const existingOrder = existingOrders.orders[0];
+      console.log(`[ShipStation] Order ${orderNumber} already exists (ID: ${existingOrder.orderId}), saving mapping`);
+      
+      // Save the mapping for future lookups
+      await setInvoiceMapping(invoiceId, invoiceNumber, existingOrder.orderId, existingOrder.orderNumber, 'existing');
+      
+      return {
+        orderId: existingOrder.orderId,
+        orderNumber: existingOrder.orderNumber,
+        alreadyExists: true
+      };
+    }
+  } catch (dupeCheckError) {
+    console.warn(`[ShipStation] Could not check for existing order ${orderNumber}:`, dupeCheckError.message);
+  }
+  
+  // Step 4: Map the invoice to a ShipStation order
+  const shipstationOrder = await buildShipStationOrder(userId, userData, invoice, orderNumber);
+  
+  console.log(`[ShipStation] Creating order - Number: ${shipstationOrder.orderNumber}, Customer: ${shipstationOrder.shipTo.name}, Items: ${shipstationOrder.items.length}, Amount: $${shipstationOrder.amountPaid.toFixed(2)}`);
+  
+  // Create order in ShipStation
+  const createdOrder = await makeShipStationApiCall(userData, 'POST', '/orders/createorder', shipstationOrder);
+  
+  console.log(`[ShipStation] Order created successfully - ID: ${createdOrder.orderId}, Number: ${createdOrder.orderNumber}`);
+  
+  // Step 5: Save the mapping for future lookups
+  try {
+    await setInvoiceMapping(invoiceId, invoiceNumber, createdOrder.orderId, createdOrder.orderNumber, 'created');
+    console.log(`[ShipStation] Saved invoice mapping: ${invoiceNumber} -> ${createdOrder.orderNumber}`);
+  } catch (mappingSaveError) {
+    console.error(`[ShipStation] Failed to save invoice mapping:`, mappingSaveError.message);
+  }
+  
+  return createdOrder;
+}
+
+// Cancel the ShipStation order created for an invoice, or put it on hold if it can't be cancelled
+// The order is looked up in the user's own ShipStation account
+async function cancelShipStationOrderForInvoice(userData, invoiceId) {
+  const mapping = await getInvoiceMapping(invoiceId);
+  if (!mapping || !mapping.shipstationOrderId) {
+    return { action: 'none' };
+  }
+  
+  if (!userData.shipstation_api_key || !userData.shipstation_api_secret) {
+    return { action: 'none', orderId: mapping.shipstationOrderId, error: 'ShipStation not connected' };
+  }
+  
+  const orderId = mapping.shipstationOrderId;
+  const order = await makeShipStationApiCall(userData, 'GET', `/orders/${orderId}`);
+  
+  if (order.orderStatus === 'shipped') {
+    console.log(`[ShipStation] Order ${orderId} has already shipped, leaving it as is`);
+    return { action: 'none', orderId, orderStatus: 'shipped', error: 'Order has already shipped' };
+  }
+  
+  if (order.orderStatus === 'cancelled') {
+    return { action: 'cancelled', orderId, orderStatus: 'cancelled' };
+  }
+  
+  try {
+    // ShipStation has no cancel endpoint - createorder with the same orderKey updates the order
+    await makeShipStationApiCall(userData, 'POST', '/orders/createorder', {
+      ...order,
+      orderStatus: 'cancelled'
+    });
+    console.log(`[ShipStation] Order ${orderId} cancelled`);
+    return { action: 'cancelled', orderId, orderStatus: 'cancelled' };
+  } catch (cancelError) {
+    console.error(`[ShipStation] Could not cancel order ${orderId}, placing it on hold:`, cancelError.message);
+    
+    const holdUntil = new Date();
+    holdUntil.setFullYear(holdUntil.getFullYear() + 1);
+    await makeShipStationApiCall(userData, 'POST', '/orders/holduntil', {
+      orderId: parseInt(orderId, 10),
+      holdUntilDate: formatQBDate(holdUntil)
+    });
+    console.log(`[ShipStation] Order ${orderId} on hold until ${formatQBDate(holdUntil)}`);
+    return { action: 'held', orderId, orderStatus: 'on_hold' };
+  }
+}
+
+module.exports = {
+  normalizeCountryCode,
+  normalizeStateCode,
+  formatQBDate,
+  computeDueDateFromPreferences,
+  resolveInvoiceDefaults,
+  pickPersonEmail,
+  getQBTerms,
+  findQBTerm,
+  computeDueDateFromTerm,
+  isDueOnReceiptTerm,
+  getQBTaxSetup,
+  parseSalesCustomFields,
+  findTaxCodeForRate,
+  resolveInvoiceTax,
+  applyInvoiceTax,
+  buildTaxBreakdown,
+  estimateInvoiceTax,
+  buildSalesLines,
+  copySalesDocumentLines,
+  buildInvoiceFromEstimate,
+  buildDiscountLines,
+  resolveDiscountLines,
+  verifyInvoiceTotals,
+  normalizeCharge,
+  resolveChargeLines,
+  buildShipAddr,
+  getShipStationPath,
+  planInvoiceSideEffects,
+  runInvoiceSideEffects,
+  getQBCurrencySetup,
+  getQBExchangeRate,
+  resolveInvoiceCurrency,
+  describeInvoiceCurrency,
+  buildInvoiceCurrencyNote,
+  readDealFieldText,
+  mapDealToTag,
+  resolveInvoiceTagging,
+  applyInvoiceTagging,
+  buildInvoicePayload,
+  createInvoice,
+  attachDealFilesToInvoice,
+  combineDealDiscounts,
+  buildDealInvoiceDraft,
+  createInvoicesInBatch,
+  getInvoiceAmountPaid,
+  mapInvoiceToShipStationOrder,
+  buildShipStationOrder,
+  createShipStationOrderFromInvoice,
+  cancelShipStationOrderForInvoice
+};
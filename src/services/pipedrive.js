@@ -0,0 +1,353 @@
+// Pipedrive API client plus the deal, product and file helpers shared by the routes and
+// background jobs
+
+const axios = require('axios');
+const { setUser } = require('../../config/postgres');
+
+// Helper function to make Pipedrive API calls with token refresh
+async function makePipedriveApiCall(userData, method, endpoint, data = null, userId = null, retryCount = 0) {
+  let apiDomain = userData.api_domain || userData.pipedrive_api_domain;
+  let accessToken = userData.access_token || userData.pipedrive_access_token;
+  
+  if (!apiDomain || !accessToken) {
+    throw new Error('Pipedrive not connected - missing API domain or access token');
+  }
+  
+  // Strip https:// prefix if present to avoid double-prefixing
+  apiDomain = apiDomain.replace(/^https?:\/\//, '');
+  
+  const url = `https://${apiDomain}${endpoint}`;
+  const headers = {
+    'Authorization': `Bearer ${accessToken}`,
+    'Content-Type': 'application/json'
+  };
+  
+  console.log(`[Pipedrive API] ${method} ${endpoint} (attempt ${retryCount + 1})`);
+  
+  try {
+    let response;
+    if (method === 'GET') {
+      response = await axios.get(url, { headers });
+    } else if (method === 'POST') {
+      response = await axios.post(url, data, { headers });
+    } else if (method === 'PUT') {
+      response = await axios.put(url, data, { headers });
+    }
+    return response.data;
+  } catch (error) {
+    console.error(`[Pipedrive API] Error: ${error.response?.status} - ${error.response?.data?.error || error.message}`);
+    
+    // If 401 and we haven't retried yet, try to refresh token
+    const refreshToken = userData.refresh_token || userData.pipedrive_refresh_token;
+    if (error.response?.status === 401 && refreshToken && retryCount === 0) {
+      console.log('[Pipedrive API] Token expired, attempting refresh...');
+      try {
+        const pipedriveAuth = require('../auth/pipedrive');
+        const newTokens = await pipedriveAuth.refreshToken(refreshToken);
+        
+        console.log('[Pipedrive API] Token refresh successful');
+        
+        // Update userData in memory with new tokens
+        userData.access_token = newTokens.access_token;
+        userData.pipedrive_access_token = newTokens.access_token;
+        userData.refresh_token = newTokens.refresh_token;
+        userData.pipedrive_refresh_token = newTokens.refresh_token;
+        
+        // Persist updated tokens to database if userId is provided
+        if (userId) {
+          await setUser(userId, {
+            ...userData,
+            access_token: newTokens.access_token,
+            refresh_token: newTokens.refresh_token,
+            pipedrive_updated_at: new Date().toISOString()
+          });
+          console.log('[Pipedrive API] New tokens persisted to database');
+        }
+        
+        // Retry with new token
+        return await makePipedriveApiCall(userData, method, endpoint, data, userId, retryCount + 1);
+      } catch (refreshError) {
+        console.error('[Pipedrive API] Token refresh failed:', refreshError.message);
+        throw new Error('Pipedrive session expired. Please reconnect to Pipedrive.');
+      }
+    }
+    
+    throw error;
+  }
+}
+
+// Search Pipedrive products by SKU (code field)
+async function findPipedriveProductBySku(userData, sku, userId = null) {
+  if (!sku) return null;
+  
+  try {
+    // Use Pipedrive's /products/search endpoint with exact match on code field
+    const result = await makePipedriveApiCall(userData, 'GET', `/api/v1/products/search?term=${encodeURIComponent(sku)}&fields=code&exact_match=true`, null, userId);
+    
+    // The /products/search endpoint returns data.items[].item structure
+    if (result.success && result.data && result.data.items && result.data.items.length > 0) {
+      // Find exact match on code (SKU) - items contain { item: {...product...} }
+      for (const wrapper of result.data.items) {
+        const product = wrapper.item;
+        if (product && product.code === sku) {
+          console.log(`[Pipedrive Products] Found product by SKU "${sku}": ID ${product.id}`);
+          return product;
+        }
+      }
+    }
+    
+    console.log(`[Pipedrive Products] No product found with SKU "${sku}"`);
+    return null;
+  } catch (error) {
+    console.error(`[Pipedrive Products] Error searching for SKU "${sku}":`, error.message);
+    return null;
+  }
+}
+
+// Create a new Pipedrive product with name and SKU
+async function createPipedriveProduct(userData, name, sku, userId = null) {
+  try {
+    const productData = {
+      name: name,
+      code: sku  // SKU is stored in the 'code' field
+    };
+    
+    const result = await makePipedriveApiCall(userData, 'POST', '/api/v1/products', productData, userId);
+    
+    if (result.success && result.data) {
+      console.log(`[Pipedrive Products] Created product "${name}" (SKU: ${sku}) with ID ${result.data.id}`);
+      return result.data;
+    }
+    
+    console.error(`[Pipedrive Products] Failed to create product:`, result);
+    return null;
+  } catch (error) {
+    console.error(`[Pipedrive Products] Error creating product "${name}":`, error.message);
+    return null;
+  }
+}
+
+// Find or create a Pipedrive product by SKU
+async function findOrCreatePipedriveProduct(userData, name, sku, userId = null) {
+  if (!sku) {
+    console.log(`[Pipedrive Products] Skipping product "${name}" - no SKU provided`);
+    return null;
+  }
+  
+  // First try to find existing product by SKU
+  let product = await findPipedriveProductBySku(userData, sku, userId);
+  
+  // If not found, create new product
+  if (!product) {
+    product = await createPipedriveProduct(userData, name, sku, userId);
+  }
+  
+  return product;
+}
+
+// Attach a product to a Pipedrive deal
+async function attachProductToDeal(userData, dealId, productId, quantity, itemPrice, userId = null) {
+  try {
+    const attachData = {
+      product_id: productId,
+      item_price: itemPrice,
+      quantity: quantity
+    };
+    
+    const result = await makePipedriveApiCall(userData, 'POST', `/api/v1/deals/${dealId}/products`, attachData, userId);
+    
+    if (result.success && result.data) {
+      console.log(`[Pipedrive Products] Attached product ${productId} to deal ${dealId} (qty: ${quantity}, price: ${itemPrice})`);
+      return result.data;
+    }
+    
+    console.error(`[Pipedrive Products] Failed to attach product to deal:`, result);
+    return null;
+  } catch (error) {
+    console.error(`[Pipedrive Products] Error attaching product ${productId} to deal ${dealId}:`, error.message);
+    return null;
+  }
+}
+
+// Sync invoice line items to Pipedrive deal as products
+async function syncInvoiceProductsToDeal(userData, dealId, lineItems, userId = null) {
+  if (!dealId) {
+    console.log('[Pipedrive Products] No deal ID provided, skipping product sync');
+    return { synced: 0, skipped: 0, errors: 0 };
+  }
+  
+  if (!lineItems || lineItems.length === 0) {
+    console.log('[Pipedrive Products] No line items to sync');
+    return { synced: 0, skipped: 0, errors: 0 };
+  }
+  
+  console.log(`[Pipedrive Products] Syncing ${lineItems.length} line items to deal ${dealId}`);
+  
+  let synced = 0;
+  let skipped = 0;
+  let errors = 0;
+  
+  for (const item of lineItems) {
+    const sku = item.sku;
+    const name = item.name || item.description || 'Unnamed Product';
+    const quantity = item.quantity || 1;
+    const unitPrice = item.unitPrice || 0;
+    
+    if (!sku) {
+      console.log(`[Pipedrive Products] Skipping item "${name}" - no SKU`);
+      skipped++;
+      continue;
+    }
+    
+    try {
+      // Find or create the product in Pipedrive
+      const product = await findOrCreatePipedriveProduct(userData, name, sku, userId);
+      
+      if (product) {
+        // Attach to the deal
+        const attached = await attachProductToDeal(userData, dealId, product.id, quantity, unitPrice, userId);
+        if (attached) {
+          synced++;
+        } else {
+          errors++;
+        }
+      } else {
+        errors++;
+      }
+    } catch (error) {
+      console.error(`[Pipedrive Products] Error syncing item "${name}":`, error.message);
+      errors++;
+    }
+  }
+  
+  console.log(`[Pipedrive Products] Sync complete: ${synced} synced, ${skipped} skipped (no SKU), ${errors} errors`);
+  return { synced, skipped, errors };
+}
+
+// List the files attached to a Pipedrive deal
+async function listDealFiles(userData, dealId, userId) {
+  const result = await makePipedriveApiCall(userData, 'GET', `/api/v1/deals/${dealId}/files?limit=100`, null, userId);
+  return (result.success && Array.isArray(result.data)) ? result.data : [];
+}
+
+// Download a Pipedrive file's contents as a Buffer
+// makePipedriveApiCall only handles JSON, so the download itself goes through axios with the
+// current token (listing the deal's files first refreshes it if needed)
+async function downloadPipedriveFile(userData, fileId) {
+  const apiDomain = (userData.api_domain || userData.pipedrive_api_domain || '').replace(/^https?:\/\//, '');
+  const accessToken = userData.access_token || userData.pipedrive_access_token;
+  
+  const response = await axios.get(`https://${apiDomain}/api/v1/files/${fileId}/download`, {
+    headers: { 'Authorization': `Bearer ${accessToken}` },
+    responseType: 'arraybuffer'
+  });
+  
+  return Buffer.from(response.data);
+}
+
+// Add a note to a Pipedrive deal (notes accept basic HTML). Returns the note ID
+async function addDealNote(userData, dealId, content, userId) {
+  const result = await makePipedriveApiCall(userData, 'POST', '/api/v1/notes', {
+    deal_id: parseInt(dealId, 10),
+    content
+  }, userId);
+  return result?.data?.id;
+}
+
+// Add a completed activity to a Pipedrive deal. Returns the activity ID
+async function addDealActivity(userData, dealId, { subject, type, note }, userId) {
+  const result = await makePipedriveApiCall(userData, 'POST', '/api/v1/activities', {
+    deal_id: parseInt(dealId, 10),
+    subject,
+    type,
+    note,
+    done: 1,
+    due_date: new Date().toISOString().split('T')[0]
+  }, userId);
+  return result?.data?.id;
+}
+
+// Upload a file to a Pipedrive deal. The Files API takes multipart/form-data with the deal ID
+// as a field. Returns the file ID
+async function uploadDealFile(userData, dealId, { fileName, contentType, content }) {
+  const apiDomain = (userData.api_domain || userData.pipedrive_api_domain || '').replace(/^https?:\/\//, '');
+  const accessToken = userData.access_token || userData.pipedrive_access_token;
+  const boundary = `----PipedriveQBOSync${Date.now().toString(16)}`;
+  
+  const body = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+      'Content-Disposition: form-data; name="deal_id"\r\n\r\n' +
+      `${dealId}\r\n` +
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="file"; filename="${fileName.replace(/"/g, "'")}"\r\n` +
+      `Content-Type: ${contentType}\r\n\r\n`
+    ),
+    content,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  
+  const response = await axios.post(`https://${apiDomain}/api/v1/files`, body, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': `multipart/form-data; boundary=${boundary}`
+    },
+    maxBodyLength: Infinity
+  });
+  
+  return response.data?.data?.id;
+}
+
+// Read a deal's attached products (with product data so each one's code/SKU is available)
+async function getDealProducts(userData, dealId, userId) {
+  const result = await makePipedriveApiCall(userData, 'GET', `/api/v1/deals/${dealId}/products?include_product_data=1&limit=500`, null, userId);
+  return (result.success && Array.isArray(result.data)) ? result.data : [];
+}
+
+// Read deal-level discounts; not every Pipedrive account has them, so failures return []
+async function getDealDiscounts(userData, dealId, userId) {
+  try {
+    const result = await makePipedriveApiCall(userData, 'GET', `/api/v2/deals/${dealId}/discounts`, null, userId);
+    return (result.success && Array.isArray(result.data)) ? result.data : [];
+  } catch (error) {
+    console.log(`[Invoice Draft] Could not read deal discounts for deal ${dealId}:`, error.message);
+    return [];
+  }
+}
+
+// List every deal matched by a Pipedrive filter as { id, title }
+async function listPipedriveFilterDeals(userData, filterId, userId) {
+  const deals = [];
+  let start = 0;
+  
+  while (true) {
+    const result = await makePipedriveApiCall(userData, 'GET', `/api/v1/deals?filter_id=${encodeURIComponent(filterId)}&start=${start}&limit=500`, null, userId);
+    
+    if (!result.success) {
+      throw new Error(result.error || `Could not read deals for Pipedrive filter ${filterId}`);
+    }
+    
+    for (const deal of result.data || []) {
+      deals.push({ id: deal.id, title: deal.title });
+    }
+    
+    const pagination = result.additional_data?.pagination;
+    if (!pagination || !pagination.more_items_in_collection) break;
+    start = pagination.next_start;
+  }
+  
+  return deals;
+}
+
+module.exports = {
+  makePipedriveApiCall,
+  syncInvoiceProductsToDeal,
+  listDealFiles,
+  downloadPipedriveFile,
+  addDealNote,
+  addDealActivity,
+  uploadDealFile,
+  getDealProducts,
+  getDealDiscounts,
+  listPipedriveFilterDeals
+};
@@ -0,0 +1,546 @@
+// QuickBooks API client: token refresh (serialized across instances), authenticated requests,
+// queries and the invoice, attachment and payment reads shared by the routes and background jobs
+
+const qbAuth = require('../auth/quickbooks');
+const OAuthClient = require('intuit-oauth');
+const axios = require('axios');
+const {
+  getUser,
+  setUser,
+  acquireTokenRefreshLock,
+  releaseTokenRefreshLock
+} = require('../../config/postgres');
+
+// Token refresh lock using PostgreSQL advisory locks for distributed locking
+// This works across multiple server instances (autoscale deployment)
+// QuickBooks refresh tokens are single-use, so concurrent refreshes cause "invalid token" errors
+async function withTokenRefreshLock(userId, refreshFn) {
+  console.log(`[TokenLock] Attempting to acquire database lock for user ${userId}`);
+  const lockInfo = await acquireTokenRefreshLock(userId, 10000); // 10 second timeout
+  
+  if (!lockInfo.acquired) {
+    console.log(`[TokenLock] Failed to acquire lock for user ${userId}, another refresh may be in progress`);
+    // If we couldn't get the lock, fetch fresh user data (another request may have refreshed)
+    const freshData = await getUser(userId);
+    if (freshData && freshData.qb_access_token) {
+      console.log(`[TokenLock] Using fresh token data after lock timeout for user ${userId}`);
+      return freshData;
+    }
+    throw new Error('Could not acquire token refresh lock and no fresh token available');
+  }
+  
+  try {
+    // Re-fetch user data in case another request already refreshed the token while we waited
+    const freshUserData = await getUser(userId);
+    const result = await refreshFn(freshUserData);
+    return result;
+  } finally {
+    await releaseTokenRefreshLock(lockInfo);
+  }
+}
+
+// Helper function to get the correct QuickBooks API base URL based on environment
+function getQBBaseUrl() {
+  const env = process.env.QB_ENVIRONMENT || 'sandbox';
+  return env === 'production' 
+    ? 'https://quickbooks.api.intuit.com'
+    : 'https://sandbox-quickbooks.api.intuit.com';
+}
+
+// Helper function to extract JSON data from QuickBooks API response
+// The intuit-oauth library may return data in either 'json' (pre-parsed) or 'body' (string)
+function getQBResponseData(response) {
+  if (response.json) {
+    return response.json;
+  }
+  if (response.body) {
+    return typeof response.body === 'string' ? JSON.parse(response.body) : response.body;
+  }
+  if (response.response?.json) {
+    return response.response.json;
+  }
+  if (response.response?.body) {
+    return typeof response.response.body === 'string' ? JSON.parse(response.response.body) : response.response.body;
+  }
+  throw new Error('No valid response data found');
+}
+
+// Cooldown period to prevent concurrent refresh attempts (in milliseconds)
+const REFRESH_COOLDOWN_MS = 60 * 1000; // 60 seconds
+
+// Helper function to check if a recent refresh happened (within cooldown period)
+function wasRecentlyRefreshed(userData) {
+  if (!userData.qb_last_refresh) {
+    return false;
+  }
+  
+  const lastRefresh = new Date(userData.qb_last_refresh);
+  const now = new Date();
+  const msSinceRefresh = now - lastRefresh;
+  
+  if (msSinceRefresh < REFRESH_COOLDOWN_MS) {
+    console.log(`[TokenCheck] Token was refreshed ${Math.round(msSinceRefresh / 1000)}s ago, within ${REFRESH_COOLDOWN_MS / 1000}s cooldown - skipping refresh`);
+    return true;
+  }
+  
+  return false;
+}
+
+// Helper function to check if token needs refresh (expires within 10 minutes)
+function tokenNeedsRefresh(userData) {
+  // COOLDOWN CHECK: Skip refresh if token was refreshed very recently
+  // This prevents race conditions where multiple requests try to refresh the same token
+  if (wasRecentlyRefreshed(userData)) {
+    return false;
+  }
+  
+  if (!userData.qb_expires_at) {
+    // If no expiration timestamp and we have a refresh token, proactively refresh
+    // This handles cases where tokens were stored without expiration tracking
+    if (userData.qb_refresh_token) {
+      console.log('[TokenCheck] No expiration timestamp but refresh token exists, triggering refresh');
+      return true;
+    }
+    console.log('[TokenCheck] No expiration timestamp and no refresh token, cannot refresh');
+    return false;
+  }
+  
+  const expiresAt = new Date(userData.qb_expires_at);
+  const now = new Date();
+  const tenMinutesFromNow = new Date(now.getTime() + 10 * 60 * 1000);
+  
+  const needsRefresh = expiresAt < tenMinutesFromNow;
+  const minutesUntilExpiry = Math.round((expiresAt - now) / 60000);
+  
+  console.log(`[TokenCheck] Token expires at: ${expiresAt.toISOString()}, now: ${now.toISOString()}`);
+  console.log(`[TokenCheck] Minutes until expiry: ${minutesUntilExpiry}, needs refresh: ${needsRefresh}`);
+  
+  return needsRefresh;
+}
+
+// Helper function to refresh QuickBooks token and save to database
+// Returns updated userData on success, or null if refresh should be skipped/failed softly
+// Uses PostgreSQL advisory locks to prevent concurrent refresh attempts across all server instances
+// (QB refresh tokens are single-use)
+async function refreshAndSaveToken(userId, userData, throwOnError = false) {
+  // Soft guard against missing refresh token - skip refresh, don't break existing flow
+  if (!userData.qb_refresh_token) {
+    console.warn(`[TokenRefresh] No refresh token available for user ${userId}, skipping refresh`);
+    return null; // Return null to indicate refresh was skipped
+  }
+  
+  // Use database locking to prevent concurrent refresh attempts across all server instances
+  return withTokenRefreshLock(userId, async (freshUserData) => {
+    console.log(`[TokenRefresh] Starting token refresh for user ${userId}`);
+    
+    // Use fresh data from the lock (re-fetched after acquiring lock)
+    const dataToUse = freshUserData || userData;
+    
+    // CRITICAL: Check if token was recently refreshed by another request while we waited for lock
+    // This is the primary race condition prevention - check the timestamp
+    if (freshUserData && wasRecentlyRefreshed(freshUserData)) {
+      console.log(`[TokenRefresh] Token was refreshed by another request within cooldown period, using fresh data`);
+      console.log(`[TokenRefresh] Last refresh: ${freshUserData.qb_last_refresh}`);
+      return freshUserData;
+    }
+    
+    // Secondary check: Compare token values (may differ due to encryption, but worth checking)
+    if (freshUserData && freshUserData.qb_refresh_token !== userData.qb_refresh_token) {
+      console.log(`[TokenRefresh] Token was already refreshed by another request, using fresh data`);
+      console.log(`[TokenRefresh] Original token (first 10): ${userData.qb_refresh_token?.substring(0, 10)}...`);
+      console.log(`[TokenRefresh] Fresh token (first 10): ${freshUserData.qb_refresh_token?.substring(0, 10)}...`);
+      return freshUserData;
+    }
+    
+    console.log(`[TokenRefresh] Current refresh token exists: ${!!dataToUse.qb_refresh_token}`);
+    console.log(`[TokenRefresh] Current refresh token (first 10 chars): ${dataToUse.qb_refresh_token.substring(0, 10)}...`);
+    
+    try {
+      // Pass full token object to refreshToken (required by intuit-oauth library)
+      const tokenObject = {
+        access_token: dataToUse.qb_access_token,
+        refresh_token: dataToUse.qb_refresh_token,
+        token_type: dataToUse.qb_token_type || 'bearer',
+        expires_in: dataToUse.qb_expires_in || 3600
+      };
+      const newTokens = await qbAuth.refreshToken(tokenObject);
+      
+      console.log(`[TokenRefresh] Refresh successful!`);
+      console.log(`[TokenRefresh] New access token received: ${!!newTokens.access_token}`);
+      console.log(`[TokenRefresh] New refresh token received: ${!!newTokens.refresh_token}`);
+      console.log(`[TokenRefresh] New refresh token (first 10 chars): ${newTokens.refresh_token?.substring(0, 10)}...`);
+      console.log(`[TokenRefresh] Tokens changed: ${dataToUse.qb_refresh_token !== newTokens.refresh_token ? 'YES' : 'NO'}`);
+      
+      const updatedUserData = {
+        ...dataToUse,
+        qb_access_token: newTokens.access_token,
+        qb_refresh_token: newTokens.refresh_token,
+        qb_expires_in: newTokens.expires_in,
+        qb_expires_at: new Date(Date.now() + (newTokens.expires_in * 1000)).toISOString(),
+        qb_last_refresh: new Date().toISOString()
+      };
+      
+      await setUser(userId, updatedUserData);
+      console.log(`[TokenRefresh] Tokens saved to database for user ${userId}`);
+      
+      return updatedUserData;
+    } catch (error) {
+      console.error(`[TokenRefresh] Failed for user ${userId}:`, error.message);
+    
+      // Log specific error details for debugging
+      if (error.response) {
+        console.error(`[TokenRefresh] Error response:`, {
+          status: error.response.status || error.response.statusCode,
+          body: error.response.body || error.response.data
+        });
+      }
+    
+      // Check for specific error types
+      const errorMessage = error.message?.toLowerCase() || '';
+      if (errorMessage.includes('invalid') || errorMessage.includes('expired') || errorMessage.includes('revoked')) {
+        throw new Error('QuickBooks refresh token is invalid or expired. Please reconnect to QuickBooks.');
+      }
+      
+      throw error;
+    }
+  }); // End of withTokenRefreshLock callback
+}
+
+// Helper function to make QuickBooks API call with automatic token refresh
+async function makeQBApiCall(userId, userData, apiCallFunction) {
+  // Create initial client with current tokens
+  const createClient = (tokenData) => {
+    const qbClient = new OAuthClient({
+      clientId: process.env.QB_CLIENT_ID,
+      clientSecret: process.env.QB_CLIENT_SECRET,
+      environment: process.env.QB_ENVIRONMENT || 'sandbox',
+      redirectUri: process.env.APP_URL + '/auth/qb/callback',
+      logging: true
+    });
+    
+    qbClient.setToken({
+      access_token: tokenData.qb_access_token,
+      refresh_token: tokenData.qb_refresh_token,
+      token_type: 'Bearer',
+      expires_in: tokenData.qb_expires_in || 3600,
+      x_refresh_token_expires_in: 8726400,
+      realmId: tokenData.qb_realm_id
+    });
+    
+    return qbClient;
+  };
+  
+  let currentUserData = userData;
+  
+  try {
+    console.log(`[makeQBApiCall] Starting API call for user ${userId}`);
+    console.log(`[makeQBApiCall] Has access token: ${!!userData.qb_access_token}, Has realm: ${!!userData.qb_realm_id}`);
+    
+    // PROACTIVE REFRESH: Check if token is about to expire and refresh before making the call
+    if (tokenNeedsRefresh(currentUserData)) {
+      console.log(`[makeQBApiCall] Token expiring soon, attempting proactive refresh...`);
+      try {
+        const refreshedData = await refreshAndSaveToken(userId, currentUserData);
+        if (refreshedData) {
+          currentUserData = refreshedData;
+          console.log(`[makeQBApiCall] Proactive refresh successful`);
+        } else {
+          console.log(`[makeQBApiCall] Proactive refresh skipped (no refresh token), continuing with existing token`);
+        }
+      } catch (proactiveRefreshError) {
+        console.error(`[makeQBApiCall] Proactive refresh failed:`, proactiveRefreshError.message);
+        // Continue with existing token - it might still work
+      }
+    }
+    
+    // Make API call with current (possibly refreshed) token
+    const qbClient = createClient(currentUserData);
+    const response = await apiCallFunction(qbClient, currentUserData);
+    
+    console.log(`[makeQBApiCall] API call successful, response type: ${typeof response}`);
+    if (response) {
+      console.log(`[makeQBApiCall] Response has body: ${!!response.body}, has json: ${!!response.json}`);
+    }
+    
+    return response;
+  } catch (error) {
+    console.error(`[makeQBApiCall] API call error for user ${userId}:`, error.message);
+    const errorBody = error.response?.body || error.response?.data;
+    console.error(`[makeQBApiCall] Error details:`, {
+      name: error.name,
+      statusCode: error.response?.statusCode || error.response?.status,
+      authHeader: error.authHeader,
+      intuit_tid: error.intuit_tid
+    });
+    // Log full error body with JSON.stringify to see nested Error arrays
+    console.error(`[makeQBApiCall] Full error body:`, JSON.stringify(errorBody, null, 2));
+    
+    // Check if error is due to unauthorized (expired token)
+    const statusCode = error.response?.statusCode || error.response?.status || error.statusCode;
+    if (statusCode === 401) {
+      console.log(`[makeQBApiCall] QB token expired (401) for user ${userId}, attempting reactive refresh...`);
+      
+      try {
+        const updatedUserData = await refreshAndSaveToken(userId, currentUserData);
+        
+        if (!updatedUserData) {
+          // No refresh token available - cannot recover
+          console.error(`[makeQBApiCall] No refresh token available, cannot recover from 401`);
+          throw new Error('QuickBooks session expired. Please reconnect to QuickBooks.');
+        }
+        
+        console.log(`[makeQBApiCall] Reactive refresh successful, retrying API call`);
+        
+        // Create new client with refreshed token and retry
+        const refreshedClient = createClient(updatedUserData);
+        return await apiCallFunction(refreshedClient, updatedUserData);
+      } catch (refreshError) {
+        console.error(`[makeQBApiCall] Reactive refresh failed for user ${userId}:`, refreshError.message);
+        throw new Error(refreshError.message || 'QuickBooks authentication failed. Please reconnect.');
+      }
+    }
+    
+    // Re-throw if not an auth error
+    throw error;
+  }
+}
+
+// Helper function to run a QuickBooks query (SELECT ...) and return the QueryResponse object
+async function runQBQuery(userId, userData, query) {
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+
+  const queryResponse = await makeQBApiCall(userId, userData, async (qbClient, currentUserData) => {
+    return await qbClient.makeApiCall({
+      url: `${baseUrl}/v3/company/${realmId}/query?query=${encodeURIComponent(query)}&minorversion=65`,
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  });
+
+  if (!queryResponse) {
+    throw new Error('Invalid response from QuickBooks');
+  }
+
+  return getQBResponseData(queryResponse).QueryResponse || {};
+}
+
+// Fetch an invoice's PDF from QuickBooks as a Buffer
+// Uses axios for proper binary handling - the intuit-oauth makeApiCall doesn't handle binary responses correctly
+async function fetchQBInvoicePdf(userId, userData, invoiceId) {
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  
+  const pdfData = await makeQBApiCall(userId, userData, async (qbClient, currentUserData) => {
+    const response = await axios({
+      method: 'GET',
+      url: `${baseUrl}/v3/company/${realmId}/invoice/${invoiceId}/pdf`,
+      headers: {
+        'Authorization': `Bearer ${currentUserData.qb_access_token}`,
+        'Accept': 'application/pdf'
+      },
+      responseType: 'arraybuffer'
+    });
+    
+    return response.data;
+  });
+  
+  return pdfData ? Buffer.from(pdfData) : null;
+}
+
+// Fetch a single QuickBooks invoice by ID
+async function getQBInvoice(userId, userData, invoiceId) {
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  
+  const invoiceResponse = await makeQBApiCall(userId, userData, async (qbClient, currentUserData) => {
+    return await qbClient.makeApiCall({
+      url: `${baseUrl}/v3/company/${realmId}/invoice/${invoiceId}?minorversion=65`,
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  });
+  
+  return getQBResponseData(invoiceResponse).Invoice || null;
+}
+
+// Find an active QuickBooks entity by ID or name (case-insensitive), e.g. PaymentMethod or Account
+async function findQBEntityByIdOrName(userId, userData, entity, idOrName) {
+  if (!idOrName) return null;
+  
+  const result = await runQBQuery(userId, userData, `SELECT * FROM ${entity} WHERE Active = true`);
+  const records = result[entity] || [];
+  const key = String(idOrName).trim().toLowerCase();
+  
+  return records.find(record => record.Id === String(idOrName)) ||
+         records.find(record => (record.Name || '').toLowerCase() === key) ||
+         null;
+}
+
+// Summarise a QuickBooks payment, with the amount applied to one invoice
+function formatPayment(payment, invoiceId) {
+  const appliedAmount = (payment.Line || [])
+    .filter(line => (line.LinkedTxn || []).some(txn => txn.TxnType === 'Invoice' && txn.TxnId === String(invoiceId)))
+    .reduce((sum, line) => sum + parseFloat(line.Amount || 0), 0);
+  
+  return {
+    id: payment.Id,
+    date: payment.TxnDate,
+    totalAmount: payment.TotalAmt,
+    appliedAmount,
+    unappliedAmount: payment.UnappliedAmt || 0,
+    paymentMethod: payment.PaymentMethodRef || null,
+    depositAccount: payment.DepositToAccountRef || null,
+    referenceNumber: payment.PaymentRefNum || null,
+    memo: payment.PrivateNote || null
+  };
+}
+
+// Pull the first Fault error out of a failed QuickBooks call, or null
+function getQBFaultError(error) {
+  let body = error.response?.body || error.response?.data;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (parseError) {
+      return null;
+    }
+  }
+  return body?.Fault?.Error?.[0] || null;
+}
+
+// QuickBooks rejects attachments over 100 MB
+const QB_MAX_ATTACHMENT_BYTES = 100 * 1024 * 1024;
+
+// Upload a file to QuickBooks as an Attachable linked to an entity (e.g. an Invoice)
+// The upload endpoint takes multipart/form-data: the Attachable metadata as JSON, then the file
+async function uploadQBAttachable(userId, userData, { entityType, entityId, fileName, contentType, content, includeOnSend }) {
+  const baseUrl = getQBBaseUrl();
+  const realmId = userData.qb_realm_id;
+  const boundary = `----PipedriveQBOSync${Date.now().toString(16)}`;
+  
+  const metadata = {
+    AttachableRef: [{
+      EntityRef: { type: entityType, value: String(entityId) },
+      IncludeOnSend: !!includeOnSend
+    }],
+    FileName: fileName,
+    ContentType: contentType
+  };
+  
+  const body = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+      'Content-Disposition: form-data; name="file_metadata_0"\r\n' +
+      'Content-Type: application/json; charset=UTF-8\r\n\r\n' +
+      `${JSON.stringify(metadata)}\r\n` +
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="file_content_0"; filename="${fileName.replace(/"/g, "'")}"\r\n` +
+      `Content-Type: ${contentType}\r\n\r\n`
+    ),
+    content,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  
+  const result = await makeQBApiCall(userId, userData, async (qbClient, currentUserData) => {
+    const response = await axios({
+      method: 'POST',
+      url: `${baseUrl}/v3/company/${realmId}/upload`,
+      headers: {
+        'Authorization': `Bearer ${currentUserData.qb_access_token}`,
+        'Content-Type': `multipart/form-data; boundary=${boundary}`,
+        'Accept': 'application/json'
+      },
+      data: body,
+      maxBodyLength: Infinity
+    });
+    return response.data;
+  });
+  
+  const uploaded = result?.AttachableResponse?.[0];
+  if (!uploaded?.Attachable) {
+    const fault = uploaded?.Fault?.Error?.[0];
+    throw new Error(fault?.Detail || fault?.Message || 'QuickBooks did not accept the attachment');
+  }
+  
+  return uploaded.Attachable;
+}
+
+// QuickBooks voids an invoice by zeroing its amounts and prefixing the private note with "Voided"
+function isVoidedInvoice(invoice) {
+  return parseFloat(invoice.TotalAmt || 0) === 0 && /^voided/i.test(invoice.PrivateNote || '');
+}
+
+function isPaidInvoice(invoice) {
+  return parseFloat(invoice.TotalAmt || 0) > 0 && parseFloat(invoice.Balance || 0) <= 0;
+}
+
+// Open invoices (balance above zero) for a set of QuickBooks customers, 50 customers per query
+async function listOpenInvoicesForCustomers(userId, userData, customerIds) {
+  const invoices = [];
+  
+  for (let i = 0; i < customerIds.length; i += 50) {
+    const idList = customerIds.slice(i, i + 50).map(id => `'${String(id).replace(/'/g, "\\'")}'`).join(', ');
+    
+    for (let start = 1; ; start += 1000) {
+      const result = await runQBQuery(userId, userData,
+        `SELECT * FROM Invoice WHERE Balance > '0' AND CustomerRef IN (${idList}) STARTPOSITION ${start} MAXRESULTS 1000`);
+      const page = result.Invoice || [];
+      invoices.push(...page);
+      if (page.length < 1000) break;
+    }
+  }
+  
+  return invoices;
+}
+
+// Latest TxnDate of a transaction type (Invoice, Payment) for each of a set of QuickBooks customers,
+// as a Map of customer ID to date. 50 customers per query, newest first, read until every customer
+// in the chunk has a date or the transactions run out
+async function findLatestTxnDates(userId, userData, entity, customerIds) {
+  const latest = new Map();
+  
+  for (let i = 0; i < customerIds.length; i += 50) {
+    const chunk = customerIds.slice(i, i + 50).map(String);
+    const idList = chunk.map(id => `'${id.replace(/'/g, "\\'")}'`).join(', ');
+    
+    for (let start = 1; ; start += 1000) {
+      const result = await runQBQuery(userId, userData,
+        `SELECT * FROM ${entity} WHERE CustomerRef IN (${idList}) ORDERBY TxnDate DESC STARTPOSITION ${start} MAXRESULTS 1000`);
+      const page = result[entity] || [];
+      page.forEach(txn => {
+        const customerId = txn.CustomerRef?.value;
+        if (customerId && txn.TxnDate && !latest.has(customerId)) {
+          latest.set(customerId, txn.TxnDate);
+        }
+      });
+      if (page.length < 1000 || chunk.every(id => latest.has(id))) break;
+    }
+  }
+  
+  return latest;
+}
+
+module.exports = {
+  getQBBaseUrl,
+  getQBResponseData,
+  tokenNeedsRefresh,
+  refreshAndSaveToken,
+  makeQBApiCall,
+  runQBQuery,
+  fetchQBInvoicePdf,
+  getQBInvoice,
+  findQBEntityByIdOrName,
+  formatPayment,
+  getQBFaultError,
+  QB_MAX_ATTACHMENT_BYTES,
+  uploadQBAttachable,
+  isVoidedInvoice,
+  isPaidInvoice,
+  listOpenInvoicesForCustomers,
+  findLatestTxnDates
+};
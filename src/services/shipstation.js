@@ -0,0 +1,76 @@
+// ShipStation API client
+
+const axios = require('axios');
+const { decrypt } = require('../utils/encryption');
+
+// Helper function to make ShipStation API calls
+async function makeShipStationApiCall(userData, method, endpoint, data = null) {
+  if (!userData.shipstation_api_key || !userData.shipstation_api_secret) {
+    throw new Error('ShipStation not connected');
+  }
+  
+  // Decrypt credentials
+  const apiKey = decrypt(userData.shipstation_api_key);
+  const apiSecret = decrypt(userData.shipstation_api_secret);
+  
+  const authString = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
+  
+  const config = {
+    method,
+    url: `https://ssapi.shipstation.com${endpoint}`,
+    headers: {
+      'Authorization': `Basic ${authString}`,
+      'Content-Type': 'application/json'
+    }
+  };
+  
+  if (data && (method === 'POST' || method === 'PUT')) {
+    config.data = data;
+    // Log the full request payload for debugging
+    console.log(`[ShipStation API] ${method} ${endpoint} - Request payload:`, JSON.stringify(data, null, 2));
+  }
+  
+  try {
+    const response = await axios(config);
+    return response.data;
+  } catch (error) {
+    // Log detailed error information from ShipStation
+    console.error(`[ShipStation API] ${method} ${endpoint} - Error:`, {
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      errorData: error.response?.data,
+      message: error.message
+    });
+    
+    // Re-throw with more context
+    const errorMessage = error.response?.data?.Message || 
+                         error.response?.data?.message || 
+                         error.response?.data?.ExceptionMessage ||
+                         (typeof error.response?.data === 'string' ? error.response.data : null) ||
+                         error.message;
+    const enhancedError = new Error(`ShipStation API error: ${errorMessage}`);
+    enhancedError.statusCode = error.response?.status;
+    enhancedError.responseData = error.response?.data;
+    throw enhancedError;
+  }
+}
+
+// Build unique ShipStation order number with tenant prefix
+// Format: QB-{tenantSuffix}-{invoiceNumber} e.g., QB-3761-1078
+function buildShipStationOrderNumber(userId, invoiceNumber) {
+  if (!userId) {
+    throw new Error('userId is required to build ShipStation order number');
+  }
+  if (!invoiceNumber) {
+    throw new Error('invoiceNumber is required to build ShipStation order number');
+  }
+  // Extract last 4 digits of user ID as tenant suffix
+  const userIdStr = String(userId);
+  const tenantSuffix = userIdStr.slice(-4);
+  return `QB-${tenantSuffix}-${invoiceNumber}`;
+}
+
+module.exports = {
+  makeShipStationApiCall,
+  buildShipStationOrderNumber
+};
@@ -0,0 +1,70 @@
+// A/R aging: open invoice balances bucketed by how many days past due they are on a date
+
+// Aging buckets by days past due, with their CSV column headings. Invoices not yet past their
+// due date are current
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: '1-30', label: '1-30', maxDays: 30 },
+  { key: '31-60', label: '31-60', maxDays: 60 },
+  { key: '61-90', label: '61-90', maxDays: 90 },
+  { key: '90+', label: '90+', maxDays: Infinity }
+];
+
+// Days a QuickBooks invoice is past due on asOfDate (YYYY-MM-DD), 0 if it is due on or after that date
+// An invoice without a due date is due on its transaction date
+function getDaysPastDue(invoice, asOfDate) {
+  const asOf = new Date(`${asOfDate}T00:00:00Z`);
+  const dueDate = new Date(`${invoice.DueDate || invoice.TxnDate}T00:00:00Z`);
+  return Math.max(0, Math.floor((asOf - dueDate) / 86400000));
+}
+
+function getAgingBucket(daysPastDue) {
+  return AGING_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).key;
+}
+
+// Add up open invoice balances per customer and bucket
+// customers maps QuickBooks customer IDs to { customerId, customerName, dealIds }; invoices of other
+// customers, or dated after asOfDate, are left out
+// Returns { buckets, customers (largest total first), totals }
+function bucketOpenInvoices(customers, invoices, asOfDate) {
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const totals = { ...emptyBuckets(), total: 0 };
+  const rows = new Map();
+  
+  for (const invoice of invoices) {
+    const customer = customers.get(invoice.CustomerRef?.value);
+    if (!customer || invoice.TxnDate > asOfDate) continue;
+    
+    const bucket = getAgingBucket(getDaysPastDue(invoice, asOfDate));
+    const balance = parseFloat(invoice.Balance || 0);
+    
+    if (!rows.has(customer.customerId)) {
+      rows.set(customer.customerId, {
+        ...customer,
+        customerName: invoice.CustomerRef?.name || customer.customerName,
+        ...emptyBuckets(),
+        total: 0,
+        invoiceCount: 0
+      });
+    }
+    const row = rows.get(customer.customerId);
+    row[bucket] = Math.round((row[bucket] + balance) * 100) / 100;
+    row.total = Math.round((row.total + balance) * 100) / 100;
+    row.invoiceCount++;
+    totals[bucket] = Math.round((totals[bucket] + balance) * 100) / 100;
+    totals.total = Math.round((totals.total + balance) * 100) / 100;
+  }
+  
+  return {
+    buckets: AGING_BUCKETS.map(bucket => bucket.key),
+    customers: [...rows.values()].sort((a, b) => b.total - a.total),
+    totals
+  };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  getDaysPastDue,
+  getAgingBucket,
+  bucketOpenInvoices
+};
@@ -0,0 +1,384 @@
+// Field mapping from Pipedrive persons and organizations to QuickBooks customers
+//
+// A mapping is a list of rules, one per QuickBooks field:
+//   { target: 'CompanyName', source: 'org_id' }
+//   { target: 'PrimaryEmailAddr', sources: ['email:billing', 'email'] }     - first source with a value
+//   { target: 'Notes', transform: 'concat', sources: ['label', '<field key>'], separator: ' / ' }
+//   { target: 'ResaleNum', transform: 'lookup', source: '<field key>', table: { 'Reseller': 'R-1' } }
+//   { target: 'WebAddr', source: '<field key>', default: 'https://example.com' }
+//
+// Sources are Pipedrive field keys (standard or custom). Emails and phones take an optional label:
+// 'email' is the primary (or first) address, 'email:work' the one labelled work. Organization
+// mappings can also read the billing contact person with a 'contact.' prefix (e.g. 'contact.email')
+
+// QuickBooks Customer fields a rule can write, with their type and length limit
+const CUSTOMER_FIELD_TARGETS = {
+  DisplayName: { type: 'string', maxLength: 500, required: true },
+  CompanyName: { type: 'string', maxLength: 100 },
+  Title: { type: 'string', maxLength: 16 },
+  GivenName: { type: 'string', maxLength: 100 },
+  MiddleName: { type: 'string', maxLength: 100 },
+  FamilyName: { type: 'string', maxLength: 100 },
+  Suffix: { type: 'string', maxLength: 16 },
+  PrintOnCheckName: { type: 'string', maxLength: 110 },
+  PrimaryEmailAddr: { type: 'email' },
+  PrimaryPhone: { type: 'phone' },
+  Mobile: { type: 'phone' },
+  AlternatePhone: { type: 'phone' },
+  Fax: { type: 'phone' },
+  WebAddr: { type: 'url' },
+  BillAddr: { type: 'address' },
+  ShipAddr: { type: 'address' },
+  Notes: { type: 'string', maxLength: 2000 },
+  ResaleNum: { type: 'string', maxLength: 16 },
+  PrimaryTaxIdentifier: { type: 'string', maxLength: 20 }
+};
+
+const MAPPING_TRANSFORMS = ['concat', 'lookup'];
+
+const CONTACT_PREFIX = 'contact.';
+
+// The mapping used until one is saved - the same fields the sync has always written
+// Organizations also take the address and tax ID fields chosen on the setup page
+function getDefaultCustomerMapping(entityType, preferences = {}) {
+  if (entityType === 'organization') {
+    const addressSources = preferences.addressField && preferences.addressField !== 'address'
+      ? [preferences.addressField, 'address']
+      : ['address'];
+    const rules = [
+      { target: 'DisplayName', source: 'name' },
+      { target: 'CompanyName', source: 'name' },
+      { target: 'BillAddr', sources: addressSources },
+      { target: 'GivenName', source: 'contact.first_name' },
+      { target: 'FamilyName', source: 'contact.last_name' },
+      { target: 'PrimaryEmailAddr', sources: ['contact.email:billing', 'contact.email'] },
+      { target: 'PrimaryPhone', source: 'contact.phone' }
+    ];
+    if (preferences.taxIdField) {
+      rules.push({ target: 'PrimaryTaxIdentifier', source: preferences.taxIdField });
+    }
+    return rules;
+  }
+  
+  return [
+    { target: 'DisplayName', source: 'name' },
+    { target: 'PrimaryEmailAddr', source: 'email' },
+    { target: 'PrimaryPhone', source: 'phone' }
+  ];
+}
+
+// Check a mapping before it is saved. Returns { valid, errors, unmappedRequired }
+function validateCustomerMapping(rules, entityType) {
+  const errors = [];
+  
+  if (!Array.isArray(rules)) {
+    return { valid: false, errors: ['Mapping must be an array of rules'], unmappedRequired: [] };
+  }
+  
+  rules.forEach((rule, index) => {
+    const label = `Rule ${index + 1}${rule && rule.target ? ` (${rule.target})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (!CUSTOMER_FIELD_TARGETS[rule.target]) {
+      errors.push(`${label}: unknown QuickBooks field "${rule.target}"`);
+    }
+    if (rule.transform && !MAPPING_TRANSFORMS.includes(rule.transform)) {
+      errors.push(`${label}: unknown transform "${rule.transform}" (use ${MAPPING_TRANSFORMS.join(' or ')})`);
+    }
+    
+    const sources = getRuleSources(rule);
+    if (sources.length === 0 && rule.default === undefined) {
+      errors.push(`${label}: needs a source, sources or a default`);
+    }
+    if (sources.some(source => typeof source !== 'string' || !source)) {
+      errors.push(`${label}: sources must be Pipedrive field keys`);
+    }
+    if (entityType !== 'organization' && sources.some(source => String(source).startsWith(CONTACT_PREFIX))) {
+      errors.push(`${label}: contact fields can only be used in organization mappings`);
+    }
+    if (rule.transform === 'lookup' && (!rule.table || typeof rule.table !== 'object' || Array.isArray(rule.table))) {
+      errors.push(`${label}: lookup needs a table of Pipedrive value -> QuickBooks value`);
+    }
+  });
+  
+  const targets = rules.filter(rule => rule && typeof rule === 'object').map(rule => rule.target);
+  targets.forEach((target, index) => {
+    if (targets.indexOf(target) !== index) {
+      errors.push(`${target} is mapped more than once`);
+    }
+  });
+  
+  const unmappedRequired = Object.keys(CUSTOMER_FIELD_TARGETS)
+    .filter(target => CUSTOMER_FIELD_TARGETS[target].required && !targets.includes(target));
+  
+  return { valid: errors.length === 0 && unmappedRequired.length === 0, errors, unmappedRequired };
+}
+
+function getRuleSources(rule) {
+  if (Array.isArray(rule.sources)) return rule.sources;
+  return rule.source ? [rule.source] : [];
+}
+
+// Field keys a mapping reads, without labels or the contact prefix (to know which field definitions to load)
+function listMappingFieldKeys(rules) {
+  const keys = new Set();
+  for (const rule of rules) {
+    for (const source of getRuleSources(rule)) {
+      keys.add(String(source).replace(CONTACT_PREFIX, '').split(':')[0]);
+    }
+  }
+  return [...keys];
+}
+
+// An email or phone from a Pipedrive list of { value, label, primary }: labelled, else primary or first
+function pickLabelledValue(entries, label) {
+  const values = Array.isArray(entries) ? entries.filter(entry => entry && entry.value) : [];
+  if (label) {
+    return values.find(entry => (entry.label || '').toLowerCase() === label.toLowerCase())?.value || null;
+  }
+  return (values.find(entry => entry.primary) || values[0])?.value || null;
+}
+
+// A Pipedrive address (the standard address or an address custom field) as a QuickBooks address
+// Address fields come with their parts as <key>_route, <key>_locality, etc.
+function buildAddressFromPipedrive(record, fieldKey) {
+  const formatted = record[fieldKey];
+  if (!formatted) return null;
+  
+  const part = name => record[`${fieldKey}_${name}`] || undefined;
+  const street = [part('street_number'), part('route')].filter(Boolean).join(' ');
+  const city = part('locality') || part('sublocality');
+  
+  if (!street && !city) {
+    return { Line1: String(formatted) };
+  }
+  
+  return {
+    Line1: street || String(formatted),
+    Line2: part('subpremise'),
+    City: city,
+    CountrySubDivisionCode: part('admin_area_level_1'),
+    PostalCode: part('postal_code'),
+    Country: part('country')
+  };
+}
+
+// Read one source from the record (or its contact). Address targets get an address object, other
+// targets text; context.fields (Pipedrive field definitions) turn option IDs into their labels
+function readSource(source, context, targetType) {
+  let record = context.record;
+  let expression = String(source);
+  
+  if (expression.startsWith(CONTACT_PREFIX)) {
+    record = context.contact;
+    expression = expression.slice(CONTACT_PREFIX.length);
+  }
+  if (!record) return null;
+  
+  const [key, label] = expression.split(':');
+  
+  if (key === 'email' || key === 'phone') {
+    return pickLabelledValue(record[key], label);
+  }
+  
+  if (targetType === 'address') {
+    return buildAddressFromPipedrive(record, key);
+  }
+  
+  const value = record[key];
+  if (value === null || value === undefined || value === '') return null;
+  
+  const field = (context.fields || []).find(entry => entry.key === key);
+  if (field && Array.isArray(field.options) && field.options.length > 0) {
+    return String(value).split(',')
+      .map(id => field.options.find(option => String(option.id) === id.trim())?.label || id.trim())
+      .join(', ');
+  }
+  
+  if (typeof value === 'object') {
+    return value.name || value.value || null;
+  }
+  return String(value);
+}
+
+// Put a value in the shape QuickBooks expects for the target field
+function formatTargetValue(target, value) {
+  const { type, maxLength } = CUSTOMER_FIELD_TARGETS[target];
+  
+  if (type === 'address') {
+    return typeof value === 'object' ? value : { Line1: String(value) };
+  }
+  
+  const text = String(value).trim();
+  if (type === 'email') return { Address: text };
+  if (type === 'phone') return { FreeFormNumber: text };
+  if (type === 'url') return { URI: text };
+  return maxLength ? text.slice(0, maxLength) : text;
+}
+
+// Build QuickBooks customer fields from a Pipedrive record
+// context: { record, contact (organization's billing person), fields (Pipedrive field definitions) }
+// Returns { customerData, applied: { target: source }, missingRequired }
+function applyCustomerMapping(rules, context) {
+  const customerData = {};
+  const applied = {};
+  
+  for (const rule of rules) {
+    const { type } = CUSTOMER_FIELD_TARGETS[rule.target];
+    const sources = getRuleSources(rule);
+    let value = null;
+    let usedSource = null;
+    
+    if (rule.transform === 'concat') {
+      const parts = sources.map(source => readSource(source, context, 'string')).filter(part => part);
+      value = parts.length > 0 ? parts.join(rule.separator !== undefined ? rule.separator : ' ') : null;
+      usedSource = sources.join(' + ');
+    } else {
+      for (const source of sources) {
+        value = readSource(source, context, type);
+        if (value) {
+          usedSource = source;
+          break;
+        }
+      }
+      if (value && rule.transform === 'lookup') {
+        const key = Object.keys(rule.table).find(entry => entry.toLowerCase() === String(value).toLowerCase());
+        value = key !== undefined ? rule.table[key] : null;
+      }
+    }
+    
+    if (!value && rule.default !== undefined && rule.default !== '') {
+      value = rule.default;
+      usedSource = 'default';
+    }
+    
+    if (value) {
+      customerData[rule.target] = formatTargetValue(rule.target, value);
+      applied[rule.target] = usedSource;
+    }
+  }
+  
+  const missingRequired = Object.keys(CUSTOMER_FIELD_TARGETS)
+    .filter(target => CUSTOMER_FIELD_TARGETS[target].required && !customerData[target]);
+  
+  return { customerData, applied, missingRequired };
+}
+
+// Reverse sync (QuickBooks -> Pipedrive) only follows rules that copy a Pipedrive field as-is:
+// concat and lookup rules can't be undone, QuickBooks masks tax IDs, and relation, label and
+// name-part fields aren't written back
+const REVERSE_SKIPPED_TARGETS = ['PrimaryTaxIdentifier'];
+const REVERSE_SKIPPED_KEYS = ['org_id', 'owner_id', 'label', 'label_ids', 'visible_to', 'first_name', 'last_name'];
+
+// The rules of a mapping QuickBooks edits can flow back through, as
+// { target, sources, contact } with the contact prefix stripped (contact rules write to the billing person)
+// Option fields are skipped - QuickBooks text can't be matched back to an option reliably
+function getReversibleRules(rules, fields = []) {
+  const reversible = [];
+  
+  for (const rule of rules) {
+    if (rule.transform || REVERSE_SKIPPED_TARGETS.includes(rule.target) || !CUSTOMER_FIELD_TARGETS[rule.target]) continue;
+    
+    const sources = getRuleSources(rule);
+    if (sources.length === 0) continue;
+    
+    const contact = String(sources[0]).startsWith(CONTACT_PREFIX);
+    const keys = sources.map(source => String(source).replace(CONTACT_PREFIX, ''));
+    const readOnly = keys.some(key => {
+      const fieldKey = key.split(':')[0];
+      const field = fields.find(entry => entry.key === fieldKey);
+      return REVERSE_SKIPPED_KEYS.includes(fieldKey) || (field && Array.isArray(field.options) && field.options.length > 0);
+    });
+    if (readOnly) continue;
+    
+    reversible.push({ target: rule.target, sources: keys, contact });
+  }
+  
+  return reversible;
+}
+
+// A QuickBooks address as one line, the way Pipedrive shows a formatted address
+function formatQBAddress(address) {
+  if (!address) return null;
+  const region = [address.CountrySubDivisionCode, address.PostalCode].filter(Boolean).join(' ');
+  const text = [address.Line1, address.Line2, address.City, region, address.Country].filter(Boolean).join(', ');
+  return text || null;
+}
+
+// A QuickBooks customer's value for a mapped field, as text
+function readQBCustomerValue(customer, target) {
+  const { type } = CUSTOMER_FIELD_TARGETS[target];
+  const value = customer[target];
+  if (!value) return null;
+  
+  if (type === 'email') return value.Address || null;
+  if (type === 'phone') return value.FreeFormNumber || null;
+  if (type === 'url') return value.URI || null;
+  if (type === 'address') return formatQBAddress(value);
+  return String(value);
+}
+
+// The Pipedrive field a reverse rule writes to on this record: the first source with a value,
+// as the forward sync would have read it, else the first source
+function pickReverseSource(rule, record) {
+  return rule.sources.find(source => readSource(source, { record }, 'string')) || rule.sources[0];
+}
+
+// A Pipedrive record's current value for a source, as text
+function readPipedriveValue(record, source) {
+  return readSource(source, { record }, 'string');
+}
+
+// Add a value to a Pipedrive update. Emails and phones replace the labelled (else primary)
+// entry of the record's list, keeping the other entries; other fields are set as they are
+function setPipedriveValue(update, record, source, value) {
+  const [key, label] = String(source).split(':');
+  
+  if (key !== 'email' && key !== 'phone') {
+    update[key] = value;
+    return update;
+  }
+  
+  const entries = (update[key] || record[key] || [])
+    .filter(entry => entry && entry.value)
+    .map(entry => ({ value: entry.value, label: entry.label || 'work', primary: !!entry.primary }));
+  const index = label
+    ? entries.findIndex(entry => entry.label.toLowerCase() === label.toLowerCase())
+    : Math.max(entries.findIndex(entry => entry.primary), 0);
+  
+  if (entries[index]) {
+    entries[index].value = value;
+  } else {
+    entries.push({ value, label: label || 'work', primary: entries.length === 0 });
+  }
+  
+  update[key] = entries;
+  return update;
+}
+
+// Compare values across systems - case, spacing and phone punctuation don't count as changes
+function normalizeSyncValue(target, value) {
+  if (value === null || value === undefined) return '';
+  const { type } = CUSTOMER_FIELD_TARGETS[target];
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  if (type === 'phone') return text.replace(/[^\d+]/g, '');
+  if (type === 'string') return text;
+  return text.toLowerCase();
+}
+
+module.exports = {
+  CUSTOMER_FIELD_TARGETS,
+  MAPPING_TRANSFORMS,
+  getDefaultCustomerMapping,
+  validateCustomerMapping,
+  listMappingFieldKeys,
+  applyCustomerMapping,
+  getReversibleRules,
+  readQBCustomerValue,
+  pickReverseSource,
+  readPipedriveValue,
+  setPipedriveValue,
+  normalizeSyncValue
+};
@@ -0,0 +1,182 @@
+// Duplicate customer detection: scores existing QuickBooks customers against a customer about to
+// be created, by normalized name, email (address or company domain), phone and street address
+//
+// Names are compared without case, punctuation or legal suffixes, so "ACME, Inc." and "Acme Inc"
+// are the same name; close spellings still count as similar. Scores run from 0 to 1
+
+// At or above this a match is a likely duplicate - creating the customer needs an explicit override
+const LIKELY_DUPLICATE_SCORE = 0.6;
+
+// At or above this a match is returned as a suggestion
+const SUGGESTED_MATCH_SCORE = 0.3;
+
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+const LEGAL_SUFFIXES = [
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'plc', 'pty', 'sa', 'ag', 'bv', 'srl', 'the'
+];
+
+// A shared email domain only says something about company addresses
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'aol.com', 'protonmail.com', 'proton.me', 'gmx.com', 'mail.com'
+];
+
+function normalizeName(name) {
+  if (!name) return '';
+  return String(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !LEGAL_SUFFIXES.includes(word))
+    .join(' ');
+}
+
+// Dice coefficient over letter pairs - tolerant of typos and word order, 1 for identical names
+function nameSimilarity(a, b) {
+  const left = a.replace(/ /g, '');
+  const right = b.replace(/ /g, '');
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+  
+  const pairs = text => {
+    const counts = new Map();
+    for (let index = 0; index < text.length - 1; index++) {
+      const pair = text.slice(index, index + 2);
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+  };
+  
+  const leftPairs = pairs(left);
+  const rightPairs = pairs(right);
+  let shared = 0;
+  for (const [pair, count] of leftPairs) {
+    shared += Math.min(count, rightPairs.get(pair) || 0);
+  }
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+// The last 10 digits, so country prefixes and punctuation don't matter; too short to compare is ''
+function normalizePhone(phone) {
+  const digits = phone ? String(phone).replace(/\D/g, '') : '';
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+function normalizeAddress(address) {
+  if (!address) return null;
+  const compact = value => (value ? String(value).toLowerCase().replace(/[^a-z0-9]/g, '') : '');
+  const street = compact(address.Line1);
+  const postalCode = compact(address.PostalCode);
+  return street ? { street, postalCode } : null;
+}
+
+// What matching needs from a QuickBooks customer (or from customer data about to be created)
+function toMatchRecord(customer) {
+  const fullName = [customer.GivenName, customer.FamilyName].filter(Boolean).join(' ');
+  const emails = String(customer.PrimaryEmailAddr?.Address || '')
+    .split(',')
+    .map(normalizeEmail)
+    .filter(Boolean);
+  
+  return {
+    id: customer.Id || null,
+    displayName: customer.DisplayName || '',
+    companyName: customer.CompanyName || '',
+    email: customer.PrimaryEmailAddr?.Address || null,
+    phone: customer.PrimaryPhone?.FreeFormNumber || null,
+    names: [...new Set([customer.DisplayName, customer.CompanyName, fullName].map(normalizeName).filter(Boolean))],
+    emails,
+    phones: [customer.PrimaryPhone, customer.Mobile, customer.AlternatePhone]
+      .map(phone => normalizePhone(phone?.FreeFormNumber))
+      .filter(Boolean),
+    addresses: [customer.BillAddr, customer.ShipAddr].map(normalizeAddress).filter(Boolean)
+  };
+}
+
+// Score an existing customer against the new one. Returns { score, reasons }
+function scoreCustomerMatch(candidate, existing) {
+  let score = 0;
+  const reasons = [];
+  
+  let bestName = 0;
+  for (const name of candidate.names) {
+    for (const existingName of existing.names) {
+      bestName = Math.max(bestName, nameSimilarity(name, existingName));
+    }
+  }
+  if (bestName === 1) {
+    score += 0.6;
+    reasons.push('Same name');
+  } else if (bestName >= NAME_SIMILARITY_THRESHOLD) {
+    score += 0.4;
+    reasons.push(`Similar name (${Math.round(bestName * 100)}%)`);
+  }
+  
+  const domain = email => email.split('@')[1] || '';
+  if (candidate.emails.some(email => existing.emails.includes(email))) {
+    score += 0.5;
+    reasons.push('Same email');
+  } else {
+    const sharedDomain = candidate.emails
+      .map(domain)
+      .find(value => value && !FREE_EMAIL_DOMAINS.includes(value) && existing.emails.some(email => domain(email) === value));
+    if (sharedDomain) {
+      score += 0.25;
+      reasons.push(`Same email domain (${sharedDomain})`);
+    }
+  }
+  
+  if (candidate.phones.some(phone => existing.phones.includes(phone))) {
+    score += 0.35;
+    reasons.push('Same phone');
+  }
+  
+  const sameAddress = candidate.addresses.some(address => existing.addresses.some(other =>
+    other.street === address.street && (!address.postalCode || !other.postalCode || other.postalCode === address.postalCode)));
+  if (sameAddress) {
+    score += 0.3;
+    reasons.push('Same street address');
+  }
+  
+  return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+}
+
+// Existing customers that look like the new one, best first
+// Returns [{ customer: { id, displayName, companyName, email, phone }, score, likelyDuplicate, reasons }]
+function findCustomerMatches(customerData, existingRecords, limit = 5) {
+  const candidate = toMatchRecord(customerData);
+  
+  return existingRecords
+    .map(existing => ({ existing, ...scoreCustomerMatch(candidate, existing) }))
+    .filter(match => match.score >= SUGGESTED_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ existing, score, reasons }) => ({
+      customer: {
+        id: existing.id,
+        displayName: existing.displayName,
+        companyName: existing.companyName,
+        email: existing.email,
+        phone: existing.phone
+      },
+      score,
+      likelyDuplicate: score >= LIKELY_DUPLICATE_SCORE,
+      reasons
+    }));
+}
+
+module.exports = {
+  LIKELY_DUPLICATE_SCORE,
+  SUGGESTED_MATCH_SCORE,
+  normalizeName,
+  toMatchRecord,
+  findCustomerMatches
+};
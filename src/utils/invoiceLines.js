@@ -0,0 +1,28 @@
+// Classify QuickBooks invoice lines. Shared by invoice creation, ShipStation orders (created at
+// invoice time or by the payment poller) and the Pipedrive product sync, which all need to tell
+// goods apart from charges and discounts
+
+// QuickBooks' built-in shipping line (available when Shipping is on in sales form settings)
+const QB_SHIPPING_ITEM_ID = 'SHIPPING_ITEM_ID';
+
+// Whether an invoice line is a shipping or handling charge rather than goods to ship
+// (the built-in shipping line, or the shippingItem/handlingItem setup preference by ID or name)
+function isShippingChargeLine(line, preferences = {}) {
+  const itemRef = line.SalesItemLineDetail?.ItemRef;
+  if (!itemRef) return false;
+  if (itemRef.value === QB_SHIPPING_ITEM_ID) return true;
+  
+  return [preferences.shippingItem, preferences.handlingItem].some(preference =>
+    preference && (itemRef.value === String(preference) || (itemRef.name || '').toLowerCase() === String(preference).trim().toLowerCase()));
+}
+
+// Whether an invoice line is a per-line discount (a negative sales line) rather than goods sold
+function isDiscountSalesLine(line) {
+  return line.DetailType === 'SalesItemLineDetail' && parseFloat(line.Amount || 0) < 0;
+}
+
+module.exports = {
+  QB_SHIPPING_ITEM_ID,
+  isShippingChargeLine,
+  isDiscountSalesLine
+};
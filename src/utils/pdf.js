@@ -0,0 +1,88 @@
+// Minimal PDF writer for text documents (statements). Pages are US Letter, text is set in the
+// standard Helvetica fonts, so no font files are embedded. Only WinAnsi (Latin-1) characters
+// are printable - anything else is replaced with '?'
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Approximate Helvetica advance width (per 1pt of font size) used to right-align numbers
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+function escapePdfText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+// Width of a string in points, close enough for aligning columns of digits
+function textWidth(text, size) {
+  return String(text).length * size * AVERAGE_CHAR_WIDTH;
+}
+
+// Build the content stream for one page
+// items: [{ x, y, text, size, bold, align }] with y measured from the top of the page;
+// align 'right' puts the end of the text at x. Lines: [{ x1, y1, x2, y2 }]
+function buildPageContent({ items = [], lines = [] }) {
+  const ops = [];
+  
+  for (const line of lines) {
+    ops.push(`0.5 w ${line.x1} ${PAGE_HEIGHT - line.y1} m ${line.x2} ${PAGE_HEIGHT - line.y2} l S`);
+  }
+  
+  for (const item of items) {
+    const size = item.size || 10;
+    const x = item.align === 'right' ? item.x - textWidth(item.text, size) : item.x;
+    ops.push(`BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${(PAGE_HEIGHT - item.y).toFixed(2)} Td (${escapePdfText(item.text)}) Tj ET`);
+  }
+  
+  return ops.join('\n');
+}
+
+// Assemble a PDF from pages of positioned text. Returns a Buffer
+function buildPdf(pages) {
+  const objects = [];
+  const addObject = body => {
+    objects.push(body);
+    return objects.length;
+  };
+  
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  
+  const pageIds = pages.map(page => {
+    const content = Buffer.from(buildPageContent(page), 'latin1');
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content.toString('latin1')}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+  
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  
+  // Byte offsets of each object are needed for the cross-reference table
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(Buffer.byteLength(output, 'latin1'));
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  
+  return Buffer.from(output, 'latin1');
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  buildPdf
+};
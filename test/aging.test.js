@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDaysPastDue, getAgingBucket, bucketOpenInvoices } = require('../src/utils/aging');
+
+const invoice = (customerId, TxnDate, DueDate, Balance) => ({ CustomerRef: { value: customerId }, TxnDate, DueDate, Balance });
+
+test('days past due count from the due date, else the invoice date', () => {
+  assert.equal(getDaysPastDue({ TxnDate: '2026-01-01', DueDate: '2026-01-31' }, '2026-03-02'), 30);
+  assert.equal(getDaysPastDue({ TxnDate: '2026-01-01' }, '2026-01-11'), 10);
+  assert.equal(getDaysPastDue({ TxnDate: '2026-01-01', DueDate: '2026-02-01' }, '2026-01-15'), 0);
+  assert.equal(getDaysPastDue({ TxnDate: '2026-06-01', DueDate: '2026-06-15' }, '2026-06-15'), 0);
+});
+
+test('invoices not yet past due are current and bucket edges belong to the lower bucket', () => {
+  assert.equal(getAgingBucket(0), 'current');
+  assert.equal(getAgingBucket(1), '1-30');
+  assert.equal(getAgingBucket(30), '1-30');
+  assert.equal(getAgingBucket(31), '31-60');
+  assert.equal(getAgingBucket(60), '31-60');
+  assert.equal(getAgingBucket(90), '61-90');
+  assert.equal(getAgingBucket(91), '90+');
+  assert.equal(getAgingBucket(4000), '90+');
+});
+
+test('balances are added up per customer and bucket, largest customer first', () => {
+  const customers = new Map([
+    ['1', { customerId: '1', customerName: 'Acme', dealIds: ['10'] }],
+    ['2', { customerId: '2', customerName: 'Globex', dealIds: ['20', '21'] }]
+  ]);
+  const invoices = [
+    invoice('1', '2026-05-01', '2026-05-31', '100.10'),
+    invoice('1', '2026-03-01', '2026-03-31', '50.20'),
+    { ...invoice('2', '2026-01-01', '2026-01-31', '400'), CustomerRef: { value: '2', name: 'Globex Corporation' } },
+    invoice('2', '2026-06-01', '2026-07-01', '0.30')
+  ];
+
+  const report = bucketOpenInvoices(customers, invoices, '2026-06-15');
+
+  assert.deepEqual(report.buckets, ['current', '1-30', '31-60', '61-90', '90+']);
+  assert.deepEqual(report.customers, [
+    { customerId: '2', customerName: 'Globex Corporation', dealIds: ['20', '21'], current: 0.3, '1-30': 0, '31-60': 0, '61-90': 0, '90+': 400, total: 400.3, invoiceCount: 2 },
+    { customerId: '1', customerName: 'Acme', dealIds: ['10'], current: 0, '1-30': 100.1, '31-60': 0, '61-90': 50.2, '90+': 0, total: 150.3, invoiceCount: 2 }
+  ]);
+  assert.deepEqual(report.totals, { current: 0.3, '1-30': 100.1, '31-60': 0, '61-90': 50.2, '90+': 400, total: 550.6 });
+});
+
+test('invoices of unlinked customers or dated after the as-of date are left out', () => {
+  const customers = new Map([['1', { customerId: '1', customerName: 'Acme', dealIds: ['10'] }]]);
+  const invoices = [
+    invoice('1', '2026-07-01', '2026-07-31', '75'),
+    invoice('9', '2026-01-01', '2026-01-31', '500')
+  ];
+
+  const report = bucketOpenInvoices(customers, invoices, '2026-06-15');
+
+  assert.deepEqual(report.customers, []);
+  assert.equal(report.totals.total, 0);
+});
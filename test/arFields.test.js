@@ -0,0 +1,76 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const quickbooks = require('../src/services/quickbooks');
+const pipedrive = require('../src/services/pipedrive');
+
+// Stand-ins for the database and both APIs. deals.js takes its helpers when it is loaded, so they
+// are replaced before it is required
+const customers = {
+  1: { Id: '1', Balance: '100.10' },
+  2: { Id: '2', Balance: '50.25' },
+  3: { Id: '3', Balance: '0' }
+};
+const deals = {
+  10: { id: 10, person_id: { value: 7 }, org_id: { value: 3 } },
+  11: { id: 11, person_id: { value: 7 }, org_id: { value: 3 } },
+  12: { id: 12, person_id: { value: 8 }, org_id: { value: 3 } }
+};
+const writes = [];
+
+mock.method(console, 'log', () => {});
+mock.method(postgres, 'listDealMappings', async () => [
+  { dealId: '10', qbCustomerId: '1' },
+  { dealId: '11', qbCustomerId: '2' },
+  { dealId: '12', qbCustomerId: '3' }
+]);
+mock.method(quickbooks, 'runQBQuery', async () => ({ Customer: Object.values(customers) }));
+mock.method(quickbooks, 'listOpenInvoicesForCustomers', async () => [
+  { CustomerRef: { value: '1' }, DueDate: '2000-01-31', Balance: '40' },
+  { CustomerRef: { value: '2' }, DueDate: '2000-02-28', Balance: '20.5' },
+  { CustomerRef: { value: '2' }, DueDate: '2999-01-01', Balance: '29.75' }
+]);
+mock.method(quickbooks, 'findLatestTxnDates', async (userId, userData, entity) => new Map(entity === 'Invoice'
+  ? [['1', '2026-03-01'], ['2', '2026-05-10'], ['3', '2026-01-15']]
+  : [['1', '2026-04-02'], ['3', '2026-02-01']]));
+mock.method(pipedrive, 'makePipedriveApiCall', async (userData, method, endpoint, body) => {
+  if (method === 'GET') {
+    return { data: deals[endpoint.split('/').pop()] };
+  }
+  writes.push({ endpoint, body });
+  return { data: {} };
+});
+
+const { combineArFigures, syncArFieldsForUser } = require('../src/services/deals');
+
+const fields = { openBalance: 'balance', overdueAmount: 'overdue', lastInvoiceDate: 'invoiced', lastPaymentDate: 'paid' };
+const userData = {
+  pipedrive_user_id: 'acme',
+  invoice_preferences: { arFields: { deal: fields, person: fields, organization: fields } }
+};
+
+test('combined figures add up balances and keep the latest dates', () => {
+  const combined = combineArFigures([
+    { openBalance: 100.1, overdueAmount: 40, lastInvoiceDate: '2026-03-01', lastPaymentDate: '2026-04-02' },
+    { openBalance: 50.25, overdueAmount: 20.5, lastInvoiceDate: '2026-05-10', lastPaymentDate: null },
+    { openBalance: 0.05, overdueAmount: 0, lastInvoiceDate: null, lastPaymentDate: '2026-01-01' }
+  ]);
+
+  assert.deepEqual(combined, { openBalance: 150.4, overdueAmount: 60.5, lastInvoiceDate: '2026-05-10', lastPaymentDate: '2026-04-02' });
+  assert.deepEqual(combineArFigures([]), { openBalance: 0, overdueAmount: 0, lastInvoiceDate: null, lastPaymentDate: null });
+});
+
+test('deals get their own customer\'s figures and persons and organizations the combined ones', async () => {
+  const summary = await syncArFieldsForUser('acme', userData);
+
+  const written = Object.fromEntries(writes.map(write => [write.endpoint, write.body]));
+  assert.deepEqual(written['/api/v1/deals/10'], { balance: 100.1, overdue: 40, invoiced: '2026-03-01', paid: '2026-04-02' });
+  assert.deepEqual(written['/api/v1/deals/11'], { balance: 50.25, overdue: 20.5, invoiced: '2026-05-10', paid: null });
+  assert.deepEqual(written['/api/v1/persons/7'], { balance: 150.35, overdue: 60.5, invoiced: '2026-05-10', paid: '2026-04-02' });
+  assert.deepEqual(written['/api/v1/persons/8'], { balance: 0, overdue: 0, invoiced: '2026-01-15', paid: '2026-02-01' });
+  assert.deepEqual(written['/api/v1/organizations/3'], { balance: 150.35, overdue: 60.5, invoiced: '2026-05-10', paid: '2026-04-02' });
+
+  assert.equal(writes.length, 6);
+  assert.deepEqual(summary.updated, { deal: 3, person: 2, organization: 1 });
+  assert.equal(summary.deals, 3);
+});
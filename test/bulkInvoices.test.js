@@ -0,0 +1,120 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const invoicing = require('../src/services/invoicing');
+
+// An in-memory job and its items in place of the bulk invoice tables, and stand-ins for invoice
+// building and creation. The job module takes these helpers when it is loaded, so they are
+// replaced before it is required
+const state = {};
+const drafts = {
+  12: { customerId: '7', lineItems: [{ itemId: '5', quantity: 1, unitPrice: 100 }], discount: null, unmatched: [] },
+  13: { customerId: null, lineItems: [], unmatched: [] },
+  14: { customerId: '8', lineItems: [{ itemId: '5', quantity: 1, unitPrice: 50 }], unmatched: [{ productId: 3, sku: 'S-9' }] },
+  15: { customerId: '9', lineItems: [{ itemId: '6', quantity: 2, unitPrice: 20 }], discount: null, unmatched: [] }
+};
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(postgres, 'getUser', async () => ({ qb_access_token: 'token', qb_realm_id: 'realm-1', access_token: 'pd-token' }));
+mock.method(postgres, 'claimBulkInvoiceJob', async () => state.queue.shift() || null);
+mock.method(postgres, 'listBulkInvoiceJobItems', async () => state.items.map(item => ({ ...item })));
+mock.method(postgres, 'updateBulkInvoiceJobItem', async (id, updates) => {
+  Object.assign(state.items.find(item => item.id === id), updates);
+});
+mock.method(postgres, 'setBulkInvoiceJobItemStep', async () => {});
+mock.method(postgres, 'touchBulkInvoiceJob', async () => {});
+const finishBulkInvoiceJob = mock.method(postgres, 'finishBulkInvoiceJob', async () => {});
+mock.method(invoicing, 'buildDealInvoiceDraft', async (userId, userData, dealId) => drafts[dealId]);
+mock.method(invoicing, 'buildInvoicePayload', async (userId, userData, { customerId, dealId }) => ({
+  invoiceData: { CustomerRef: { value: customerId }, PrivateNote: `Deal ${dealId}` }
+}));
+const createInvoicesInBatch = mock.method(invoicing, 'createInvoicesInBatch', async (userId, userData, entries) => {
+  if (state.batchError) {
+    throw state.batchError;
+  }
+  return new Map(entries.map(entry => [entry.bId, { invoice: { Id: `9${entry.bId}`, DocNumber: `100${entry.bId}`, TotalAmt: 100 } }]));
+});
+const runInvoiceSideEffects = mock.method(invoicing, 'runInvoiceSideEffects', async () => ({}));
+
+const { runQueuedBulkInvoiceJobs } = require('../src/jobs/bulkInvoices');
+
+const job = { id: 3, userId: 'acme', filterId: null, totalCount: 4, options: {} };
+const queueItems = dealIds => dealIds.map((dealId, index) => ({ id: index + 1, dealId: String(dealId), status: 'pending', steps: {} }));
+const statuses = () => state.items.map(item => item.status);
+
+beforeEach(() => {
+  state.batchError = null;
+  finishBulkInvoiceJob.mock.resetCalls();
+  createInvoicesInBatch.mock.resetCalls();
+  runInvoiceSideEffects.mock.resetCalls();
+});
+
+test('deals that can be invoiced are created in one batch and the rest report why not', async () => {
+  state.queue = [job];
+  state.items = queueItems([12, 13, 14, 15]);
+
+  await runQueuedBulkInvoiceJobs();
+
+  assert.deepEqual(statuses(), ['success', 'failed', 'failed', 'success']);
+  assert.equal(state.items[1].error, 'Deal is not linked to a QuickBooks customer');
+  assert.equal(state.items[2].error, '1 product(s) could not be matched to QuickBooks items');
+  assert.equal(createInvoicesInBatch.mock.callCount(), 1);
+  assert.deepEqual(createInvoicesInBatch.mock.calls[0].arguments[2].map(entry => entry.bId), ['1', '4']);
+  assert.deepEqual(finishBulkInvoiceJob.mock.calls[0].arguments, [3, 'completed']);
+});
+
+test('deal products are not synced back to the deal they came from', async () => {
+  state.queue = [job];
+  state.items = queueItems([12]);
+
+  await runQueuedBulkInvoiceJobs();
+
+  const options = runInvoiceSideEffects.mock.calls[0].arguments[3];
+  assert.equal(options.dealId, '12');
+  assert.equal(options.completedSteps.pipedriveProducts.status, 'skipped');
+});
+
+test('unmatched products are left off when the job allows it', async () => {
+  state.queue = [{ ...job, options: { allowUnmatched: true } }];
+  state.items = queueItems([14]);
+
+  await runQueuedBulkInvoiceJobs();
+
+  assert.deepEqual(statuses(), ['success']);
+  assert.deepEqual(state.items[0].unmatched, [{ productId: 3, sku: 'S-9' }]);
+});
+
+test('a batch QuickBooks did not answer is re-sent with the same request ID', async () => {
+  state.queue = [job];
+  state.items = queueItems([12, 15]);
+  state.batchError = new Error('socket hang up');
+
+  await runQueuedBulkInvoiceJobs();
+
+  assert.deepEqual(statuses(), ['creating', 'creating']);
+  assert.equal(finishBulkInvoiceJob.mock.callCount(), 0);
+  const batchRequestId = state.items[0].batchRequestId;
+
+  state.queue = [job];
+  state.batchError = null;
+  await runQueuedBulkInvoiceJobs();
+
+  assert.deepEqual(statuses(), ['success', 'success']);
+  assert.equal(createInvoicesInBatch.mock.calls[1].arguments[3], batchRequestId);
+  assert.equal(createInvoicesInBatch.mock.callCount(), 2);
+});
+
+test('a batch QuickBooks rejected fails its deals', async () => {
+  state.queue = [job];
+  state.items = queueItems([12]);
+  state.batchError = Object.assign(new Error('Request failed'), {
+    response: { body: { Fault: { Error: [{ Message: 'Validation error', Detail: 'Customer is inactive' }] } } }
+  });
+
+  await runQueuedBulkInvoiceJobs();
+
+  assert.deepEqual(statuses(), ['failed']);
+  assert.equal(state.items[0].error, 'Customer is inactive');
+  assert.deepEqual(finishBulkInvoiceJob.mock.calls[0].arguments, [3, 'completed']);
+});
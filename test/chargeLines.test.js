@@ -0,0 +1,80 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const quickbooks = require('../src/services/quickbooks');
+
+// A company with Shipping turned off in its sales form settings and two service items.
+// invoicing.js takes these helpers when it is loaded, so they are replaced before it is required
+const serviceItems = [{ Id: '30', Name: 'Freight' }, { Id: '31', Name: 'Handling fee' }];
+
+mock.method(console, 'log', () => {});
+mock.method(quickbooks, 'runQBQuery', async (userId, userData, query) => {
+  const entity = query.match(/FROM (\w+)/)[1];
+  return entity === 'Preferences' ? { Preferences: [{ SalesFormsPrefs: { AllowShipping: userData.allowShipping } }] } : {};
+});
+mock.method(quickbooks, 'findQBEntityByIdOrName', async (userId, userData, entity, idOrName) =>
+  serviceItems.find(item => item.Id === String(idOrName) || item.Name.toLowerCase() === String(idOrName).toLowerCase()) || null);
+
+const { normalizeCharge, resolveChargeLines } = require('../src/services/invoicing');
+const { isShippingChargeLine } = require('../src/utils/invoiceLines');
+
+const itemLine = (value, name) => ({ DetailType: 'SalesItemLineDetail', SalesItemLineDetail: { ItemRef: { value, name } } });
+
+test('a charge is an amount or an object, rounded to cents, and nothing when not positive', () => {
+  assert.deepEqual(normalizeCharge('12.345'), { amount: 12.35 });
+  assert.deepEqual(normalizeCharge({ amount: 8, description: 'Express', taxable: true }), { amount: 8, description: 'Express', taxable: true });
+  assert.equal(normalizeCharge(0), null);
+  assert.equal(normalizeCharge(''), null);
+  assert.equal(normalizeCharge({ amount: 'free' }), null);
+});
+
+test('shipping goes on QuickBooks\' shipping line when no shipping item is set', async () => {
+  const result = await resolveChargeLines('acme', { qb_realm_id: 'ship-on', allowShipping: true }, { shipping: 15 });
+
+  assert.deepEqual(result.charges, [{ type: 'shipping', amount: 15, itemId: 'SHIPPING_ITEM_ID' }]);
+  assert.equal(result.lines[0].Description, 'Shipping');
+  assert.equal(result.lines[0].Amount, 15);
+  assert.deepEqual(await resolveChargeLines('acme', {}, {}), { lines: [], charges: [] });
+});
+
+test('without QuickBooks shipping or a shipping item a shipping charge is refused', async () => {
+  const result = await resolveChargeLines('acme', { qb_realm_id: 'ship-off', allowShipping: false }, { shipping: 15 });
+
+  assert.match(result.error, /Shipping turned on/);
+});
+
+test('shipping and handling post to the items named in the setup preferences', async () => {
+  const userData = { invoice_preferences: { shippingItem: 'freight', handlingItem: '31' } };
+
+  const result = await resolveChargeLines('acme', userData, {
+    shipping: { amount: 20, taxable: true },
+    handling: { amount: 4.5, description: 'Packing' }
+  }, { taxableCode: 'TAX' });
+
+  assert.deepEqual(result.charges, [
+    { type: 'shipping', amount: 20, itemId: '30' },
+    { type: 'handling', amount: 4.5, itemId: '31' }
+  ]);
+  assert.deepEqual(result.lines[0].SalesItemLineDetail.TaxCodeRef, { value: 'TAX' });
+  assert.equal(result.lines[1].Description, 'Packing');
+});
+
+test('handling falls back to the shipping item and needs one of them', async () => {
+  const withShippingItem = await resolveChargeLines('acme', { invoice_preferences: { shippingItem: '30' } }, { handling: 3 });
+  assert.deepEqual(withShippingItem.charges, [{ type: 'handling', amount: 3, itemId: '30' }]);
+
+  const withoutItems = await resolveChargeLines('acme', {}, { handling: 3 });
+  assert.match(withoutItems.error, /handling \(or shipping\) item/);
+
+  const unknownItem = await resolveChargeLines('acme', { invoice_preferences: { shippingItem: 'Courier' } }, { shipping: 3 });
+  assert.equal(unknownItem.error, 'Shipping item "Courier" from setup preferences was not found in QuickBooks');
+});
+
+test('shipping and handling lines are told apart from goods', () => {
+  const preferences = { shippingItem: '30', handlingItem: 'Handling fee' };
+
+  assert.equal(isShippingChargeLine(itemLine('SHIPPING_ITEM_ID')), true);
+  assert.equal(isShippingChargeLine(itemLine('30', 'Freight'), preferences), true);
+  assert.equal(isShippingChargeLine(itemLine('31', 'handling FEE'), preferences), true);
+  assert.equal(isShippingChargeLine(itemLine('5', 'Widget'), preferences), false);
+  assert.equal(isShippingChargeLine({ DetailType: 'DiscountLineDetail' }, preferences), false);
+});
@@ -0,0 +1,112 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const quickbooks = require('../src/services/quickbooks');
+const pipedrive = require('../src/services/pipedrive');
+const customers = require('../src/services/customers');
+
+// Stand-ins for the database and both APIs. sync.js takes its helpers when it is loaded, so they
+// are replaced before it is required
+const contactMappings = new Map();
+const qbCustomers = new Map();
+const state = {};
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(postgres, 'getUser', async () => ({
+  pipedrive_user_id: 'acme',
+  access_token: 'pipedrive-token',
+  qb_access_token: 'qb-token',
+  qb_realm_id: '123',
+  invoice_preferences: {}
+}));
+mock.method(postgres, 'getCustomerFieldMappings', async () => ({}));
+mock.method(postgres, 'getContactMapping', async (userId, entityType, entityId) =>
+  contactMappings.get(`${userId}:${entityType}:${entityId}`) || null);
+mock.method(postgres, 'setContactMapping', async (userId, entityType, entityId, qbCustomerId, source) => {
+  const mapping = { entityType, entityId: String(entityId), qbCustomerId: String(qbCustomerId), source };
+  contactMappings.set(`${userId}:${entityType}:${entityId}`, mapping);
+  return mapping;
+});
+mock.method(pipedrive, 'makePipedriveApiCall', async () => ({ data: state.person }));
+mock.method(quickbooks, 'runQBQuery', async (userId, userData, query) => {
+  const match = [...qbCustomers.values()].find(customer =>
+    query.includes(`Id = '${customer.Id}'`) || query.includes(`DisplayName = '${customer.DisplayName}'`));
+  return { Customer: match ? [match] : [] };
+});
+mock.method(quickbooks, 'makeQBApiCall', async (userId, userData, apiCall) => apiCall({
+  makeApiCall: async ({ body }) => {
+    const sent = JSON.parse(body);
+    state.saved.push(sent);
+    const saved = { ...(qbCustomers.get(sent.Id) || {}), ...sent, Id: sent.Id || String(100 + qbCustomers.size) };
+    qbCustomers.set(saved.Id, saved);
+    return { json: { Customer: saved } };
+  }
+}, userData));
+const findDuplicateCustomers = mock.method(customers, 'findDuplicateCustomers', async () => state.duplicates);
+mock.method(customers, 'rememberCreatedCustomer', () => {});
+
+const { syncContact } = require('../src/controllers/sync');
+
+beforeEach(() => {
+  contactMappings.clear();
+  qbCustomers.clear();
+  state.saved = [];
+  state.duplicates = [];
+  state.person = { id: 7, name: 'Ada Lovelace', email: [{ value: 'ada@example.com', primary: true }] };
+  findDuplicateCustomers.mock.resetCalls();
+});
+
+test('a synced person is mapped to its customer under the user\'s own key', async () => {
+  const result = await syncContact('user-7-company-3', 7);
+
+  assert.equal(result.action, 'created');
+  assert.deepEqual(contactMappings.get('acme:person:7'), { entityType: 'person', entityId: '7', qbCustomerId: '100', source: 'person' });
+});
+
+test('a renamed person keeps its customer instead of creating a duplicate', async () => {
+  qbCustomers.set('100', { Id: '100', SyncToken: '2', DisplayName: 'Ada Lovelace' });
+  contactMappings.set('acme:person:7', { entityType: 'person', entityId: '7', qbCustomerId: '100', source: 'person' });
+  state.person = { ...state.person, name: 'Ada King' };
+
+  const result = await syncContact('acme', 7);
+
+  assert.equal(result.action, 'updated');
+  assert.equal(result.matchedBy, 'mapping');
+  assert.equal(result.qbCustomerId, '100');
+  assert.equal(state.saved[0].Id, '100');
+  assert.equal(state.saved[0].DisplayName, 'Ada King');
+  assert.equal(findDuplicateCustomers.mock.callCount(), 0);
+});
+
+test('a mapping to a customer that is gone falls back to the same-name customer', async () => {
+  qbCustomers.set('104', { Id: '104', SyncToken: '0', DisplayName: 'Ada Lovelace' });
+  contactMappings.set('acme:person:7', { entityType: 'person', entityId: '7', qbCustomerId: '55', source: 'person' });
+
+  const result = await syncContact('acme', 7);
+
+  assert.equal(result.matchedBy, 'name');
+  assert.equal(result.qbCustomerId, '104');
+  assert.equal(contactMappings.get('acme:person:7').qbCustomerId, '104');
+});
+
+test('a person recorded as a contact of its organization\'s customer gets a customer of its own', async () => {
+  qbCustomers.set('100', { Id: '100', SyncToken: '0', DisplayName: 'Analytical Engines' });
+  contactMappings.set('acme:person:7', { entityType: 'person', entityId: '7', qbCustomerId: '100', source: 'organization' });
+
+  const result = await syncContact('acme', 7);
+
+  assert.equal(result.action, 'created');
+  assert.notEqual(result.qbCustomerId, '100');
+  assert.equal(contactMappings.get('acme:person:7').source, 'person');
+});
+
+test('a likely duplicate stops a new customer unless it is allowed', async () => {
+  state.duplicates = [{ qbCustomerId: '300', displayName: 'Ada K. Lovelace', likelyDuplicate: true }];
+
+  await assert.rejects(syncContact('acme', 7), error => error.duplicateCustomer && error.matches.length === 1);
+  assert.equal(contactMappings.size, 0);
+
+  const allowed = await syncContact('acme', 7, { allowDuplicate: true });
+  assert.equal(allowed.action, 'created');
+});
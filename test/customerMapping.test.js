@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getDefaultCustomerMapping,
+  validateCustomerMapping,
+  listMappingFieldKeys,
+  applyCustomerMapping,
+  getReversibleRules,
+  readQBCustomerValue,
+  setPipedriveValue,
+  normalizeSyncValue
+} = require('../src/utils/customerMapping');
+
+const person = {
+  id: 7,
+  name: 'Ada Lovelace',
+  email: [
+    { value: 'ada@work.example', label: 'work', primary: true },
+    { value: 'billing@ada.example', label: 'billing', primary: false }
+  ],
+  phone: [{ value: '+1 (555) 010-2000', label: 'work', primary: true }],
+  tier: '12,13'
+};
+
+test('the default person mapping copies name, email and phone', () => {
+  const { customerData, missingRequired } = applyCustomerMapping(getDefaultCustomerMapping('person'), { record: person });
+
+  assert.deepEqual(customerData, {
+    DisplayName: 'Ada Lovelace',
+    PrimaryEmailAddr: { Address: 'ada@work.example' },
+    PrimaryPhone: { FreeFormNumber: '+1 (555) 010-2000' }
+  });
+  assert.deepEqual(missingRequired, []);
+});
+
+test('the default organization mapping uses the chosen address and tax ID fields', () => {
+  const rules = getDefaultCustomerMapping('organization', { addressField: 'ship_to', taxIdField: 'vat' });
+
+  assert.deepEqual(rules.find(rule => rule.target === 'BillAddr').sources, ['ship_to', 'address']);
+  assert.equal(rules.find(rule => rule.target === 'PrimaryTaxIdentifier').source, 'vat');
+});
+
+test('labelled sources, contact fields and option labels are read', () => {
+  const rules = [
+    { target: 'DisplayName', source: 'name' },
+    { target: 'PrimaryEmailAddr', sources: ['contact.email:billing', 'contact.email'] },
+    { target: 'Notes', source: 'tier' }
+  ];
+  const fields = [{ key: 'tier', options: [{ id: 12, label: 'Gold' }, { id: 13, label: 'Reseller' }] }];
+
+  const { customerData, applied } = applyCustomerMapping(rules, { record: { name: 'Acme', tier: '12,13' }, contact: person, fields });
+
+  assert.deepEqual(customerData.PrimaryEmailAddr, { Address: 'billing@ada.example' });
+  assert.equal(applied.PrimaryEmailAddr, 'contact.email:billing');
+  assert.equal(customerData.Notes, 'Gold, Reseller');
+});
+
+test('concat, lookup and default rules are applied', () => {
+  const rules = [
+    { target: 'DisplayName', transform: 'concat', sources: ['name', 'missing', 'id'], separator: ' #' },
+    { target: 'ResaleNum', transform: 'lookup', source: 'kind', table: { Reseller: 'R-1' } },
+    { target: 'WebAddr', source: 'website', default: 'https://example.com' }
+  ];
+
+  const { customerData, applied } = applyCustomerMapping(rules, { record: { name: 'Ada', id: 7, kind: 'reseller' } });
+
+  assert.equal(customerData.DisplayName, 'Ada #7');
+  assert.equal(customerData.ResaleNum, 'R-1');
+  assert.deepEqual(customerData.WebAddr, { URI: 'https://example.com' });
+  assert.equal(applied.WebAddr, 'default');
+});
+
+test('long text is cut to the QuickBooks length limit', () => {
+  const { customerData } = applyCustomerMapping([{ target: 'Title', source: 'title' }], { record: { title: 'x'.repeat(40) } });
+
+  assert.equal(customerData.Title.length, 16);
+});
+
+test('an address custom field becomes a QuickBooks address', () => {
+  const record = {
+    ship_to: '10 Main St, Springfield',
+    ship_to_street_number: '10',
+    ship_to_route: 'Main St',
+    ship_to_locality: 'Springfield',
+    ship_to_postal_code: '12345'
+  };
+
+  const { customerData } = applyCustomerMapping([{ target: 'ShipAddr', source: 'ship_to' }], { record });
+
+  assert.equal(customerData.ShipAddr.Line1, '10 Main St');
+  assert.equal(customerData.ShipAddr.City, 'Springfield');
+  assert.equal(customerData.ShipAddr.PostalCode, '12345');
+});
+
+test('a record without a display name reports it as missing', () => {
+  const { missingRequired } = applyCustomerMapping(getDefaultCustomerMapping('person'), { record: { email: [] } });
+
+  assert.deepEqual(missingRequired, ['DisplayName']);
+});
+
+test('validation rejects unknown targets, duplicates and contact fields on persons', () => {
+  const result = validateCustomerMapping([
+    { target: 'Nickname', source: 'name' },
+    { target: 'PrimaryEmailAddr', source: 'contact.email' },
+    { target: 'PrimaryEmailAddr', source: 'email' },
+    { target: 'ResaleNum', transform: 'lookup', source: 'kind' }
+  ], 'person');
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.unmappedRequired, ['DisplayName']);
+  assert.ok(result.errors.some(error => error.includes('unknown QuickBooks field "Nickname"')));
+  assert.ok(result.errors.some(error => error.includes('contact fields can only be used in organization mappings')));
+  assert.ok(result.errors.some(error => error.includes('PrimaryEmailAddr is mapped more than once')));
+  assert.ok(result.errors.some(error => error.includes('lookup needs a table')));
+});
+
+test('the default mappings are valid', () => {
+  assert.equal(validateCustomerMapping(getDefaultCustomerMapping('person'), 'person').valid, true);
+  assert.equal(validateCustomerMapping(getDefaultCustomerMapping('organization'), 'organization').valid, true);
+});
+
+test('field keys are listed without labels or the contact prefix', () => {
+  const keys = listMappingFieldKeys(getDefaultCustomerMapping('organization'));
+
+  assert.deepEqual(keys.sort(), ['address', 'email', 'first_name', 'last_name', 'name', 'phone']);
+});
+
+test('only plain copies are reversible', () => {
+  const rules = [
+    { target: 'DisplayName', source: 'name' },
+    { target: 'CompanyName', source: 'org_id' },
+    { target: 'Notes', transform: 'concat', sources: ['name', 'label'] },
+    { target: 'PrimaryTaxIdentifier', source: 'vat' },
+    { target: 'ResaleNum', source: 'tier' },
+    { target: 'PrimaryPhone', source: 'contact.phone:work' }
+  ];
+  const fields = [{ key: 'tier', options: [{ id: 12, label: 'Gold' }] }];
+
+  assert.deepEqual(getReversibleRules(rules, fields), [
+    { target: 'DisplayName', sources: ['name'], contact: false },
+    { target: 'PrimaryPhone', sources: ['phone:work'], contact: true }
+  ]);
+});
+
+test('QuickBooks values are read as text', () => {
+  const customer = {
+    PrimaryEmailAddr: { Address: 'ada@work.example' },
+    BillAddr: { Line1: '10 Main St', City: 'Springfield', CountrySubDivisionCode: 'IL', PostalCode: '12345' }
+  };
+
+  assert.equal(readQBCustomerValue(customer, 'PrimaryEmailAddr'), 'ada@work.example');
+  assert.equal(readQBCustomerValue(customer, 'BillAddr'), '10 Main St, Springfield, IL 12345');
+  assert.equal(readQBCustomerValue(customer, 'PrimaryPhone'), null);
+});
+
+test('writing an email replaces the labelled entry and keeps the others', () => {
+  const update = setPipedriveValue({}, person, 'email:billing', 'accounts@ada.example');
+
+  assert.deepEqual(update.email, [
+    { value: 'ada@work.example', label: 'work', primary: true },
+    { value: 'accounts@ada.example', label: 'billing', primary: false }
+  ]);
+});
+
+test('writing a phone to a record without phones adds a primary one', () => {
+  const update = setPipedriveValue({}, { phone: [] }, 'phone', '555-0100');
+
+  assert.deepEqual(update.phone, [{ value: '555-0100', label: 'work', primary: true }]);
+});
+
+test('case, spacing and phone punctuation are not changes', () => {
+  assert.equal(normalizeSyncValue('PrimaryPhone', '+1 (555) 010-2000'), normalizeSyncValue('PrimaryPhone', '+15550102000'));
+  assert.equal(normalizeSyncValue('PrimaryEmailAddr', ' Ada@Work.example '), 'ada@work.example');
+  assert.notEqual(normalizeSyncValue('DisplayName', 'Ada'), normalizeSyncValue('DisplayName', 'ada'));
+  assert.equal(normalizeSyncValue('DisplayName', null), '');
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LIKELY_DUPLICATE_SCORE,
+  normalizeName,
+  toMatchRecord,
+  findCustomerMatches
+} = require('../src/utils/customerMatching');
+
+const existing = customers => customers.map(toMatchRecord);
+
+test('names are compared without case, punctuation or legal suffixes', () => {
+  assert.equal(normalizeName('ACME, Inc.'), 'acme');
+  assert.equal(normalizeName('The Acme Corporation'), 'acme');
+  assert.equal(normalizeName('Smith & Sons Ltd'), 'smith and sons');
+  assert.equal(normalizeName(null), '');
+});
+
+test('a match record collects every name, email, phone and address', () => {
+  const record = toMatchRecord({
+    Id: '42',
+    DisplayName: 'Acme Inc',
+    CompanyName: 'Acme',
+    GivenName: 'Jane',
+    FamilyName: 'Doe',
+    PrimaryEmailAddr: { Address: 'Jane@Acme.io, billing@acme.io' },
+    PrimaryPhone: { FreeFormNumber: '+1 (555) 010-2000' },
+    Mobile: { FreeFormNumber: '123' },
+    BillAddr: { Line1: '10 Main St.', PostalCode: '12345' }
+  });
+
+  assert.equal(record.id, '42');
+  assert.deepEqual(record.names, ['acme', 'jane doe']);
+  assert.deepEqual(record.emails, ['jane@acme.io', 'billing@acme.io']);
+  assert.deepEqual(record.phones, ['5550102000']);
+  assert.deepEqual(record.addresses, [{ street: '10mainst', postalCode: '12345' }]);
+});
+
+test('the same name is a likely duplicate', () => {
+  const [match] = findCustomerMatches({ DisplayName: 'ACME, Inc.' }, existing([{ Id: '1', DisplayName: 'Acme Inc' }]));
+
+  assert.equal(match.customer.id, '1');
+  assert.equal(match.score, LIKELY_DUPLICATE_SCORE);
+  assert.equal(match.likelyDuplicate, true);
+  assert.deepEqual(match.reasons, ['Same name']);
+});
+
+test('a close spelling counts as a similar name', () => {
+  const [match] = findCustomerMatches({ DisplayName: 'Acme Widget' }, existing([{ Id: '1', DisplayName: 'Acme Widgets' }]));
+
+  assert.equal(match.score, 0.4);
+  assert.equal(match.likelyDuplicate, false);
+  assert.match(match.reasons[0], /^Similar name \(\d+%\)$/);
+});
+
+test('the same email and phone make a likely duplicate under another name', () => {
+  const [match] = findCustomerMatches(
+    { DisplayName: 'Jane Doe', PrimaryEmailAddr: { Address: 'jane@example.org' }, PrimaryPhone: { FreeFormNumber: '555.010.2000' } },
+    existing([{ Id: '1', DisplayName: 'Doe Consulting', PrimaryEmailAddr: { Address: 'JANE@example.org' }, Mobile: { FreeFormNumber: '+1 555 010 2000' } }])
+  );
+
+  assert.equal(match.score, 0.85);
+  assert.equal(match.likelyDuplicate, true);
+  assert.deepEqual(match.reasons, ['Same email', 'Same phone']);
+});
+
+test('a shared company domain counts, a shared free email domain does not', () => {
+  const address = { Line1: '10 Main St', PostalCode: '12345' };
+  const records = existing([
+    { Id: '1', DisplayName: 'Northwind', PrimaryEmailAddr: { Address: 'sales@acme.io' }, ShipAddr: { Line1: '10 main st.' } },
+    { Id: '2', DisplayName: 'Contoso', PrimaryEmailAddr: { Address: 'someone@gmail.com' } }
+  ]);
+
+  const company = findCustomerMatches({ DisplayName: 'Jane Doe', PrimaryEmailAddr: { Address: 'jane@acme.io' }, BillAddr: address }, records);
+  assert.equal(company.length, 1);
+  assert.equal(company[0].score, 0.55);
+  assert.deepEqual(company[0].reasons, ['Same email domain (acme.io)', 'Same street address']);
+
+  const free = findCustomerMatches({ DisplayName: 'Jane Doe', PrimaryEmailAddr: { Address: 'jane@gmail.com' } }, records);
+  assert.deepEqual(free, []);
+});
+
+test('addresses with different postal codes are different addresses', () => {
+  const matches = findCustomerMatches(
+    { DisplayName: 'Jane Doe', BillAddr: { Line1: '10 Main St', PostalCode: '12345' } },
+    existing([{ Id: '1', DisplayName: 'Northwind', BillAddr: { Line1: '10 Main St', PostalCode: '99999' } }])
+  );
+
+  assert.deepEqual(matches, []);
+});
+
+test('matches are best first, capped at the limit, with scores at most 1', () => {
+  const records = existing([
+    { Id: '1', DisplayName: 'Acme Widget' },
+    { Id: '2', DisplayName: 'Acme Widgets', PrimaryEmailAddr: { Address: 'sales@acme.io' }, PrimaryPhone: { FreeFormNumber: '555-010-2000' } },
+    { Id: '3', DisplayName: 'Acme Widgets' }
+  ]);
+  const candidate = { DisplayName: 'Acme Widgets', PrimaryEmailAddr: { Address: 'sales@acme.io' }, PrimaryPhone: { FreeFormNumber: '5550102000' } };
+
+  const matches = findCustomerMatches(candidate, records, 2);
+
+  assert.deepEqual(matches.map(match => match.customer.id), ['2', '3']);
+  assert.equal(matches[0].score, 1);
+});
@@ -0,0 +1,126 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const quickbooks = require('../src/services/quickbooks');
+const pipedrive = require('../src/services/pipedrive');
+
+// Stand-ins for the sync tables, QuickBooks' change feed and Pipedrive. sync.js takes its helpers
+// when it is loaded, so they are replaced before it is required
+const state = {};
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(postgres, 'getCustomerFieldMappings', async () => ({}));
+mock.method(postgres, 'listContactMappingsForCustomer', async () => [
+  { entityType: 'person', entityId: '7', source: 'person' },
+  { entityType: 'person', entityId: '8', source: 'organization' }
+]);
+mock.method(postgres, 'listDealMappingsForCustomer', async () => []);
+mock.method(postgres, 'getCustomerSyncFields', async () => state.snapshots);
+mock.method(postgres, 'setCustomerSyncField', async (userId, qbCustomerId, entityType, entityId, field, qbValue, pipedriveValue) => {
+  state.snapshots.set(field, { qbValue, pipedriveValue });
+});
+mock.method(postgres, 'addCustomerSyncLog', async entry => state.log.push(entry));
+const makeQBApiCall = mock.method(quickbooks, 'makeQBApiCall', async (userId, userData, apiCall) => apiCall({
+  makeApiCall: async ({ url }) => {
+    state.cdcUrls.push(url);
+    return { json: { CDCResponse: [{ QueryResponse: [{ Customer: state.changed }] }] } };
+  }
+}));
+mock.method(pipedrive, 'makePipedriveApiCall', async (userData, method, endpoint, body) => {
+  if (method === 'PUT') {
+    state.updates.push({ endpoint, body });
+    return { data: {} };
+  }
+  return { data: state.person };
+});
+
+const { decideCustomerField, syncQuickBooksCustomerChanges } = require('../src/controllers/sync');
+
+const qbTime = new Date('2026-05-02T10:00:00Z');
+const olderPipedriveTime = new Date('2026-05-01T10:00:00Z');
+const newerPipedriveTime = new Date('2026-05-03T10:00:00Z');
+const customer = {
+  Id: '100',
+  DisplayName: 'Ada Lovelace',
+  PrimaryEmailAddr: { Address: 'ada@new.test' },
+  PrimaryPhone: { FreeFormNumber: '(555) 010-2000' },
+  MetaData: { LastUpdatedTime: '2026-05-02T10:00:00Z' }
+};
+
+beforeEach(() => {
+  state.snapshots = new Map();
+  state.log = [];
+  state.updates = [];
+  state.cdcUrls = [];
+  state.changed = [customer];
+  state.person = {
+    id: 7,
+    name: 'Ada Lovelace',
+    email: [{ value: 'ada@old.test', label: 'work', primary: true }, { value: 'ada@home.test', label: 'home' }],
+    phone: [{ value: '555-010-2000', label: 'work', primary: true }],
+    update_time: '2026-05-01 10:00:00'
+  };
+});
+
+test('a value changed on one side since the last sync follows that side', () => {
+  const snapshot = { qbValue: 'ada@old.test', pipedriveValue: 'ada@old.test' };
+
+  assert.deepEqual(decideCustomerField('PrimaryEmailAddr', 'ada@new.test', 'ada@old.test', snapshot, 'pipedrive_wins'),
+    { update: true, reason: 'Changed in QuickBooks since the last sync' });
+  assert.deepEqual(decideCustomerField('PrimaryEmailAddr', 'ada@old.test', 'ada@pd.test', snapshot, 'qbo_wins'),
+    { update: false, reason: 'Changed in Pipedrive since the last sync' });
+});
+
+test('conflicts follow the configured rule', () => {
+  const snapshot = { qbValue: 'ada@old.test', pipedriveValue: 'ada@old.test' };
+  const decide = (rule, pipedriveUpdatedAt) =>
+    decideCustomerField('PrimaryEmailAddr', 'ada@new.test', 'ada@pd.test', snapshot, rule, qbTime, pipedriveUpdatedAt);
+
+  assert.deepEqual(decide('qbo_wins'), { update: true, reason: 'Changed on both sides - QuickBooks wins' });
+  assert.deepEqual(decide('pipedrive_wins'), { update: false, reason: 'Changed on both sides - Pipedrive wins' });
+  assert.deepEqual(decide('newest_wins', newerPipedriveTime), { update: false, reason: 'Changed on both sides - Pipedrive was edited last' });
+  assert.deepEqual(decide('newest_wins', olderPipedriveTime), { update: true, reason: 'Changed on both sides - QuickBooks was edited last' });
+});
+
+test('fields never synced before are conflicts, and empty QuickBooks values never clear Pipedrive', () => {
+  assert.deepEqual(decideCustomerField('PrimaryEmailAddr', 'ada@new.test', 'ada@pd.test', undefined, 'pipedrive_wins'),
+    { update: false, reason: 'Not synced before - Pipedrive wins' });
+  assert.equal(decideCustomerField('PrimaryEmailAddr', '  ', 'ada@pd.test', undefined, 'qbo_wins').update, false);
+  assert.equal(decideCustomerField('PrimaryPhone', '555 010 2000', '555-010-2000', { qbValue: '(555) 010-2000', pipedriveValue: '555.010.2000' }, 'qbo_wins').reason,
+    'Unchanged on both sides since the last sync');
+});
+
+test('the first run only sets the watermark', async () => {
+  const { summary, changedSince } = await syncQuickBooksCustomerChanges('acme', { pipedrive_user_id: 'acme' }, null);
+
+  assert.equal(summary.customers, 0);
+  assert.ok(Date.now() - new Date(changedSince) < 60 * 1000);
+  assert.equal(makeQBApiCall.mock.callCount(), 0);
+});
+
+test('QuickBooks edits reach the linked person and every decision is logged', async () => {
+  const userData = { pipedrive_user_id: 'acme', invoice_preferences: { reverseSync: { enabled: true, conflictRule: 'qbo_wins' } } };
+
+  const { summary } = await syncQuickBooksCustomerChanges('acme', userData, new Date(Date.now() - 60 * 60 * 1000).toISOString());
+
+  assert.deepEqual(state.updates, [{
+    endpoint: '/api/v1/persons/7',
+    body: { email: [{ value: 'ada@new.test', label: 'work', primary: true }, { value: 'ada@home.test', label: 'home', primary: false }] }
+  }]);
+  assert.deepEqual(state.log.map(entry => [entry.qbField, entry.decision]), [['PrimaryEmailAddr', 'updated_pipedrive']]);
+  assert.equal(summary.records, 1);
+  assert.equal(summary.updated, 1);
+  assert.equal(summary.inSync, 2);
+  assert.equal(state.snapshots.get('email').pipedriveValue, 'ada@new.test');
+});
+
+test('a watermark older than the 30 days QuickBooks keeps changes for is moved up to 30 days back', async () => {
+  state.changed = [];
+
+  await syncQuickBooksCustomerChanges('acme', { pipedrive_user_id: 'acme' }, '2020-01-01T00:00:00.000Z');
+
+  const changedSince = new URL(state.cdcUrls[0]).searchParams.get('changedSince');
+  const days = (Date.now() - new Date(changedSince)) / (24 * 60 * 60 * 1000);
+  assert.ok(days > 29.9 && days < 30.1);
+});
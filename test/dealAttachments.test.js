@@ -0,0 +1,61 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const quickbooks = require('../src/services/quickbooks');
+const pipedrive = require('../src/services/pipedrive');
+
+// Stand-ins for the deal's files and the QuickBooks upload. invoicing.js takes these helpers when
+// it is loaded, so they are replaced before it is required
+const dealFiles = [
+  { id: 301, name: 'contract.pdf', file_type: 'application/pdf', file_size: 2048 },
+  { id: 302, name: 'po.docx', file_type: 'docx', file_size: 4096 },
+  { id: 303, name: 'drawings.zip', file_type: 'application/zip', file_size: 101 * 1024 * 1024 },
+  { id: 304, name: 'broken.pdf', file_type: 'application/pdf', file_size: 10 }
+];
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(pipedrive, 'listDealFiles', async () => dealFiles);
+const downloadPipedriveFile = mock.method(pipedrive, 'downloadPipedriveFile', async (userData, fileId) => {
+  if (fileId === 304) {
+    throw new Error('File not found');
+  }
+  return Buffer.from(`file ${fileId}`);
+});
+const uploadQBAttachable = mock.method(quickbooks, 'uploadQBAttachable', async (userId, userData, { fileName }) => ({
+  Id: `A-${fileName}`
+}));
+
+const { attachDealFilesToInvoice } = require('../src/services/invoicing');
+
+test('deal files are uploaded to the invoice, each file once', async () => {
+  const result = await attachDealFilesToInvoice('acme', {}, { invoiceId: '55', dealId: 12, fileIds: [301, '301', 302], includeOnSend: true });
+
+  assert.deepEqual(result.attached, [
+    { fileId: '301', fileName: 'contract.pdf', attachableId: 'A-contract.pdf', size: 2048 },
+    { fileId: '302', fileName: 'po.docx', attachableId: 'A-po.docx', size: 4096 }
+  ]);
+  assert.deepEqual(result.failed, []);
+
+  const [, , upload] = uploadQBAttachable.mock.calls[0].arguments;
+  assert.equal(upload.entityType, 'Invoice');
+  assert.equal(upload.entityId, '55');
+  assert.equal(upload.includeOnSend, true);
+  assert.equal(upload.contentType, 'application/pdf');
+  // A Pipedrive file type that isn't a MIME type is sent as plain binary
+  assert.equal(uploadQBAttachable.mock.calls[1].arguments[2].contentType, 'application/octet-stream');
+});
+
+test('files over the QuickBooks size limit, from another deal or failing to copy are reported', async () => {
+  downloadPipedriveFile.mock.resetCalls();
+
+  const result = await attachDealFilesToInvoice('acme', {}, { invoiceId: '55', dealId: 12, fileIds: [303, 999, 304] });
+
+  assert.deepEqual(result.attached, []);
+  assert.deepEqual(result.failed, [
+    { fileId: '303', fileName: 'drawings.zip', error: 'File is larger than the 100 MB QuickBooks allows' },
+    { fileId: '999', error: 'File 999 is not attached to deal 12' },
+    { fileId: '304', fileName: 'broken.pdf', error: 'File not found' }
+  ]);
+  // Only the file within the limit was downloaded
+  assert.equal(downloadPipedriveFile.mock.callCount(), 1);
+});
@@ -0,0 +1,69 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const quickbooks = require('../src/services/quickbooks');
+const pipedrive = require('../src/services/pipedrive');
+
+// Stand-ins for the deal's products and discounts and the QuickBooks items. invoicing.js takes
+// these helpers when it is loaded, so they are replaced before it is required
+const items = [
+  { Id: '5', Name: 'Widget', Sku: 'W-1', Description: 'Blue widget' },
+  { Id: '6', Name: 'Gadget', Sku: 'G-1' }
+];
+
+mock.method(console, 'log', () => {});
+mock.method(pipedrive, 'getDealProducts', async () => [
+  { product_id: 1, name: 'Widget', product: { code: ' W-1 ' }, quantity: 2, item_price: 50, discount: 10, discount_type: 'percentage' },
+  { product_id: 2, name: 'Gadget', code: 'G-1', quantity: 3, item_price: 20, discount: 6, discount_type: 'amount', comments: 'Gift wrapped' },
+  { product_id: 3, name: 'Sprocket', product: { code: 'S-9' }, quantity: 1, item_price: 5 },
+  { product_id: 4, name: 'Custom work', quantity: 1, item_price: 100 }
+]);
+mock.method(pipedrive, 'getDealDiscounts', async () => [{ description: 'Loyalty', type: 'percentage', amount: '5' }]);
+mock.method(postgres, 'getDealMapping', async () => ({ qbCustomerId: '7', customerName: 'Acme' }));
+const runQBQuery = mock.method(quickbooks, 'runQBQuery', async () => ({ Item: items }));
+
+const { combineDealDiscounts, buildDealInvoiceDraft } = require('../src/services/invoicing');
+
+test('a single deal discount maps straight to the invoice discount', () => {
+  assert.deepEqual(combineDealDiscounts([{ type: 'percentage', amount: '10' }], 200), { type: 'percent', value: 10 });
+  assert.deepEqual(combineDealDiscounts([{ type: 'amount', amount: 25 }], 200), { type: 'amount', value: 25 });
+  assert.equal(combineDealDiscounts([], 200), null);
+  assert.equal(combineDealDiscounts([{ type: 'amount', amount: 25 }], 0), null);
+});
+
+test('several deal discounts are applied in turn and combined into one amount', () => {
+  assert.deepEqual(combineDealDiscounts([
+    { type: 'percentage', amount: 10 },
+    { type: 'amount', amount: 20 }
+  ], 200), { type: 'amount', value: 40 });
+  assert.deepEqual(combineDealDiscounts([
+    { type: 'amount', amount: 150 },
+    { type: 'amount', amount: 150 }
+  ], 200), { type: 'amount', value: 200 });
+});
+
+test('deal products are matched to QuickBooks items by SKU with line discounts in the unit price', async () => {
+  const draft = await buildDealInvoiceDraft('acme', { pipedrive_user_id: 'acme' }, 12);
+
+  assert.match(runQBQuery.mock.calls[0].arguments[2], /Sku IN \('W-1', 'G-1', 'S-9'\)/);
+  assert.deepEqual(draft.lineItems.map(item => [item.itemId, item.quantity, item.unitPrice, item.description]), [
+    ['5', 2, 45, 'Blue widget'],
+    ['6', 3, 18, 'Gift wrapped']
+  ]);
+  assert.deepEqual(draft.lineItems[0].pipedriveDiscount, { type: 'percent', value: 10 });
+  assert.deepEqual(draft.lineItems[1].pipedriveDiscount, { type: 'amount', value: 6 });
+  assert.equal(draft.subtotal, 144);
+});
+
+test('the draft reports unmatched products and carries the deal\'s customer and discount', async () => {
+  const draft = await buildDealInvoiceDraft('acme', { pipedrive_user_id: 'acme' }, 12);
+
+  assert.deepEqual(draft.unmatched.map(product => [product.productId, product.sku, product.reason]), [
+    [3, 'S-9', 'No active QuickBooks item with this SKU'],
+    [4, null, 'Product has no code (SKU) in Pipedrive']
+  ]);
+  assert.equal(draft.dealId, '12');
+  assert.equal(draft.customerId, '7');
+  assert.deepEqual(draft.discount, { type: 'percent', value: 5 });
+  assert.deepEqual(draft.dealDiscounts, [{ description: 'Loyalty', type: 'percentage', amount: 5 }]);
+});
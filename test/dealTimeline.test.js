@@ -0,0 +1,120 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const quickbooks = require('../src/services/quickbooks');
+const pipedrive = require('../src/services/pipedrive');
+const shipstation = require('../src/services/shipstation');
+
+// An in-memory event table and stand-ins for the three APIs. deals.js takes its helpers when it is
+// loaded, so they are replaced before it is required
+const claimed = new Set();
+const notes = [];
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(postgres, 'claimDealTimelineEvent', async (invoiceId, dealId, eventType, eventKey) => {
+  const key = `${invoiceId}:${eventType}:${eventKey}`;
+  if (claimed.has(key)) return null;
+  claimed.add(key);
+  return key;
+});
+mock.method(postgres, 'releaseDealTimelineEvent', async eventId => claimed.delete(eventId));
+mock.method(postgres, 'finishDealTimelineEvent', async () => {});
+mock.method(postgres, 'getInvoiceMapping', async () => ({ shipstationOrderId: '700', shipstationOrderNumber: 'QB-1001' }));
+const markDealTimelineInvoiceChecked = mock.method(postgres, 'markDealTimelineInvoiceChecked', async () => {});
+mock.method(quickbooks, 'runQBQuery', async () => ({
+  Payment: [
+    { Id: '91', TxnDate: '2026-05-09', PaymentRefNum: 'W-2', Line: [{ Amount: 60, LinkedTxn: [{ TxnId: '55', TxnType: 'Invoice' }] }] },
+    { Id: '90', TxnDate: '2026-05-04', PaymentMethodRef: { name: 'Check' }, Line: [{ Amount: 40, LinkedTxn: [{ TxnId: '55', TxnType: 'Invoice' }] }] }
+  ]
+}));
+const getQBInvoice = mock.method(quickbooks, 'getQBInvoice', async () => null);
+const addDealNote = mock.method(pipedrive, 'addDealNote', async (userData, dealId, content) => {
+  if (content.includes('fail')) {
+    throw new Error('Pipedrive is down');
+  }
+  notes.push(content);
+  return notes.length;
+});
+mock.method(pipedrive, 'addDealActivity', async () => 501);
+mock.method(shipstation, 'makeShipStationApiCall', async () => ({
+  shipments: [
+    { shipmentId: 1, carrierCode: 'ups', serviceCode: 'ground', trackingNumber: '1Z999', shipDate: '2026-05-10T00:00:00' },
+    { shipmentId: 2, voided: true }
+  ]
+}));
+
+const { postInvoiceEmailedToDeal, postInvoicePaymentsToDeal, syncDealTimelineInvoice } = require('../src/services/deals');
+
+const invoice = {
+  Id: '55',
+  DocNumber: '1001',
+  TotalAmt: 100,
+  Balance: 0,
+  CurrencyRef: { value: 'EUR' },
+  LinkedTxn: [{ TxnId: '90', TxnType: 'Payment' }, { TxnId: '91', TxnType: 'Payment' }]
+};
+const shipstationUser = { shipstation_api_key: 'key', shipstation_api_secret: 'secret' };
+
+beforeEach(() => {
+  claimed.clear();
+  notes.length = 0;
+  markDealTimelineInvoiceChecked.mock.resetCalls();
+});
+
+test('each timeline event is posted to the deal only once', async () => {
+  assert.deepEqual(await postInvoiceEmailedToDeal('acme', {}, invoice, 12, 'ap@acme.test'), { status: 'done' });
+  assert.deepEqual(await postInvoiceEmailedToDeal('acme', {}, invoice, 12, 'ap@acme.test'), { status: 'skipped' });
+});
+
+test('payments are posted oldest first with the amount in the invoice currency', async () => {
+  const outcomes = await postInvoicePaymentsToDeal('acme', {}, invoice, 12);
+
+  assert.deepEqual(outcomes.map(outcome => outcome.status), ['done', 'done']);
+  assert.match(notes[0], /Amount: 40\.00 EUR on 2026-05-04<br>Method: Check/);
+  assert.match(notes[1], /Amount: 60\.00 EUR on 2026-05-09<br>Reference: W-2/);
+  assert.deepEqual(await postInvoicePaymentsToDeal('acme', {}, { ...invoice, LinkedTxn: [] }, 12), []);
+});
+
+test('a failed post is released so the next check tries it again', async () => {
+  const failing = { ...invoice, DocNumber: 'fail', LinkedTxn: [{ TxnId: '90', TxnType: 'Payment' }] };
+
+  const [first] = await postInvoicePaymentsToDeal('acme', {}, failing, 12);
+  assert.deepEqual(first, { status: 'failed', error: 'Pipedrive is down' });
+  assert.equal(claimed.size, 0);
+
+  addDealNote.mock.resetCalls();
+  await postInvoicePaymentsToDeal('acme', {}, failing, 12);
+  assert.equal(addDealNote.mock.callCount(), 2);
+});
+
+test('a paid invoice stops being watched once its ShipStation order has shipped', async () => {
+  getQBInvoice.mock.mockImplementation(async () => invoice);
+
+  const result = await syncDealTimelineInvoice('acme', shipstationUser, { invoiceId: '55', dealId: 12 });
+
+  assert.deepEqual(result, { watching: false });
+  assert.ok(notes.some(note => note.includes('Carrier: ups / ground<br>Tracking: 1Z999<br>Ship date: 2026-05-10')));
+  assert.equal(notes.filter(note => note.includes('shipped')).length, 1);
+  assert.deepEqual(markDealTimelineInvoiceChecked.mock.calls[0].arguments, ['55', false]);
+});
+
+test('an open invoice or one that has not shipped yet stays watched', async () => {
+  getQBInvoice.mock.mockImplementation(async () => ({ ...invoice, Balance: 60 }));
+  assert.deepEqual(await syncDealTimelineInvoice('acme', {}, { invoiceId: '55', dealId: 12 }), { watching: true });
+
+  getQBInvoice.mock.mockImplementation(async () => invoice);
+  assert.deepEqual(await syncDealTimelineInvoice('acme', { shipstation_api_key: 'key' }, { invoiceId: '55', dealId: 12 }), { watching: true });
+
+  // Without ShipStation, paid is the end of the story
+  assert.deepEqual(await syncDealTimelineInvoice('acme', {}, { invoiceId: '55', dealId: 12 }), { watching: false });
+});
+
+test('a deleted or voided invoice stops being watched', async () => {
+  getQBInvoice.mock.mockImplementation(async () => null);
+  assert.deepEqual(await syncDealTimelineInvoice('acme', {}, { invoiceId: '55', dealId: 12 }), { watching: false });
+
+  getQBInvoice.mock.mockImplementation(async () => ({ ...invoice, TotalAmt: 0, PrivateNote: 'Voided' }));
+  assert.deepEqual(await syncDealTimelineInvoice('acme', {}, { invoiceId: '55', dealId: 12 }), { watching: false });
+  assert.deepEqual(notes, []);
+});
@@ -0,0 +1,118 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDiscountLines, verifyInvoiceTotals } = require('../src/services/invoicing');
+const { isDiscountSalesLine } = require('../src/utils/invoiceLines');
+
+// buildDiscountLines logs each discount it applies
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const account = { Id: '90', Name: 'Discounts given' };
+const discountLineDetails = lines => lines.filter(line => line.DetailType === 'DiscountLineDetail');
+
+test('no discounts build no lines', () => {
+  assert.deepEqual(buildDiscountLines([{ quantity: 1, unitPrice: 100 }], {}), { lines: [], totalDiscount: 0 });
+  assert.deepEqual(buildDiscountLines([{ quantity: 1, unitPrice: 100 }], { discount: { type: 'percent', value: 0 } }), { lines: [], totalDiscount: 0 });
+});
+
+test('a lone percent discount is sent for QuickBooks to work out', () => {
+  const lineItems = [{ quantity: 2, unitPrice: 50 }, { quantity: 1, unitPrice: 100 }];
+
+  const { lines, totalDiscount } = buildDiscountLines(lineItems, { discount: { type: 'percent', value: 10, description: 'Spring sale' } }, account);
+
+  assert.deepEqual(lines, [{
+    DetailType: 'DiscountLineDetail',
+    Amount: 20,
+    Description: 'Spring sale',
+    DiscountLineDetail: { PercentBased: true, DiscountPercent: 10 }
+  }]);
+  assert.equal(totalDiscount, 20);
+});
+
+test('a per-line discount is a negative line for the same item and tax code', () => {
+  const lineItems = [
+    { name: 'Widget', itemId: '5', quantity: 2, unitPrice: 50, taxCode: 'TAX', discount: { type: 'percent', value: 10 } },
+    { name: 'Gadget', itemId: '6', quantity: 1, unitPrice: 30 }
+  ];
+
+  const { lines, totalDiscount } = buildDiscountLines(lineItems, {});
+
+  assert.deepEqual(lines, [{
+    DetailType: 'SalesItemLineDetail',
+    Amount: -10,
+    Description: 'Discount: Widget (10%)',
+    SalesItemLineDetail: { Qty: 1, UnitPrice: -10, ItemRef: { value: '5' }, TaxCodeRef: { value: 'TAX' } }
+  }]);
+  assert.equal(isDiscountSalesLine(lines[0]), true);
+  assert.equal(totalDiscount, 10);
+});
+
+test('per-line discounts use the invoice defaults for lines without their own item or tax code', () => {
+  const defaults = { taxCode: 'TAX', incomeItem: { Id: '1', Name: 'Services' } };
+
+  const { lines } = buildDiscountLines([{ name: 'Setup', quantity: 1, unitPrice: 80, discount: { type: 'amount', value: 15 } }], {}, null, defaults);
+
+  assert.deepEqual(lines[0].SalesItemLineDetail, { Qty: 1, UnitPrice: -15, ItemRef: { value: '1', name: 'Services' }, TaxCodeRef: { value: 'TAX' } });
+});
+
+test('order discounts are worked out after line discounts and sent as one discount line', () => {
+  const lineItems = [
+    { name: 'Widget', itemId: '5', quantity: 1, unitPrice: 100, discount: { type: 'amount', value: 20 } },
+    { name: 'Gadget', itemId: '6', quantity: 1, unitPrice: 100 }
+  ];
+  const discounts = [{ type: 'percent', value: 10 }, { type: 'amount', value: 5, description: 'Loyalty' }];
+
+  const { lines, totalDiscount } = buildDiscountLines(lineItems, { discounts }, account);
+
+  assert.equal(lines.length, 2);
+  assert.deepEqual(discountLineDetails(lines), [{
+    DetailType: 'DiscountLineDetail',
+    Amount: 23,
+    Description: 'Discount (10%); Loyalty',
+    DiscountLineDetail: { PercentBased: false, DiscountAccountRef: { value: '90', name: 'Discounts given' } }
+  }]);
+  assert.equal(totalDiscount, 43);
+});
+
+test('without a discount account a fixed discount stays a fixed amount', () => {
+  const { lines, totalDiscount } = buildDiscountLines([{ quantity: 3, unitPrice: 33.33 }], { discount: { type: 'amount', value: 10 } });
+
+  assert.deepEqual(lines, [{
+    DetailType: 'DiscountLineDetail',
+    Amount: 10,
+    Description: 'Discount',
+    DiscountLineDetail: { PercentBased: false }
+  }]);
+  assert.equal(totalDiscount, 10);
+});
+
+test('discounts never take more than the subtotal', () => {
+  const lineItems = [{ quantity: 1, unitPrice: 100, discount: { type: 'amount', value: 150 } }, { quantity: 1, unitPrice: 100 }];
+  const discounts = [{ type: 'amount', value: 80 }, { type: 'percent', value: 50 }];
+
+  const { lines, totalDiscount } = buildDiscountLines(lineItems, { discounts }, account);
+
+  assert.equal(lines[0].Amount, -100);
+  assert.equal(discountLineDetails(lines)[0].Amount, 100);
+  assert.equal(totalDiscount, 200);
+});
+
+test('the totals check counts negative lines as discount and warns on a mismatch', () => {
+  const invoiceData = {
+    Line: [
+      { DetailType: 'SalesItemLineDetail', Amount: 100 },
+      { DetailType: 'SalesItemLineDetail', Amount: -10 },
+      { DetailType: 'DiscountLineDetail', Amount: 9 }
+    ]
+  };
+
+  const matching = verifyInvoiceTotals(invoiceData, { TotalAmt: 89.9, TxnTaxDetail: { TotalTax: 8.9 } });
+  assert.equal(matching.matches, true);
+  assert.equal(matching.discount, 19);
+  assert.equal(matching.warning, null);
+
+  const mismatched = verifyInvoiceTotals(invoiceData, { DocNumber: '1001', TotalAmt: 90 });
+  assert.equal(mismatched.matches, false);
+  assert.equal(mismatched.difference, 9);
+  assert.match(mismatched.warning, /expected \$81\.00/);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSalesLines, buildInvoiceFromEstimate } = require('../src/services/invoicing');
+
+const estimate = {
+  Id: '41',
+  DocNumber: '1041',
+  TxnStatus: 'Accepted',
+  CustomerRef: { value: '7', name: 'Acme' },
+  BillEmail: { Address: 'billing@acme.test' },
+  ShipAddr: { Line1: '1 Main St', City: 'Springfield' },
+  PrivateNote: 'Quoted by phone',
+  Line: [
+    { Id: '1', LineNum: 1, DetailType: 'SalesItemLineDetail', Amount: 100, SalesItemLineDetail: { ItemRef: { value: '5' }, Qty: 2, UnitPrice: 50 } },
+    { DetailType: 'SubTotalLineDetail', Amount: 100, SubTotalLineDetail: {} },
+    { Id: '2', LineNum: 2, DetailType: 'DiscountLineDetail', Amount: 10, DiscountLineDetail: { PercentBased: true, DiscountPercent: 10 } }
+  ]
+};
+
+test('sales lines carry the item, quantity and price of each line item', () => {
+  const lines = buildSalesLines([
+    { itemId: '5', name: 'Widget', quantity: 2, unitPrice: 50 },
+    { description: 'Setup', unitPrice: 25, taxable: false }
+  ], { incomeItem: { Id: '9', Name: 'Services' }, taxCode: 'TAX' });
+
+  assert.deepEqual(lines[0], {
+    DetailType: 'SalesItemLineDetail',
+    Amount: 100,
+    Description: 'Widget',
+    SalesItemLineDetail: { Qty: 2, UnitPrice: 50, ItemRef: { value: '5' }, TaxCodeRef: { value: 'TAX' } }
+  });
+  assert.deepEqual(lines[1].SalesItemLineDetail, { Qty: 1, UnitPrice: 25, ItemRef: { value: '9', name: 'Services' }, TaxCodeRef: { value: 'NON' } });
+  assert.equal(lines[1].Amount, 25);
+});
+
+test('a converted estimate keeps its sales and discount lines without their IDs', () => {
+  const invoiceData = buildInvoiceFromEstimate(estimate);
+
+  assert.deepEqual(invoiceData.Line.map(line => line.DetailType), ['SalesItemLineDetail', 'DiscountLineDetail']);
+  assert.ok(invoiceData.Line.every(line => line.Id === undefined && line.LineNum === undefined));
+  assert.equal(invoiceData.Line[0].Amount, 100);
+});
+
+test('the invoice is linked to the estimate and copies its customer, address, email and memo', () => {
+  const invoiceData = buildInvoiceFromEstimate(estimate);
+
+  assert.deepEqual(invoiceData.LinkedTxn, [{ TxnId: '41', TxnType: 'Estimate' }]);
+  assert.deepEqual(invoiceData.CustomerRef, { value: '7', name: 'Acme' });
+  assert.deepEqual(invoiceData.ShipAddr, estimate.ShipAddr);
+  assert.deepEqual(invoiceData.BillEmail, estimate.BillEmail);
+  assert.equal(invoiceData.PrivateNote, 'Quoted by phone');
+  assert.equal('BillAddr' in invoiceData, false);
+  assert.equal('CustomerMemo' in invoiceData, false);
+});
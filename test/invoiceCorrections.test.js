@@ -0,0 +1,86 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const shipstation = require('../src/services/shipstation');
+
+// Invoice 55 has a ShipStation order, invoice 56 has none. invoicing.js takes these helpers when it
+// is loaded, so they are replaced before it is required
+const orders = {};
+const calls = [];
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(postgres, 'getInvoiceMapping', async invoiceId => (invoiceId === '55' ? { shipstationOrderId: '700' } : null));
+const makeShipStationApiCall = mock.method(shipstation, 'makeShipStationApiCall', async (userData, method, endpoint, body) => {
+  calls.push(`${method} ${endpoint}`);
+  if (method === 'GET') {
+    return { orderId: 700, orderKey: 'key-700', orderStatus: orders.status };
+  }
+  if (endpoint === '/orders/createorder' && orders.locked) {
+    throw new Error('Order is locked');
+  }
+  return {};
+});
+
+const { copySalesDocumentLines, cancelShipStationOrderForInvoice } = require('../src/services/invoicing');
+
+const userData = { shipstation_api_key: 'key', shipstation_api_secret: 'secret' };
+
+test('a credited document copies only sales and discount lines, without their IDs', () => {
+  const lines = copySalesDocumentLines([
+    { Id: '1', LineNum: 1, DetailType: 'SalesItemLineDetail', Amount: 100, SalesItemLineDetail: { ItemRef: { value: '5' } } },
+    { DetailType: 'SubTotalLineDetail', Amount: 100 },
+    { Id: '2', LineNum: 2, DetailType: 'DiscountLineDetail', Amount: 10, DiscountLineDetail: { PercentBased: false } }
+  ]);
+
+  assert.deepEqual(lines, [
+    { DetailType: 'SalesItemLineDetail', Amount: 100, SalesItemLineDetail: { ItemRef: { value: '5' } } },
+    { DetailType: 'DiscountLineDetail', Amount: 10, DiscountLineDetail: { PercentBased: false } }
+  ]);
+  assert.deepEqual(copySalesDocumentLines(undefined), []);
+});
+
+test('voiding an invoice without a ShipStation order leaves ShipStation alone', async () => {
+  calls.length = 0;
+
+  assert.deepEqual(await cancelShipStationOrderForInvoice(userData, '56'), { action: 'none' });
+  assert.deepEqual(await cancelShipStationOrderForInvoice({}, '55'), { action: 'none', orderId: '700', error: 'ShipStation not connected' });
+  assert.deepEqual(calls, []);
+});
+
+test('an open order is cancelled in the user\'s own ShipStation account', async () => {
+  calls.length = 0;
+  orders.status = 'awaiting_shipment';
+
+  const result = await cancelShipStationOrderForInvoice(userData, '55');
+
+  assert.deepEqual(result, { action: 'cancelled', orderId: '700', orderStatus: 'cancelled' });
+  assert.deepEqual(calls, ['GET /orders/700', 'POST /orders/createorder']);
+  const update = makeShipStationApiCall.mock.calls.at(-1);
+  assert.equal(update.arguments[0], userData);
+  assert.equal(update.arguments[3].orderStatus, 'cancelled');
+  assert.equal(update.arguments[3].orderKey, 'key-700');
+});
+
+test('shipped orders are left as they are', async () => {
+  calls.length = 0;
+  orders.status = 'shipped';
+
+  const result = await cancelShipStationOrderForInvoice(userData, '55');
+
+  assert.equal(result.action, 'none');
+  assert.equal(result.error, 'Order has already shipped');
+  assert.deepEqual(calls, ['GET /orders/700']);
+});
+
+test('an order that cannot be cancelled is put on hold', async () => {
+  calls.length = 0;
+  orders.status = 'awaiting_payment';
+  orders.locked = true;
+
+  const result = await cancelShipStationOrderForInvoice(userData, '55');
+
+  assert.deepEqual(result, { action: 'held', orderId: '700', orderStatus: 'on_hold' });
+  assert.deepEqual(calls, ['GET /orders/700', 'POST /orders/createorder', 'POST /orders/holduntil']);
+  assert.equal(makeShipStationApiCall.mock.calls.at(-1).arguments[3].orderId, 700);
+});
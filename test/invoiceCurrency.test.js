@@ -0,0 +1,88 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const quickbooks = require('../src/services/quickbooks');
+
+// A USD company with multicurrency on ('multi') and one with it off ('single'), a CAD and a USD
+// customer, and QuickBooks' CAD rate. invoicing.js takes these helpers when it is loaded, so they
+// are replaced before it is required
+const customers = {
+  7: { Id: '7', DisplayName: 'Maple Co', CurrencyRef: { value: 'CAD', name: 'Canadian Dollar' } },
+  8: { Id: '8', DisplayName: 'Acme', CurrencyRef: { value: 'USD', name: 'United States Dollar' } }
+};
+
+mock.method(console, 'log', () => {});
+mock.method(quickbooks, 'runQBQuery', async (userId, userData, query) => {
+  const entity = query.match(/FROM (\w+)/)[1];
+  if (entity === 'Preferences') {
+    return { Preferences: [{ CurrencyPrefs: { HomeCurrency: { value: 'USD' }, MultiCurrencyEnabled: userData.qb_realm_id === 'multi' } }] };
+  }
+  if (entity === 'Customer') {
+    return { Customer: [customers[query.match(/Id = '(\w+)'/)[1]]].filter(Boolean) };
+  }
+  return {};
+});
+mock.method(quickbooks, 'makeQBApiCall', async () => ({ json: { ExchangeRate: { Rate: '0.73' } } }));
+
+const { resolveInvoiceCurrency, describeInvoiceCurrency, buildInvoiceCurrencyNote } = require('../src/services/invoicing');
+
+const multi = { qb_realm_id: 'multi' };
+const single = { qb_realm_id: 'single' };
+
+test('a foreign customer is invoiced in their currency at QuickBooks\' rate', async () => {
+  const result = await resolveInvoiceCurrency('acme', multi, { customerId: '7', txnDate: '2026-05-01' });
+
+  assert.deepEqual(result, {
+    currency: { code: 'CAD', name: 'Canadian Dollar', homeCurrency: 'USD', exchangeRate: 0.73, rateSource: 'quickbooks' }
+  });
+});
+
+test('a provided exchange rate is used instead, and must be positive', async () => {
+  const provided = await resolveInvoiceCurrency('acme', multi, { customerId: '7', currency: 'cad', exchangeRate: '0.7' });
+  assert.equal(provided.currency.exchangeRate, 0.7);
+  assert.equal(provided.currency.rateSource, 'provided');
+
+  const invalid = await resolveInvoiceCurrency('acme', multi, { customerId: '7', exchangeRate: '-1' });
+  assert.equal(invalid.error, 'Exchange rate must be a positive number');
+});
+
+test('home-currency customers get no currency and other currencies are refused', async () => {
+  assert.deepEqual(await resolveInvoiceCurrency('acme', multi, { customerId: '8' }), { currency: null });
+
+  const mismatch = await resolveInvoiceCurrency('acme', multi, { customerId: '7', currency: 'EUR' });
+  assert.equal(mismatch.error, 'Maple Co is billed in CAD; QuickBooks can\'t invoice them in EUR');
+
+  const missing = await resolveInvoiceCurrency('acme', multi, { customerId: '9' });
+  assert.equal(missing.error, 'Customer 9 was not found in QuickBooks');
+});
+
+test('without multicurrency only the home currency is accepted', async () => {
+  assert.deepEqual(await resolveInvoiceCurrency('acme', single, { customerId: '7' }), { currency: null });
+  assert.deepEqual(await resolveInvoiceCurrency('acme', single, { customerId: '7', currency: 'usd' }), { currency: null });
+
+  const refused = await resolveInvoiceCurrency('acme', single, { customerId: '7', currency: 'CAD' });
+  assert.equal(refused.error, 'Multicurrency is not turned on in QuickBooks, so invoices can only be in USD');
+});
+
+test('a saved foreign invoice shows both currencies', () => {
+  const invoice = { CurrencyRef: { value: 'CAD', name: 'Canadian Dollar' }, ExchangeRate: 0.73, TotalAmt: 100, Balance: 40, HomeTotalAmt: 73.05 };
+
+  assert.deepEqual(describeInvoiceCurrency(invoice, 'USD'), {
+    code: 'CAD',
+    name: 'Canadian Dollar',
+    homeCurrency: 'USD',
+    exchangeRate: 0.73,
+    totalAmount: 100,
+    homeTotalAmount: 73.05,
+    homeBalance: 29.2
+  });
+  assert.equal(describeInvoiceCurrency({ CurrencyRef: { value: 'USD' }, TotalAmt: 100 }, 'USD'), null);
+  assert.equal(describeInvoiceCurrency({ CurrencyRef: { value: 'CAD' }, ExchangeRate: 1 }), null);
+  assert.equal(describeInvoiceCurrency({ TotalAmt: 100 }, 'USD'), null);
+});
+
+test('the ShipStation note gives the amount paid in both currencies', async () => {
+  const invoice = { CurrencyRef: { value: 'CAD' }, ExchangeRate: 0.73, TotalAmt: 100, Balance: 0 };
+
+  assert.equal(await buildInvoiceCurrencyNote('acme', multi, invoice, 100), 'Paid CAD 100.00 (USD 73.00 at 0.73)');
+  assert.equal(await buildInvoiceCurrencyNote('acme', multi, { TotalAmt: 100 }, 100), '');
+});
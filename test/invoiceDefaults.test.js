@@ -0,0 +1,59 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeDueDateFromPreferences, pickPersonEmail, resolveInvoiceDefaults } = require('../src/services/invoicing');
+
+mock.method(console, 'log', () => {});
+
+const txnDate = new Date('2026-05-01T12:00:00Z');
+const person = {
+  email: [
+    { value: 'jane@acme.test', label: 'work', primary: false },
+    { value: 'ap@acme.test', label: 'Billing', primary: true }
+  ],
+  abc123_invoice_email: 'invoices@acme.test'
+};
+
+test('due date presets count days from the invoice date', () => {
+  assert.equal(computeDueDateFromPreferences({ dueDateType: 'net30' }, txnDate), '2026-05-31');
+  assert.equal(computeDueDateFromPreferences({ dueDateType: 'immediate' }, txnDate), '2026-05-01');
+  assert.equal(computeDueDateFromPreferences({ dueDateType: 'days', dueDateDays: '14' }, txnDate), '2026-05-15');
+});
+
+test('missing or unusable due date preferences give no due date', () => {
+  assert.equal(computeDueDateFromPreferences(null, txnDate), null);
+  assert.equal(computeDueDateFromPreferences({}, txnDate), null);
+  assert.equal(computeDueDateFromPreferences({ dueDateType: 'days', dueDateDays: 'soon' }, txnDate), null);
+  assert.equal(computeDueDateFromPreferences({ dueDateType: 'days', dueDateDays: '-3' }, txnDate), null);
+  assert.equal(computeDueDateFromPreferences({ dueDateType: 'net45' }, txnDate), null);
+});
+
+test('the billing email follows the configured email field', () => {
+  assert.equal(pickPersonEmail(person, 'email'), 'jane@acme.test');
+  assert.equal(pickPersonEmail(person, 'primary_email'), 'ap@acme.test');
+  assert.equal(pickPersonEmail(person, 'billing_email'), 'ap@acme.test');
+  assert.equal(pickPersonEmail(person, 'abc123_invoice_email'), 'invoices@acme.test');
+  assert.equal(pickPersonEmail({ email: [], custom: { value: 'x@acme.test' } }, 'custom'), 'x@acme.test');
+});
+
+test('a person without a matching email gives no billing email', () => {
+  assert.equal(pickPersonEmail({ email: [{ value: 'jane@acme.test' }] }, 'billing_email'), null);
+  assert.equal(pickPersonEmail({}, 'primary_email'), null);
+  assert.equal(pickPersonEmail({ email: [{ value: '' }] }), null);
+});
+
+test('defaults fill only what the request left out', async () => {
+  const userData = { invoice_preferences: { dueDateType: 'net30', defaultTaxRate: 'exempt' } };
+
+  const withDefaults = await resolveInvoiceDefaults('acme', userData, { lineItems: [{ itemId: '5' }] });
+  assert.match(withDefaults.dueDate, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal(withDefaults.taxCode, 'NON');
+  assert.deepEqual(Object.keys(withDefaults.appliedDefaults), ['dueDate', 'taxCode']);
+
+  const explicit = await resolveInvoiceDefaults('acme', userData, {
+    dueDate: '2026-06-01',
+    lineItems: [{ itemId: '5', taxCode: 'TAX' }]
+  });
+  assert.equal(explicit.dueDate, '2026-06-01');
+  assert.equal(explicit.taxCode, null);
+  assert.deepEqual(explicit.appliedDefaults, {});
+});
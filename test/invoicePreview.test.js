@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateInvoiceTax, planInvoiceSideEffects } = require('../src/services/invoicing');
+
+const salesLine = (itemId, amount, taxCode = 'TAX') => ({
+  DetailType: 'SalesItemLineDetail',
+  Amount: amount,
+  SalesItemLineDetail: { ItemRef: { value: itemId }, TaxCodeRef: { value: taxCode } }
+});
+const usTax = {
+  taxSetup: { isUS: true, automatedSalesTax: false, taxCodes: [{ Id: '3', Name: 'State', combinedRate: 10 }] },
+  txnTaxDetail: { TxnTaxCodeRef: { value: '3' } }
+};
+
+test('the discount is spread over the goods and not the shipping', () => {
+  const invoiceData = {
+    Line: [
+      salesLine('5', 100),
+      salesLine('SHIPPING_ITEM_ID', 20),
+      { DetailType: 'DiscountLineDetail', Amount: 10, DiscountLineDetail: { PercentBased: true, DiscountPercent: 10 } }
+    ]
+  };
+
+  const estimate = estimateInvoiceTax(invoiceData, usTax);
+
+  // 90 of goods after the discount plus 20 of shipping, at 10%
+  assert.equal(estimate.estimated, true);
+  assert.deepEqual(estimate.lines, [{ taxCode: '3', name: 'State', rate: 10, taxableAmount: 110, amount: 11 }]);
+  assert.equal(estimate.totalTax, 11);
+});
+
+test('handling lines named in the preferences are not discounted either', () => {
+  const invoiceData = {
+    Line: [
+      salesLine('5', 200),
+      salesLine('77', 15, 'NON'),
+      { DetailType: 'DiscountLineDetail', Amount: 50, DiscountLineDetail: { PercentBased: false } }
+    ]
+  };
+
+  // The whole discount comes off the taxable goods
+  assert.equal(estimateInvoiceTax(invoiceData, usTax, { handlingItem: '77' }).lines[0].taxableAmount, 150);
+  assert.equal(estimateInvoiceTax(invoiceData, usTax).lines[0].taxableAmount, 153.49);
+});
+
+test('non-taxable lines and automated sales tax are not estimated', () => {
+  const invoiceData = { Line: [salesLine('5', 100, 'NON')] };
+
+  assert.equal(estimateInvoiceTax(invoiceData, usTax).totalTax, 0);
+  assert.equal(estimateInvoiceTax(invoiceData, { ...usTax, taxSetup: { ...usTax.taxSetup, automatedSalesTax: true } }).estimated, false);
+  assert.equal(estimateInvoiceTax(invoiceData, null).estimated, false);
+});
+
+test('the side-effect plan covers every side-effect step', () => {
+  const userData = {
+    access_token: 'token',
+    shipstation_api_key: 'key',
+    invoice_preferences: { pipelineAutomations: { 1: { createdStageId: '4' }, 2: { paidMarkWon: true } } }
+  };
+
+  const plan = planInvoiceSideEffects(userData, {
+    sendEmail: true,
+    billEmail: 'billing@acme.test',
+    paymentTerm: { Name: 'Net 30', DueDays: 30 },
+    invoiceBalance: 100,
+    dealId: 12,
+    lineItems: [{}, {}]
+  });
+
+  assert.deepEqual(Object.keys(plan), ['attachments', 'email', 'shipstation', 'pipedriveProducts', 'dealTimeline', 'pipelineAutomation']);
+  assert.deepEqual(plan.email, { willSend: true, to: 'billing@acme.test' });
+  assert.deepEqual(plan.shipstation, { action: 'create_order', term: 'Net 30' });
+  assert.deepEqual(plan.pipedriveProducts, { willSync: true, dealId: 12, lineCount: 2 });
+  assert.deepEqual(plan.dealTimeline, { willPost: true, dealId: 12, events: ['note', 'pdf', 'email'] });
+  assert.deepEqual(plan.pipelineAutomation, { willRun: true, dealId: 12, trigger: 'invoice_created', pipelineIds: ['1'] });
+});
+
+test('without a deal the deal steps say why they would not run', () => {
+  const plan = planInvoiceSideEffects({}, { invoiceBalance: 100 });
+
+  assert.deepEqual(plan.attachments, { willAttach: false });
+  assert.equal(plan.shipstation.action, 'none');
+  assert.equal(plan.dealTimeline.reason, 'No deal ID provided');
+  assert.equal(plan.pipelineAutomation.reason, 'No deal ID provided');
+});
@@ -0,0 +1,46 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { runInvoiceSideEffects } = require('../src/services/invoicing');
+
+mock.method(console, 'log', () => {});
+
+// Without a deal, email address or ShipStation account every step skips without calling an API
+const userData = {};
+const invoice = { Id: '55', DocNumber: '1001', Balance: 100 };
+
+test('each step that runs is started, then completed, in order', async () => {
+  const calls = [];
+
+  const result = await runInvoiceSideEffects('acme', userData, invoice, {
+    onStepStart: step => calls.push(`start:${step}`),
+    onStepComplete: (step, outcome) => calls.push(`${outcome.status}:${step}`)
+  });
+
+  assert.deepEqual(calls, [
+    'start:attachments', 'skipped:attachments',
+    'start:email', 'skipped:email',
+    'start:shipstation', 'skipped:shipstation',
+    'start:pipedriveProducts', 'skipped:pipedriveProducts',
+    'start:dealTimeline', 'skipped:dealTimeline',
+    'start:pipelineAutomation', 'skipped:pipelineAutomation'
+  ]);
+  assert.equal(result.emailSent, false);
+});
+
+test('steps finished by an earlier attempt are neither started nor repeated', async () => {
+  const started = [];
+  const completedSteps = {
+    attachments: { status: 'skipped', attachments: null },
+    email: { status: 'done', emailSent: true },
+    shipstation: { status: 'failed', shipstationOrderCreated: false }
+  };
+
+  const result = await runInvoiceSideEffects('acme', userData, invoice, {
+    completedSteps,
+    onStepStart: step => started.push(step)
+  });
+
+  assert.deepEqual(started, ['shipstation', 'pipedriveProducts', 'dealTimeline', 'pipelineAutomation']);
+  assert.equal(result.emailSent, true);
+  assert.equal(result.steps.shipstation.status, 'skipped');
+});
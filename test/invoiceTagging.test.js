@@ -0,0 +1,153 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const quickbooks = require('../src/services/quickbooks');
+const pipedrive = require('../src/services/pipedrive');
+
+// A company tracking classes per line and locations, with two sales form custom fields, and a
+// deal to tag invoices from. invoicing.js takes these helpers when it is loaded, so they are
+// replaced before it is required
+const customFieldGroups = [{
+  CustomField: [
+    { Name: 'SalesFormsPrefs.UseSalesCustom1', BooleanValue: true },
+    { Name: 'SalesFormsPrefs.SalesCustomName1', StringValue: 'PO Number' },
+    { Name: 'SalesFormsPrefs.UseSalesCustom2', BooleanValue: false },
+    { Name: 'SalesFormsPrefs.SalesCustomName2', StringValue: 'Unused' },
+    { Name: 'SalesFormsPrefs.UseSalesCustom3', BooleanValue: true },
+    { Name: 'SalesFormsPrefs.SalesCustomName3', StringValue: 'Region' }
+  ]
+}];
+const deal = {
+  id: 12,
+  pipeline_id: 2,
+  stage_id: 5,
+  user_id: { id: 44, name: 'Sam' },
+  po_field: 'PO-7731-ABCDEFGHIJKLMNOPQRSTUVWXYZ-0123',
+  region_field: '17,18'
+};
+const dealFields = [{ key: 'region_field', options: [{ id: 17, label: 'West' }, { id: 18, label: 'Coastal' }] }];
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(quickbooks, 'runQBQuery', async (userId, userData, query) => {
+  const entity = query.match(/FROM (\w+)/)[1];
+  if (entity !== 'Preferences') return {};
+  return {
+    Preferences: [{
+      AccountingInfoPrefs: { ClassTrackingPerTxnLine: userData.qb_realm_id === 'tracking', TrackDepartments: userData.qb_realm_id === 'tracking', DepartmentTerminology: 'Location' },
+      SalesFormsPrefs: { CustomField: customFieldGroups }
+    }]
+  };
+});
+const makePipedriveApiCall = mock.method(pipedrive, 'makePipedriveApiCall', async (userData, method, endpoint) =>
+  ({ data: endpoint.startsWith('/api/v1/dealFields') ? dealFields : deal }));
+
+const {
+  parseSalesCustomFields,
+  readDealFieldText,
+  mapDealToTag,
+  resolveInvoiceTagging,
+  applyInvoiceTagging
+} = require('../src/services/invoicing');
+
+const userData = {
+  qb_realm_id: 'tracking',
+  access_token: 'token',
+  invoice_preferences: {
+    invoiceTagging: {
+      class: { source: 'pipeline', map: { 2: 'C-20' } },
+      department: { source: 'region_field', map: { 18: 'D-3' }, defaultId: 'D-1' },
+      customFields: { 1: 'po_field', 3: 'region_field' }
+    }
+  }
+};
+
+test('only custom fields turned on in the sales form settings are listed', () => {
+  assert.deepEqual(parseSalesCustomFields(customFieldGroups), [
+    { definitionId: '1', name: 'PO Number' },
+    { definitionId: '3', name: 'Region' }
+  ]);
+  assert.deepEqual(parseSalesCustomFields(undefined), []);
+});
+
+test('deal fields are read as option labels or names', () => {
+  assert.equal(readDealFieldText(deal, 'region_field', dealFields), 'West, Coastal');
+  assert.equal(readDealFieldText(deal, 'user_id', dealFields), 'Sam');
+  assert.equal(readDealFieldText(deal, 'pipeline_id', dealFields), '2');
+  assert.equal(readDealFieldText(deal, 'missing', dealFields), null);
+});
+
+test('a rule maps the deal\'s pipeline, stage, owner or field to a QuickBooks ID', () => {
+  assert.equal(mapDealToTag(deal, { source: 'pipeline', map: { 2: 'C-20' } }), 'C-20');
+  assert.equal(mapDealToTag(deal, { source: 'owner', map: { 44: 'C-44' } }), 'C-44');
+  assert.equal(mapDealToTag(deal, { source: 'region_field', map: { 18: 'D-3' } }), 'D-3');
+  assert.equal(mapDealToTag(deal, { source: 'stage', map: {}, defaultId: 'C-1' }), 'C-1');
+  assert.equal(mapDealToTag(deal, { source: 'stage', map: {} }), null);
+  assert.equal(mapDealToTag(deal, null), null);
+});
+
+test('tags come from the deal, with custom field values cut to the QuickBooks limit', async () => {
+  const tagging = await resolveInvoiceTagging('acme', userData, { dealId: 12 });
+
+  assert.equal(tagging.classId, 'C-20');
+  assert.equal(tagging.departmentId, 'D-3');
+  assert.equal(tagging.classTracking, 'line');
+  assert.deepEqual(tagging.customFields, [
+    { DefinitionId: '1', Name: 'PO Number', Type: 'StringType', StringValue: 'PO-7731-ABCDEFGHIJKLMNOPQRSTUVW' },
+    { DefinitionId: '3', Name: 'Region', Type: 'StringType', StringValue: 'West, Coastal' }
+  ]);
+  assert.deepEqual(Object.keys(tagging.appliedDefaults), ['classId', 'departmentId', 'customFields']);
+});
+
+test('values in the request win over the deal and custom fields can be named', async () => {
+  makePipedriveApiCall.mock.resetCalls();
+
+  const tagging = await resolveInvoiceTagging('acme', userData, {
+    dealId: 12,
+    classId: 'C-9',
+    departmentId: 'D-9',
+    customFields: [{ name: 'po number', value: 'PO-1' }, { definitionId: 3, value: 'North' }]
+  });
+
+  assert.equal(tagging.classId, 'C-9');
+  assert.equal(tagging.departmentId, 'D-9');
+  assert.deepEqual(tagging.customFields.map(field => field.StringValue), ['PO-1', 'North']);
+  assert.deepEqual(tagging.appliedDefaults, {});
+  assert.equal(makePipedriveApiCall.mock.callCount(), 0);
+});
+
+test('tags the company does not track are refused', async () => {
+  const untracked = { ...userData, qb_realm_id: 'untracked' };
+
+  assert.equal((await resolveInvoiceTagging('acme', untracked, { classId: 'C-9' })).error, 'Class tracking is turned off in QuickBooks');
+  assert.equal((await resolveInvoiceTagging('acme', untracked, { departmentId: 'D-9' })).error, 'Location tracking is turned off in QuickBooks');
+  assert.equal((await resolveInvoiceTagging('acme', userData, { customFields: [{ name: 'Color', value: 'Red' }] })).error, 'Unknown QuickBooks custom field "Color"');
+  assert.match((await resolveInvoiceTagging('acme', userData, { customFields: 'PO-1' })).error, /must be an array/);
+});
+
+test('per-line class tracking puts the class on each sales line', () => {
+  const invoiceData = {
+    Line: [
+      { DetailType: 'SalesItemLineDetail', SalesItemLineDetail: {} },
+      { DetailType: 'SalesItemLineDetail', SalesItemLineDetail: { ClassRef: { value: 'C-5' } } },
+      { DetailType: 'DiscountLineDetail', DiscountLineDetail: {} }
+    ]
+  };
+
+  applyInvoiceTagging(invoiceData, { classId: 'C-20', classTracking: 'line', departmentId: 'D-3', customFields: [] });
+
+  assert.deepEqual(invoiceData.Line.map(line => line.SalesItemLineDetail?.ClassRef?.value), ['C-20', 'C-5', undefined]);
+  assert.equal(invoiceData.ClassRef, undefined);
+  assert.deepEqual(invoiceData.DepartmentRef, { value: 'D-3' });
+  assert.equal(invoiceData.CustomField, undefined);
+});
+
+test('per-transaction class tracking puts the class on the invoice', () => {
+  const invoiceData = { Line: [{ DetailType: 'SalesItemLineDetail', SalesItemLineDetail: {} }] };
+  const customFields = [{ DefinitionId: '1', Name: 'PO Number', Type: 'StringType', StringValue: 'PO-1' }];
+
+  applyInvoiceTagging(invoiceData, { classId: 'C-20', classTracking: 'transaction', departmentId: null, customFields });
+
+  assert.deepEqual(invoiceData.ClassRef, { value: 'C-20' });
+  assert.equal(invoiceData.Line[0].SalesItemLineDetail.ClassRef, undefined);
+  assert.deepEqual(invoiceData.CustomField, customFields);
+});
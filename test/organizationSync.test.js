@@ -0,0 +1,120 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const quickbooks = require('../src/services/quickbooks');
+const pipedrive = require('../src/services/pipedrive');
+const customers = require('../src/services/customers');
+
+// Stand-ins for the database and both APIs. sync.js takes its helpers when it is loaded, so they
+// are replaced before it is required
+const contactMappings = new Map();
+const qbCustomers = new Map();
+let savedCustomers = [];
+
+mock.method(console, 'log', () => {});
+mock.method(postgres, 'getUser', async () => ({
+  pipedrive_user_id: 'acme',
+  access_token: 'pipedrive-token',
+  qb_access_token: 'qb-token',
+  qb_realm_id: '123',
+  invoice_preferences: {}
+}));
+mock.method(postgres, 'getCustomerFieldMappings', async () => ({}));
+mock.method(postgres, 'getContactMapping', async (userId, entityType, entityId) =>
+  contactMappings.get(`${userId}:${entityType}:${entityId}`) || null);
+mock.method(postgres, 'setContactMapping', async (userId, entityType, entityId, qbCustomerId, source) => {
+  const mapping = { entityType, entityId: String(entityId), qbCustomerId: String(qbCustomerId), source };
+  contactMappings.set(`${userId}:${entityType}:${entityId}`, mapping);
+  return mapping;
+});
+mock.method(pipedrive, 'makePipedriveApiCall', async (userData, method, endpoint) => {
+  if (endpoint.includes('/persons')) {
+    return {
+      data: [
+        { id: 7, name: 'Ada Lovelace', email: [{ value: 'ada@example.com', primary: true }] },
+        { id: 8, name: 'Charles Babbage', email: [{ value: 'charles@example.com', primary: true }] }
+      ]
+    };
+  }
+  return { data: { id: 3, name: 'Analytical Engines' } };
+});
+mock.method(quickbooks, 'runQBQuery', async (userId, userData, query) => {
+  const match = [...qbCustomers.values()].find(customer =>
+    query.includes(`Id = '${customer.Id}'`) || query.includes(`DisplayName = '${customer.DisplayName}'`));
+  return { Customer: match ? [match] : [] };
+});
+mock.method(quickbooks, 'makeQBApiCall', async (userId, userData, apiCall) => {
+  return apiCall({
+    makeApiCall: async ({ body }) => {
+      const sent = JSON.parse(body);
+      savedCustomers.push(sent);
+      const saved = { ...(qbCustomers.get(sent.Id) || {}), ...sent, Id: sent.Id || String(100 + qbCustomers.size) };
+      qbCustomers.set(saved.Id, saved);
+      return { json: { Customer: saved } };
+    }
+  }, userData);
+});
+mock.method(customers, 'findDuplicateCustomers', async () => []);
+mock.method(customers, 'rememberCreatedCustomer', () => {});
+
+const { syncOrganization, loadCustomerMapping } = require('../src/controllers/sync');
+
+beforeEach(() => {
+  contactMappings.clear();
+  qbCustomers.clear();
+  savedCustomers = [];
+});
+
+test('sub-customers mode leaves a person\'s own standalone customer unchanged', async () => {
+  qbCustomers.set('50', { Id: '50', DisplayName: 'Ada Lovelace', SyncToken: '0' });
+  contactMappings.set('acme:person:7', { entityType: 'person', entityId: '7', qbCustomerId: '50', source: 'person' });
+
+  const result = await syncOrganization('acme', 3, { persons: 'subcustomers' });
+
+  assert.ok(!savedCustomers.some(customer => customer.Id === '50'));
+  assert.deepEqual(qbCustomers.get('50'), { Id: '50', DisplayName: 'Ada Lovelace', SyncToken: '0' });
+  assert.equal(contactMappings.get('acme:person:7').qbCustomerId, '50');
+
+  const ada = result.persons.find(person => person.personId === 7);
+  assert.equal(ada.action, 'kept');
+  assert.equal(ada.qbCustomerId, '50');
+
+  // Persons without a customer of their own still become sub-customers
+  const charles = result.persons.find(person => person.personId === 8);
+  assert.equal(charles.action, 'created');
+  assert.equal(qbCustomers.get(charles.qbCustomerId).DisplayName, 'Charles Babbage (Analytical Engines)');
+  assert.deepEqual(qbCustomers.get(charles.qbCustomerId).ParentRef, { value: result.qbCustomerId });
+});
+
+test('sub-customers mode updates the organization\'s existing sub-customers', async () => {
+  qbCustomers.set('40', { Id: '40', DisplayName: 'Analytical Engines', SyncToken: '0' });
+  qbCustomers.set('51', { Id: '51', DisplayName: 'Ada Lovelace (Analytical Engines)', ParentRef: { value: '40' }, SyncToken: '0' });
+  contactMappings.set('acme:person:7', { entityType: 'person', entityId: '7', qbCustomerId: '51', source: 'person' });
+
+  const result = await syncOrganization('acme', 3, { persons: 'subcustomers' });
+
+  const ada = result.persons.find(person => person.personId === 7);
+  assert.equal(ada.action, 'updated');
+  assert.equal(ada.qbCustomerId, '51');
+});
+
+test('contacts mode keeps a person\'s own customer mapping', async () => {
+  contactMappings.set('acme:person:7', { entityType: 'person', entityId: '7', qbCustomerId: '50', source: 'person' });
+
+  const result = await syncOrganization('acme', 3, { persons: 'contacts' });
+
+  assert.equal(contactMappings.get('acme:person:7').qbCustomerId, '50');
+  assert.deepEqual(result.persons.map(person => person.action), ['kept', 'linked']);
+  assert.equal(contactMappings.get('acme:person:8').source, 'organization');
+});
+
+test('the saved customer field mapping is read under the user\'s own key, whatever ID the caller had', async () => {
+  const rules = [{ target: 'DisplayName', source: 'name' }];
+  postgres.getCustomerFieldMappings.mock.mockImplementationOnce(async (userId) =>
+    (userId === 'acme' ? { person: { rules } } : {}));
+
+  const mapping = await loadCustomerMapping('acme.pipedrive.com', { pipedrive_user_id: 'acme', invoice_preferences: {} }, 'person');
+
+  assert.deepEqual(mapping.rules, rules);
+  assert.equal(mapping.isDefault, false);
+});
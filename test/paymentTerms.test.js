@@ -0,0 +1,60 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const quickbooks = require('../src/services/quickbooks');
+
+// invoicing.js takes runQBQuery when it is loaded, so it is replaced before it is required
+const terms = [
+  { Id: '1', Name: 'Due on receipt', DueDays: 0 },
+  { Id: '3', Name: 'Net 30', DueDays: 30 },
+  { Id: '8', Name: '15th of the month', DayOfMonthDue: 15, DueNextMonthDays: 5 }
+];
+const runQBQuery = mock.method(quickbooks, 'runQBQuery', async () => ({ Term: terms }));
+mock.method(console, 'log', () => {});
+
+const {
+  findQBTerm,
+  computeDueDateFromTerm,
+  isDueOnReceiptTerm,
+  getShipStationPath
+} = require('../src/services/invoicing');
+
+const txnDate = new Date('2026-05-01T12:00:00Z');
+
+test('terms with DueDays are due that many days after the invoice date', () => {
+  assert.equal(computeDueDateFromTerm(terms[1], txnDate), '2026-05-31');
+  assert.equal(computeDueDateFromTerm(terms[0], txnDate), '2026-05-01');
+  assert.equal(computeDueDateFromTerm(null, txnDate), null);
+});
+
+test('day-of-month terms roll to next month inside the cutoff', () => {
+  assert.equal(computeDueDateFromTerm(terms[2], new Date(2026, 4, 1, 12)), '2026-05-15');
+  assert.equal(computeDueDateFromTerm(terms[2], new Date(2026, 4, 12, 12)), '2026-06-15');
+  assert.equal(computeDueDateFromTerm({ DayOfMonthDue: 31 }, new Date(2026, 1, 2, 12)), '2026-02-28');
+});
+
+test('only a zero-day term is due on receipt, whatever its name', () => {
+  assert.equal(isDueOnReceiptTerm(terms[0]), true);
+  assert.equal(isDueOnReceiptTerm({ Name: 'Due on receipt', DueDays: 7 }), false);
+  assert.equal(isDueOnReceiptTerm(terms[2]), false);
+  assert.equal(isDueOnReceiptTerm(null), false);
+});
+
+test('unpaid due-on-receipt invoices wait for payment before shipping', () => {
+  assert.equal(getShipStationPath(terms[0], 100), 'pending_payment');
+  assert.equal(getShipStationPath(terms[0], 0), 'create_order');
+  assert.equal(getShipStationPath(terms[1], 100), 'create_order');
+  assert.equal(getShipStationPath(null, 100), 'create_order');
+});
+
+test('terms are found by ID or by name and cached per realm', async () => {
+  const userData = { qb_realm_id: 'realm-1' };
+
+  assert.equal((await findQBTerm('acme', userData, '3')).Name, 'Net 30');
+  assert.equal((await findQBTerm('acme', userData, ' net 30 ')).Id, '3');
+  assert.equal(runQBQuery.mock.callCount(), 1);
+
+  // An unknown term refreshes the cache once before giving up
+  assert.equal(await findQBTerm('acme', userData, 'Net 45'), null);
+  assert.equal(runQBQuery.mock.callCount(), 2);
+  assert.equal(await findQBTerm('acme', userData, ''), null);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatPayment, getQBFaultError, isPaidInvoice, isVoidedInvoice } = require('../src/services/quickbooks');
+
+const payment = {
+  Id: '90',
+  TxnDate: '2026-05-04',
+  TotalAmt: 150,
+  UnappliedAmt: 10,
+  PaymentRefNum: '4417',
+  PaymentMethodRef: { value: '2', name: 'Check' },
+  Line: [
+    { Amount: 100, LinkedTxn: [{ TxnId: '55', TxnType: 'Invoice' }] },
+    { Amount: 40, LinkedTxn: [{ TxnId: '56', TxnType: 'Invoice' }] },
+    { Amount: 5, LinkedTxn: [{ TxnId: '55', TxnType: 'CreditMemo' }] }
+  ]
+};
+
+test('a payment is summarised with the amount applied to the one invoice', () => {
+  assert.deepEqual(formatPayment(payment, 55), {
+    id: '90',
+    date: '2026-05-04',
+    totalAmount: 150,
+    appliedAmount: 100,
+    unappliedAmount: 10,
+    paymentMethod: { value: '2', name: 'Check' },
+    depositAccount: null,
+    referenceNumber: '4417',
+    memo: null
+  });
+  assert.equal(formatPayment(payment, '57').appliedAmount, 0);
+  assert.equal(formatPayment({ Id: '91' }, '55').appliedAmount, 0);
+});
+
+test('an invoice is paid once it has a total and no balance left', () => {
+  assert.equal(isPaidInvoice({ TotalAmt: 100, Balance: 0 }), true);
+  assert.equal(isPaidInvoice({ TotalAmt: '100.00', Balance: '0.01' }), false);
+  assert.equal(isPaidInvoice({ TotalAmt: 0, Balance: 0 }), false);
+});
+
+test('a voided invoice has no amount and a "Voided" private note', () => {
+  assert.equal(isVoidedInvoice({ TotalAmt: 0, PrivateNote: 'Voided - customer cancelled' }), true);
+  assert.equal(isVoidedInvoice({ TotalAmt: 0 }), false);
+  assert.equal(isVoidedInvoice({ TotalAmt: 20, PrivateNote: 'voided' }), false);
+});
+
+test('the first QuickBooks fault is read from a JSON or text error body', () => {
+  const fault = { Fault: { Error: [{ Message: 'Stale Object Error', code: '5010' }, { Message: 'Second' }] } };
+
+  assert.equal(getQBFaultError({ response: { body: fault } }).code, '5010');
+  assert.equal(getQBFaultError({ response: { data: JSON.stringify(fault) } }).Message, 'Stale Object Error');
+  assert.equal(getQBFaultError({ response: { body: '<html>Bad gateway</html>' } }), null);
+  assert.equal(getQBFaultError(new Error('socket hang up')), null);
+});
@@ -0,0 +1,111 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const pipedrive = require('../src/services/pipedrive');
+
+// An in-memory automation run log and a stand-in for the Pipedrive API. deals.js takes its helpers
+// when it is loaded, so they are replaced before it is required
+const state = { deal: null, runs: [] };
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(postgres, 'startDealAutomationRun', async ({ invoiceId, trigger }) => {
+  if (state.runs.some(run => run.invoiceId === invoiceId && run.trigger === trigger)) return null;
+  state.runs.push({ id: state.runs.length + 1, invoiceId, trigger });
+  return state.runs.length;
+});
+mock.method(postgres, 'finishDealAutomationRun', async (runId, outcome) => {
+  Object.assign(state.runs[runId - 1], outcome);
+});
+mock.method(postgres, 'getDealAutomationRun', async (invoiceId, trigger) =>
+  state.runs.find(run => run.invoiceId === invoiceId && run.trigger === trigger) || null);
+mock.method(postgres, 'getDealTimelineInvoice', async () => ({ invoiceId: '55', dealId: 12 }));
+const makePipedriveApiCall = mock.method(pipedrive, 'makePipedriveApiCall', async (userData, method, endpoint, body) => {
+  if (method === 'GET') return { data: state.deal };
+  if (state.rejectUpdate) throw new Error('Stage not found');
+  Object.assign(state.deal, body);
+  return { data: state.deal };
+});
+
+const { getDealAutomationChanges, runDealAutomation, runInvoicePaidAutomation } = require('../src/services/deals');
+
+const invoice = { Id: '55', DocNumber: '1001', TotalAmt: 250, Balance: 0, CurrencyRef: { value: 'EUR' } };
+const userData = {
+  invoice_preferences: {
+    pipelineAutomations: { 1: { createdStageId: '4', paidMarkWon: true, paidSetValue: true } }
+  }
+};
+
+beforeEach(() => {
+  state.deal = { id: 12, pipeline_id: 1, stage_id: 2, status: 'open', value: 200, currency: 'USD' };
+  state.runs = [];
+  state.rejectUpdate = false;
+  makePipedriveApiCall.mock.resetCalls();
+});
+
+test('paying an invoice wins the deal and sets its value and currency', async () => {
+  const changes = await getDealAutomationChanges('invoice_paid', { paidMarkWon: true, paidSetValue: true }, state.deal, invoice);
+
+  assert.deepEqual(changes, { status: 'won', value: 250, currency: 'EUR' });
+});
+
+test('no changes are made when the deal is already where the automation would put it', async () => {
+  const deal = { stage_id: 4, status: 'won', value: 250, currency: 'EUR' };
+
+  assert.equal(await getDealAutomationChanges('invoice_created', { createdStageId: '4' }, deal, invoice), null);
+  assert.equal(await getDealAutomationChanges('invoice_paid', { paidMarkWon: true, paidSetValue: true }, deal, invoice), null);
+  assert.equal(await getDealAutomationChanges('invoice_paid', {}, state.deal, invoice), null);
+});
+
+test('each trigger runs once per invoice and its run is logged', async () => {
+  const first = await runDealAutomation('acme', userData, { trigger: 'invoice_created', invoice, dealId: 12 });
+  const second = await runDealAutomation('acme', userData, { trigger: 'invoice_created', invoice, dealId: 12 });
+
+  assert.deepEqual(first, { status: 'success', runId: 1, changes: { stage_id: 4 } });
+  assert.deepEqual(second, { status: 'skipped', alreadyRun: true });
+  assert.deepEqual(state.runs[0].previous, { stageId: 2, status: 'open', value: 200, currency: 'USD' });
+  assert.deepEqual(makePipedriveApiCall.mock.calls[1].arguments.slice(1, 4), ['PUT', '/api/v1/deals/12', { stage_id: 4 }]);
+});
+
+test('voiding moves the deal back to its stage before the invoice and reopens it only if paying won it', async () => {
+  await runDealAutomation('acme', userData, { trigger: 'invoice_created', invoice, dealId: 12 });
+  await runDealAutomation('acme', userData, { trigger: 'invoice_paid', invoice, dealId: 12 });
+
+  const voided = await runDealAutomation('acme', userData, { trigger: 'invoice_voided', invoice, dealId: 12 });
+
+  assert.deepEqual(voided.changes, { stage_id: 2, status: 'open' });
+});
+
+test('a deal won by hand stays won when its invoice is voided', async () => {
+  state.deal.status = 'won';
+  await runDealAutomation('acme', userData, { trigger: 'invoice_paid', invoice, dealId: 12 });
+
+  const changes = await getDealAutomationChanges('invoice_voided', { voidedStageId: '3' }, state.deal, invoice);
+
+  assert.deepEqual(changes, { stage_id: 3 });
+});
+
+test('deals in pipelines without an automation are left alone', async () => {
+  state.deal.pipeline_id = 9;
+
+  assert.equal(await runDealAutomation('acme', userData, { trigger: 'invoice_created', invoice, dealId: 12 }), null);
+  assert.equal(await runDealAutomation('acme', {}, { trigger: 'invoice_created', invoice, dealId: 12 }), null);
+  assert.equal(await runDealAutomation('acme', userData, { trigger: 'invoice_created', invoice, dealId: null }), null);
+  assert.equal(state.runs.length, 0);
+});
+
+test('a failed deal update is logged and returned rather than thrown', async () => {
+  state.rejectUpdate = true;
+
+  const result = await runDealAutomation('acme', userData, { trigger: 'invoice_created', invoice, dealId: 12 });
+
+  assert.deepEqual(result, { status: 'failed', runId: 1, error: 'Stage not found' });
+  assert.equal(state.runs[0].status, 'failed');
+  assert.deepEqual(state.runs[0].changes, { stage_id: 4 });
+});
+
+test('the paid automation only runs for fully paid invoices', async () => {
+  assert.equal(await runInvoicePaidAutomation('acme', userData, { ...invoice, Balance: 10 }), null);
+  assert.equal((await runInvoicePaidAutomation('acme', userData, invoice)).status, 'success');
+  assert.equal(state.deal.status, 'won');
+});
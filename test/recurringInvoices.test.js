@@ -0,0 +1,132 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const postgres = require('../config/postgres');
+const invoicing = require('../src/services/invoicing');
+
+// Stand-ins for the run table and invoice creation. The job takes these helpers when it is loaded,
+// so they are replaced before it is required
+const state = {};
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(postgres, 'getUser', async () => ({ qb_access_token: 'token', qb_realm_id: 'realm-1' }));
+mock.method(postgres, 'startRecurringInvoiceRun', async () => state.claimed);
+mock.method(postgres, 'getRecurringInvoiceRun', async () => state.existingRun);
+mock.method(postgres, 'setRecurringInvoiceRunInvoice', async () => {});
+mock.method(postgres, 'setRecurringInvoiceRunStep', async () => {});
+const advanceRecurringInvoice = mock.method(postgres, 'advanceRecurringInvoice', async () => {});
+const finishRecurringInvoiceRun = mock.method(postgres, 'finishRecurringInvoiceRun', async () => {});
+const createInvoice = mock.method(invoicing, 'createInvoice', async () => state.invoiceResult);
+
+const { computeNextRunDate, runRecurringInvoice } = require('../src/jobs/recurringInvoices');
+
+const schedule = {
+  id: 4,
+  userId: 'acme',
+  customerId: '7',
+  dealId: '12',
+  frequency: 'monthly',
+  intervalCount: 1,
+  startDate: '2026-01-31',
+  endDate: null,
+  nextRunDate: '2026-02-28',
+  invoiceTemplate: { lineItems: [{ itemId: '5', quantity: 1, unitPrice: 100 }], dueDate: '2026-01-01' }
+};
+const created = {
+  success: true,
+  invoice: { id: '55', docNumber: '1001', totalAmount: 100, dueDate: '2026-03-30' }
+};
+
+beforeEach(() => {
+  state.claimed = { id: 21, invoiceId: null, steps: {} };
+  state.existingRun = null;
+  state.invoiceResult = created;
+  advanceRecurringInvoice.mock.resetCalls();
+  finishRecurringInvoiceRun.mock.resetCalls();
+  createInvoice.mock.resetCalls();
+});
+
+test('weekly runs add whole weeks', () => {
+  assert.equal(computeNextRunDate('2026-12-28', 'weekly'), '2027-01-04');
+  assert.equal(computeNextRunDate('2026-05-01', 'weekly', 2), '2026-05-15');
+});
+
+test('monthly runs keep the start day, clamped to short months', () => {
+  assert.equal(computeNextRunDate('2026-01-31', 'monthly', 1, 31), '2026-02-28');
+  assert.equal(computeNextRunDate('2026-02-28', 'monthly', 1, 31), '2026-03-31');
+  assert.equal(computeNextRunDate('2026-11-30', 'quarterly', 1, 30), '2027-02-28');
+  assert.equal(computeNextRunDate('2028-02-29', 'yearly'), '2029-02-28');
+  assert.equal(computeNextRunDate('2026-05-15', 'monthly', 'x'), '2026-06-15');
+});
+
+test('an unknown frequency is refused', () => {
+  assert.throws(() => computeNextRunDate('2026-05-01', 'daily'), /Unsupported frequency "daily"/);
+});
+
+test('a claimed run creates the invoice once per run date and moves the schedule on', async () => {
+  const result = await runRecurringInvoice(schedule);
+
+  const [userId, , payload, options] = createInvoice.mock.calls[0].arguments;
+  assert.equal(userId, 'acme');
+  assert.equal(payload.dueDate, undefined);
+  assert.equal(payload.customerId, '7');
+  assert.equal(options.requestId, 'recurring-4-2026-02-28');
+  assert.equal(finishRecurringInvoiceRun.mock.calls[0].arguments[1].status, 'success');
+  assert.deepEqual(advanceRecurringInvoice.mock.calls[0].arguments, [4, '2026-02-28', '2026-03-31', true]);
+  assert.equal(result.success, true);
+  assert.equal(result.nextRunDate, '2026-03-31');
+});
+
+test('the last run of a schedule with an end date ends it', async () => {
+  const result = await runRecurringInvoice({ ...schedule, endDate: '2026-03-15' });
+
+  assert.deepEqual(advanceRecurringInvoice.mock.calls[0].arguments, [4, '2026-02-28', '2026-03-31', false]);
+  assert.equal(result.nextRunDate, null);
+});
+
+test('a retried run resumes from the invoice and steps its earlier attempt finished', async () => {
+  state.claimed = { id: 21, invoiceId: '55', steps: { email: { status: 'done', emailSent: true } } };
+
+  await runRecurringInvoice(schedule);
+
+  const options = createInvoice.mock.calls[0].arguments[3];
+  assert.equal(options.existingInvoiceId, '55');
+  assert.deepEqual(options.completedSteps, { email: { status: 'done', emailSent: true } });
+});
+
+test('a failed run is recorded and the schedule stays on its run date', async () => {
+  state.invoiceResult = { success: false, error: 'Customer is inactive' };
+
+  const result = await runRecurringInvoice(schedule);
+
+  assert.deepEqual(finishRecurringInvoiceRun.mock.calls[0].arguments, [21, { status: 'failed', error: 'Customer is inactive' }]);
+  assert.equal(advanceRecurringInvoice.mock.callCount(), 0);
+  assert.equal(result.success, false);
+});
+
+test('a run still going on another instance is left alone', async () => {
+  state.claimed = null;
+  state.existingRun = { status: 'running', attempts: 1 };
+
+  const result = await runRecurringInvoice(schedule);
+
+  assert.deepEqual(result, { success: false, skipped: true, runDate: '2026-02-28' });
+  assert.equal(createInvoice.mock.callCount(), 0);
+  assert.equal(advanceRecurringInvoice.mock.callCount(), 0);
+});
+
+test('a finished or given-up run that was not claimed moves the schedule on', async () => {
+  state.claimed = null;
+  state.existingRun = { status: 'success', invoiceId: '55', attempts: 1 };
+
+  const finished = await runRecurringInvoice(schedule);
+
+  assert.deepEqual(advanceRecurringInvoice.mock.calls[0].arguments, [4, '2026-02-28', '2026-03-31', true, true]);
+  assert.equal(finished.nextRunDate, '2026-03-31');
+
+  state.existingRun = { status: 'failed', invoiceId: null, attempts: 3 };
+  await runRecurringInvoice(schedule);
+
+  assert.deepEqual(advanceRecurringInvoice.mock.calls[1].arguments, [4, '2026-02-28', '2026-03-31', true, false]);
+  assert.equal(createInvoice.mock.callCount(), 0);
+});
@@ -0,0 +1,103 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const quickbooks = require('../src/services/quickbooks');
+
+// A US company without automated sales tax and a UK company, keyed by realm. invoicing.js takes
+// runQBQuery when it is loaded, so it is replaced before it is required
+const companies = {
+  us: {
+    CompanyInfo: [{ Country: 'US' }],
+    Preferences: [{ TaxPrefs: { UsingSalesTax: true } }],
+    TaxCode: [
+      { Id: 'TAX', Name: 'TAX' },
+      { Id: 'NON', Name: 'NON' },
+      { Id: '3', Name: 'State', SalesTaxRateList: { TaxRateDetail: [{ TaxRateRef: { value: '1' } }, { TaxRateRef: { value: '2' } }] } },
+      { Id: '4', Name: 'City', SalesTaxRateList: { TaxRateDetail: [{ TaxRateRef: { value: '2' } }] } }
+    ],
+    TaxRate: [{ Id: '1', Name: 'State rate', RateValue: '6' }, { Id: '2', Name: 'City rate', RateValue: '2.5' }]
+  },
+  uk: {
+    CompanyInfo: [{ Country: 'GB' }],
+    Preferences: [{ TaxPrefs: { UsingSalesTax: true } }],
+    TaxCode: [
+      { Id: '10', Name: '20.0% S', SalesTaxRateList: { TaxRateDetail: [{ TaxRateRef: { value: '20' } }] } },
+      { Id: '11', Name: '5.0% R', SalesTaxRateList: { TaxRateDetail: [{ TaxRateRef: { value: '21' } }] } },
+      { Id: '12', Name: '0.0% Z', SalesTaxRateList: { TaxRateDetail: [{ TaxRateRef: { value: '22' } }] } },
+      { Id: '13', Name: 'Exempt' }
+    ],
+    TaxRate: [{ Id: '20', RateValue: '20' }, { Id: '21', RateValue: '5' }, { Id: '22', RateValue: '0' }]
+  }
+};
+mock.method(quickbooks, 'runQBQuery', async (userId, userData, query) => {
+  const entity = query.match(/FROM (\w+)/)[1];
+  return { [entity]: companies[userData.qb_realm_id][entity] };
+});
+mock.method(console, 'log', () => {});
+
+const { getQBTaxSetup, findTaxCodeForRate, resolveInvoiceTax, buildTaxBreakdown } = require('../src/services/invoicing');
+
+test('each tax code gets the combined rate of its component rates', async () => {
+  const taxSetup = await getQBTaxSetup('acme', { qb_realm_id: 'us' });
+
+  assert.equal(taxSetup.isUS, true);
+  assert.equal(taxSetup.automatedSalesTax, false);
+  assert.deepEqual(taxSetup.taxCodes.map(code => [code.Id, code.combinedRate, code.hasSalesRates]), [
+    ['TAX', 0, false], ['NON', 0, false], ['3', 8.5, true], ['4', 2.5, true]
+  ]);
+});
+
+test('default tax rate options pick the matching tax code', async () => {
+  const taxSetup = await getQBTaxSetup('acme', { qb_realm_id: 'uk' });
+
+  assert.equal(findTaxCodeForRate(taxSetup, 'standard').Id, '10');
+  assert.equal(findTaxCodeForRate(taxSetup, 'reduced').Id, '11');
+  assert.equal(findTaxCodeForRate(taxSetup, 'zero').Id, '12');
+  assert.equal(findTaxCodeForRate(taxSetup, 'exempt').Id, '13');
+  assert.equal(findTaxCodeForRate(taxSetup, 'other'), null);
+});
+
+test('US invoices keep TAX/NON lines and take the default rate as the transaction tax code', async () => {
+  const tax = await resolveInvoiceTax('acme', { qb_realm_id: 'us', invoice_preferences: { defaultTaxRate: 'reduced' } });
+
+  assert.equal(tax.taxableCode, 'TAX');
+  assert.equal(tax.lineTaxCode, null);
+  assert.deepEqual(tax.txnTaxDetail, { TxnTaxCodeRef: { value: '4' } });
+
+  const chosen = await resolveInvoiceTax('acme', { qb_realm_id: 'us' }, { txnTaxCodeId: 3 });
+  assert.deepEqual(chosen.txnTaxDetail, { TxnTaxCodeRef: { value: '3' } });
+});
+
+test('other companies put a real tax code on every line, tax exclusive', async () => {
+  const tax = await resolveInvoiceTax('acme', { qb_realm_id: 'uk', invoice_preferences: {} });
+
+  assert.equal(tax.taxableCode, '10');
+  assert.equal(tax.nonTaxableCode, '13');
+  assert.equal(tax.lineTaxCode, '10');
+  assert.equal(tax.txnTaxDetail, null);
+  assert.equal(tax.globalTaxCalculation, 'TaxExcluded');
+});
+
+test('the tax breakdown lists each tax line with its rate name', async () => {
+  const taxSetup = await getQBTaxSetup('acme', { qb_realm_id: 'us' });
+  const invoice = {
+    TotalAmt: 108.5,
+    TxnTaxDetail: {
+      TxnTaxCodeRef: { value: '3' },
+      TotalTax: 8.5,
+      TaxLine: [
+        { Amount: 6, TaxLineDetail: { TaxRateRef: { value: '1' }, TaxPercent: 6, NetAmountTaxable: 100 } },
+        { Amount: 2.5, TaxLineDetail: { TaxRateRef: { value: '2', name: 'City' }, TaxPercent: 2.5, NetAmountTaxable: 100 } }
+      ]
+    }
+  };
+
+  const breakdown = buildTaxBreakdown(invoice, taxSetup);
+
+  assert.equal(breakdown.subtotal, 100);
+  assert.equal(breakdown.totalTax, 8.5);
+  assert.equal(breakdown.txnTaxCode, '3');
+  assert.deepEqual(breakdown.lines.map(line => [line.name, line.amount]), [['State rate', 6], ['City', 2.5]]);
+  assert.deepEqual(buildTaxBreakdown({ TotalAmt: 50 }, null), {
+    subtotal: 50, totalTax: 0, total: 50, txnTaxCode: null, automatedSalesTax: false, lines: []
+  });
+});
@@ -0,0 +1,59 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapInvoiceToShipStationOrder, getInvoiceAmountPaid } = require('../src/services/invoicing');
+
+// normalizeCountryCode logs each country name it converts
+mock.method(console, 'log', () => {});
+
+const invoice = {
+  Id: '55',
+  DocNumber: '1001',
+  TxnDate: '2026-05-01',
+  TotalAmt: 130,
+  Balance: 30,
+  CustomerRef: { value: '7', name: 'Acme' },
+  BillEmail: { Address: 'billing@acme.test' },
+  BillAddr: { Line1: '1 Main St', City: 'Springfield', CountrySubDivisionCode: 'IL', PostalCode: '62701', Country: 'United States' },
+  Line: [
+    { DetailType: 'SalesItemLineDetail', Amount: 100, SalesItemLineDetail: { ItemRef: { value: '5', name: 'Widget' }, Qty: 2, UnitPrice: 50, Sku: 'W-1' } },
+    { DetailType: 'SalesItemLineDetail', Amount: -10, Description: 'Discount: Widget (10%)', SalesItemLineDetail: { ItemRef: { value: '5' }, Qty: 1, UnitPrice: -10 } },
+    { DetailType: 'SalesItemLineDetail', Amount: 12.5, SalesItemLineDetail: { ItemRef: { value: 'SHIPPING_ITEM_ID', name: 'Shipping' }, Qty: 1, UnitPrice: 12.5 } },
+    { DetailType: 'SubTotalLineDetail', Amount: 102.5 }
+  ]
+};
+
+test('amount paid is the total less the open balance', () => {
+  assert.equal(getInvoiceAmountPaid(invoice), 100);
+  assert.equal(getInvoiceAmountPaid({ TotalAmt: 80 }), 80);
+  assert.equal(getInvoiceAmountPaid({ TotalAmt: '80.10', Balance: '0.05' }), 80.05);
+});
+
+test('goods become items, shipping becomes the shipping amount and discounts are left out', () => {
+  const order = mapInvoiceToShipStationOrder(invoice, 'QB-3761-1001');
+
+  assert.deepEqual(order.items, [{ name: 'Widget', quantity: 2, unitPrice: 50, sku: 'W-1' }]);
+  assert.equal(order.shippingAmount, 12.5);
+  assert.equal(order.amountPaid, 100);
+  assert.equal(order.orderNumber, 'QB-3761-1001');
+  assert.equal(order.orderDate, '2026-05-01');
+  assert.equal(order.customerEmail, 'billing@acme.test');
+  assert.deepEqual(order.advancedOptions, { customField1: 'QB_Invoice_55', customField2: '7' });
+});
+
+test('the ship-to address falls back to the billing address with an ISO country code', () => {
+  const order = mapInvoiceToShipStationOrder(invoice, 'QB-3761-1001');
+
+  assert.equal(order.shipTo.name, 'Acme');
+  assert.equal(order.shipTo.street1, '1 Main St');
+  assert.equal(order.shipTo.state, 'IL');
+  assert.equal(order.shipTo.country, 'US');
+  assert.deepEqual(order.billTo, order.shipTo);
+});
+
+test('the currency note is added to the internal notes', () => {
+  assert.equal(mapInvoiceToShipStationOrder(invoice, 'QB-1').internalNotes, 'QuickBooks Invoice #1001');
+  assert.equal(
+    mapInvoiceToShipStationOrder(invoice, 'QB-1', { currencyNote: 'Paid EUR 100.00 (USD 110.00 at 1.1)' }).internalNotes,
+    'QuickBooks Invoice #1001 - Paid EUR 100.00 (USD 110.00 at 1.1)'
+  );
+});